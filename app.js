@@ -28,6 +28,7 @@ import MapView from './src/screens/navigation/MapView';
 import VendorCheckin from './src/screens/vendor/VendorCheckin';
 import VendorProfile from './src/screens/vendor/VendorProfile';
 import JourneyComplete from './src/screens/journey/JourneyComplete';
+import JourneyHistory from './src/screens/journey/JourneyHistory';
 
 // Screen Imports - Deals
 import BirthdayDeals from './src/screens/deals/BirthdayDeals';
@@ -35,6 +36,7 @@ import DailyDeals from './src/screens/deals/DailyDeals';
 import SpecialDeals from './src/screens/deals/SpecialDeals';
 import EverydayDeals from './src/screens/deals/EverydayDeals';
 import AllDeals from './src/screens/deals/AllDeals';
+import DealCalendar from './src/screens/deals/DealCalendar';
 
 // Screen Imports - Profile & Settings
 import UserProfile from './src/screens/profile/UserProfile';
@@ -42,12 +44,18 @@ import Settings from './src/screens/profile/Settings';
 import Points from './src/screens/profile/Points';
 import AllVendors from './src/screens/vendor/AllVendors';
 
+// Screen Imports - Search
+import Search from './src/screens/search/Search';
+
 // Context Provider for Global State
 import { AppStateProvider } from './src/context/AppStateContext';
 import { handleError, tryCatch } from './src/utils/ErrorHandler';
 
 // Developer Tools (only loaded in development)
 import DevTools from './src/components/DevTools';
+import JourneyArrivalWatcher from './src/components/JourneyArrivalWatcher';
+import JourneyLinkHandler from './src/components/JourneyLinkHandler';
+import DealAlertWatcher from './src/components/DealAlertWatcher';
 
 // Import data services
 import { dataLoader, vendorCache } from './services';
@@ -233,6 +241,11 @@ const AppContent = () => {
           component={EverydayDeals}
           options={{ headerShown: true, title: 'Everyday Deals' }}
         />
+        <Stack.Screen 
+          name="DealCalendar" 
+          component={DealCalendar}
+          options={{ headerShown: true, title: 'Deal Calendar' }}
+        />
 
         {/* Journey Screens */}
         <Stack.Screen 
@@ -263,6 +276,11 @@ const AppContent = () => {
           component={JourneyComplete}
           options={{ headerShown: true, title: 'Journey Complete' }}
         />
+        <Stack.Screen 
+          name="JourneyHistory" 
+          component={JourneyHistory}
+          options={{ headerShown: true, title: 'Journey History' }}
+        />
 
         {/* Vendor Screens */}
         <Stack.Screen 
@@ -276,6 +294,13 @@ const AppContent = () => {
           options={{ headerShown: true, title: 'All Vendors' }}
         />
 
+        {/* Search Screens */}
+        <Stack.Screen 
+          name="Search" 
+          component={Search}
+          options={{ headerShown: true, title: 'Search' }}
+        />
+
         {/* User Screens */}
         <Stack.Screen 
           name="Settings" 
@@ -289,6 +314,15 @@ const AppContent = () => {
         />
       </Stack.Navigator>
       
+      {/* Prompts a check-in when the user reaches a journey stop */}
+      <JourneyArrivalWatcher />
+      
+      {/* Opens shared journey links in the journey preview */}
+      <JourneyLinkHandler />
+      
+      {/* Sends deal alerts as the deal cache updates */}
+      <DealAlertWatcher />
+      
       {/* Developer Tools - only rendered in __DEV__ mode */}
       {/* Now inside NavigationContainer so it can access navigation */}
       {__DEV__ && <DevTools />}
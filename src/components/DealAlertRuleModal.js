@@ -0,0 +1,358 @@
+// src/components/DealAlertRuleModal.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Modal, Alert, ScrollView, TouchableOpacity } from 'react-native';
+import { Text, Button, Input, CheckBox, Icon } from '@rneui/themed';
+import { Logger, LogCategory } from '../services/LoggingService';
+import dealAlertService from '../services/DealAlertService';
+import searchService from '../services/SearchService';
+import { DealAlertVendorScope } from '../types/Schema';
+import { normalizeAlertRule, describeAlertRule } from '../utils/DealAlertRules';
+
+const DEAL_TYPE_OPTIONS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'multi_day', label: 'Multi-day' },
+  { value: 'special', label: 'Special' },
+  { value: 'everyday', label: 'Everyday' },
+  { value: 'birthday', label: 'Birthday' }
+];
+
+const DAY_OPTIONS = [
+  { value: 'monday', label: 'Mon' },
+  { value: 'tuesday', label: 'Tue' },
+  { value: 'wednesday', label: 'Wed' },
+  { value: 'thursday', label: 'Thu' },
+  { value: 'friday', label: 'Fri' },
+  { value: 'saturday', label: 'Sat' },
+  { value: 'sunday', label: 'Sun' }
+];
+
+const EMPTY_RULE = {
+  name: '',
+  dealTypes: [],
+  vendorScope: DealAlertVendorScope.ANY,
+  vendors: [],
+  category: '',
+  minDiscountPercent: '',
+  maxDistance: '',
+  days: []
+};
+
+const toggleValue = (values, value) =>
+  values.includes(value) ? values.filter(current => current !== value) : [...values, value];
+
+/**
+ * Deal Alert Rule Modal
+ *
+ * Creates or edits a deal alert rule: which deal types, vendors, categories,
+ * discounts, distances and days should send a notification
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {DealAlertRule} [props.rule] - Rule to edit, or null to create one
+ * @param {Function} props.onClose - Called when the modal should close
+ * @param {Function} [props.onSaved] - Called with the saved rule
+ */
+const DealAlertRuleModal = ({ visible, rule, onClose, onSaved }) => {
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [vendorQuery, setVendorQuery] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the rule being edited, or a blank rule, each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setDraft(rule
+        ? {
+            ...rule,
+            category: rule.category || '',
+            minDiscountPercent: rule.minDiscountPercent ? String(rule.minDiscountPercent) : '',
+            maxDistance: rule.maxDistance ? String(rule.maxDistance) : ''
+          }
+        : EMPTY_RULE);
+      setVendorQuery('');
+    }
+  }, [visible]);
+
+  const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const getRuleFields = () => ({
+    ...draft,
+    name: draft.name.trim(),
+    minDiscountPercent: parseFloat(draft.minDiscountPercent) || null,
+    maxDistance: parseFloat(draft.maxDistance) || null
+  });
+
+  const vendorResults = vendorQuery.trim()
+    ? searchService.search(vendorQuery, { types: ['vendor'], limit: 5 })
+      .filter(result => !draft.vendors.some(vendor => vendor.id === result.id))
+    : [];
+
+  const addVendor = (result) => {
+    updateDraft({ vendors: [...draft.vendors, { id: result.id, name: result.title }] });
+    setVendorQuery('');
+  };
+
+  const handleSave = async () => {
+    if (draft.vendorScope === DealAlertVendorScope.SELECTED && draft.vendors.length === 0) {
+      Alert.alert('Choose Vendors', 'Pick at least one vendor for this alert.');
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const saved = await dealAlertService.saveRule(getRuleFields());
+      onSaved?.(saved);
+      onClose();
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error saving deal alert', { error });
+      Alert.alert('Save Failed', 'We couldn\'t save this alert. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderChip = (option, selected, onPress) => (
+    <TouchableOpacity
+      key={option.value}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>{rule ? 'Edit Deal Alert' : 'New Deal Alert'}</Text>
+          <Text style={styles.modalSubtitle}>
+            {describeAlertRule(normalizeAlertRule(getRuleFields()))}
+          </Text>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Input
+              placeholder="Alert name (optional)"
+              value={draft.name}
+              onChangeText={name => updateDraft({ name })}
+              leftIcon={{ type: 'material', name: 'notifications' }}
+              containerStyle={styles.inputContainer}
+            />
+
+            <Text style={styles.fieldLabel}>Deal types (none for any)</Text>
+            <View style={styles.chipRow}>
+              {DEAL_TYPE_OPTIONS.map(option => renderChip(
+                option,
+                draft.dealTypes.includes(option.value),
+                () => updateDraft({ dealTypes: toggleValue(draft.dealTypes, option.value) })
+              ))}
+            </View>
+
+            <Text style={styles.fieldLabel}>Vendors</Text>
+            {[
+              { value: DealAlertVendorScope.ANY, label: 'Any vendor' },
+              { value: DealAlertVendorScope.FAVORITES, label: 'My favorites' },
+              { value: DealAlertVendorScope.SELECTED, label: 'Specific vendors' }
+            ].map(option => (
+              <CheckBox
+                key={option.value}
+                title={option.label}
+                checked={draft.vendorScope === option.value}
+                onPress={() => updateDraft({ vendorScope: option.value })}
+                checkedIcon="dot-circle-o"
+                uncheckedIcon="circle-o"
+                checkedColor="#4CAF50"
+                containerStyle={styles.checkboxContainer}
+              />
+            ))}
+
+            {draft.vendorScope === DealAlertVendorScope.SELECTED && (
+              <View>
+                <View style={styles.chipRow}>
+                  {draft.vendors.map(vendor => (
+                    <TouchableOpacity
+                      key={vendor.id}
+                      style={[styles.chip, styles.chipSelected, styles.vendorChip]}
+                      onPress={() => updateDraft({
+                        vendors: draft.vendors.filter(current => current.id !== vendor.id)
+                      })}
+                    >
+                      <Text style={[styles.chipText, styles.chipTextSelected]}>{vendor.name}</Text>
+                      <Icon name="close" type="material" size={14} color="#FFFFFF" />
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Input
+                  placeholder="Search vendors"
+                  value={vendorQuery}
+                  onChangeText={setVendorQuery}
+                  leftIcon={{ type: 'material', name: 'store' }}
+                  containerStyle={styles.inputContainer}
+                />
+                {vendorResults.map(result => (
+                  <TouchableOpacity
+                    key={result.id}
+                    style={styles.vendorResult}
+                    onPress={() => addVendor(result)}
+                  >
+                    <Icon name="add" type="material" size={18} color="#4CAF50" />
+                    <Text style={styles.vendorResultText} numberOfLines={1}>{result.title}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            <Input
+              placeholder="Category or keyword, e.g. edibles"
+              value={draft.category}
+              onChangeText={category => updateDraft({ category })}
+              leftIcon={{ type: 'material', name: 'category' }}
+              containerStyle={styles.inputContainer}
+            />
+            <Input
+              placeholder="Minimum discount %"
+              value={draft.minDiscountPercent}
+              onChangeText={minDiscountPercent => updateDraft({ minDiscountPercent })}
+              keyboardType="numeric"
+              leftIcon={{ type: 'material', name: 'percent' }}
+              containerStyle={styles.inputContainer}
+            />
+            <Input
+              placeholder="Within miles"
+              value={draft.maxDistance}
+              onChangeText={maxDistance => updateDraft({ maxDistance })}
+              keyboardType="numeric"
+              leftIcon={{ type: 'material', name: 'near-me' }}
+              containerStyle={styles.inputContainer}
+            />
+
+            <Text style={styles.fieldLabel}>Running on (none for any day)</Text>
+            <View style={styles.chipRow}>
+              {DAY_OPTIONS.map(option => renderChip(
+                option,
+                draft.days.includes(option.value),
+                () => updateDraft({ days: toggleValue(draft.days, option.value) })
+              ))}
+            </View>
+          </ScrollView>
+
+          <View style={styles.actionButtons}>
+            <Button
+              title="Cancel"
+              type="outline"
+              onPress={onClose}
+              containerStyle={styles.actionButton}
+            />
+            <Button
+              title="Save"
+              onPress={handleSave}
+              loading={isSaving}
+              buttonStyle={styles.saveButton}
+              containerStyle={styles.actionButton}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    width: '90%',
+    maxHeight: '85%',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  inputContainer: {
+    paddingHorizontal: 0,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#4CAF50',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  vendorChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  vendorResult: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  vendorResultText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 14,
+  },
+  checkboxContainer: {
+    backgroundColor: 'transparent',
+    borderWidth: 0,
+    marginLeft: 0,
+    padding: 4,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+  },
+});
+
+export default DealAlertRuleModal;
@@ -0,0 +1,49 @@
+// src/components/DealAlertWatcher.js
+import { useEffect } from 'react';
+import { useNavigation } from '@react-navigation/native';
+import { useAppState } from '../context/AppStateContext';
+import { Logger, LogCategory } from '../services/LoggingService';
+import dealAlertService, { DEAL_ALERT_NOTIFICATION_TYPE } from '../services/DealAlertService';
+import notificationService from '../services/NotificationService';
+
+/**
+ * Checks the user's deal alert rules whenever the deal cache updates
+ * Starts once the app has loaded, so the saved notification setting and favorites
+ * are in place before the first check. Renders nothing; it lives inside the
+ * NavigationContainer so tapping an alert can open the vendor.
+ */
+const DealAlertWatcher = () => {
+  const { state, loadingState } = useAppState();
+  const navigation = useNavigation();
+
+  // Rules scoped to favorites need the current favorites
+  useEffect(() => {
+    dealAlertService.setFavorites(state.user.favorites);
+  }, [state.user.favorites]);
+
+  useEffect(() => {
+    if (loadingState !== 'ready') return;
+
+    dealAlertService.start();
+    return () => dealAlertService.stop();
+  }, [loadingState]);
+
+  // Open the vendor when an alert is tapped
+  useEffect(() => {
+    notificationService.initialize();
+
+    return notificationService.addResponseListener((data) => {
+      if (data?.type !== DEAL_ALERT_NOTIFICATION_TYPE) return;
+
+      Logger.info(LogCategory.DEALS, 'Opening deal alert', { ruleId: data.ruleId });
+
+      if (data.vendorId) {
+        navigation.navigate('VendorProfile', { vendorId: data.vendorId });
+      }
+    });
+  }, []);
+
+  return null;
+};
+
+export default DealAlertWatcher;
@@ -0,0 +1,56 @@
+// src/components/DealEligibilityNote.js
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Icon } from '@rneui/themed';
+import { EligibilityStatus } from '../types/Schema';
+import { describeEligibility } from '../utils/DealEligibility';
+
+const STATUS_APPEARANCE = {
+  [EligibilityStatus.INELIGIBLE]: { icon: 'block', color: '#F44336', prefix: 'Not eligible: ' },
+  [EligibilityStatus.UNKNOWN]: { icon: 'help-outline', color: '#FF9800', prefix: '' },
+  [EligibilityStatus.CONDITIONAL]: { icon: 'info-outline', color: '#2089dc', prefix: '' },
+  [EligibilityStatus.ELIGIBLE]: { icon: 'check-circle', color: '#4CAF50', prefix: '' }
+};
+
+/**
+ * Deal Eligibility Note
+ *
+ * One line under a deal saying who it's for and whether the user qualifies,
+ * e.g. "Not eligible: First-time customers only; you've checked in here before".
+ * Renders nothing for deals without restrictions.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.eligibility - Result from evaluateDealEligibility
+ * @param {Object} [props.style] - Extra container style
+ */
+const DealEligibilityNote = ({ eligibility, style }) => {
+  const description = describeEligibility(eligibility);
+  if (!description) return null;
+
+  const appearance = STATUS_APPEARANCE[eligibility.status] || STATUS_APPEARANCE[EligibilityStatus.ELIGIBLE];
+
+  return (
+    <View style={[styles.container, style]}>
+      <Icon name={appearance.icon} type="material" size={14} color={appearance.color} />
+      <Text style={[styles.text, { color: appearance.color }]} numberOfLines={2}>
+        {appearance.prefix}{description}
+        {eligibility.status === EligibilityStatus.UNKNOWN && ' (set your eligibility in Settings)'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  text: {
+    flex: 1,
+    fontSize: 12,
+    marginLeft: 4,
+  },
+});
+
+export default DealEligibilityNote;
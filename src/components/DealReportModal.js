@@ -0,0 +1,169 @@
+// src/components/DealReportModal.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Modal, Alert } from 'react-native';
+import { Text, Button, Input, CheckBox } from '@rneui/themed';
+import { Logger, LogCategory } from '../services/LoggingService';
+import dealVerificationService from '../services/DealVerificationService';
+import { DealReportType } from '../types/Schema';
+
+const REPORT_OPTIONS = [
+  { type: DealReportType.CONFIRMED, title: 'Confirmed today', color: '#4CAF50' },
+  { type: DealReportType.EXPIRED, title: 'Expired / no longer offered', color: '#F44336' },
+  { type: DealReportType.DIFFERENT, title: 'Different than listed', color: '#FF9800' }
+];
+
+/**
+ * Deal Report Modal
+ *
+ * Lets the user tell others whether a deal is still as listed. Reports feed the
+ * confidence shown on deal cards, and deals reported expired are picked last for routes.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Object} props.deal - Deal being reported
+ * @param {Function} props.onClose - Called when the modal should close
+ * @param {Function} [props.onReported] - Called with the saved report
+ */
+const DealReportModal = ({ visible, deal, onClose, onReported }) => {
+  const [type, setType] = useState(DealReportType.CONFIRMED);
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start fresh each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setType(DealReportType.CONFIRMED);
+      setNote('');
+    }
+  }, [visible]);
+
+  const handleSubmit = async () => {
+    setIsSaving(true);
+
+    try {
+      const report = await dealVerificationService.reportDeal(
+        deal,
+        type,
+        type === DealReportType.DIFFERENT ? note : null
+      );
+
+      onReported?.(report);
+      onClose();
+      Alert.alert('Thanks!', 'Your report helps others know which deals they can count on.');
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error submitting deal report', { error });
+      Alert.alert('Report Failed', 'We couldn\'t send your report. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Report Deal</Text>
+          {!!deal?.title && (
+            <Text style={styles.modalSubtitle}>{deal.title}</Text>
+          )}
+
+          {REPORT_OPTIONS.map(option => (
+            <CheckBox
+              key={option.type}
+              title={option.title}
+              checked={type === option.type}
+              onPress={() => setType(option.type)}
+              checkedIcon="dot-circle-o"
+              uncheckedIcon="circle-o"
+              checkedColor={option.color}
+              containerStyle={styles.checkboxContainer}
+            />
+          ))}
+
+          {type === DealReportType.DIFFERENT && (
+            <Input
+              placeholder="What was different? (optional)"
+              value={note}
+              onChangeText={setNote}
+              maxLength={200}
+              leftIcon={{ type: 'material', name: 'edit' }}
+              containerStyle={styles.inputContainer}
+            />
+          )}
+
+          <View style={styles.actionButtons}>
+            <Button
+              title="Cancel"
+              type="outline"
+              onPress={onClose}
+              containerStyle={styles.actionButton}
+            />
+            <Button
+              title="Send"
+              onPress={handleSubmit}
+              loading={isSaving}
+              disabled={!deal}
+              buttonStyle={styles.sendButton}
+              containerStyle={styles.actionButton}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    width: '90%',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  inputContainer: {
+    paddingHorizontal: 0,
+  },
+  checkboxContainer: {
+    backgroundColor: 'transparent',
+    borderWidth: 0,
+    marginLeft: 0,
+    padding: 4,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  sendButton: {
+    backgroundColor: '#4CAF50',
+  },
+});
+
+export default DealReportModal;
@@ -0,0 +1,69 @@
+// src/components/DealVerificationNote.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Icon } from '@rneui/themed';
+import dealVerificationService from '../services/DealVerificationService';
+import { describeVerification } from '../utils/DealVerification';
+
+/**
+ * Pick how a verification is shown
+ * @param {DealVerification} verification - Summary from DealVerificationService
+ * @returns {Object} - { icon, color }
+ */
+const getAppearance = (verification) => {
+  if (verification.isLikelyExpired) return { icon: 'report', color: '#F44336' };
+  if (verification.confidence >= 0.75) return { icon: 'verified', color: '#4CAF50' };
+  if (verification.confidence < 0.5) return { icon: 'warning', color: '#FF9800' };
+  return { icon: 'info-outline', color: '#2089dc' };
+};
+
+/**
+ * Deal Verification Note
+ *
+ * One line under a deal saying what other users have reported about it,
+ * e.g. "Verified today · 92% confidence". Renders nothing for deals nobody
+ * has reported on.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.deal - Deal object
+ * @param {Object} [props.style] - Extra container style
+ */
+const DealVerificationNote = ({ deal, style }) => {
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const unsubscribe = dealVerificationService.subscribe(() => setVersion(version => version + 1));
+    dealVerificationService.loadReports();
+    return unsubscribe;
+  }, []);
+
+  const verification = dealVerificationService.getVerification(deal);
+  const description = describeVerification(verification);
+  if (!description) return null;
+
+  const appearance = getAppearance(verification);
+
+  return (
+    <View style={[styles.container, style]}>
+      <Icon name={appearance.icon} type="material" size={14} color={appearance.color} />
+      <Text style={[styles.text, { color: appearance.color }]} numberOfLines={2}>
+        {description}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  text: {
+    flex: 1,
+    fontSize: 12,
+    marginLeft: 4,
+  },
+});
+
+export default DealVerificationNote;
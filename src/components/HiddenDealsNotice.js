@@ -0,0 +1,39 @@
+// src/components/HiddenDealsNotice.js
+import React from 'react';
+import { TouchableOpacity, StyleSheet } from 'react-native';
+import { Text } from '@rneui/themed';
+
+/**
+ * Hidden Deals Notice
+ *
+ * Footer for deal lists saying how many deals were hidden because the user isn't
+ * eligible for them. Renders nothing when none were hidden.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.count - Deals hidden
+ * @param {Function} props.onPress - Called when tapped, to show the hidden deals
+ */
+const HiddenDealsNotice = ({ count, onPress }) => {
+  if (!(count > 0)) return null;
+
+  return (
+    <TouchableOpacity style={styles.container} onPress={onPress}>
+      <Text style={styles.text}>
+        {count} {count === 1 ? 'deal' : 'deals'} you aren't eligible for hidden. Tap to show.
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    padding: 16,
+  },
+  text: {
+    fontSize: 14,
+    color: '#2089dc',
+  },
+});
+
+export default HiddenDealsNotice;
@@ -0,0 +1,70 @@
+// src/components/JourneyArrivalWatcher.js
+import { useEffect, useRef } from 'react';
+import { Alert, AppState } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { useAppState } from '../context/AppStateContext';
+import { Logger, LogCategory } from '../services/LoggingService';
+import geofenceService from '../services/GeofenceService';
+
+/**
+ * Watches the active journey's stops and prompts a check-in on arrival
+ * Location updates only arrive while the app is open, so arrivals are prompted with
+ * an alert and not detected at all in the background.
+ * Renders nothing; it lives inside the NavigationContainer so it can navigate.
+ */
+const JourneyArrivalWatcher = () => {
+  const { state } = useAppState();
+  const navigation = useNavigation();
+  const journeyRef = useRef(state.journey);
+  journeyRef.current = state.journey;
+
+  const isJourneyActive = !!state.journey?.isActive;
+
+  const openCheckin = (vendorId) => {
+    navigation.navigate('VendorCheckin', {
+      vendorId,
+      fromJourney: true
+    });
+  };
+
+  // Start or stop geofencing with the journey
+  useEffect(() => {
+    if (!isJourneyActive) {
+      geofenceService.stop();
+      return;
+    }
+
+    geofenceService.start();
+
+    const unsubscribe = geofenceService.subscribe(({ vendorId, name }) => {
+      const journey = journeyRef.current;
+      const vendor = journey?.vendors?.find(v => v.id === vendorId);
+
+      if (!journey?.isActive || !vendor || vendor.checkedIn || AppState.currentState !== 'active') return;
+
+      Logger.info(LogCategory.JOURNEY, 'Prompting check-in on arrival', { vendorId });
+
+      Alert.alert(
+        "You've Arrived",
+        `Looks like you're at ${name}. Check in now?`,
+        [
+          { text: 'Not Yet', style: 'cancel' },
+          { text: 'Check In', onPress: () => openCheckin(vendorId) }
+        ]
+      );
+    });
+
+    return unsubscribe;
+  }, [isJourneyActive]);
+
+  // Watch the stops that haven't been checked in yet
+  useEffect(() => {
+    if (isJourneyActive) {
+      geofenceService.setVendors((state.journey.vendors || []).filter(vendor => !vendor.checkedIn));
+    }
+  }, [isJourneyActive, state.journey?.vendors]);
+
+  return null;
+};
+
+export default JourneyArrivalWatcher;
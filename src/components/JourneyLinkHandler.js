@@ -0,0 +1,38 @@
+// src/components/JourneyLinkHandler.js
+import { useEffect } from 'react';
+import { Linking } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Logger, LogCategory } from '../services/LoggingService';
+import { isJourneyLink } from '../utils/JourneyLinkUtils';
+
+/**
+ * Opens shared lootsganja://journey/ links in the journey preview
+ * Handles both the link that launched the app and links opened while it's running.
+ * Renders nothing; it lives inside the NavigationContainer so it can navigate.
+ */
+const JourneyLinkHandler = () => {
+  const navigation = useNavigation();
+
+  useEffect(() => {
+    const openLink = (url) => {
+      if (!isJourneyLink(url)) return;
+
+      Logger.info(LogCategory.JOURNEY, 'Opening shared journey link');
+      navigation.navigate('RoutePreview', { sharedJourneyLink: url });
+    };
+
+    Linking.getInitialURL()
+      .then(openLink)
+      .catch(error => {
+        Logger.error(LogCategory.JOURNEY, 'Error reading launch link', { error });
+      });
+
+    const subscription = Linking.addEventListener('url', ({ url }) => openLink(url));
+
+    return () => subscription.remove();
+  }, []);
+
+  return null;
+};
+
+export default JourneyLinkHandler;
@@ -0,0 +1,131 @@
+// src/components/PriceSparkline.js
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from '@rneui/themed';
+
+const LINE_WIDTH = 2;
+const DOT_SIZE = 6;
+
+/**
+ * Price Sparkline
+ *
+ * A small line chart of a product's price by day, drawn with plain views, with the
+ * market average as a dashed line for comparison. Renders nothing without history.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{date: string, salePrice: number}>} props.history - Prices by day, oldest first
+ * @param {number} [props.marketAverage] - Market average price to mark
+ * @param {number} [props.height=60] - Chart height
+ * @param {string} [props.color='#4CAF50'] - Line color
+ * @param {Object} [props.style] - Extra container style
+ */
+const PriceSparkline = ({ history, marketAverage, height = 60, color = '#4CAF50', style }) => {
+  const [width, setWidth] = useState(0);
+
+  if (!history || history.length === 0) return null;
+
+  const prices = history.map(entry => entry.salePrice);
+  const reference = marketAverage > 0 ? [marketAverage] : [];
+  const low = Math.min(...prices, ...reference);
+  const high = Math.max(...prices, ...reference);
+  // A flat history sits in the middle rather than along an edge
+  const range = high - low || 1;
+  const plotHeight = height - DOT_SIZE;
+
+  const toY = (price) => DOT_SIZE / 2 + (high === low ? plotHeight / 2 : ((high - price) / range) * plotHeight);
+  const points = prices.map((price, index) => ({
+    x: history.length === 1 ? width / 2 : DOT_SIZE / 2 + (index / (history.length - 1)) * (width - DOT_SIZE),
+    y: toY(price)
+  }));
+  const last = points[points.length - 1];
+
+  return (
+    <View style={style}>
+      <View
+        style={[styles.chart, { height }]}
+        onLayout={event => setWidth(event.nativeEvent.layout.width)}
+      >
+        {width > 0 && (
+          <>
+            {reference.length > 0 && (
+              <View style={[styles.averageLine, { top: toY(marketAverage) }]} />
+            )}
+
+            {points.slice(1).map((point, index) => {
+              const previous = points[index];
+              const dx = point.x - previous.x;
+              const dy = point.y - previous.y;
+              const length = Math.sqrt(dx * dx + dy * dy);
+
+              return (
+                <View
+                  key={history[index + 1].date}
+                  style={[styles.segment, {
+                    width: length,
+                    left: (previous.x + point.x) / 2 - length / 2,
+                    top: (previous.y + point.y) / 2 - LINE_WIDTH / 2,
+                    backgroundColor: color,
+                    transform: [{ rotate: `${Math.atan2(dy, dx)}rad` }]
+                  }]}
+                />
+              );
+            })}
+
+            <View
+              style={[styles.dot, {
+                left: last.x - DOT_SIZE / 2,
+                top: last.y - DOT_SIZE / 2,
+                backgroundColor: color
+              }]}
+            />
+          </>
+        )}
+      </View>
+
+      <View style={styles.labels}>
+        <Text style={styles.labelText}>{history[0].date}</Text>
+        {reference.length > 0 && (
+          <Text style={styles.labelText}>- - market ${marketAverage.toFixed(2)}</Text>
+        )}
+        <Text style={styles.labelText}>{history[history.length - 1].date}</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chart: {
+    position: 'relative',
+    overflow: 'hidden',
+  },
+  averageLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    borderTopWidth: 1,
+    borderColor: '#999999',
+    borderStyle: 'dashed',
+  },
+  segment: {
+    position: 'absolute',
+    height: LINE_WIDTH,
+    borderRadius: LINE_WIDTH / 2,
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+  },
+  labels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  labelText: {
+    fontSize: 12,
+    color: '#999999',
+  },
+});
+
+export default PriceSparkline;
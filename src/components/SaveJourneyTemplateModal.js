@@ -0,0 +1,198 @@
+// src/components/SaveJourneyTemplateModal.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Modal, Alert } from 'react-native';
+import { Text, Button, Input, CheckBox } from '@rneui/themed';
+import { Logger, LogCategory } from '../services/LoggingService';
+import serviceProvider from '../services/ServiceProvider';
+import { JourneyTemplateMode } from '../types/Schema';
+
+const formatDealType = (dealType) => dealType.charAt(0).toUpperCase() + dealType.slice(1);
+
+/**
+ * Get the deal types a journey collects
+ * @param {Object} journey - Journey state
+ * @returns {Array<string>} - Deal types
+ */
+const getJourneyDealTypes = (journey) =>
+  journey.dealTypes?.length > 0 ? journey.dealTypes : [journey.dealType || 'daily'];
+
+/**
+ * Save Journey Template Modal
+ *
+ * Saves the active journey so it can be replayed from the Dashboard, either as the
+ * same stops or as the same deal types and limits
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Object} props.journey - Journey state to save
+ * @param {Function} props.onClose - Called when the modal should close
+ * @param {Function} [props.onSaved] - Called with the saved template
+ */
+const SaveJourneyTemplateModal = ({ visible, journey, onClose, onSaved }) => {
+  const [name, setName] = useState('');
+  const [mode, setMode] = useState(JourneyTemplateMode.VENDORS);
+  const [keepStartLocation, setKeepStartLocation] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from a sensible name each time the modal opens
+  useEffect(() => {
+    if (visible && journey) {
+      setName(`${getJourneyDealTypes(journey).map(formatDealType).join(' + ')} Run`);
+      setMode(JourneyTemplateMode.VENDORS);
+      setKeepStartLocation(false);
+    }
+  }, [visible]);
+
+  const handleSave = async () => {
+    if (name.trim() === '') {
+      Alert.alert('Name Required', 'Give this journey a name so you can find it later.');
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const template = await serviceProvider.saveJourneyTemplate({
+        name: name.trim(),
+        mode,
+        dealTypes: getJourneyDealTypes(journey),
+        vendors: journey.vendors,
+        maxDistance: journey.maxDistance,
+        maxVendors: journey.maxVendors || journey.vendors.length,
+        startLocation: keepStartLocation ? journey.startLocation : null,
+        endMode: journey.endMode,
+        endLocation: journey.endLocation,
+        travelMode: journey.travelMode
+      });
+
+      onSaved?.(template);
+      onClose();
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error saving journey template', { error });
+      Alert.alert('Save Failed', 'We couldn\'t save this journey. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Save Journey</Text>
+          <Text style={styles.modalSubtitle}>
+            Replay it from the Dashboard. Stops are checked against that day's deals.
+          </Text>
+
+          <Input
+            placeholder="Journey name"
+            value={name}
+            onChangeText={setName}
+            leftIcon={{ type: 'material', name: 'bookmark' }}
+            containerStyle={styles.inputContainer}
+          />
+
+          <CheckBox
+            title="Same stops"
+            checked={mode === JourneyTemplateMode.VENDORS}
+            onPress={() => setMode(JourneyTemplateMode.VENDORS)}
+            checkedIcon="dot-circle-o"
+            uncheckedIcon="circle-o"
+            checkedColor="#4CAF50"
+            containerStyle={styles.checkboxContainer}
+          />
+          <CheckBox
+            title="Same deal types and limits, fresh stops"
+            checked={mode === JourneyTemplateMode.CRITERIA}
+            onPress={() => setMode(JourneyTemplateMode.CRITERIA)}
+            checkedIcon="dot-circle-o"
+            uncheckedIcon="circle-o"
+            checkedColor="#4CAF50"
+            containerStyle={styles.checkboxContainer}
+          />
+
+          {!!journey?.startLocation && (
+            <CheckBox
+              title="Always start from this journey's start point"
+              checked={keepStartLocation}
+              onPress={() => setKeepStartLocation(current => !current)}
+              checkedColor="#4CAF50"
+              containerStyle={styles.checkboxContainer}
+            />
+          )}
+
+          <View style={styles.actionButtons}>
+            <Button
+              title="Cancel"
+              type="outline"
+              onPress={onClose}
+              containerStyle={styles.actionButton}
+            />
+            <Button
+              title="Save"
+              onPress={handleSave}
+              loading={isSaving}
+              buttonStyle={styles.saveButton}
+              containerStyle={styles.actionButton}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    width: '90%',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  inputContainer: {
+    paddingHorizontal: 0,
+  },
+  checkboxContainer: {
+    backgroundColor: 'transparent',
+    borderWidth: 0,
+    marginLeft: 0,
+    padding: 4,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+  },
+});
+
+export default SaveJourneyTemplateModal;
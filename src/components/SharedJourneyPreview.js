@@ -0,0 +1,295 @@
+// src/components/SharedJourneyPreview.js
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert, ActivityIndicator } from 'react-native';
+import { Text, Button, Card, Icon } from '@rneui/themed';
+import { useAppState, AppActions } from '../context/AppStateContext';
+import { Logger, LogCategory } from '../services/LoggingService';
+import routeService from '../services/RouteService';
+import locationService from '../services/LocationService';
+import { parseJourneyLink } from '../utils/JourneyLinkUtils';
+import { formatStopTime } from '../utils/ScheduleUtils';
+
+const formatDealType = (dealType) => dealType.charAt(0).toUpperCase() + dealType.slice(1);
+
+/**
+ * Shared Journey Preview Component
+ *
+ * Shows a journey someone shared, rebuilt for this user, and lets them start it
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.link - lootsganja://journey/ link or encoded payload
+ * @param {Object} props.navigation - Navigation object of the hosting screen
+ */
+const SharedJourneyPreview = ({ link, navigation }) => {
+  const { state, dispatch } = useAppState();
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    const loadPreview = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const sharedJourney = parseJourneyLink(link);
+        const startLocation = state.user?.location || await locationService.getCurrentLocation();
+        const result = await routeService.importSharedJourney(sharedJourney, startLocation);
+
+        if (!result.success) {
+          setError(result.error);
+        }
+
+        setPreview(result);
+      } catch (loadError) {
+        Logger.error(LogCategory.JOURNEY, 'Error loading shared journey', { error: loadError });
+        setError(loadError.message || 'This journey link could not be opened.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadPreview();
+  }, [link]);
+
+  const startJourney = () => {
+    const { vendors, route, journeyData } = preview;
+
+    dispatch(AppActions.startJourney({
+      ...journeyData,
+      vendors: vendors.map(vendor => ({
+        ...vendor,
+        checkedIn: false,
+        checkInType: null
+      })),
+      currentVendorIndex: 0,
+      totalVendors: vendors.length,
+      isActive: true,
+      startTime: new Date().toISOString()
+    }));
+    dispatch(AppActions.updateRoute({
+      path: vendors,
+      coordinates: route.coordinates,
+      totalDistance: route.totalDistance,
+      estimatedTime: route.estimatedTime,
+      estimatedCost: route.estimatedCost || null
+    }));
+    routeService.saveRouteData(route);
+
+    Logger.info(LogCategory.JOURNEY, 'Started shared journey', {
+      dealTypes: journeyData.dealTypes,
+      vendorCount: vendors.length
+    });
+
+    navigation.replace('RoutePreview');
+  };
+
+  const handleStart = () => {
+    if (!state.journey?.isActive) {
+      startJourney();
+      return;
+    }
+
+    Alert.alert(
+      'Replace Current Journey?',
+      'You already have a journey in progress. Starting this one will end it.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Start Shared Journey',
+          style: 'destructive',
+          onPress: () => {
+            dispatch(AppActions.endJourney());
+            startJourney();
+          }
+        }
+      ]
+    );
+  };
+
+  const handleClose = () => {
+    navigation.reset({
+      index: 0,
+      routes: [{ name: 'MainTabs' }],
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#4CAF50" />
+        <Text style={styles.loadingText}>Loading shared journey...</Text>
+      </View>
+    );
+  }
+
+  const skippedNotes = [
+    preview?.alreadyRedeemed?.length > 0 &&
+      `Already redeemed today: ${preview.alreadyRedeemed.join(', ')}`,
+    preview?.closedVendors?.length > 0 &&
+      `Closed before you can get there: ${preview.closedVendors.join(', ')}`,
+    preview?.unavailable?.length > 0 &&
+      `No longer listed: ${preview.unavailable.join(', ')}`
+  ].filter(Boolean);
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        <Text h4 style={styles.title}>Shared Journey</Text>
+
+        {preview?.journeyData && (
+          <Text style={styles.subtitle}>
+            {preview.journeyData.dealTypes.map(formatDealType).join(' + ')} deals
+            {preview.route ? ` • ${preview.route.totalDistance.toFixed(1)} mi • ${preview.route.estimatedTime} min` : ''}
+          </Text>
+        )}
+
+        {error && (
+          <View style={styles.errorRow}>
+            <Icon name="error-outline" type="material" color="#F44336" size={20} />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {preview?.vendors?.length > 0 && (
+          <Card containerStyle={styles.card}>
+            <Card.Title>Stops</Card.Title>
+            <Card.Divider />
+            {preview.vendors.map((vendor, index) => (
+              <View key={vendor.id} style={styles.stopRow}>
+                <View style={styles.stopNumber}>
+                  <Text style={styles.stopNumberText}>{index + 1}</Text>
+                </View>
+                <View style={styles.stopInfo}>
+                  <Text style={styles.stopName}>{vendor.name}</Text>
+                  {!!vendor.location?.address && (
+                    <Text style={styles.stopDetail}>{vendor.location.address}</Text>
+                  )}
+                  <Text style={styles.stopDetail}>
+                    {vendor.dealTypes.map(formatDealType).join(', ')}
+                    {vendor.eta ? ` • ETA ${formatStopTime(vendor.eta)}` : ''}
+                  </Text>
+                </View>
+              </View>
+            ))}
+          </Card>
+        )}
+
+        {skippedNotes.length > 0 && (
+          <Card containerStyle={styles.card}>
+            <Card.Title>Left Out For You</Card.Title>
+            <Card.Divider />
+            {skippedNotes.map(note => (
+              <Text key={note} style={styles.noteText}>{note}</Text>
+            ))}
+          </Card>
+        )}
+
+        <View style={styles.actionButtons}>
+          <Button
+            title="Not Now"
+            type="outline"
+            onPress={handleClose}
+            containerStyle={styles.actionButton}
+          />
+          <Button
+            title="Start This Journey"
+            onPress={handleStart}
+            disabled={!preview?.success}
+            containerStyle={styles.actionButton}
+          />
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+  content: {
+    padding: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    color: '#666666',
+  },
+  title: {
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  subtitle: {
+    textAlign: 'center',
+    color: '#666666',
+    marginBottom: 12,
+  },
+  errorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFEBEE',
+    borderRadius: 8,
+    padding: 12,
+    marginVertical: 8,
+  },
+  errorText: {
+    flex: 1,
+    marginLeft: 8,
+    color: '#C62828',
+  },
+  card: {
+    borderRadius: 8,
+    marginHorizontal: 0,
+  },
+  stopRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  stopNumber: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#4CAF50',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  stopNumberText: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+  },
+  stopInfo: {
+    flex: 1,
+  },
+  stopName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  stopDetail: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+  noteText: {
+    fontSize: 14,
+    color: '#757575',
+    marginBottom: 6,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default SharedJourneyPreview;
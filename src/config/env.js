@@ -74,6 +74,15 @@ export default {
   DEFAULT_LONGITUDE: -149.863129,
   DEFAULT_DELTA: 0.05,
   
+  // Directions Configuration
+  // 'straight_line', 'osrm' or 'valhalla'; the HTTP providers need DIRECTIONS_API_URL
+  DIRECTIONS_PROVIDER: 'straight_line',
+  DIRECTIONS_API_URL: null,
+  
+  // Geofence Configuration (vendors can override with a geofence field)
+  GEOFENCE_DEFAULT_RADIUS_MILES: 0.1,
+  GEOFENCE_DEFAULT_DWELL_SECONDS: 60,
+  
   // Other Constants
   DAYS_OF_WEEK: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
   DEAL_TYPES: ['birthday', 'daily', 'special']
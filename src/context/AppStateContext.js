@@ -1,11 +1,15 @@
 // src/context/AppStateContext.js
-import React, { createContext, useContext, useReducer, useEffect, useState } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useState } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Logger, LogCategory } from '../services/LoggingService';
 import { handleError, tryCatch } from '../utils/ErrorHandler';
 import { vendorCacheService } from '../services/VendorCacheService';
 import appInitializer from '../utils/AppInitializer';
 import dataLoaderService from '../services/DataLoaderService';
+import journeyTrackingService from '../services/JourneyTrackingService';
+import notificationService from '../services/NotificationService';
+import redemptionService from '../services/RedemptionService';
+import serviceProvider from '../services/ServiceProvider';
 
 // Initial state
 const initialState = {
@@ -15,20 +19,36 @@ const initialState = {
     username: null,
     points: 0,
     favorites: [],
-    recentVisits: []
+    recentVisits: [],
+    visitedVendors: [], // Vendors the user has checked in at, for first-visit deals
+    eligibility: { // Optional answers for targeted deals; null until the user says
+      isVeteran: null,
+      isSenior: null,
+      hasMedicalCard: null
+    }
   },
   journey: {
     isActive: false,
+    journeyId: null, // Account journey this one carries on, when started from a schedule
     dealType: null, // 'birthday', 'daily', or 'special'
+    dealTypes: [], // Every deal type collected when a journey mixes several
     vendors: [],
     currentVendorIndex: -1,
     maxDistance: null,
+    maxVendors: null, // Number of stops asked for when the journey was planned
     totalVendors: null,
+    startLocation: null, // Where the journey was planned from
+    endMode: null, // 'open_ended', 'round_trip', or 'custom'
+    endLocation: null,
+    travelMode: null, // 'drive', 'walk', 'bike', or 'rideshare'
+    breadcrumb: [], // Points actually travelled, recorded while tracking
+    actualDistance: 0, // Miles actually travelled
   },
   route: {
     coordinates: [],
     totalDistance: 0,
     estimatedTime: 0,
+    estimatedCost: null, // Estimated rideshare fare, when travelling by rideshare
   },
   vendorData: {
     list: [],
@@ -39,7 +59,8 @@ const initialState = {
   dealFilters: {
     category: null,
     maxDistance: 25,
-    showPartnersOnly: false
+    showPartnersOnly: false,
+    hideIneligible: true // Hide deals the user's eligibility rules them out of
   },
   ui: {
     theme: 'light',
@@ -56,10 +77,14 @@ const ActionTypes = {
   ADD_FAVORITE: 'ADD_FAVORITE',
   REMOVE_FAVORITE: 'REMOVE_FAVORITE',
   ADD_RECENT_VISIT: 'ADD_RECENT_VISIT',
+  ADD_VISITED_VENDOR: 'ADD_VISITED_VENDOR',
+  UPDATE_ELIGIBILITY_PROFILE: 'UPDATE_ELIGIBILITY_PROFILE',
   START_JOURNEY: 'START_JOURNEY',
   END_JOURNEY: 'END_JOURNEY',
   NEXT_VENDOR: 'NEXT_VENDOR',
   SKIP_VENDOR: 'SKIP_VENDOR',
+  REPLAN_JOURNEY: 'REPLAN_JOURNEY',
+  RECORD_JOURNEY_PROGRESS: 'RECORD_JOURNEY_PROGRESS',
   UPDATE_ROUTE: 'UPDATE_ROUTE',
   UPDATE_VENDOR_DATA: 'UPDATE_VENDOR_DATA',
   UPDATE_VENDOR_CACHE_STATUS: 'UPDATE_VENDOR_CACHE_STATUS',
@@ -157,17 +182,50 @@ function appReducer(state, action) {
         }
       };
 
+    case ActionTypes.ADD_VISITED_VENDOR:
+      if (state.user.visitedVendors.includes(action.payload)) {
+        return state;
+      }
+      return {
+        ...state,
+        user: {
+          ...state.user,
+          visitedVendors: [...state.user.visitedVendors, action.payload]
+        }
+      };
+
+    case ActionTypes.UPDATE_ELIGIBILITY_PROFILE:
+      return {
+        ...state,
+        user: {
+          ...state.user,
+          eligibility: {
+            ...state.user.eligibility,
+            ...action.payload
+          }
+        }
+      };
+
     case ActionTypes.START_JOURNEY:
       return {
         ...state,
         journey: {
           ...state.journey,
           isActive: true,
+          journeyId: action.payload.journeyId || null,
           dealType: action.payload.dealType,
+          dealTypes: action.payload.dealTypes || [action.payload.dealType],
           vendors: action.payload.vendors,
           currentVendorIndex: 0,
           maxDistance: action.payload.maxDistance,
+          maxVendors: action.payload.maxVendors || action.payload.vendors.length,
           totalVendors: action.payload.vendors.length,
+          startLocation: action.payload.startLocation || null,
+          endMode: action.payload.endMode || 'open_ended',
+          endLocation: action.payload.endLocation || null,
+          travelMode: action.payload.travelMode || 'drive',
+          breadcrumb: [],
+          actualDistance: 0,
         }
       };
 
@@ -204,6 +262,27 @@ function appReducer(state, action) {
         }
       };
 
+    case ActionTypes.REPLAN_JOURNEY:
+      return {
+        ...state,
+        journey: {
+          ...state.journey,
+          vendors: action.payload.vendors,
+          totalVendors: action.payload.vendors.length,
+          currentVendorIndex: action.payload.currentVendorIndex
+        }
+      };
+
+    case ActionTypes.RECORD_JOURNEY_PROGRESS:
+      return {
+        ...state,
+        journey: {
+          ...state.journey,
+          breadcrumb: action.payload.breadcrumb,
+          actualDistance: action.payload.actualDistance
+        }
+      };
+
     case ActionTypes.UPDATE_ROUTE:
       return {
         ...state,
@@ -361,11 +440,25 @@ export function AppStateProvider({ children }) {
                 dispatch({ type: ActionTypes.ADD_FAVORITE, payload: favorite }));
               parsedState.user.recentVisits.forEach(visit => 
                 dispatch({ type: ActionTypes.ADD_RECENT_VISIT, payload: visit }));
+              if (parsedState.user.eligibility) {
+                dispatch({ type: ActionTypes.UPDATE_ELIGIBILITY_PROFILE, payload: parsedState.user.eligibility });
+              }
+            }
+            if (key === 'ui' && parsedState.ui.notifications !== undefined) {
+              dispatch({ type: ActionTypes.SET_NOTIFICATIONS, payload: parsedState.ui.notifications });
+            }
+            if (key === 'dealFilters' && parsedState.dealFilters) {
+              dispatch({ type: ActionTypes.UPDATE_DEAL_FILTERS, payload: parsedState.dealFilters });
             }
             // Add other state restoration as needed
           });
         }
 
+        // Every check-in records a redemption, so past redemptions are the vendors visited
+        const redemptions = await redemptionService.getRedemptions();
+        redemptions.forEach(redemption =>
+          dispatch({ type: ActionTypes.ADD_VISITED_VENDOR, payload: redemption.vendorId }));
+
         // Initialize vendor cache
         dispatch({ type: ActionTypes.UPDATE_VENDOR_CACHE_STATUS, payload: 'initializing' });
         
@@ -453,7 +546,8 @@ export function AppStateProvider({ children }) {
             username: state.user.username,
             points: state.user.points,
             favorites: state.user.favorites,
-            recentVisits: state.user.recentVisits
+            recentVisits: state.user.recentVisits,
+            eligibility: state.user.eligibility
           },
           ui: {
             theme: state.ui.theme,
@@ -482,6 +576,7 @@ export function AppStateProvider({ children }) {
     state.user.points,
     state.user.favorites,
     state.user.recentVisits,
+    state.user.eligibility,
     state.ui.theme,
     state.ui.notifications,
     state.dealFilters,
@@ -490,6 +585,32 @@ export function AppStateProvider({ children }) {
     state.vendorData.cacheStatus
   ]);
 
+  // Keep local notifications in line with the user's setting
+  useEffect(() => {
+    notificationService.setEnabled(state.ui.notifications);
+  }, [state.ui.notifications]);
+
+  // Stop following the journey once it ends. Only an active journey ending counts, so
+  // a journey restored after launch keeps the breadcrumb it had saved.
+  const wasJourneyActive = useRef(false);
+  const accountJourneyId = useRef(null);
+  useEffect(() => {
+    if (wasJourneyActive.current && !state.journey.isActive) {
+      journeyTrackingService.stop();
+    }
+    
+    // A journey started from a schedule is also active on the account; end it there too
+    const endedJourneyId = accountJourneyId.current;
+    if (endedJourneyId && endedJourneyId !== state.journey.journeyId) {
+      serviceProvider.completeJourney(endedJourneyId).catch(error => {
+        Logger.warn(LogCategory.JOURNEY, 'Could not complete account journey', { error, journeyId: endedJourneyId });
+      });
+    }
+    
+    wasJourneyActive.current = state.journey.isActive;
+    accountJourneyId.current = state.journey.isActive ? state.journey.journeyId : null;
+  }, [state.journey.isActive, state.journey.journeyId]);
+
   const contextValue = {
     state,
     dispatch,
@@ -554,6 +675,16 @@ export const AppActions = {
     payload: visit
   }),
   
+  addVisitedVendor: (vendorId) => ({
+    type: ActionTypes.ADD_VISITED_VENDOR,
+    payload: vendorId
+  }),
+  
+  updateEligibilityProfile: (answers) => ({
+    type: ActionTypes.UPDATE_ELIGIBILITY_PROFILE,
+    payload: answers
+  }),
+  
   updateUserLocation: (location) => ({
     type: ActionTypes.UPDATE_USER_LOCATION,
     payload: location
@@ -584,6 +715,16 @@ export const AppActions = {
     type: ActionTypes.SKIP_VENDOR
   }),
   
+  replanJourney: (vendors, currentVendorIndex) => ({
+    type: ActionTypes.REPLAN_JOURNEY,
+    payload: { vendors, currentVendorIndex }
+  }),
+  
+  recordJourneyProgress: (breadcrumb, actualDistance) => ({
+    type: ActionTypes.RECORD_JOURNEY_PROGRESS,
+    payload: { breadcrumb, actualDistance }
+  }),
+  
   updateRoute: (routeData) => ({
     type: ActionTypes.UPDATE_ROUTE,
     payload: routeData
@@ -0,0 +1,36 @@
+// src/hooks/useEligibleDeals.js
+import { useMemo } from 'react';
+import { useAppState, AppActions } from '../context/AppStateContext';
+import { getEligibilityContext, isDealIneligible } from '../utils/DealEligibility';
+
+/**
+ * Filter a deal list down to the deals the user can redeem
+ * Deals the user is ruled out of are hidden unless they've asked to see them
+ * (the hideIneligible deal filter).
+ * @param {Array<Object>} deals - Deals to show
+ * @returns {Object} - { eligibleDeals, hiddenDealCount, eligibilityContext, showHiddenDeals }
+ *   where eligibilityContext is for evaluateDealEligibility and showHiddenDeals turns
+ *   the filter off
+ */
+const useEligibleDeals = (deals) => {
+  const { state, dispatch } = useAppState();
+  const hideIneligible = state.dealFilters.hideIneligible !== false;
+
+  const eligibilityContext = useMemo(() => getEligibilityContext(state.user), [state.user]);
+
+  const eligibleDeals = useMemo(() => (hideIneligible
+    ? deals.filter(deal => !isDealIneligible(deal, eligibilityContext))
+    : deals
+  ), [deals, hideIneligible, eligibilityContext]);
+
+  const showHiddenDeals = () => dispatch(AppActions.updateDealFilters({ hideIneligible: false }));
+
+  return {
+    eligibleDeals,
+    hiddenDealCount: deals.length - eligibleDeals.length,
+    eligibilityContext,
+    showHiddenDeals
+  };
+};
+
+export default useEligibleDeals;
@@ -0,0 +1,100 @@
+// src/repositories/DealReportRepository.js
+import { BaseRepository } from './index';
+import { Logger, LogCategory } from '../services/LoggingService';
+import {
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit as firestoreLimit
+} from 'firebase/firestore';
+import { DEAL_REPORT_TYPES } from '../types/Schema';
+import { formatDate } from '../utils/DateUtils';
+import { getDealKey } from '../utils/DealChanges';
+
+/**
+ * Repository for users' reports on whether deals are still as listed
+ * Deal data comes from periodic imports, so these reports are how the app learns
+ * about deals that ended or changed in between
+ */
+class DealReportRepository extends BaseRepository {
+  constructor() {
+    super('deal_reports');
+  }
+
+  /**
+   * Report what the user saw for a deal
+   * A user has one report per deal per day; reporting again that day replaces it
+   * @param {Object} deal - Deal being reported
+   * @param {string} type - DealReportType value
+   * @param {string} [note] - What was different, in the user's words
+   * @returns {Promise<DealReport>} - Saved report
+   */
+  async createReport(deal, type, note = null) {
+    try {
+      const userId = this.getCurrentUserId();
+      if (!userId) {
+        throw new Error('User must be authenticated to report a deal');
+      }
+
+      if (!DEAL_REPORT_TYPES.includes(type)) {
+        throw new Error(`Unknown deal report type: ${type}`);
+      }
+
+      const dealKey = getDealKey(deal);
+      const report = {
+        userId,
+        dealKey,
+        dealId: deal.id ? String(deal.id) : null,
+        vendorId: deal.vendorId ? String(deal.vendorId) : null,
+        dealType: deal.dealType || null,
+        type,
+        note: note?.trim() || null
+      };
+
+      const reportId = `${userId}_${dealKey}_${formatDate(new Date())}`.replace(/[^A-Za-z0-9_-]+/g, '-');
+      await this.create(report, reportId);
+
+      Logger.info(LogCategory.DEALS, 'Reported deal', { reportId, type });
+      return { id: reportId, ...report, createdAt: new Date().toISOString() };
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error reporting deal', { error, type });
+      throw error;
+    }
+  }
+
+  /**
+   * Get reports made since a given time, newest first
+   * @param {Date} since - Earliest report time
+   * @param {number} [limit=1000] - Maximum number of reports to return
+   * @returns {Promise<Array<DealReport>>} - Reports
+   */
+  async getReportsSince(since, limit = 1000) {
+    try {
+      const q = query(
+        this.collectionRef,
+        where('createdAt', '>=', since),
+        orderBy('createdAt', 'desc'),
+        firestoreLimit(limit)
+      );
+
+      const querySnapshot = await getDocs(q);
+      const reports = [];
+
+      querySnapshot.forEach((doc) => {
+        reports.push(this.normalizeTimestamps({
+          id: doc.id,
+          ...doc.data()
+        }));
+      });
+
+      Logger.info(LogCategory.DEALS, `Retrieved ${reports.length} deal reports`);
+      return reports;
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error getting deal reports', { error });
+      throw error;
+    }
+  }
+}
+
+export default new DealReportRepository();
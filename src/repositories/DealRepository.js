@@ -16,6 +16,7 @@ import {
 } from 'firebase/firestore';
 import { isValidDeal, isValidSpecialDeal, isValidMultiDayDeal, DealType, DayOfWeek } from '../types/Schema';
 import VendorRepository from './VendorRepository';
+import { isDealActiveAt } from '../utils/DealAvailability';
 
 /**
  * Repository for deal-related Firestore operations
@@ -350,10 +351,13 @@ class DealRepository extends BaseRepository {
       // Execute query
       const querySnapshot = await getDocs(dailyQuery);
       
-      // Process results
+      // Process results, skipping deals outside their start and end dates
       const deals = [];
       querySnapshot.forEach(doc => {
-        deals.push({ id: doc.id, ...doc.data() });
+        const deal = { id: doc.id, ...doc.data() };
+        if (isDealActiveAt(deal, new Date(), { day, ignoreTime: true })) {
+          deals.push(deal);
+        }
       });
       
       Logger.info(LogCategory.DEALS, `Found ${deals.length} daily deals for ${day} in Firestore`);
@@ -462,9 +466,7 @@ class DealRepository extends BaseRepository {
         
         // Only add valid deals for the current day
         if (isValidMultiDayDeal(dealData) && 
-            dealData.activeDays && 
-            Array.isArray(dealData.activeDays) && 
-            dealData.activeDays.includes(day)) {
+            isDealActiveAt(dealData, new Date(), { day, ignoreTime: true })) {
           deals.push({ id: doc.id, ...dealData });
         } else if (!isValidMultiDayDeal(dealData)) {
           Logger.warn(LogCategory.DEALS, `Skipping invalid multi-day deal`, { dealId: doc.id });
@@ -932,6 +934,7 @@ class DealRepository extends BaseRepository {
   async processSpecialDeals(deals, options = {}) {
     try {
       const processedDeals = [];
+      const now = new Date();
       
       for (const deal of deals) {
         try {
@@ -941,6 +944,11 @@ class DealRepository extends BaseRepository {
             continue;
           }
           
+          // Skip specials that haven't started or have ended, unless asked for all of them
+          if (options.activeOnly !== false && !isDealActiveAt(deal, now, { ignoreTime: true })) {
+            continue;
+          }
+          
           // Get vendor information
           const enhancedDeal = await this.enhanceDealWithVendorInfo(deal);
           
@@ -14,12 +14,34 @@ import {
   where, 
   orderBy, 
   limit,
-  runTransaction,
-  firestoreLimit
+  limit as firestoreLimit,
+  startAfter,
+  runTransaction
 } from 'firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import VendorRepository from './VendorRepository';
 import UserRepository from './UserRepository';
+import { JourneyEndMode, TravelMode } from '../types/Schema';
+
+/**
+ * Shape a vendor for storing on a journey, with check-in status reset
+ * @param {Object} vendor - Vendor in the planned route
+ * @param {string} dealType - Journey deal type, used when the vendor has no dealTypes
+ * @returns {Object} - Stored vendor
+ */
+const toStoredVendor = (vendor, dealType) => ({
+  id: vendor.id,
+  name: vendor.name,
+  location: vendor.location,
+  distance: vendor.distance,
+  dealTypes: vendor.dealTypes || [dealType],
+  eta: vendor.eta || null,
+  closesAt: vendor.closesAt || null,
+  geofence: vendor.geofence || null,
+  checkedIn: false,
+  checkInTimestamp: null,
+  checkInType: null
+});
 
 /**
  * Repository for journey-related Firestore operations
@@ -39,9 +61,14 @@ class JourneyRepository extends BaseRepository {
    * @param {Array} journeyData.vendors - Array of vendors in the journey
    * @param {number} journeyData.maxDistance - Maximum distance for the journey in miles
    * @param {Object} journeyData.startLocation - Starting location coordinates
+   * @param {Array<string>} [journeyData.dealTypes] - All deal types collected on a mixed journey
+   * @param {string} [journeyData.endMode] - JourneyEndMode value
+   * @param {Object} [journeyData.endLocation] - Final destination coordinates
+   * @param {string} [journeyData.travelMode] - TravelMode value
+   * @param {string} [journeyId] - Document to write the journey to (a new one if not given)
    * @returns {Promise<Object>} - Created journey data
    */
-  async createJourney(journeyData) {
+  async createJourney(journeyData, journeyId = null) {
     try {
       const userId = this.getCurrentUserId();
       if (!userId) {
@@ -51,25 +78,21 @@ class JourneyRepository extends BaseRepository {
       Logger.info(LogCategory.JOURNEY, 'Creating new journey', { userId, journeyData });
       
       // Create consistent vendor structure with check-in status
-      const vendors = journeyData.vendors.map(vendor => ({
-        id: vendor.id,
-        name: vendor.name,
-        location: vendor.location,
-        distance: vendor.distance,
-        checkedIn: false,
-        checkInTimestamp: null,
-        checkInType: null
-      }));
+      const vendors = journeyData.vendors.map(vendor => toStoredVendor(vendor, journeyData.dealType));
       
       // Create journey object
       const journey = {
         userId,
         dealType: journeyData.dealType,
+        dealTypes: journeyData.dealTypes || [journeyData.dealType],
         vendors,
         currentVendorIndex: 0,
         maxDistance: journeyData.maxDistance,
         totalVendors: vendors.length,
         startLocation: journeyData.startLocation || null,
+        endMode: journeyData.endMode || JourneyEndMode.OPEN_ENDED,
+        endLocation: journeyData.endLocation || null,
+        travelMode: journeyData.travelMode || TravelMode.DRIVE,
         isActive: true,
         isCompleted: false,
         completedAt: null,
@@ -80,13 +103,13 @@ class JourneyRepository extends BaseRepository {
       };
       
       // Create the journey document in Firestore
-      const journeyId = await this.create(journey);
+      const createdId = await this.create(journey, journeyId);
       
       // Store active journey ID in AsyncStorage for quick access
-      await AsyncStorage.setItem('active_journey_id', journeyId);
+      await AsyncStorage.setItem('active_journey_id', createdId);
       
       // Get the created journey with ID
-      const createdJourney = await this.getById(journeyId);
+      const createdJourney = await this.getById(createdId);
       
       return createdJourney;
     } catch (error) {
@@ -464,9 +487,11 @@ class JourneyRepository extends BaseRepository {
    * Skip a vendor in the journey
    * @param {string} journeyId - Journey ID
    * @param {number} vendorIndex - Index of vendor to skip (defaults to current)
+   * @param {Array} [replannedVendors] - Re-optimized vendor list without the skipped
+   *   vendor (from RouteService.skipAndReplan); replaces the stored order when given
    * @returns {Promise<Object>} - Updated journey
    */
-  async skipVendor(journeyId, vendorIndex = null) {
+  async skipVendor(journeyId, vendorIndex = null, replannedVendors = null) {
     try {
       const journey = await this.getById(journeyId);
       
@@ -487,8 +512,24 @@ class JourneyRepository extends BaseRepository {
         throw new Error('Invalid vendor index');
       }
       
-      // Remove vendor from the journey
-      const updatedVendors = journey.vendors.filter((_, index) => index !== indexToSkip);
+      // Remove vendor from the journey, keeping the re-planned order if there is one
+      const updatedVendors = Array.isArray(replannedVendors)
+        ? replannedVendors.map(vendor => {
+            const stored = journey.vendors.find(v => v.id === vendor.id);
+            return {
+              id: vendor.id,
+              name: vendor.name,
+              location: vendor.location,
+              distance: vendor.distance,
+              dealTypes: vendor.dealTypes || [journey.dealType],
+              eta: vendor.eta || null,
+              closesAt: vendor.closesAt || null,
+              checkedIn: stored?.checkedIn || false,
+              checkInTimestamp: stored?.checkInTimestamp || null,
+              checkInType: stored?.checkInType || null
+            };
+          })
+        : journey.vendors.filter((_, index) => index !== indexToSkip);
       
       // Adjust currentVendorIndex if necessary
       let newCurrentIndex = journey.currentVendorIndex;
@@ -515,6 +556,149 @@ class JourneyRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Save a journey planned for a later day
+   * It stays inactive until activateScheduledJourney is called on the day
+   * @param {Object} journeyData - Journey data, as for createJourney
+   * @param {string|Date} scheduledFor - When the journey is planned to start
+   * @returns {Promise<Object>} - Scheduled journey data
+   */
+  async scheduleJourney(journeyData, scheduledFor) {
+    try {
+      const userId = this.getCurrentUserId();
+      if (!userId) {
+        throw new Error('User must be authenticated to schedule a journey');
+      }
+      
+      const vendors = journeyData.vendors.map(vendor => toStoredVendor(vendor, journeyData.dealType));
+      
+      const journey = {
+        userId,
+        dealType: journeyData.dealType,
+        dealTypes: journeyData.dealTypes || [journeyData.dealType],
+        vendors,
+        currentVendorIndex: 0,
+        maxDistance: journeyData.maxDistance,
+        maxVendors: journeyData.maxVendors || vendors.length,
+        totalVendors: vendors.length,
+        startLocation: journeyData.startLocation || null,
+        endMode: journeyData.endMode || JourneyEndMode.OPEN_ENDED,
+        endLocation: journeyData.endLocation || null,
+        travelMode: journeyData.travelMode || TravelMode.DRIVE,
+        isActive: false,
+        isCompleted: false,
+        isScheduled: true,
+        scheduledFor: new Date(scheduledFor).toISOString(),
+        reminderId: journeyData.reminderId || null,
+        completedAt: null,
+        totalDistance: journeyData.totalDistance || 0,
+        estimatedTime: journeyData.estimatedTime || 0
+      };
+      
+      const journeyId = await this.create(journey);
+      
+      Logger.info(LogCategory.JOURNEY, 'Scheduled journey', { journeyId, scheduledFor: journey.scheduledFor });
+      return { id: journeyId, ...journey };
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error scheduling journey', { error, scheduledFor });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current user's scheduled journeys from today onwards, soonest first
+   * @returns {Promise<Array>} - Array of scheduled journey objects
+   * @throws {Error} - If the journeys can't be read
+   */
+  async getScheduledJourneys() {
+    try {
+      const userId = this.getCurrentUserId();
+      if (!userId) {
+        return [];
+      }
+      
+      const now = new Date();
+      const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      
+      // Equality filters only, so no composite index is needed; sorted below instead
+      const q = query(
+        this.collectionRef,
+        where('userId', '==', userId),
+        where('isScheduled', '==', true)
+      );
+      
+      const querySnapshot = await getDocs(q);
+      const journeys = [];
+      
+      querySnapshot.forEach((doc) => {
+        const journey = this.normalizeTimestamps({
+          id: doc.id,
+          ...doc.data()
+        });
+        
+        // Journeys from earlier days were missed; leave them out
+        if (new Date(journey.scheduledFor) >= todayStart) {
+          journeys.push(journey);
+        }
+      });
+      
+      return journeys.sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor));
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error getting scheduled journeys', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a scheduled journey into the active journey
+   * The plan is replaced by a journey created as createJourney creates one, under the same
+   * ID, so it ends the same way (completeJourney or cancelJourney)
+   * @param {string} journeyId - Scheduled journey ID
+   * @param {Object} journeyData - Journey data re-checked for today (vendors, dealTypes, route totals)
+   * @returns {Promise<Object>} - Activated journey
+   */
+  async activateScheduledJourney(journeyId, journeyData) {
+    try {
+      const journey = await this.getById(journeyId);
+      
+      if (!journey || !journey.isScheduled) {
+        throw new Error(`Scheduled journey with ID ${journeyId} not found`);
+      }
+      
+      const activatedJourney = await this.createJourney({
+        ...journeyData,
+        maxDistance: journeyData.maxDistance || journey.maxDistance,
+        startLocation: journeyData.startLocation || journey.startLocation,
+        endMode: journeyData.endMode || journey.endMode,
+        travelMode: journeyData.travelMode || journey.travelMode
+      }, journeyId);
+      
+      Logger.info(LogCategory.JOURNEY, 'Activated scheduled journey', { journeyId });
+      return activatedJourney;
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error activating scheduled journey', { error, journeyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled journey before it starts
+   * The plan is deleted, since a journey that never happened has no place in history
+   * @param {string} journeyId - Scheduled journey ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async cancelScheduledJourney(journeyId) {
+    try {
+      await this.delete(journeyId);
+      
+      Logger.info(LogCategory.JOURNEY, 'Cancelled scheduled journey', { journeyId });
+      return true;
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error cancelling scheduled journey', { error, journeyId });
+      throw error;
+    }
+  }
+
   /**
    * Get recent journeys for the current user
    * @param {number} limit - Maximum number of journeys to return
@@ -533,29 +717,49 @@ class JourneyRepository extends BaseRepository {
       
       // Create query to get journeys
       const journeysRef = collection(firestore, 'journeys');
-      // Use explicit query with where, orderBy, and limit as separate parameters
-      let q = query(
-        journeysRef,
-        where('userId', '==', userId),
-        orderBy('createdAt', 'desc')
-      );
-      
-      // Add numeric limit - note: using limit as a value, not as a function
-      if (typeof limit === 'number' && limit > 0) {
-        q = query(q, firestoreLimit(limit));
-      }
-      
-      // Execute query
-      const querySnapshot = await getDocs(q);
+      const hasLimit = typeof limit === 'number' && limit > 0;
       const journeys = [];
+      let lastDoc = null;
+      
+      // Journeys planned for a later day haven't happened yet and are left out, so keep
+      // reading pages until there are enough of the others
+      while (true) {
+        let q = query(
+          journeysRef,
+          where('userId', '==', userId),
+          orderBy('createdAt', 'desc')
+        );
+        
+        if (lastDoc) {
+          q = query(q, startAfter(lastDoc));
+        }
+        
+        if (hasLimit) {
+          q = query(q, firestoreLimit(limit));
+        }
+        
+        const querySnapshot = await getDocs(q);
+        
+        querySnapshot.forEach((doc) => {
+          lastDoc = doc;
+          const journey = this.normalizeTimestamps({
+            id: doc.id,
+            ...doc.data()
+          });
+          
+          if (!journey.isScheduled) {
+            journeys.push(journey);
+          }
+        });
+        
+        if (!hasLimit || querySnapshot.size < limit || journeys.length >= limit) {
+          break;
+        }
+      }
       
-      // Process results
-      querySnapshot.forEach((doc) => {
-        journeys.push(this.normalizeTimestamps({
-          id: doc.id,
-          ...doc.data()
-        }));
-      });
+      if (hasLimit) {
+        journeys.splice(limit);
+      }
       
       Logger.info(LogCategory.JOURNEY, `Retrieved ${journeys.length} recent journeys`);
       return journeys;
@@ -0,0 +1,172 @@
+// src/repositories/JourneyTemplateRepository.js
+import { BaseRepository } from './index';
+import { serverTimestamp, increment } from '../config/firebase';
+import { Logger, LogCategory } from '../services/LoggingService';
+import {
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit as firestoreLimit
+} from 'firebase/firestore';
+import { JourneyEndMode, JourneyTemplateMode, TravelMode } from '../types/Schema';
+
+/**
+ * Repository for saved journey templates
+ * Templates live in Firestore under the user's ID so they follow the user across devices
+ */
+class JourneyTemplateRepository extends BaseRepository {
+  constructor() {
+    super('journey_templates');
+  }
+
+  /**
+   * Save a journey as a reusable template
+   * @param {Object} templateData - Template data
+   * @param {string} templateData.name - Name shown on the Dashboard
+   * @param {string} templateData.mode - JourneyTemplateMode value
+   * @param {Array<string>} templateData.dealTypes - Deal types the journey collects
+   * @param {Array} [templateData.vendors] - Stops to revisit (JourneyTemplateMode.VENDORS)
+   * @param {number} templateData.maxDistance - Maximum distance in miles
+   * @param {number} [templateData.maxVendors] - Number of stops to plan (JourneyTemplateMode.CRITERIA)
+   * @param {Object} [templateData.startLocation] - Fixed start point, or null to start wherever the user is
+   * @param {string} [templateData.endMode] - JourneyEndMode value
+   * @param {Object} [templateData.endLocation] - Final destination for JourneyEndMode.CUSTOM
+   * @param {string} [templateData.travelMode] - TravelMode value
+   * @returns {Promise<Object>} - Created template
+   */
+  async createTemplate(templateData) {
+    try {
+      const userId = this.getCurrentUserId();
+      if (!userId) {
+        throw new Error('User must be authenticated to save a journey template');
+      }
+
+      const mode = templateData.mode === JourneyTemplateMode.VENDORS
+        ? JourneyTemplateMode.VENDORS
+        : JourneyTemplateMode.CRITERIA;
+
+      // Only keep what's needed to plan the journey again; deals and hours are looked up on replay
+      const vendors = mode === JourneyTemplateMode.VENDORS
+        ? (templateData.vendors || []).map(vendor => ({
+            id: vendor.id,
+            name: vendor.name || null,
+            dealTypes: vendor.dealTypes?.length > 0 ? vendor.dealTypes : templateData.dealTypes
+          }))
+        : [];
+
+      if (mode === JourneyTemplateMode.VENDORS && vendors.length === 0) {
+        throw new Error('A template of stops needs at least one vendor');
+      }
+
+      const template = {
+        userId,
+        name: templateData.name,
+        mode,
+        dealTypes: templateData.dealTypes,
+        vendors,
+        maxDistance: templateData.maxDistance || null,
+        maxVendors: templateData.maxVendors || vendors.length || null,
+        startLocation: templateData.startLocation || null,
+        endMode: templateData.endMode || JourneyEndMode.OPEN_ENDED,
+        endLocation: templateData.endLocation || null,
+        travelMode: templateData.travelMode || TravelMode.DRIVE,
+        useCount: 0,
+        lastUsedAt: null
+      };
+
+      const templateId = await this.create(template);
+
+      Logger.info(LogCategory.JOURNEY, 'Saved journey template', { templateId, mode });
+      return { id: templateId, ...template };
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error saving journey template', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current user's templates, most recently used or saved first
+   * @param {number} limit - Maximum number of templates to return
+   * @returns {Promise<Array>} - Array of template objects
+   */
+  async getTemplates(limit = 10) {
+    try {
+      const userId = this.getCurrentUserId();
+      if (!userId) {
+        Logger.warn(LogCategory.JOURNEY, 'No current user ID for getting journey templates');
+        return [];
+      }
+
+      let q = query(
+        this.collectionRef,
+        where('userId', '==', userId),
+        orderBy('updatedAt', 'desc')
+      );
+
+      if (typeof limit === 'number' && limit > 0) {
+        q = query(q, firestoreLimit(limit));
+      }
+
+      const querySnapshot = await getDocs(q);
+      const templates = [];
+
+      querySnapshot.forEach((doc) => {
+        templates.push(this.normalizeTimestamps({
+          id: doc.id,
+          ...doc.data()
+        }));
+      });
+
+      Logger.info(LogCategory.JOURNEY, `Retrieved ${templates.length} journey templates`);
+      return templates;
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error getting journey templates', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Record that a template was replayed so it moves to the top of the list
+   * @param {string} templateId - Template ID
+   * @returns {Promise<string>} - Template ID
+   */
+  async markTemplateUsed(templateId) {
+    try {
+      return await this.update(templateId, {
+        useCount: increment(1),
+        lastUsedAt: serverTimestamp()
+      });
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error marking journey template used', { error, templateId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one of the current user's templates
+   * @param {string} templateId - Template ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplate(templateId) {
+    try {
+      const template = await this.getById(templateId);
+
+      if (!template) {
+        throw new Error(`Journey template not found: ${templateId}`);
+      }
+
+      if (template.userId !== this.getCurrentUserId()) {
+        throw new Error('Cannot delete another user\'s journey template');
+      }
+
+      await this.delete(templateId);
+      Logger.info(LogCategory.JOURNEY, 'Deleted journey template', { templateId });
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error deleting journey template', { error, templateId });
+      throw error;
+    }
+  }
+}
+
+export default new JourneyTemplateRepository();
@@ -547,6 +547,35 @@ class UserRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Add or replace a saved place (home, work, etc.) in the user's preferences
+   * @param {Object} place - Place to save
+   * @param {string} place.id - Place identifier; an existing place with this ID is replaced
+   * @param {string} place.label - Display name
+   * @param {number} place.latitude - Latitude coordinate
+   * @param {number} place.longitude - Longitude coordinate
+   * @returns {Promise<Array>} - Updated list of saved places
+   */
+  async savePlace(place) {
+    try {
+      const preferences = await this.getPreferences();
+      const savedPlaces = (preferences.savedPlaces || []).filter(saved => saved.id !== place.id);
+      
+      savedPlaces.push({
+        id: place.id,
+        label: place.label,
+        latitude: place.latitude,
+        longitude: place.longitude
+      });
+      
+      const updatedPreferences = await this.updatePreferences({ savedPlaces });
+      return updatedPreferences.savedPlaces || savedPlaces;
+    } catch (error) {
+      Logger.error(LogCategory.USER, 'Error saving place', { error, placeId: place?.id });
+      throw error;
+    }
+  }
+
   /**
    * Request a password reset for a user
    * @param {string} email - User's email address
@@ -263,6 +263,16 @@ class SimpleVendorRepository {
       // Get the current timestamp
       const timestamp = new Date();
       
+      // A check-in can redeem several deals when a journey stop was planned for more than one
+      const dealTypes = Array.isArray(options.dealTypes) && options.dealTypes.length > 0
+        ? options.dealTypes
+        : [options.dealType || 'standard'];
+      const redemptions = dealTypes.map(dealType => ({
+        dealType,
+        timestamp,
+        checkInType: options.checkInType || 'manual'
+      }));
+      
       // Create a check-in record in Firestore
       const checkInsCollection = collection(firestore, 'checkIns');
       const checkInData = {
@@ -271,7 +281,8 @@ class SimpleVendorRepository {
         timestamp,
         checkInType: options.checkInType || 'manual',
         journeyId: options.journeyId || null,
-        dealType: options.dealType || 'standard',
+        dealType: dealTypes[0],
+        dealTypes,
         pointsEarned: options.pointsOverride || 5
       };
       
@@ -295,22 +306,14 @@ class SimpleVendorRepository {
           if (!visits[existingVisitIndex].redemptions) {
             visits[existingVisitIndex].redemptions = [];
           }
-          visits[existingVisitIndex].redemptions.push({
-            dealType: options.dealType || 'standard',
-            timestamp,
-            checkInType: options.checkInType || 'manual'
-          });
+          visits[existingVisitIndex].redemptions.push(...redemptions);
         } else {
           // Add new visit
           visits.push({
             vendorId,
             lastVisit: timestamp,
             visitCount: 1,
-            redemptions: [{
-              dealType: options.dealType || 'standard',
-              timestamp,
-              checkInType: options.checkInType || 'manual'
-            }]
+            redemptions
           });
         }
         
@@ -329,11 +332,7 @@ class SimpleVendorRepository {
             vendorId,
             lastVisit: timestamp,
             visitCount: 1,
-            redemptions: [{
-              dealType: options.dealType || 'standard',
-              timestamp,
-              checkInType: options.checkInType || 'manual'
-            }]
+            redemptions
           }]
         });
       }
@@ -0,0 +1,186 @@
+/* eslint-env jest */
+import {
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  orderBy,
+  startAfter
+} from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import journeyRepository from '../JourneyRepository';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../config/firebase', () => ({
+  firestore: {},
+  auth: { currentUser: { uid: 'user-1' } },
+  serverTimestamp: jest.fn(),
+  increment: jest.fn()
+}));
+jest.mock('../VendorRepository', () => ({ __esModule: true, default: {} }));
+jest.mock('../UserRepository', () => ({ __esModule: true, default: {} }));
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(() => 'collection'),
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  addDoc: jest.fn(),
+  query: jest.fn((...constraints) => constraints),
+  where: jest.fn((...args) => ['where', ...args]),
+  orderBy: jest.fn((...args) => ['orderBy', ...args]),
+  limit: jest.fn((count) => ['limit', count]),
+  startAfter: jest.fn((snapshot) => ['startAfter', snapshot.id]),
+  startAt: jest.fn(),
+  endAt: jest.fn(),
+  runTransaction: jest.fn()
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const snapshotOf = (journeys) => ({
+  size: journeys.length,
+  empty: journeys.length === 0,
+  forEach: (callback) => journeys.forEach(({ id, ...data }) => callback({ id, data: () => data }))
+});
+
+describe('getScheduledJourneys', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('sorts upcoming journeys on the device instead of needing a composite index', async () => {
+    const now = Date.now();
+    getDocs.mockResolvedValue(snapshotOf([
+      { id: 'later', scheduledFor: new Date(now + 3 * DAY_MS).toISOString() },
+      { id: 'missed', scheduledFor: new Date(now - 3 * DAY_MS).toISOString() },
+      { id: 'sooner', scheduledFor: new Date(now + DAY_MS).toISOString() }
+    ]));
+
+    const journeys = await journeyRepository.getScheduledJourneys();
+
+    expect(journeys.map(journey => journey.id)).toEqual(['sooner', 'later']);
+    expect(orderBy).not.toHaveBeenCalled();
+    expect(query).toHaveBeenCalledWith(
+      'collection',
+      ['where', 'userId', '==', 'user-1'],
+      ['where', 'isScheduled', '==', true]
+    );
+  });
+
+  it('lets query failures reach the caller', async () => {
+    getDocs.mockRejectedValue(new Error('permission-denied'));
+
+    await expect(journeyRepository.getScheduledJourneys()).rejects.toThrow('permission-denied');
+  });
+});
+
+describe('getRecentJourneys', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('reads on past scheduled journeys until it has enough', async () => {
+    getDocs
+      .mockResolvedValueOnce(snapshotOf([
+        { id: 'j1' },
+        { id: 'plan1', isScheduled: true },
+        { id: 'plan2', isScheduled: true }
+      ]))
+      .mockResolvedValueOnce(snapshotOf([{ id: 'j2' }, { id: 'j3' }, { id: 'j4' }]));
+
+    const journeys = await journeyRepository.getRecentJourneys(3);
+
+    expect(journeys.map(journey => journey.id)).toEqual(['j1', 'j2', 'j3']);
+    expect(startAfter).toHaveBeenCalledWith(expect.objectContaining({ id: 'plan2' }));
+    expect(getDocs).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops at the last page', async () => {
+    getDocs.mockResolvedValueOnce(snapshotOf([{ id: 'j1' }, { id: 'plan1', isScheduled: true }]));
+
+    const journeys = await journeyRepository.getRecentJourneys(5);
+
+    expect(journeys.map(journey => journey.id)).toEqual(['j1']);
+    expect(getDocs).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('scheduled journey lifecycle', () => {
+  let documents;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+
+    documents = new Map([['plan1', {
+      userId: 'user-1',
+      dealType: 'daily',
+      vendors: [],
+      maxDistance: 10,
+      startLocation: { latitude: 1, longitude: 2 },
+      endMode: 'return_home',
+      travelMode: 'walk',
+      isActive: false,
+      isScheduled: true,
+      scheduledFor: new Date().toISOString()
+    }]]);
+
+    doc.mockImplementation((collectionRef, id) => ({ id }));
+    getDoc.mockImplementation(async ({ id }) => ({
+      id,
+      exists: () => documents.has(id),
+      data: () => documents.get(id)
+    }));
+    setDoc.mockImplementation(async ({ id }, data, options) => {
+      documents.set(id, options?.merge ? { ...documents.get(id), ...data } : data);
+    });
+    updateDoc.mockImplementation(async ({ id }, data) => {
+      documents.set(id, { ...documents.get(id), ...data });
+    });
+    deleteDoc.mockImplementation(async ({ id }) => {
+      documents.delete(id);
+    });
+    // Only the active journeys query runs here
+    getDocs.mockImplementation(async () => snapshotOf(
+      [...documents].filter(([, data]) => data.isActive).map(([id, data]) => ({ id, ...data }))
+    ));
+  });
+
+  const vendor = { id: 'v1', name: 'Green Leaf', location: { latitude: 1, longitude: 2 } };
+
+  it('activates a plan as a new active journey that can be completed', async () => {
+    const journey = await journeyRepository.activateScheduledJourney('plan1', {
+      dealType: 'daily',
+      dealTypes: ['daily'],
+      vendors: [vendor]
+    });
+
+    expect(journey).toMatchObject({
+      id: 'plan1',
+      isActive: true,
+      isCompleted: false,
+      endMode: 'return_home',
+      travelMode: 'walk',
+      maxDistance: 10,
+      totalVendors: 1
+    });
+    expect(journey.isScheduled).toBeUndefined();
+    expect(await AsyncStorage.getItem('active_journey_id')).toBe('plan1');
+
+    await journeyRepository.completeJourney('plan1');
+
+    expect(documents.get('plan1')).toMatchObject({ isActive: false, isCompleted: true });
+    expect(await AsyncStorage.getItem('active_journey_id')).toBeNull();
+    expect(await journeyRepository.getActiveJourney()).toBeNull();
+  });
+
+  it('deletes a cancelled plan so it never shows up as a journey', async () => {
+    await journeyRepository.cancelScheduledJourney('plan1');
+
+    expect(documents.has('plan1')).toBe(false);
+  });
+});
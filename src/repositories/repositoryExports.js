@@ -5,10 +5,14 @@ import VendorRepository from './VendorRepository';
 import DealRepository from './DealRepository';
 import UserRepository from './UserRepository';
 import JourneyRepository from './JourneyRepository';
+import JourneyTemplateRepository from './JourneyTemplateRepository';
+import DealReportRepository from './DealReportRepository';
 
 export {
   VendorRepository,
   DealRepository,
   UserRepository,
-  JourneyRepository
+  JourneyRepository,
+  JourneyTemplateRepository,
+  DealReportRepository
 }; 
\ No newline at end of file
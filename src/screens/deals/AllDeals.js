@@ -18,6 +18,7 @@ import { Logger, LogCategory } from '../../services/LoggingService';
 import { tryCatch } from '../../utils/ErrorHandler';
 import ProductService, { PRODUCT_CATEGORIES } from '../../services/ProductService';
 import { getValueColor, getValueRating } from '../../utils/ValueCalculator';
+import searchService from '../../services/SearchService';
 
 const AllDeals = ({ navigation }) => {
   const { state } = useAppState();
@@ -43,6 +44,13 @@ const AllDeals = ({ navigation }) => {
       icon: 'event',
       route: 'SpecialDeals',
       color: '#E74C3C'
+    },
+    {
+      title: 'Deal Calendar',
+      description: 'Plan your week and add deals to your calendar',
+      icon: 'calendar-today',
+      route: 'DealCalendar',
+      color: '#3498DB'
     }
   ];
   
@@ -101,7 +109,10 @@ const AllDeals = ({ navigation }) => {
     
     if (searchQuery.trim()) {
       const query = searchQuery.toLowerCase();
+      // Products are deals, so the search index knows them by the same ID
+      const matchingIds = searchService.getMatchingIds(searchQuery, ['product', 'deal']);
       result = result.filter(product => 
+        matchingIds.has(product.id) ||
         product.name.toLowerCase().includes(query) || 
         product.vendorName.toLowerCase().includes(query) ||
         product.type.toLowerCase().includes(query)
@@ -25,6 +25,14 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Logger, LogCategory } from '../../services/LoggingService';
 import { handleError, tryCatch } from '../../utils/ErrorHandler';
 import serviceProvider from '../../services/ServiceProvider';
+import { estimateDealDiscountPercent } from '../../utils/ValueCalculator';
+import { describeDealHours } from '../../utils/DealAvailability';
+import DealEligibilityNote from '../../components/DealEligibilityNote';
+import HiddenDealsNotice from '../../components/HiddenDealsNotice';
+import DealVerificationNote from '../../components/DealVerificationNote';
+import { evaluateDealEligibility } from '../../utils/DealEligibility';
+import useEligibleDeals from '../../hooks/useEligibleDeals';
+import { EligibilityStatus } from '../../types/Schema';
 
 const DailyDeals = ({ navigation }) => {
   const { state, dispatch } = useAppState();
@@ -81,16 +89,8 @@ const DailyDeals = ({ navigation }) => {
     // Base score from discount percentage
     let score = 0;
     
-    // Extract percentage from discount text
-    const percentMatch = deal.discount?.match(/(\d+)%/);
-    if (percentMatch) {
-      score += parseInt(percentMatch[1]);
-    }
-    
-    // Additional score for BOGO deals
-    if (deal.discount?.toLowerCase().includes('bogo')) {
-      score += 50;
-    }
+    // Percent saved, from the parsed discount (percent, dollars off, BOGO, free item or bundle)
+    score += Math.round(estimateDealDiscountPercent(deal));
     
     // Bonus for deals with no restrictions
     if (!deal.restrictions || deal.restrictions.length === 0) {
@@ -349,43 +349,67 @@ const DailyDeals = ({ navigation }) => {
     });
   };
   
-  const renderDealItem = ({ item, index }) => (
-    <Card containerStyle={styles.dealCard}>
-      <TouchableOpacity
-        style={styles.cardContent}
-        onPress={() => createDirectJourney(item)}
-      >
-        <View style={styles.dealInfo}>
-          <View style={styles.dealHeader}>
-            <Text style={styles.dealTitle} numberOfLines={1} ellipsizeMode="tail">{item.title}</Text>
-          </View>
-          
-          <Text style={styles.vendorName} numberOfLines={1} ellipsizeMode="tail">{item.vendorName}</Text>
-          
-          <View style={styles.discountBadge}>
-            <Text style={styles.discountText}>{item.discount}</Text>
+  // Deals the user is ruled out of are hidden unless they've asked to see them
+  const { eligibleDeals, hiddenDealCount, eligibilityContext, showHiddenDeals } = useEligibleDeals(deals);
+  
+  const renderDealItem = ({ item, index }) => {
+    const eligibility = evaluateDealEligibility(item, eligibilityContext);
+    
+    return (
+      <Card containerStyle={[
+        styles.dealCard,
+        eligibility.status === EligibilityStatus.INELIGIBLE && styles.ineligibleDealCard
+      ]}>
+        <TouchableOpacity
+          style={styles.cardContent}
+          onPress={() => createDirectJourney(item)}
+        >
+          <View style={styles.dealInfo}>
+            <View style={styles.dealHeader}>
+              <Text style={styles.dealTitle} numberOfLines={1} ellipsizeMode="tail">{item.title}</Text>
+            </View>
+            
+            <Text style={styles.vendorName} numberOfLines={1} ellipsizeMode="tail">{item.vendorName}</Text>
+            
+            <View style={styles.discountBadge}>
+              <Text style={styles.discountText}>{item.discount}</Text>
+            </View>
+            
+            {/* Who the deal is for */}
+            <DealEligibilityNote eligibility={eligibility} />
+            
+            {/* What other users have reported */}
+            <DealVerificationNote deal={item} />
+            
+            {/* Time-of-day limit, e.g. happy hours */}
+            {describeDealHours(item) && (
+              <View style={styles.distanceContainer}>
+                <Icon name="schedule" type="material" size={14} color="#4CAF50" />
+                <Text style={styles.distanceText}>{describeDealHours(item)}</Text>
+              </View>
+            )}
+            
+            <View style={styles.distanceContainer}>
+              <Icon name="place" type="material" size={14} color="#4CAF50" />
+              <Text style={styles.distanceText}>
+                {item.vendorDistance ? item.vendorDistance.toFixed(1) : '?'} miles away
+              </Text>
+            </View>
           </View>
-          
-          <View style={styles.distanceContainer}>
-            <Icon name="place" type="material" size={14} color="#4CAF50" />
-            <Text style={styles.distanceText}>
-              {item.vendorDistance ? item.vendorDistance.toFixed(1) : '?'} miles away
-            </Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity 
+          style={styles.buttonSection}
+          onPress={() => navigation.navigate('VendorProfile', { vendorId: item.vendorId })}
+        >
+          <View style={styles.viewVendorButtonContent}>
+            <Icon name="store" type="material" size={16} color="#2089dc" />
+            <Text style={styles.viewVendorText}>View Vendor</Text>
           </View>
-        </View>
-      </TouchableOpacity>
-      
-      <TouchableOpacity 
-        style={styles.buttonSection}
-        onPress={() => navigation.navigate('VendorProfile', { vendorId: item.vendorId })}
-      >
-        <View style={styles.viewVendorButtonContent}>
-          <Icon name="store" type="material" size={16} color="#2089dc" />
-          <Text style={styles.viewVendorText}>View Vendor</Text>
-        </View>
-      </TouchableOpacity>
-    </Card>
-  );
+        </TouchableOpacity>
+      </Card>
+    );
+  };
   
   return (
     <SafeAreaView style={styles.container}>
@@ -566,10 +590,11 @@ const DailyDeals = ({ navigation }) => {
           </View>
         ) : (
           <FlatList
-            data={deals.slice(0, 10)} // Only show top 10 deals
+            data={eligibleDeals.slice(0, 10)} // Only show top 10 deals
             renderItem={renderDealItem}
             keyExtractor={(item) => item.id}
             contentContainerStyle={styles.listContainer}
+            ListFooterComponent={<HiddenDealsNotice count={hiddenDealCount} onPress={showHiddenDeals} />}
             ListEmptyComponent={
               <View style={styles.emptyContainer}>
                 <Icon name="local-offer" type="material" size={64} color="#CCCCCC" />
@@ -759,6 +784,9 @@ const styles = StyleSheet.create({
     overflow: 'hidden',
     backgroundColor: '#FFFFFF',
   },
+  ineligibleDealCard: {
+    opacity: 0.6,
+  },
   cardContent: {
     padding: 10,
     backgroundColor: '#FFFFFF',
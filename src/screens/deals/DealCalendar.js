@@ -0,0 +1,445 @@
+// src/screens/deals/DealCalendar.js
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Text, Button, Icon } from '@rneui/themed';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useAppState } from '../../context/AppStateContext';
+import { Logger, LogCategory } from '../../services/LoggingService';
+import { dealCacheService } from '../../services/DealCacheService';
+import vendorCacheService from '../../services/VendorCacheService';
+import locationService from '../../services/LocationService';
+import dealCalendarExportService from '../../services/DealCalendarExportService';
+import { buildDealCalendar } from '../../utils/DealCalendar';
+import { describeDealHours } from '../../utils/DealAvailability';
+import { getEligibilityContext, isDealIneligible } from '../../utils/DealEligibility';
+import { isSameDay } from '../../utils/DateUtils';
+import { DealType } from '../../types/Schema';
+
+const CalendarScope = {
+  FAVORITES: 'favorites',
+  NEARBY: 'nearby'
+};
+
+const DEAL_TYPE_APPEARANCE = {
+  [DealType.SPECIAL]: { label: 'Special', color: '#E74C3C' },
+  [DealType.DAILY]: { label: 'Daily', color: '#2ECC71' },
+  [DealType.MULTI_DAY]: { label: 'Multi-Day', color: '#3498DB' },
+  [DealType.EVERYDAY]: { label: 'Everyday', color: '#F39C12' }
+};
+
+const formatDayDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * DealCalendar Component
+ *
+ * Lays out a week of daily, multi-day, everyday and special deals by date for the
+ * user's favorite vendors or every vendor in range, and exports them to .ics files
+ */
+const DealCalendar = ({ navigation }) => {
+  const { state } = useAppState();
+  const favoriteIds = state.user.favorites || [];
+  const maxDistance = state.dealFilters.maxDistance || 25;
+
+  const [scope, setScope] = useState(favoriteIds.length > 0 ? CalendarScope.FAVORITES : CalendarScope.NEARBY);
+  const [weekOffset, setWeekOffset] = useState(0);
+  const [deals, setDeals] = useState([]);
+  const [nearbyVendorIds, setNearbyVendorIds] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    loadDeals();
+
+    // Pick up refreshed deals while the calendar is open
+    return dealCacheService.subscribe(() => setDeals(dealCacheService.getAllDeals()));
+  }, []);
+
+  useEffect(() => {
+    if (scope === CalendarScope.NEARBY && nearbyVendorIds === null) {
+      loadNearbyVendors();
+    }
+  }, [scope]);
+
+  const loadDeals = async () => {
+    setIsLoading(true);
+
+    try {
+      if (!dealCacheService.isCacheLoaded()) {
+        await dealCacheService.loadAllDeals();
+      }
+
+      const allDeals = dealCacheService.getAllDeals();
+      setDeals(allDeals);
+
+      Logger.info(LogCategory.DEALS, 'Loaded deals for calendar', { count: allDeals.length });
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error loading deals for calendar', { error });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadNearbyVendors = async () => {
+    try {
+      const userLocation = state.user?.location || await locationService.getCurrentLocation();
+      const vendors = vendorCacheService.getAllVendors({ userLocation, maxDistance });
+
+      setNearbyVendorIds(new Set(vendors.map(vendor => String(vendor.id))));
+    } catch (error) {
+      Logger.warn(LogCategory.DEALS, 'Could not find vendors in range for calendar', { error });
+      setNearbyVendorIds(new Set());
+    }
+  };
+
+  // Deals from the vendors in scope, without those the user is ruled out of
+  const visibleDeals = useMemo(() => {
+    const favorites = new Set(favoriteIds.map(String));
+    const eligibilityContext = getEligibilityContext(state.user);
+
+    return deals.filter(deal => {
+      const vendorId = String(deal.vendorId);
+      const inScope = scope === CalendarScope.FAVORITES
+        ? favorites.has(vendorId)
+        : nearbyVendorIds?.size > 0
+          ? nearbyVendorIds.has(vendorId)
+          // The vendor cache isn't loaded yet, so go by the distance the deal carries
+          : deal.vendorDistance != null && deal.vendorDistance <= maxDistance;
+
+      return inScope && !(state.dealFilters.hideIneligible && isDealIneligible(deal, eligibilityContext));
+    });
+  }, [deals, scope, nearbyVendorIds, favoriteIds, maxDistance, state.user, state.dealFilters.hideIneligible]);
+
+  const calendar = useMemo(() => {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() + weekOffset * 7);
+
+    return buildDealCalendar(visibleDeals, { startDate });
+  }, [visibleDeals, weekOffset]);
+
+  const handleExport = async (dealsToExport, from, calendarName) => {
+    setIsExporting(true);
+
+    try {
+      const { shared, fileUri, eventCount } = await dealCalendarExportService.exportDeals(dealsToExport, {
+        from,
+        calendarName
+      });
+
+      if (!shared) {
+        Alert.alert(
+          'Calendar Saved',
+          `Sharing isn't available on this device. ${eventCount} ${eventCount === 1 ? 'event was' : 'events were'} saved to:\n${fileUri}`
+        );
+      }
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error exporting deals to calendar', { error });
+      Alert.alert('Export Failed', 'We couldn\'t export these deals. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExportWeek = () => {
+    const weekDeals = calendar.flatMap(day => day.deals);
+
+    if (weekDeals.length === 0) {
+      Alert.alert('No Deals', 'There are no deals this week to add to your calendar.');
+      return;
+    }
+
+    handleExport(weekDeals, calendar[0].date, 'Cannabis Deals');
+  };
+
+  const renderDeal = (deal, date) => {
+    const appearance = DEAL_TYPE_APPEARANCE[deal.dealType] || DEAL_TYPE_APPEARANCE[DealType.DAILY];
+    const hours = describeDealHours(deal);
+
+    return (
+      <TouchableOpacity
+        key={`${deal.id || deal.title}-${deal.vendorId}`}
+        style={styles.dealRow}
+        onPress={() => deal.vendorId && navigation.navigate('VendorProfile', { vendorId: deal.vendorId })}
+      >
+        <View style={[styles.typeBadge, { backgroundColor: appearance.color }]}>
+          <Text style={styles.typeBadgeText}>{appearance.label}</Text>
+        </View>
+        <View style={styles.dealInfo}>
+          <Text style={styles.dealTitle} numberOfLines={2}>
+            {deal.title || deal.discount || 'Deal'}
+          </Text>
+          <Text style={styles.vendorName} numberOfLines={1}>
+            {deal.vendorName || 'Unknown Vendor'}
+          </Text>
+          {hours && <Text style={styles.dealHours}>{hours}</Text>}
+        </View>
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => handleExport([deal], date, deal.vendorName || 'Cannabis Deals')}
+          disabled={isExporting}
+        >
+          <Icon name="event" type="material" color="#4CAF50" />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderDay = (day) => {
+    const isToday = isSameDay(day.date, new Date());
+
+    return (
+      <View key={day.date.toISOString()} style={styles.daySection}>
+        <View style={styles.dayHeader}>
+          <Text style={styles.dayName}>
+            {day.day.charAt(0).toUpperCase() + day.day.slice(1)}
+          </Text>
+          <Text style={styles.dayDate}>{formatDayDate(day.date)}</Text>
+          {isToday && (
+            <View style={styles.todayBadge}>
+              <Text style={styles.todayText}>TODAY</Text>
+            </View>
+          )}
+        </View>
+
+        {day.deals.length > 0 ? (
+          day.deals.map(deal => renderDeal(deal, day.date))
+        ) : (
+          <Text style={styles.noDealsText}>No deals</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderEmptyScope = () => (
+    <View style={styles.centered}>
+      <Icon name="favorite-border" type="material" color="#BDBDBD" size={48} />
+      <Text style={styles.emptyText}>No favorite vendors yet</Text>
+      <Button
+        title="Show Vendors Nearby"
+        type="clear"
+        onPress={() => setScope(CalendarScope.NEARBY)}
+      />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <View style={styles.scopeRow}>
+        {[
+          { value: CalendarScope.FAVORITES, label: 'Favorites' },
+          { value: CalendarScope.NEARBY, label: `Within ${maxDistance} mi` }
+        ].map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.scopeOption, scope === option.value && styles.scopeOptionSelected]}
+            onPress={() => setScope(option.value)}
+          >
+            <Text style={[styles.scopeText, scope === option.value && styles.scopeTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.weekRow}>
+        <TouchableOpacity
+          onPress={() => setWeekOffset(offset => offset - 1)}
+          disabled={weekOffset === 0}
+          style={styles.weekButton}
+        >
+          <Icon name="chevron-left" type="material" color={weekOffset === 0 ? '#BDBDBD' : '#333333'} />
+        </TouchableOpacity>
+        <Text style={styles.weekLabel}>
+          {weekOffset === 0 ? 'This Week' : `${formatDayDate(calendar[0].date)} – ${formatDayDate(calendar[calendar.length - 1].date)}`}
+        </Text>
+        <TouchableOpacity onPress={() => setWeekOffset(offset => offset + 1)} style={styles.weekButton}>
+          <Icon name="chevron-right" type="material" color="#333333" />
+        </TouchableOpacity>
+      </View>
+
+      {isLoading || (scope === CalendarScope.NEARBY && nearbyVendorIds === null) ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#4CAF50" />
+        </View>
+      ) : scope === CalendarScope.FAVORITES && favoriteIds.length === 0 ? (
+        renderEmptyScope()
+      ) : (
+        <>
+          <ScrollView contentContainerStyle={styles.list}>
+            {calendar.map(renderDay)}
+          </ScrollView>
+          <Button
+            title="Add This Week to Calendar"
+            icon={{ name: 'event', type: 'material', color: 'white', size: 20 }}
+            onPress={handleExportWeek}
+            loading={isExporting}
+            buttonStyle={styles.exportButton}
+            containerStyle={styles.exportButtonContainer}
+          />
+        </>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  scopeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  scopeOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    marginRight: 8,
+  },
+  scopeOptionSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  scopeText: {
+    fontSize: 13,
+    color: '#4CAF50',
+  },
+  scopeTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+  },
+  weekRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  weekButton: {
+    padding: 8,
+  },
+  weekLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333333',
+  },
+  list: {
+    paddingBottom: 16,
+  },
+  daySection: {
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginTop: 12,
+    borderRadius: 8,
+    padding: 12,
+  },
+  dayHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  dayName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333333',
+  },
+  dayDate: {
+    fontSize: 14,
+    color: '#666666',
+    marginLeft: 8,
+  },
+  todayBadge: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  todayText: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  dealRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#EEEEEE',
+  },
+  typeBadge: {
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginRight: 10,
+    minWidth: 64,
+    alignItems: 'center',
+  },
+  typeBadgeText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  dealInfo: {
+    flex: 1,
+  },
+  dealTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333333',
+  },
+  vendorName: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+  dealHours: {
+    fontSize: 12,
+    color: '#E65100',
+    marginTop: 2,
+  },
+  addButton: {
+    padding: 8,
+  },
+  noDealsText: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: '#999999',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#757575',
+    marginVertical: 12,
+  },
+  exportButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 8,
+    paddingVertical: 12,
+  },
+  exportButtonContainer: {
+    margin: 16,
+  },
+});
+
+export default DealCalendar;
@@ -24,6 +24,8 @@ import { Logger, LogCategory } from '../../services/LoggingService';
 import { handleError, tryCatch } from '../../utils/ErrorHandler';
 import redemptionService from '../../services/RedemptionService';
 import { DealRepository, VendorRepository } from '../../repositories/repositoryExports';
+import DealVerificationNote from '../../components/DealVerificationNote';
+import DealReportModal from '../../components/DealReportModal';
 
 /**
  * Deal Details Screen
@@ -38,6 +40,7 @@ const DealDetails = ({ route, navigation }) => {
   const [deal, setDeal] = useState(null);
   const [vendor, setVendor] = useState(null);
   const [redeemable, setRedeemable] = useState(true);
+  const [showReportModal, setShowReportModal] = useState(false);
   
   // Get deal and vendor IDs from route params
   const { dealId, vendorId, dealType } = route.params || {};
@@ -297,6 +300,9 @@ const DealDetails = ({ route, navigation }) => {
           {/* Deal Description */}
           <Text style={styles.dealDescription}>{deal.description}</Text>
           
+          {/* What other users have reported */}
+          <DealVerificationNote deal={deal} style={styles.verificationNote} />
+          
           {/* Redemption Status */}
           {!redeemable && (
             <View style={styles.redemptionAlert}>
@@ -353,6 +359,20 @@ const DealDetails = ({ route, navigation }) => {
               onPress={handleShareDeal}
             />
           </View>
+          
+          <Button
+            title="Report Deal"
+            icon={{
+              name: "flag",
+              type: "material",
+              size: 18,
+              color: "#999"
+            }}
+            type="clear"
+            titleStyle={styles.reportButtonTitle}
+            containerStyle={styles.reportButtonContainer}
+            onPress={() => setShowReportModal(true)}
+          />
         </Card>
         
         {/* Vendor Card */}
@@ -413,6 +433,12 @@ const DealDetails = ({ route, navigation }) => {
           </Card>
         )}
       </ScrollView>
+      
+      <DealReportModal
+        visible={showReportModal}
+        deal={deal}
+        onClose={() => setShowReportModal(false)}
+      />
     </SafeAreaView>
   );
 };
@@ -555,6 +581,16 @@ const styles = StyleSheet.create({
   shareButton: {
     borderColor: '#2196F3',
   },
+  verificationNote: {
+    marginBottom: 12,
+  },
+  reportButtonContainer: {
+    marginTop: 8,
+  },
+  reportButtonTitle: {
+    color: '#999',
+    fontSize: 14,
+  },
   vendorCard: {
     borderRadius: 10,
     marginHorizontal: 16,
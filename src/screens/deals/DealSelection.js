@@ -137,6 +137,8 @@ const DealSelection = ({ navigation, route }) => {
         currentVendorIndex: 0,
         totalVendors: routeResult.vendors.length,
         maxDistance: maxDistance,
+        maxVendors: numVendors,
+        startLocation: state.user.location,
         isActive: true,
         startTime: new Date().toISOString()
       };
@@ -145,7 +147,9 @@ const DealSelection = ({ navigation, route }) => {
       dispatch(AppActions.startJourney(journeyData));
       dispatch(AppActions.updateRoute({
         path: routeResult.vendors,
-        totalDistance: routeResult.totalDistance
+        coordinates: routeResult.route.coordinates,
+        totalDistance: routeResult.route.totalDistance,
+        estimatedTime: routeResult.route.estimatedTime
       }));
       
       // Navigate to route preview
@@ -154,7 +158,7 @@ const DealSelection = ({ navigation, route }) => {
       Logger.info(LogCategory.JOURNEY, 'Journey started', {
         dealType: selectedDealType,
         vendorCount: routeResult.vendors.length,
-        totalDistance: routeResult.totalDistance
+        totalDistance: routeResult.route.totalDistance
       });
     } catch (error) {
       Logger.error(LogCategory.JOURNEY, 'Error creating journey', { error });
@@ -12,15 +12,127 @@ import {
   Text, 
   Button, 
   Slider as RNESlider, 
-  Icon
+  Icon,
+  CheckBox
 } from '@rneui/themed';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useAppState, AppActions } from '../../context/AppStateContext';
 import routeService from '../../services/RouteService';
 import locationService from '../../services/LocationService';
 import { Logger, LogCategory } from '../../services/LoggingService';
+import serviceProvider from '../../services/ServiceProvider';
+import notificationService from '../../services/NotificationService';
+import { UserRepository } from '../../repositories/repositoryExports';
+import { 
+  JourneyEndMode, 
+  JourneyBudgetType, 
+  VendorSortOrder, 
+  DealType, 
+  TRAVEL_MODES 
+} from '../../types/Schema';
+import { DEFAULT_TRAVEL_MODE, getTravelProfile } from '../../utils/TravelModeUtils';
 import * as Location from 'expo-location';
 
+// Deal types that can be collected alongside the journey's main type
+const COMBINABLE_DEAL_TYPES = [
+  { type: DealType.BIRTHDAY, label: 'Birthday Deals' },
+  { type: DealType.DAILY, label: 'Daily Deals' },
+  { type: DealType.SPECIAL, label: 'Special Deals' },
+  { type: DealType.EVERYDAY, label: 'Everyday Deals' }
+];
+
+// Choices shown for where the journey finishes
+const END_MODE_OPTIONS = [
+  { mode: JourneyEndMode.OPEN_ENDED, label: 'End at Last Stop', icon: 'flag' },
+  { mode: JourneyEndMode.ROUND_TRIP, label: 'Return to Start', icon: 'loop' },
+  { mode: JourneyEndMode.CUSTOM, label: 'End Somewhere Else', icon: 'place' }
+];
+
+// How to choose stops when there are more than the number asked for
+const SORT_OPTIONS = [
+  { sortBy: VendorSortOrder.DISTANCE, label: 'Closest', icon: 'near-me' },
+  { sortBy: VendorSortOrder.VALUE, label: 'Best Value', icon: 'trending-up' }
+];
+
+// Ways to limit a journey other than a number of stops
+const BUDGET_OPTIONS = [
+  { type: null, label: 'No Budget', icon: 'all-inclusive' },
+  { type: JourneyBudgetType.TIME, label: 'Time', icon: 'timer' },
+  { type: JourneyBudgetType.MONEY, label: 'Money', icon: 'attach-money' }
+];
+
+// Slider range for each budget type
+const BUDGET_RANGES = {
+  [JourneyBudgetType.TIME]: { min: 30, max: 240, step: 15, initial: 90 },
+  [JourneyBudgetType.MONEY]: { min: 20, max: 300, step: 10, initial: 120 }
+};
+
+/**
+ * Format a budget amount for display
+ * @param {string} type - JourneyBudgetType value
+ * @param {number} amount - Minutes or dollars
+ * @returns {string} - e.g. 1 hr 30 min, $120
+ */
+const formatBudget = (type, amount) => {
+  if (type === JourneyBudgetType.MONEY) return `$${amount}`;
+  
+  const hours = Math.floor(amount / 60);
+  const minutes = amount % 60;
+  if (hours === 0) return `${minutes} min`;
+  return minutes > 0 ? `${hours} hr ${minutes} min` : `${hours} hr`;
+};
+
+// How many days ahead a journey can be planned, and the start times offered for later days
+const PLAN_AHEAD_DAYS = 7;
+const PLANNED_START_HOURS = [10, 12, 14, 16, 18];
+const REMINDER_LEAD_MINUTES = 30;
+
+/**
+ * Get the label for a day offered in the "When" picker
+ * @param {number} offset - Days from today
+ * @returns {string} - Today, Tomorrow or a short weekday and date
+ */
+const getDayLabel = (offset) => {
+  if (offset === 0) return 'Today';
+  if (offset === 1) return 'Tomorrow';
+  
+  const date = new Date();
+  date.setDate(date.getDate() + offset);
+  return date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+};
+
+/**
+ * Describe what a travel mode changes about the journey
+ * @param {string} travelMode - TravelMode value
+ * @returns {string|null} - Short note, or null when nothing changes
+ */
+const getTravelModeHint = (travelMode) => {
+  const profile = getTravelProfile(travelMode);
+  
+  if (profile.maxLegMiles) {
+    return `Stops within ${profile.maxDistance} miles, no more than ${profile.maxLegMiles} miles apart.`;
+  }
+  
+  if (profile.fare) {
+    return 'Each leg is a separate ride. We\'ll estimate the fare for you.';
+  }
+  
+  return null;
+};
+
+/**
+ * Format an hour of the day as a short time label
+ * @param {number} hour - Hour (0-23)
+ * @returns {string} - e.g. 10 AM, 2 PM
+ */
+const formatHour = (hour) => `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+
+// Places that can be saved from the current location when none exist yet
+const DEFAULT_PLACES = [
+  { id: 'home', label: 'Home', icon: 'home' },
+  { id: 'work', label: 'Work', icon: 'work' }
+];
+
 /**
  * Custom Slider component that uses modern JavaScript parameter defaults
  * This avoids the deprecated defaultProps warning
@@ -66,12 +178,74 @@ const JourneySettings = ({ navigation, route }) => {
   const [maxDistance, setMaxDistance] = useState(15);
   const [isLoading, setIsLoading] = useState(false);
   const [locationStatus, setLocationStatus] = useState('unknown');
+  const [extraDealTypes, setExtraDealTypes] = useState([]);
+  const [endMode, setEndMode] = useState(JourneyEndMode.OPEN_ENDED);
+  const [savedPlaces, setSavedPlaces] = useState([]);
+  const [selectedPlaceId, setSelectedPlaceId] = useState(null);
+  const [dayOffset, setDayOffset] = useState(0);
+  const [plannedHour, setPlannedHour] = useState(PLANNED_START_HOURS[1]);
+  const [travelMode, setTravelMode] = useState(DEFAULT_TRAVEL_MODE);
+  const [budgetType, setBudgetType] = useState(null);
+  const [budgetAmount, setBudgetAmount] = useState(null);
+  const [sortBy, setSortBy] = useState(VendorSortOrder.DISTANCE);
   
-  // Get current location on mount
+  // Get current location and saved places on mount
   useEffect(() => {
     getCurrentLocation();
+    loadSavedPlaces();
   }, []);
   
+  // Add or remove a deal type to collect alongside the main one
+  const toggleExtraDealType = (type) => {
+    setExtraDealTypes(current => 
+      current.includes(type)
+        ? current.filter(existing => existing !== type)
+        : [...current, type]
+    );
+  };
+  
+  // Load the user's saved places for custom journey endpoints
+  const loadSavedPlaces = async () => {
+    try {
+      const preferences = await UserRepository.getPreferences();
+      setSavedPlaces(preferences.savedPlaces || []);
+    } catch (error) {
+      Logger.warn(LogCategory.USER, 'Could not load saved places', { 
+        error: error.message || 'Unknown error'
+      });
+    }
+  };
+  
+  // Save the current location as a named place and end the journey there
+  const handleSavePlace = async (place) => {
+    if (!state.user?.location) {
+      Alert.alert(
+        'Location Required',
+        'We need your current location to save it as a place.',
+        [{ text: 'OK', onPress: getCurrentLocation }]
+      );
+      return;
+    }
+    
+    try {
+      const places = await UserRepository.savePlace({
+        id: place.id,
+        label: place.label,
+        latitude: state.user.location.latitude,
+        longitude: state.user.location.longitude
+      });
+      setSavedPlaces(places);
+      setSelectedPlaceId(place.id);
+    } catch (error) {
+      Logger.error(LogCategory.USER, 'Error saving place', { error, placeId: place.id });
+      Alert.alert(
+        'Error',
+        'Failed to save this place. Please try again.',
+        [{ text: 'OK' }]
+      );
+    }
+  };
+  
   // Get current location with better error handling
   const getCurrentLocation = async () => {
     setLocationStatus('requesting');
@@ -126,6 +300,48 @@ const JourneySettings = ({ navigation, route }) => {
     }
   };
   
+  // When a journey planned for a later day starts; null when it starts now
+  const getPlannedStartTime = () => {
+    if (dayOffset === 0) return null;
+    
+    const startTime = new Date();
+    startTime.setDate(startTime.getDate() + dayOffset);
+    startTime.setHours(plannedHour, 0, 0, 0);
+    return startTime;
+  };
+  
+  // Save a journey planned for a later day and remind the user on the day
+  const scheduleJourney = async (journeyData, routeResult, startTime) => {
+    const dealLabel = journeyData.dealTypes
+      .map(type => type.charAt(0).toUpperCase() + type.slice(1))
+      .join(' + ');
+    
+    const reminderId = await notificationService.scheduleLocalNotification({
+      title: 'Journey Day',
+      body: `Your ${dealLabel} journey starts at ${formatHour(startTime.getHours())}. Open the app to check today's deals and head out.`,
+      data: { type: 'scheduled_journey' }
+    }, new Date(startTime.getTime() - REMINDER_LEAD_MINUTES * 60000));
+    
+    await serviceProvider.scheduleJourney({
+      ...journeyData,
+      totalDistance: routeResult.route.totalDistance,
+      estimatedTime: routeResult.route.estimatedTime,
+      reminderId
+    }, startTime);
+    
+    Logger.info(LogCategory.JOURNEY, 'Journey scheduled', {
+      dealTypes: journeyData.dealTypes,
+      vendorCount: journeyData.vendors.length,
+      scheduledFor: startTime.toISOString()
+    });
+    
+    Alert.alert(
+      'Journey Scheduled',
+      `${journeyData.vendors.length} stops planned for ${startTime.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })} at ${formatHour(startTime.getHours())}. Start it from the Dashboard on the day and we'll check the deals again first.\n\n${journeyData.vendors.map(vendor => vendor.name).join(' → ')}`,
+      [{ text: 'OK', onPress: () => navigation.navigate('MainTabs') }]
+    );
+  };
+  
   // Create a journey route based on selected options
   const handleCreateRoute = async () => {
     // Check location first
@@ -140,15 +356,37 @@ const JourneySettings = ({ navigation, route }) => {
       return;
     }
     
+    const endPlace = savedPlaces.find(place => place.id === selectedPlaceId) || null;
+    
+    if (endMode === JourneyEndMode.CUSTOM && !endPlace) {
+      Alert.alert(
+        'Choose an End Point',
+        'Select where you want your journey to end, or pick a different end option.',
+        [{ text: 'OK' }]
+      );
+      return;
+    }
+    
     setIsLoading(true);
     
     try {
       // Create route using the route service
+      const dealTypes = [dealType, ...extraDealTypes];
+      const plannedStartTime = getPlannedStartTime();
       const routeOptions = {
         dealType: dealType,
-        maxVendors: numVendors,
+        dealTypes: dealTypes,
+        // With a budget the route builder decides how many stops fit
+        maxVendors: budgetType ? undefined : numVendors,
+        budget: budgetType ? { type: budgetType, amount: budgetAmount } : undefined,
+        sortBy: sortBy,
+        favoriteVendorIds: state.user.favorites || [],
         maxDistance: maxDistance,
-        startLocation: state.user.location
+        startLocation: state.user.location,
+        startTime: plannedStartTime || undefined,
+        endMode: endMode,
+        endLocation: endPlace,
+        travelMode: travelMode
       };
       
       const routeResult = await routeService.createRoute(routeOptions);
@@ -177,6 +415,7 @@ const JourneySettings = ({ navigation, route }) => {
       // Create journey state
       const journeyData = {
         dealType: dealType,
+        dealTypes: dealTypes,
         vendors: routeResult.vendors.map(vendor => ({
           ...vendor,
           checkedIn: false,
@@ -185,24 +424,39 @@ const JourneySettings = ({ navigation, route }) => {
         currentVendorIndex: 0,
         totalVendors: routeResult.vendors.length,
         maxDistance: maxDistance,
+        maxVendors: budgetType ? routeResult.vendors.length : numVendors,
+        startLocation: state.user.location,
+        endMode: routeResult.route.endMode,
+        endLocation: routeResult.route.endLocation,
+        travelMode: routeResult.route.travelMode,
         isActive: true,
         startTime: new Date().toISOString()
       };
       
+      if (plannedStartTime) {
+        await scheduleJourney(journeyData, routeResult, plannedStartTime);
+        return;
+      }
+      
       // Update app state with journey and route data
       dispatch(AppActions.startJourney(journeyData));
       dispatch(AppActions.updateRoute({
         path: routeResult.vendors,
-        totalDistance: routeResult.totalDistance
+        coordinates: routeResult.route.coordinates,
+        totalDistance: routeResult.route.totalDistance,
+        estimatedTime: routeResult.route.estimatedTime,
+        estimatedCost: routeResult.route.estimatedCost || null
       }));
       
       // Navigate to route preview
       navigation.navigate('RoutePreview');
       
       Logger.info(LogCategory.JOURNEY, 'Journey started', {
-        dealType: dealType,
+        dealTypes: dealTypes,
         vendorCount: routeResult.vendors.length,
-        totalDistance: routeResult.totalDistance
+        endMode: routeResult.route.endMode,
+        travelMode: routeResult.route.travelMode,
+        totalDistance: routeResult.route.totalDistance
       });
     } catch (error) {
       Logger.error(LogCategory.JOURNEY, 'Error creating journey', { 
@@ -239,34 +493,134 @@ const JourneySettings = ({ navigation, route }) => {
           </Text>
         </View>
         
-        {/* Number of Vendors */}
-        <Text style={styles.sectionTitle}>Number of Dispensaries</Text>
-        <View style={styles.sliderContainer}>
-          <Slider
-            value={numVendors}
-            onValueChange={value => setNumVendors(value)}
-            minimumValue={1}
-            maximumValue={10}
-            step={1}
-            thumbStyle={styles.thumbStyle}
-            thumbProps={{
-              children: (
-                <Text style={styles.thumbText}>{numVendors}</Text>
-              ),
-            }}
-            trackStyle={styles.trackStyle}
-            minimumTrackTintColor="#4CAF50"
-            maximumTrackTintColor="#D8D8D8"
-          />
-          <View style={styles.sliderLabels}>
-            <Text>1</Text>
-            <Text>3</Text>
-            <Text>5</Text>
-            <Text>7</Text>
-            <Text>10</Text>
-          </View>
+        {/* Additional Deal Types */}
+        <Text style={styles.sectionTitle}>Also Collect</Text>
+        <View style={styles.dealTypesContainer}>
+          {COMBINABLE_DEAL_TYPES
+            .filter(option => option.type !== dealType)
+            .map(option => (
+              <CheckBox
+                key={option.type}
+                title={option.label}
+                checked={extraDealTypes.includes(option.type)}
+                onPress={() => toggleExtraDealType(option.type)}
+                checkedColor="#4CAF50"
+                containerStyle={styles.checkboxContainer}
+              />
+            ))}
+        </View>
+        
+        {/* Budget */}
+        <Text style={styles.sectionTitle}>
+          {budgetType ? `Budget: ${formatBudget(budgetType, budgetAmount)}` : 'Budget'}
+        </Text>
+        <View style={styles.optionRow}>
+          {BUDGET_OPTIONS.map(option => (
+            <Button
+              key={option.label}
+              title={option.label}
+              type={budgetType === option.type ? 'solid' : 'outline'}
+              icon={{
+                name: option.icon,
+                type: 'material',
+                size: 18,
+                color: budgetType === option.type ? 'white' : '#4CAF50'
+              }}
+              buttonStyle={[
+                styles.optionButton,
+                budgetType === option.type && styles.optionButtonSelected
+              ]}
+              titleStyle={budgetType === option.type ? styles.optionTitleSelected : styles.optionTitle}
+              containerStyle={styles.optionButtonContainer}
+              onPress={() => {
+                setBudgetType(option.type);
+                setBudgetAmount(option.type ? BUDGET_RANGES[option.type].initial : null);
+              }}
+            />
+          ))}
         </View>
         
+        {budgetType ? (
+          <View style={styles.sliderContainer}>
+            <Slider
+              value={budgetAmount}
+              onValueChange={value => setBudgetAmount(value)}
+              minimumValue={BUDGET_RANGES[budgetType].min}
+              maximumValue={BUDGET_RANGES[budgetType].max}
+              step={BUDGET_RANGES[budgetType].step}
+              thumbStyle={styles.thumbStyle}
+              trackStyle={styles.trackStyle}
+              minimumTrackTintColor="#4CAF50"
+              maximumTrackTintColor="#D8D8D8"
+            />
+            <Text style={styles.budgetHint}>
+              {budgetType === JourneyBudgetType.TIME
+                ? 'We\'ll pick the best-value stops you can visit in this time, including travel and time at each stop.'
+                : 'We\'ll pick the best-value stops for this spend, including any rideshare fares.'}
+            </Text>
+          </View>
+        ) : (
+          <>
+            {/* Number of Vendors */}
+            <Text style={styles.sectionTitle}>Number of Dispensaries</Text>
+            <View style={styles.sliderContainer}>
+              <Slider
+                value={numVendors}
+                onValueChange={value => setNumVendors(value)}
+                minimumValue={1}
+                maximumValue={10}
+                step={1}
+                thumbStyle={styles.thumbStyle}
+                thumbProps={{
+                  children: (
+                    <Text style={styles.thumbText}>{numVendors}</Text>
+                  ),
+                }}
+                trackStyle={styles.trackStyle}
+                minimumTrackTintColor="#4CAF50"
+                maximumTrackTintColor="#D8D8D8"
+              />
+              <View style={styles.sliderLabels}>
+                <Text>1</Text>
+                <Text>3</Text>
+                <Text>5</Text>
+                <Text>7</Text>
+                <Text>10</Text>
+              </View>
+            </View>
+            
+            {/* Stop Selection */}
+            <Text style={styles.sectionTitle}>Pick Stops By</Text>
+            <View style={styles.optionRow}>
+              {SORT_OPTIONS.map(option => (
+                <Button
+                  key={option.sortBy}
+                  title={option.label}
+                  type={sortBy === option.sortBy ? 'solid' : 'outline'}
+                  icon={{
+                    name: option.icon,
+                    type: 'material',
+                    size: 18,
+                    color: sortBy === option.sortBy ? 'white' : '#4CAF50'
+                  }}
+                  buttonStyle={[
+                    styles.optionButton,
+                    sortBy === option.sortBy && styles.optionButtonSelected
+                  ]}
+                  titleStyle={sortBy === option.sortBy ? styles.optionTitleSelected : styles.optionTitle}
+                  containerStyle={styles.optionButtonContainer}
+                  onPress={() => setSortBy(option.sortBy)}
+                />
+              ))}
+            </View>
+            {sortBy === VendorSortOrder.VALUE && (
+              <Text style={styles.optionHint}>
+                Favors bigger discounts, partners and your favorites, weighed against the extra miles.
+              </Text>
+            )}
+          </>
+        )}
+        
         {/* Max Distance */}
         <Text style={styles.sectionTitle}>Maximum Distance (miles)</Text>
         <View style={styles.sliderContainer}>
@@ -295,6 +649,143 @@ const JourneySettings = ({ navigation, route }) => {
           </View>
         </View>
         
+        {/* Travel Mode */}
+        <Text style={styles.sectionTitle}>Getting Around</Text>
+        <View style={styles.optionRow}>
+          {TRAVEL_MODES.map(mode => {
+            const profile = getTravelProfile(mode);
+            
+            return (
+              <Button
+                key={mode}
+                title={profile.label}
+                type={travelMode === mode ? 'solid' : 'outline'}
+                icon={{
+                  name: profile.icon,
+                  type: 'material',
+                  size: 18,
+                  color: travelMode === mode ? 'white' : '#4CAF50'
+                }}
+                iconPosition="top"
+                buttonStyle={[
+                  styles.optionButton,
+                  travelMode === mode && styles.optionButtonSelected
+                ]}
+                titleStyle={travelMode === mode ? styles.optionTitleSelected : styles.optionTitle}
+                containerStyle={styles.optionButtonContainer}
+                onPress={() => setTravelMode(mode)}
+              />
+            );
+          })}
+        </View>
+        {!!getTravelModeHint(travelMode) && (
+          <Text style={styles.optionHint}>{getTravelModeHint(travelMode)}</Text>
+        )}
+        
+        {/* Journey End */}
+        <Text style={styles.sectionTitle}>Journey End</Text>
+        <View style={styles.optionRow}>
+          {END_MODE_OPTIONS.map(option => (
+            <Button
+              key={option.mode}
+              title={option.label}
+              type={endMode === option.mode ? 'solid' : 'outline'}
+              icon={{
+                name: option.icon,
+                type: 'material',
+                size: 18,
+                color: endMode === option.mode ? 'white' : '#4CAF50'
+              }}
+              buttonStyle={[
+                styles.optionButton,
+                endMode === option.mode && styles.optionButtonSelected
+              ]}
+              titleStyle={endMode === option.mode ? styles.optionTitleSelected : styles.optionTitle}
+              containerStyle={styles.optionButtonContainer}
+              onPress={() => setEndMode(option.mode)}
+            />
+          ))}
+        </View>
+        
+        {endMode === JourneyEndMode.CUSTOM && (
+          <View style={styles.placesContainer}>
+            {savedPlaces.map(place => (
+              <Button
+                key={place.id}
+                title={place.label}
+                type={selectedPlaceId === place.id ? 'solid' : 'outline'}
+                buttonStyle={[
+                  styles.optionButton,
+                  selectedPlaceId === place.id && styles.optionButtonSelected
+                ]}
+                titleStyle={selectedPlaceId === place.id ? styles.optionTitleSelected : styles.optionTitle}
+                containerStyle={styles.placeButtonContainer}
+                onPress={() => setSelectedPlaceId(place.id)}
+              />
+            ))}
+            
+            {DEFAULT_PLACES
+              .filter(place => !savedPlaces.some(saved => saved.id === place.id))
+              .map(place => (
+                <Button
+                  key={place.id}
+                  title={`Save Current Location as ${place.label}`}
+                  type="clear"
+                  icon={{
+                    name: place.icon,
+                    type: 'material',
+                    size: 18,
+                    color: '#4CAF50'
+                  }}
+                  titleStyle={styles.locationButton}
+                  onPress={() => handleSavePlace(place)}
+                />
+              ))}
+          </View>
+        )}
+        
+        {/* When */}
+        <Text style={styles.sectionTitle}>When</Text>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.chipRow}
+        >
+          {Array.from({ length: PLAN_AHEAD_DAYS }, (_, offset) => (
+            <Button
+              key={offset}
+              title={getDayLabel(offset)}
+              type={dayOffset === offset ? 'solid' : 'outline'}
+              buttonStyle={[
+                styles.optionButton,
+                dayOffset === offset && styles.optionButtonSelected
+              ]}
+              titleStyle={dayOffset === offset ? styles.optionTitleSelected : styles.optionTitle}
+              containerStyle={styles.chipContainer}
+              onPress={() => setDayOffset(offset)}
+            />
+          ))}
+        </ScrollView>
+        
+        {dayOffset > 0 && (
+          <View style={styles.optionRow}>
+            {PLANNED_START_HOURS.map(hour => (
+              <Button
+                key={hour}
+                title={formatHour(hour)}
+                type={plannedHour === hour ? 'solid' : 'outline'}
+                buttonStyle={[
+                  styles.optionButton,
+                  plannedHour === hour && styles.optionButtonSelected
+                ]}
+                titleStyle={plannedHour === hour ? styles.optionTitleSelected : styles.optionTitle}
+                containerStyle={styles.optionButtonContainer}
+                onPress={() => setPlannedHour(hour)}
+              />
+            ))}
+          </View>
+        )}
+        
         {/* Location Status */}
         <View style={styles.locationStatusContainer}>
           <Icon
@@ -325,9 +816,9 @@ const JourneySettings = ({ navigation, route }) => {
 
         {/* Create Route Button */}
         <Button
-          title="Start Journey"
+          title={dayOffset > 0 ? 'Schedule Journey' : 'Start Journey'}
           icon={{
-            name: 'directions',
+            name: dayOffset > 0 ? 'event' : 'directions',
             type: 'material',
             size: 20,
             color: 'white'
@@ -412,6 +903,63 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     marginTop: 8,
   },
+  dealTypesContainer: {
+    marginBottom: 16,
+  },
+  checkboxContainer: {
+    backgroundColor: 'transparent',
+    borderWidth: 0,
+    marginLeft: 0,
+    paddingHorizontal: 0,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    marginBottom: 16,
+  },
+  optionButtonContainer: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  optionButton: {
+    borderColor: '#4CAF50',
+    borderRadius: 8,
+    paddingVertical: 10,
+  },
+  optionButtonSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  optionTitle: {
+    color: '#4CAF50',
+    fontSize: 13,
+  },
+  optionTitleSelected: {
+    color: 'white',
+    fontSize: 13,
+  },
+  budgetHint: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 8,
+  },
+  optionHint: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: -8,
+    marginBottom: 16,
+    marginHorizontal: 4,
+  },
+  chipRow: {
+    paddingBottom: 16,
+  },
+  chipContainer: {
+    marginHorizontal: 4,
+  },
+  placesContainer: {
+    marginBottom: 16,
+  },
+  placeButtonContainer: {
+    marginVertical: 4,
+  },
   locationStatusContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -10,6 +10,8 @@ import {
 import { Text, Button, Divider, Icon, Chip } from '@rneui/themed';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import ProductService from '../../services/ProductService';
+import PriceSparkline from '../../components/PriceSparkline';
+import { MARKET_WINDOW_DAYS } from '../../utils/PriceHistory';
 import { Logger, LogCategory } from '../../services/LoggingService';
 
 const ProductDetail = ({ route, navigation }) => {
@@ -124,6 +126,26 @@ const ProductDetail = ({ route, navigation }) => {
           <Text style={styles.valueText}>{product.valueScore}</Text>
         </View>
         
+        {/* Price History */}
+        <Text style={styles.sectionTitle}>Price History</Text>
+        {product.priceHistory?.length > 1 ? (
+          <PriceSparkline
+            history={product.priceHistory}
+            marketAverage={product.marketProductCount > 0 ? product.marketAverage : null}
+            style={styles.priceHistory}
+          />
+        ) : (
+          <Text style={styles.priceHistoryEmpty}>
+            Check back later to see how this price changes over time.
+          </Text>
+        )}
+        {product.marketProductCount > 0 && (
+          <Text style={styles.marketNote}>
+            Products of this kind and size average ${product.marketAverage.toFixed(2)} across
+            {' '}{product.marketProductCount} listings over the last {MARKET_WINDOW_DAYS} days.
+          </Text>
+        )}
+        
         {/* THC/CBD Content */}
         <View style={styles.contentRow}>
           <View style={styles.contentItem}>
@@ -310,6 +332,19 @@ const styles = StyleSheet.create({
     color: '#4CAF50',
     fontWeight: 'bold',
   },
+  priceHistory: {
+    marginBottom: 8,
+  },
+  priceHistoryEmpty: {
+    fontSize: 14,
+    color: '#999999',
+    marginBottom: 8,
+  },
+  marketNote: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 16,
+  },
   contentRow: {
     flexDirection: 'row',
     marginBottom: 16,
@@ -17,6 +17,14 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Logger, LogCategory } from '../../services/LoggingService';
 import { handleError, tryCatch } from '../../utils/ErrorHandler';
 import serviceProvider from '../../services/ServiceProvider';
+import { estimateDealDiscountPercent } from '../../utils/ValueCalculator';
+import { isDealActiveAt, describeDealHours } from '../../utils/DealAvailability';
+import DealEligibilityNote from '../../components/DealEligibilityNote';
+import HiddenDealsNotice from '../../components/HiddenDealsNotice';
+import DealVerificationNote from '../../components/DealVerificationNote';
+import { evaluateDealEligibility } from '../../utils/DealEligibility';
+import useEligibleDeals from '../../hooks/useEligibleDeals';
+import { EligibilityStatus } from '../../types/Schema';
 
 const SpecialDeals = ({ navigation }) => {
   const { state, dispatch } = useAppState();
@@ -38,16 +46,8 @@ const SpecialDeals = ({ navigation }) => {
     // Base score from discount percentage
     let score = 0;
     
-    // Extract percentage from discount text
-    const percentMatch = deal.discount?.match(/(\d+)%/);
-    if (percentMatch) {
-      score += parseInt(percentMatch[1]);
-    }
-    
-    // Additional score for BOGO deals
-    if (deal.discount?.toLowerCase().includes('bogo')) {
-      score += 50;
-    }
+    // Percent saved, from the parsed discount (percent, dollars off, BOGO, free item or bundle)
+    score += Math.round(estimateDealDiscountPercent(deal));
     
     // Bonus for deals with no restrictions
     if (!deal.restrictions || deal.restrictions.length === 0) {
@@ -274,19 +274,30 @@ const SpecialDeals = ({ navigation }) => {
     return diffDays;
   };
   
+  // Deals the user is ruled out of are hidden unless they've asked to see them
+  const { eligibleDeals, hiddenDealCount, eligibilityContext, showHiddenDeals } = useEligibleDeals(deals);
+  
   // Updated render item to match DailyDeals card style
   const renderDealItem = ({ item }) => {
     const daysRemaining = getDaysRemaining(item.endDate);
-    const isActive = daysRemaining >= 0;
+    const isActive = isDealActiveAt(item, new Date(), { ignoreTime: true });
+    const hasStarted = !item.startDate || new Date(item.startDate) <= new Date();
+    const dealHours = describeDealHours(item);
+    const eligibility = evaluateDealEligibility(item, eligibilityContext);
     
     // If showing active only and deal is inactive, don't render
     if (showActiveOnly && !isActive) return null;
     
     return (
-      <Card containerStyle={styles.dealCard}>
+      <Card containerStyle={[
+        styles.dealCard,
+        eligibility.status === EligibilityStatus.INELIGIBLE && styles.ineligibleDealCard
+      ]}>
         <TouchableOpacity
           style={styles.cardContent}
-          onPress={() => isActive ? createDirectJourney(item) : Alert.alert('Expired Deal', 'This deal has expired and is no longer valid.')}
+          onPress={() => isActive ? createDirectJourney(item) : hasStarted
+            ? Alert.alert('Expired Deal', 'This deal has expired and is no longer valid.')
+            : Alert.alert('Not Started Yet', `This deal starts ${formatDate(item.startDate)}.`)}
         >
           <View style={styles.dealInfo}>
             {/* Deal title and expiration */}
@@ -302,6 +313,12 @@ const SpecialDeals = ({ navigation }) => {
               <Text style={styles.discountText}>{item.discount}</Text>
             </View>
             
+            {/* Who the deal is for */}
+            <DealEligibilityNote eligibility={eligibility} />
+            
+            {/* What other users have reported */}
+            <DealVerificationNote deal={item} />
+            
             {/* Date range badge */}
             <View style={styles.dateRangeBadge}>
               <Icon name="date-range" type="material" size={14} color="#4CAF50" />
@@ -310,6 +327,14 @@ const SpecialDeals = ({ navigation }) => {
               </Text>
             </View>
             
+            {/* Time-of-day limit, e.g. happy hours */}
+            {dealHours && (
+              <View style={styles.dateRangeBadge}>
+                <Icon name="schedule" type="material" size={14} color="#4CAF50" />
+                <Text style={styles.dateRangeText}>{dealHours}</Text>
+              </View>
+            )}
+            
             {/* Days remaining tag */}
             {isActive ? (
               <View style={styles.daysRemainingTag}>
@@ -317,6 +342,10 @@ const SpecialDeals = ({ navigation }) => {
                   {daysRemaining === 0 ? 'Last day!' : `${daysRemaining} days left`}
                 </Text>
               </View>
+            ) : !hasStarted ? (
+              <View style={[styles.daysRemainingTag, { backgroundColor: '#2089dc' }]}>
+                <Text style={styles.daysRemainingText}>Starts {formatDate(item.startDate)}</Text>
+              </View>
             ) : (
               <View style={[styles.daysRemainingTag, { backgroundColor: '#F44336' }]}>
                 <Text style={styles.daysRemainingText}>Expired</Text>
@@ -393,10 +422,11 @@ const SpecialDeals = ({ navigation }) => {
           </View>
         ) : (
           <FlatList
-            data={deals}
+            data={eligibleDeals}
             renderItem={renderDealItem}
             keyExtractor={(item) => item.id}
             contentContainerStyle={styles.listContainer}
+            ListFooterComponent={<HiddenDealsNotice count={hiddenDealCount} onPress={showHiddenDeals} />}
             ListEmptyComponent={
               <View style={styles.emptyContainer}>
                 <Icon name="event-busy" type="material" size={64} color="#CCCCCC" />
@@ -497,6 +527,9 @@ const styles = StyleSheet.create({
     overflow: 'hidden',
     backgroundColor: '#FFFFFF',
   },
+  ineligibleDealCard: {
+    opacity: 0.6,
+  },
   cardContent: {
     padding: 10,
     backgroundColor: '#FFFFFF',
@@ -24,6 +24,10 @@ import redemptionService from '../../services/RedemptionService';
 import serviceProvider from '../../services/ServiceProvider';
 import vendorCacheService from '../../services/VendorCacheService';
 import { dealCacheService } from '../../services/DealCacheService';
+import locationService from '../../services/LocationService';
+import notificationService from '../../services/NotificationService';
+import { isSameDay } from '../../utils/DateUtils';
+import { JourneyTemplateMode, DealChangeType } from '../../types/Schema';
 
 const { width } = Dimensions.get('window');
 
@@ -55,15 +59,37 @@ const Dashboard = ({ navigation }) => {
   const [everydayDealCount, setEverydayDealCount] = useState(0);
   const [featuredVendor, setFeaturedVendor] = useState(null);
   
+  // Saved journey templates
+  const [journeyTemplates, setJourneyTemplates] = useState([]);
+  const [replayingTemplateId, setReplayingTemplateId] = useState(null);
+  const [scheduledJourneys, setScheduledJourneys] = useState([]);
+  const [startingScheduledId, setStartingScheduledId] = useState(null);
+  
+  // Deals added, edited or ended since the user's last visit
+  const [dealChanges, setDealChanges] = useState([]);
+  
   // Load data on component mount
   useEffect(() => {
     loadData();
     checkForActiveJourney();
     loadRecentVendors();
+    loadSavedJourneys();
+    loadDealChanges();
+    
+    // Journeys can be saved or scheduled from other screens, so reload them whenever we come back
+    const unsubscribeFocus = navigation.addListener('focus', loadSavedJourneys);
+    
+    // A background refresh may find new deals while the Dashboard is open
+    const unsubscribeDeals = dealCacheService.subscribe(loadDealChanges);
     
     // Check if deal cache is loaded
     console.log('Deal cache loaded:', dealCacheService.isCacheLoaded());
     console.log('Deal cache service:', dealCacheService);
+    
+    return () => {
+      unsubscribeFocus();
+      unsubscribeDeals();
+    };
   }, []);
   
   // Add debug logs for deal counts
@@ -195,7 +221,7 @@ const Dashboard = ({ navigation }) => {
             const birthdayDealsList = dealCacheService.getAllDeals({ type: 'birthday' });
             const today = getCurrentDayOfWeek();
             const dailyDealsList = dealCacheService.getAllDeals({ type: 'daily', day: today });
-            const specialDealsList = dealCacheService.getAllDeals({ type: 'special' });
+            const specialDealsList = dealCacheService.getDealsForDate('special', new Date());
             const everydayDealsList = dealCacheService.getAllDeals({ type: 'everyday' });
             
             // Log the counts for debugging
@@ -298,6 +324,248 @@ const Dashboard = ({ navigation }) => {
     setRefreshing(true);
     loadData();
     checkForActiveJourney();
+    loadSavedJourneys();
+  };
+  
+  // Load the user's saved and scheduled journeys
+  const loadSavedJourneys = async () => {
+    const [templates, scheduled] = await Promise.all([
+      serviceProvider.getJourneyTemplates(10),
+      serviceProvider.getScheduledJourneys().catch(error => {
+        Logger.error(LogCategory.JOURNEY, 'Error loading scheduled journeys', { error });
+        return null;
+      })
+    ]);
+    setJourneyTemplates(templates);
+    
+    // Keep showing the journeys we already had if they couldn't be reloaded
+    if (scheduled) {
+      setScheduledJourneys(scheduled);
+    }
+  };
+  
+  // Load what changed in the deals since the user's last visit
+  const loadDealChanges = async () => {
+    try {
+      setDealChanges(await dealCacheService.getChangesSinceLastVisit());
+    } catch (error) {
+      Logger.warn(LogCategory.DEALS, 'Error loading deal changes', { error });
+    }
+  };
+  
+  // Make a re-planned journey the active one
+  const startPlannedJourney = ({ vendors, route, journeyData }) => {
+    dispatch(AppActions.startJourney({
+      ...journeyData,
+      vendors: vendors.map(vendor => ({
+        ...vendor,
+        checkedIn: false,
+        checkInType: null
+      })),
+      currentVendorIndex: 0,
+      totalVendors: vendors.length,
+      isActive: true,
+      startTime: new Date().toISOString()
+    }));
+    dispatch(AppActions.updateRoute({
+      path: vendors,
+      coordinates: route.coordinates,
+      totalDistance: route.totalDistance,
+      estimatedTime: route.estimatedTime,
+      estimatedCost: route.estimatedCost || null
+    }));
+    routeService.saveRouteData(route);
+  };
+  
+  // Tell the user which saved stops were dropped when the journey was re-planned
+  const showLeftOutStops = (result) => {
+    const leftOut = [
+      ...result.noDealToday,
+      ...result.alreadyRedeemed,
+      ...result.closedVendors,
+      ...result.unavailable
+    ];
+    
+    if (leftOut.length > 0) {
+      Alert.alert(
+        'Some Stops Left Out',
+        `These stops don't have a deal for you right now: ${leftOut.join(', ')}`
+      );
+    }
+  };
+  
+  // Ask before a new journey replaces the one in progress
+  const confirmReplaceActiveJourney = (title, onConfirm) => {
+    if (!state.journey?.isActive) {
+      onConfirm();
+      return;
+    }
+    
+    Alert.alert(
+      'Replace Current Journey?',
+      'You already have a journey in progress. Starting this one will end it.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: title,
+          style: 'destructive',
+          onPress: async () => {
+            await routeService.clearCurrentJourney();
+            dispatch(AppActions.endJourney());
+            setActiveJourney(null);
+            onConfirm();
+          }
+        }
+      ]
+    );
+  };
+  
+  // Plan a saved journey again against today's deals and start it
+  const replayTemplate = async (template) => {
+    setReplayingTemplateId(template.id);
+    
+    try {
+      const currentLocation = state.user?.location || await locationService.getCurrentLocation();
+      const result = await routeService.replayTemplate(template, currentLocation);
+      
+      if (!result.success) {
+        Alert.alert(
+          'Journey Unavailable Today',
+          result.error || 'We couldn\'t plan this journey right now. Please try again later.'
+        );
+        return;
+      }
+      
+      startPlannedJourney(result);
+      
+      serviceProvider.markJourneyTemplateUsed(template.id).catch(error => {
+        Logger.warn(LogCategory.JOURNEY, 'Could not record journey template use', { error });
+      });
+      
+      Logger.info(LogCategory.JOURNEY, 'Started journey from template', {
+        templateId: template.id,
+        vendorCount: result.vendors.length
+      });
+      
+      navigation.navigate('RoutePreview');
+      
+      if (template.mode === JourneyTemplateMode.VENDORS) {
+        showLeftOutStops(result);
+      }
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error replaying journey template', { error, templateId: template.id });
+      Alert.alert('Error', 'Failed to start this journey. Please try again.');
+    } finally {
+      setReplayingTemplateId(null);
+    }
+  };
+  
+  const handleReplayTemplate = (template) => {
+    confirmReplaceActiveJourney('Start Saved Journey', () => replayTemplate(template));
+  };
+  
+  const handleDeleteTemplate = (template) => {
+    Alert.alert(
+      'Delete Saved Journey',
+      `Remove "${template.name}" from your saved journeys?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await serviceProvider.deleteJourneyTemplate(template.id);
+              setJourneyTemplates(current => current.filter(existing => existing.id !== template.id));
+            } catch (error) {
+              Logger.error(LogCategory.JOURNEY, 'Error deleting journey template', { error, templateId: template.id });
+              Alert.alert('Error', 'Failed to delete this journey. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Start a journey planned for today, checking its stops against today's deals first
+  const startScheduledJourney = async (journey) => {
+    setStartingScheduledId(journey.id);
+    
+    try {
+      const currentLocation = state.user?.location || await locationService.getCurrentLocation();
+      const result = await routeService.prepareScheduledJourney(journey, currentLocation);
+      
+      if (!result.success) {
+        Alert.alert(
+          'Journey Unavailable Today',
+          result.error || 'None of the planned stops have a deal for you right now.',
+          [
+            { text: 'Keep It', style: 'cancel' },
+            { text: 'Remove It', style: 'destructive', onPress: () => cancelScheduledJourney(journey) }
+          ]
+        );
+        return;
+      }
+      
+      // The plan becomes the active journey on the account; it's completed there when it
+      // ends here. If that fails the journey still runs, just on this device only.
+      const activated = await serviceProvider.activateScheduledJourney(journey.id, {
+        ...result.journeyData,
+        vendors: result.vendors,
+        totalDistance: result.route.totalDistance,
+        estimatedTime: result.route.estimatedTime
+      }).then(() => true, error => {
+        Logger.warn(LogCategory.JOURNEY, 'Could not mark scheduled journey as started', { error });
+        return false;
+      });
+      
+      // Keep the account journey's id so history doesn't list it twice
+      startPlannedJourney({
+        ...result,
+        journeyData: { ...result.journeyData, journeyId: activated ? journey.id : null }
+      });
+      setScheduledJourneys(current => current.filter(existing => existing.id !== journey.id));
+      notificationService.cancelScheduledNotification(journey.reminderId);
+      
+      Logger.info(LogCategory.JOURNEY, 'Started scheduled journey', {
+        journeyId: journey.id,
+        vendorCount: result.vendors.length
+      });
+      
+      navigation.navigate('RoutePreview');
+      showLeftOutStops(result);
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error starting scheduled journey', { error, journeyId: journey.id });
+      Alert.alert('Error', 'Failed to start this journey. Please try again.');
+    } finally {
+      setStartingScheduledId(null);
+    }
+  };
+  
+  const handleStartScheduledJourney = (journey) => {
+    confirmReplaceActiveJourney('Start Planned Journey', () => startScheduledJourney(journey));
+  };
+  
+  const cancelScheduledJourney = async (journey) => {
+    try {
+      await serviceProvider.cancelScheduledJourney(journey.id);
+      notificationService.cancelScheduledNotification(journey.reminderId);
+      setScheduledJourneys(current => current.filter(existing => existing.id !== journey.id));
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error cancelling scheduled journey', { error, journeyId: journey.id });
+      Alert.alert('Error', 'Failed to remove this journey. Please try again.');
+    }
+  };
+  
+  const handleCancelScheduledJourney = (journey) => {
+    Alert.alert(
+      'Remove Planned Journey',
+      'Remove this journey from your plans?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => cancelScheduledJourney(journey) }
+      ]
+    );
   };
   
   const navigateToDealType = (dealType) => {
@@ -363,6 +631,106 @@ const Dashboard = ({ navigation }) => {
     </TouchableOpacity>
   );
   
+  const renderScheduledJourney = ({ item }) => {
+    const scheduledFor = new Date(item.scheduledFor);
+    const isToday = isSameDay(scheduledFor, new Date());
+    const dealTypes = item.dealTypes?.length > 0 ? item.dealTypes : [item.dealType || 'daily'];
+    const time = scheduledFor.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    
+    return (
+      <TouchableOpacity
+        style={[styles.templateCard, isToday && styles.scheduledTodayCard]}
+        onPress={() => isToday && handleStartScheduledJourney(item)}
+        onLongPress={() => handleCancelScheduledJourney(item)}
+        disabled={startingScheduledId !== null}
+      >
+        <View style={styles.templateHeader}>
+          <Icon name="event" type="material" size={18} color="#4CAF50" />
+          <Text style={styles.templateName} numberOfLines={1}>
+            {isToday
+              ? `Today, ${time}`
+              : `${scheduledFor.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}, ${time}`}
+          </Text>
+        </View>
+        <Text style={styles.templateDetail}>
+          {dealTypes.map(type => type.charAt(0).toUpperCase() + type.slice(1)).join(' + ')}
+        </Text>
+        <Text style={styles.templateDetail}>
+          {item.vendors.length} planned {item.vendors.length === 1 ? 'stop' : 'stops'}
+        </Text>
+        {startingScheduledId === item.id ? (
+          <ActivityIndicator size="small" color="#4CAF50" style={styles.templateAction} />
+        ) : isToday ? (
+          <Text style={[styles.templateAction, styles.templateActionText]}>Start</Text>
+        ) : (
+          <Text style={[styles.templateAction, styles.templateDetail]}>Scheduled</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderJourneyTemplate = ({ item }) => {
+    const dealTypes = item.dealTypes?.length > 0 ? item.dealTypes : ['daily'];
+    const detail = item.mode === JourneyTemplateMode.VENDORS
+      ? `${item.vendors.length} saved ${item.vendors.length === 1 ? 'stop' : 'stops'}`
+      : `Up to ${item.maxVendors || 5} stops within ${item.maxDistance || 50} mi`;
+    
+    return (
+      <TouchableOpacity
+        style={styles.templateCard}
+        onPress={() => handleReplayTemplate(item)}
+        onLongPress={() => handleDeleteTemplate(item)}
+        disabled={replayingTemplateId !== null}
+      >
+        <View style={styles.templateHeader}>
+          <Icon
+            name={item.mode === JourneyTemplateMode.VENDORS ? 'bookmark' : 'tune'}
+            type="material"
+            size={18}
+            color="#4CAF50"
+          />
+          <Text style={styles.templateName} numberOfLines={1}>{item.name}</Text>
+        </View>
+        <Text style={styles.templateDetail}>
+          {dealTypes.map(type => type.charAt(0).toUpperCase() + type.slice(1)).join(' + ')}
+        </Text>
+        <Text style={styles.templateDetail}>{detail}</Text>
+        {replayingTemplateId === item.id ? (
+          <ActivityIndicator size="small" color="#4CAF50" style={styles.templateAction} />
+        ) : (
+          <Text style={[styles.templateAction, styles.templateActionText]}>Go Again</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderDealChange = ({ item }) => {
+    const vendorName = item.vendorName || vendorCacheService.getVendorById(item.vendorId)?.name;
+    const label = {
+      [DealChangeType.ADDED]: { text: 'New', icon: 'fiber-new', color: '#4CAF50' },
+      [DealChangeType.MODIFIED]: { text: 'Updated', icon: 'update', color: '#2196F3' },
+      [DealChangeType.REMOVED]: { text: 'Ended', icon: 'remove-circle-outline', color: '#999999' }
+    }[item.change];
+    
+    return (
+      <TouchableOpacity
+        style={[styles.templateCard, item.change === DealChangeType.REMOVED && styles.endedDealCard]}
+        onPress={() => item.vendorId && navigateToVendorProfile(item.vendorId)}
+      >
+        <View style={styles.templateHeader}>
+          <Icon name={label.icon} type="material" size={18} color={label.color} />
+          <Text style={[styles.dealChangeLabel, { color: label.color }]}>
+            {label.text}
+          </Text>
+        </View>
+        <Text style={styles.dealChangeTitle} numberOfLines={2}>{item.title}</Text>
+        {!!vendorName && (
+          <Text style={styles.templateDetail} numberOfLines={1}>{vendorName}</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+  
   // Placeholder for when there are no recent vendors
   const renderEmptyRecentVendors = () => (
     <View style={styles.emptyRecentVendors}>
@@ -444,6 +812,15 @@ const Dashboard = ({ navigation }) => {
         </View>
       </View>
       
+      {/* Search across deals, products and vendors */}
+      <TouchableOpacity
+        style={styles.searchButton}
+        onPress={() => navigation.navigate('Search')}
+      >
+        <Icon name="search" type="material" size={20} color="#888888" />
+        <Text style={styles.searchButtonText}>Search deals, products, vendors...</Text>
+      </TouchableOpacity>
+      
       {/* Activity Metrics Banner - showing redemption counts */}
       <View style={styles.activityBanner}>
         <View style={styles.activityBannerLeft}>
@@ -605,6 +982,62 @@ const Dashboard = ({ navigation }) => {
           </View>
         </View>
         
+        {/* Deals that changed since the last visit */}
+        {dealChanges.length > 0 && (
+          <View style={styles.sectionContainer}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>New Since Your Last Visit</Text>
+              <Text style={styles.sectionHint}>
+                {dealChanges.length} {dealChanges.length === 1 ? 'change' : 'changes'}
+              </Text>
+            </View>
+            <FlatList
+              data={dealChanges.slice(0, 10)}
+              renderItem={renderDealChange}
+              keyExtractor={item => `${item.change}:${item.key}`}
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.recentVendorsContainer}
+            />
+          </View>
+        )}
+        
+        {/* Planned Journeys */}
+        {scheduledJourneys.length > 0 && (
+          <View style={styles.sectionContainer}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Planned Journeys</Text>
+              <Text style={styles.sectionHint}>Hold to remove</Text>
+            </View>
+            <FlatList
+              data={scheduledJourneys}
+              renderItem={renderScheduledJourney}
+              keyExtractor={item => item.id}
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.recentVendorsContainer}
+            />
+          </View>
+        )}
+        
+        {/* Saved Journeys */}
+        {journeyTemplates.length > 0 && (
+          <View style={styles.sectionContainer}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Saved Journeys</Text>
+              <Text style={styles.sectionHint}>Hold to delete</Text>
+            </View>
+            <FlatList
+              data={journeyTemplates}
+              renderItem={renderJourneyTemplate}
+              keyExtractor={item => item.id}
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.recentVendorsContainer}
+            />
+          </View>
+        )}
+        
         {/* Recently Visited Vendors */}
         <View style={styles.sectionContainer}>
           <View style={styles.sectionHeader}>
@@ -740,6 +1173,23 @@ const styles = StyleSheet.create({
     color: '#4CAF50',
     marginLeft: 4,
   },
+  searchButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#EEEEEE',
+  },
+  searchButtonText: {
+    marginLeft: 8,
+    fontSize: 15,
+    color: '#888888',
+  },
   activityBanner: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -805,6 +1255,61 @@ const styles = StyleSheet.create({
     color: '#2196F3',
     fontSize: 14,
   },
+  sectionHint: {
+    color: '#999999',
+    fontSize: 12,
+  },
+  templateCard: {
+    width: 180,
+    marginRight: 12,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#C8E6C9',
+    backgroundColor: '#F1F8E9',
+  },
+  scheduledTodayCard: {
+    borderColor: '#4CAF50',
+    borderWidth: 2,
+  },
+  templateHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  templateName: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  templateDetail: {
+    fontSize: 12,
+    color: '#666666',
+  },
+  templateAction: {
+    marginTop: 8,
+    alignSelf: 'flex-start',
+  },
+  templateActionText: {
+    color: '#4CAF50',
+    fontWeight: 'bold',
+  },
+  endedDealCard: {
+    borderColor: '#EEEEEE',
+    backgroundColor: '#FAFAFA',
+  },
+  dealChangeLabel: {
+    marginLeft: 6,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  dealChangeTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333333',
+    marginBottom: 4,
+  },
   dealTypesContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
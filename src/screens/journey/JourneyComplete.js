@@ -19,6 +19,7 @@ import { useAppState, AppActions } from '../../context/AppStateContext';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Logger, LogCategory } from '../../services/LoggingService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import routeService from '../../services/RouteService';
 
 const JourneyComplete = ({ navigation, route }) => {
   const { state, dispatch } = useAppState();
@@ -45,7 +46,8 @@ const JourneyComplete = ({ navigation, route }) => {
         vendors: state.journey.vendors || [],
         currentVendorIndex: state.journey.currentVendorIndex || 0,
         totalVendors: state.journey.totalVendors || 0,
-        totalDistance: state.route.totalDistance || 0
+        totalDistance: state.route.totalDistance || 0,
+        actualDistance: state.journey.actualDistance || 0
       };
       
       setJourneyData(currentJourney);
@@ -71,6 +73,10 @@ const JourneyComplete = ({ navigation, route }) => {
   const totalVendors = journeyData?.totalVendors || state.journey.totalVendors || 0;
   const totalDistance = journeyData?.totalDistance || state.route.totalDistance || 0;
   
+  // Miles recorded by journey tracking; planned miles are shown when nothing was tracked
+  const actualDistance = journeyData?.actualDistance || state.journey.actualDistance || 0;
+  const hasActualDistance = actualDistance > 0;
+  
   // Calculate bonus points based on QR code usage
   const calculatePoints = () => {
     if (!journeyData) {
@@ -80,10 +86,11 @@ const JourneyComplete = ({ navigation, route }) => {
     // Get all vendors that were checked in
     const checkedInVendors = journeyData.vendors.filter(v => v.checkedIn);
     
-    // Calculate base points from individual check-ins
+    // Calculate base points from individual check-ins, once for each deal redeemed
     const checkinPoints = checkedInVendors.reduce((total, vendor) => {
       // 10 points for QR scan or non-QR vendor, 5 points for skipped QR
-      return total + (vendor.checkInType === 'qr_skipped' ? 5 : 10);
+      const pointsPerDeal = vendor.checkInType === 'qr_skipped' ? 5 : 10;
+      return total + pointsPerDeal * (vendor.dealTypes?.length || 1);
     }, 0);
     
     // Calculate QR compliance rate - what percentage of QR-enabled vendors were scanned
@@ -128,6 +135,26 @@ const JourneyComplete = ({ navigation, route }) => {
   // Estimated money saved (dummy value for now)
   const estimatedSavings = vendorsVisited.filter(v => v.checkedIn).length * 15; // Assume $15 savings per successful checkin
   
+  // Save the journey to local history so it can be reviewed and exported later
+  const recordJourneyHistory = () => {
+    routeService.addToJourneyHistory({
+      id: state.journey.journeyId || `local-${Date.now()}`,
+      dealType: journeyType,
+      dealTypes: state.journey.dealTypes?.length > 0 ? state.journey.dealTypes : [journeyType],
+      vendors: journeyData?.vendors || vendorsVisited,
+      totalVendors,
+      totalDistance,
+      actualDistance,
+      breadcrumb: state.journey.breadcrumb || [],
+      startLocation: state.journey.startLocation || null,
+      endLocation: state.journey.endLocation || null,
+      routeCoordinates: state.route.coordinates || [],
+      terminationType,
+      pointsEarned: pointsInfo.totalPoints,
+      completedAt: new Date().toISOString()
+    });
+  };
+  
   // Award points on component mount - only once
   useEffect(() => {
     // Only proceed if we have journey data and haven't awarded points yet
@@ -148,12 +175,15 @@ const JourneyComplete = ({ navigation, route }) => {
           checkedInCount: vendorsVisited.filter(v => v.checkedIn).length,
           totalVendors,
           totalDistance,
+          actualDistance,
           pointsEarned: pointsInfo.totalPoints
         }
       );
       
       // For successful journeys, immediately clear journey state
       if (isSuccess) {
+        recordJourneyHistory();
+        
         // Explicitly clear all journey-related data from storage
         AsyncStorage.multiRemove([
           'current_journey', 
@@ -171,6 +201,8 @@ const JourneyComplete = ({ navigation, route }) => {
   // Handle confirmation for early termination
   const handleConfirmTermination = async () => {
     try {
+      recordJourneyHistory();
+      
       // Clear stored journey data
       await AsyncStorage.multiRemove([
         'current_journey', 
@@ -254,9 +286,14 @@ const JourneyComplete = ({ navigation, route }) => {
                 <View style={styles.statItem}>
                   <View style={styles.statRow}>
                     <Icon name="route" type="material" color="#2196F3" size={28} />
-                    <Text style={styles.statValue}>{totalDistance.toFixed(1)}</Text>
+                    <Text style={styles.statValue}>
+                      {(hasActualDistance ? actualDistance : totalDistance).toFixed(1)}
+                    </Text>
                   </View>
                   <Text style={styles.statLabel}>Miles Traveled</Text>
+                  {hasActualDistance && (
+                    <Text style={styles.statSubLabel}>{totalDistance.toFixed(1)} planned</Text>
+                  )}
                 </View>
                 
                 <View style={styles.statItem}>
@@ -520,6 +557,11 @@ const styles = StyleSheet.create({
     marginLeft: 38, // Align with icon + value
     marginTop: 4,
   },
+  statSubLabel: {
+    fontSize: 13,
+    color: '#999999',
+    marginLeft: 38,
+  },
   divider: {
     marginVertical: 12,
   },
@@ -0,0 +1,303 @@
+// src/screens/journey/JourneyHistory.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Text, Button, Card, Icon, CheckBox } from '@rneui/themed';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Logger, LogCategory } from '../../services/LoggingService';
+import routeService from '../../services/RouteService';
+import serviceProvider from '../../services/ServiceProvider';
+import journeyExportService from '../../services/JourneyExportService';
+import { ExportFormat } from '../../utils/JourneyExportUtils';
+
+const FORMAT_OPTIONS = [
+  { value: ExportFormat.GPX, label: 'GPX' },
+  { value: ExportFormat.KML, label: 'KML' },
+  { value: ExportFormat.GEOJSON, label: 'GeoJSON' }
+];
+
+const getJourneyDate = (journey) => new Date(journey.completedAt || journey.createdAt || 0);
+
+/**
+ * JourneyHistory Component
+ *
+ * Lists past journeys from this device and the user's account,
+ * and exports the selected ones as GPX, KML or GeoJSON
+ */
+const JourneyHistory = ({ navigation }) => {
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [journeys, setJourneys] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [format, setFormat] = useState(ExportFormat.GPX);
+
+  useEffect(() => {
+    loadJourneys();
+  }, []);
+
+  const loadJourneys = async () => {
+    setIsLoading(true);
+
+    try {
+      // Local history has the recorded paths; the account has journeys from other devices
+      const [localHistory, accountJourneys] = await Promise.all([
+        routeService.getJourneyHistory(),
+        serviceProvider.getRecentJourneys(20).catch(error => {
+          Logger.warn(LogCategory.JOURNEY, 'Could not load account journeys', { error });
+          return [];
+        })
+      ]);
+
+      const local = localHistory.map((journey, index) => ({ ...journey, id: journey.id || `local-${index}` }));
+      // A journey in both keeps the local copy, which has the recorded path and route
+      const localIds = new Set(local.map(journey => journey.id));
+      const combined = [
+        ...local,
+        ...(accountJourneys || []).filter(journey => journey.vendors?.length > 0 && !localIds.has(journey.id))
+      ].sort((a, b) => getJourneyDate(b) - getJourneyDate(a));
+
+      setJourneys(combined);
+
+      Logger.info(LogCategory.JOURNEY, 'Loaded journey history', { count: combined.length });
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error loading journey history', { error });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleSelected = (journeyId) => {
+    setSelectedIds(current => current.includes(journeyId)
+      ? current.filter(id => id !== journeyId)
+      : [...current, journeyId]
+    );
+  };
+
+  const handleExport = async (journeysToExport) => {
+    setIsExporting(true);
+
+    try {
+      const { shared, fileUri } = await journeyExportService.exportJourneys(journeysToExport, format);
+
+      if (!shared) {
+        Alert.alert('Export Saved', `Sharing isn't available on this device. The file was saved to:\n${fileUri}`);
+      }
+    } catch (error) {
+      Alert.alert('Export Failed', 'We couldn\'t export your journeys. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExportSelected = () => {
+    const selected = selectedIds.length > 0
+      ? journeys.filter(journey => selectedIds.includes(journey.id))
+      : journeys;
+
+    handleExport(selected);
+  };
+
+  const renderJourney = ({ item }) => {
+    const date = getJourneyDate(item);
+    const checkedIn = (item.vendors || []).filter(vendor => vendor.checkedIn).length;
+    const dealTypes = item.dealTypes?.length > 0 ? item.dealTypes : [item.dealType || 'daily'];
+    const miles = item.actualDistance || item.totalDistance || 0;
+
+    return (
+      <Card containerStyle={styles.journeyCard}>
+        <View style={styles.journeyHeader}>
+          <CheckBox
+            checked={selectedIds.includes(item.id)}
+            onPress={() => toggleSelected(item.id)}
+            containerStyle={styles.checkbox}
+          />
+          <View style={styles.journeyInfo}>
+            <Text style={styles.journeyTitle}>
+              {dealTypes.map(type => type.charAt(0).toUpperCase() + type.slice(1)).join(' + ')} Journey
+            </Text>
+            <Text style={styles.journeyDate}>
+              {date.getTime() > 0 ? date.toLocaleDateString() : 'Date unknown'}
+            </Text>
+            <Text style={styles.journeyStats}>
+              {checkedIn}/{item.vendors?.length || 0} stops • {miles.toFixed(1)} mi
+              {item.breadcrumb?.length > 1 ? ' • path recorded' : ''}
+            </Text>
+          </View>
+          <TouchableOpacity
+            onPress={() => handleExport([item])}
+            disabled={isExporting}
+            style={styles.shareButton}
+          >
+            <Icon name="share" type="material" color="#4CAF50" />
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.stopList} numberOfLines={2}>
+          {(item.vendors || []).map(vendor => vendor.name).join(' → ')}
+        </Text>
+      </Card>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <View style={styles.formatRow}>
+        <Text style={styles.formatLabel}>Export as</Text>
+        {FORMAT_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.formatOption, format === option.value && styles.formatOptionSelected]}
+            onPress={() => setFormat(option.value)}
+          >
+            <Text style={[styles.formatText, format === option.value && styles.formatTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {isLoading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#4CAF50" />
+        </View>
+      ) : journeys.length === 0 ? (
+        <View style={styles.centered}>
+          <Icon name="route" type="material" color="#BDBDBD" size={48} />
+          <Text style={styles.emptyText}>No past journeys yet</Text>
+          <Button
+            title="Plan a Journey"
+            type="clear"
+            onPress={() => navigation.navigate('MainTabs')}
+          />
+        </View>
+      ) : (
+        <>
+          <FlatList
+            data={journeys}
+            keyExtractor={item => item.id}
+            renderItem={renderJourney}
+            contentContainerStyle={styles.list}
+          />
+          <Button
+            title={selectedIds.length > 0
+              ? `Export ${selectedIds.length} Selected`
+              : 'Export All'}
+            icon={{ name: 'file-download', type: 'material', color: 'white', size: 20 }}
+            onPress={handleExportSelected}
+            loading={isExporting}
+            buttonStyle={styles.exportButton}
+            containerStyle={styles.exportButtonContainer}
+          />
+        </>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  formatRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  formatLabel: {
+    fontSize: 14,
+    color: '#666666',
+    marginRight: 8,
+  },
+  formatOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    marginRight: 8,
+  },
+  formatOptionSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  formatText: {
+    fontSize: 13,
+    color: '#4CAF50',
+  },
+  formatTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+  },
+  list: {
+    paddingBottom: 16,
+  },
+  journeyCard: {
+    borderRadius: 8,
+    padding: 12,
+  },
+  journeyHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  checkbox: {
+    padding: 0,
+    margin: 0,
+    marginRight: 8,
+    backgroundColor: 'transparent',
+    borderWidth: 0,
+  },
+  journeyInfo: {
+    flex: 1,
+  },
+  journeyTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  journeyDate: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+  journeyStats: {
+    fontSize: 13,
+    color: '#4CAF50',
+    marginTop: 2,
+  },
+  shareButton: {
+    padding: 8,
+  },
+  stopList: {
+    fontSize: 13,
+    color: '#757575',
+    marginTop: 8,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#757575',
+    marginVertical: 12,
+  },
+  exportButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 8,
+    paddingVertical: 12,
+  },
+  exportButtonContainer: {
+    margin: 16,
+  },
+});
+
+export default JourneyHistory;
@@ -1,5 +1,5 @@
 // src/screens/navigation/RouteMapView.js
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   View, 
   StyleSheet, 
@@ -21,9 +21,18 @@ import AdLoadingScreen from '../../components/AdLoadingScreen';
 import env from '../../config/env';
 import locationService from '../../services/LocationService';
 import routeService from '../../services/RouteService';
+import journeyTrackingService from '../../services/JourneyTrackingService';
+import vendorCacheService from '../../services/VendorCacheService';
+import { dealCacheService } from '../../services/DealCacheService';
+import { formatStopTime, hasLowSlack } from '../../utils/ScheduleUtils';
+import { getEligibilityContext } from '../../utils/DealEligibility';
+import { describeDealCombo } from '../../utils/DealStacking';
 
 const { width, height } = Dimensions.get('window');
 
+// Minimum time between automatic re-plans when the user leaves the route
+const REPLAN_COOLDOWN_MS = 5 * 60 * 1000;
+
 /**
  * RouteMapView Component
  * 
@@ -36,16 +45,39 @@ const RouteMapView = ({ navigation }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [errorMsg, setErrorMsg] = useState(null);
   const [routeCoordinates, setRouteCoordinates] = useState([]);
+  const [roadGeometry, setRoadGeometry] = useState([]);
+  const [legDurations, setLegDurations] = useState({});
   const [isAdVisible, setIsAdVisible] = useState(true);
+  const [progress, setProgress] = useState(null);
   const mapRef = useRef(null);
-  const locationSubscription = useRef(null);
+  const lastReplanAtRef = useRef(0);
+  const journeyRef = useRef(state.journey);
+  journeyRef.current = state.journey;
 
   // Get journey vendors from state
-  const { vendors = [], currentVendorIndex = 0 } = state.journey || {};
+  const { vendors = [], currentVendorIndex = 0, endLocation = null } = state.journey || {};
   const currentVendor = vendors && vendors.length > 0 && currentVendorIndex >= 0 && currentVendorIndex < vendors.length 
     ? vendors[currentVendorIndex] 
     : null;
   
+  // Best combination of deals at each stop, for the time the user gets there.
+  // Birthday deals only count on a birthday journey.
+  const dealCombos = useMemo(() => {
+    const eligibilityContext = getEligibilityContext(state.user);
+    const includeBirthday = (state.journey?.dealTypes || []).includes('birthday');
+
+    return vendors.map(stop => {
+      if (!stop) return null;
+
+      const vendor = vendorCacheService.getVendorById(stop.id) || stop;
+      return dealCacheService.getBestDealComboForVendor(vendor, {
+        date: stop.eta ? new Date(stop.eta) : new Date(),
+        eligibilityContext,
+        includeBirthday
+      });
+    });
+  }, [vendors, state.journey?.dealTypes, state.user]);
+  
   // Determine if this is the last vendor in the journey
   const isLastVendor = state.journey && state.journey.vendors && 
     state.journey.currentVendorIndex === state.journey.vendors.length - 1;
@@ -77,9 +109,12 @@ const RouteMapView = ({ navigation }) => {
             { latitude: initialLocation.coords.latitude, longitude: initialLocation.coords.longitude }
           ];
           
+          // Vendor index reached by each leg, in route order
+          const legVendorIndices = [];
+          
           // Add all vendor coordinates to the route with defensive checks
           if (vendors && Array.isArray(vendors)) {
-            vendors.forEach(vendor => {
+            vendors.forEach((vendor, vendorIndex) => {
               if (vendor && vendor.location && vendor.location.coordinates && 
                   typeof vendor.location.coordinates.latitude === 'number' && 
                   typeof vendor.location.coordinates.longitude === 'number') {
@@ -87,6 +122,7 @@ const RouteMapView = ({ navigation }) => {
                   latitude: vendor.location.coordinates.latitude,
                   longitude: vendor.location.coordinates.longitude
                 });
+                legVendorIndices.push(vendorIndex);
               } else {
                 Logger.warn(LogCategory.NAVIGATION, 'Vendor missing valid coordinates', { 
                   vendorId: vendor?.id || 'unknown' 
@@ -95,7 +131,16 @@ const RouteMapView = ({ navigation }) => {
             });
           }
           
+          // Finish with the leg to the journey's end point, if it has one
+          if (endLocation) {
+            coordinates.push({
+              latitude: endLocation.latitude,
+              longitude: endLocation.longitude
+            });
+          }
+          
           setRouteCoordinates(coordinates);
+          journeyTrackingService.setPlannedPath(coordinates);
           
           // Fit map to show the entire route
           if (mapRef.current) {
@@ -109,31 +154,31 @@ const RouteMapView = ({ navigation }) => {
           }
           
           setIsLoading(false);
-        }
-        
-        // Start watching position for real-time updates
-        locationSubscription.current = await Location.watchPositionAsync(
-          {
-            accuracy: Location.Accuracy.High,
-            distanceInterval: 10, // Update every 10 meters
-            timeInterval: 10000, // Or every 10 seconds
-          },
-          (location) => {
-            if (isMounted) {
-              setUserLocation(location.coords);
+          
+          // Ask the directions provider for road geometry and leg durations
+          if (coordinates.length > 1) {
+            try {
+              const directions = await routeService.getDirections(coordinates);
               
-              // Update first coordinate in the route (user's location)
-              if (routeCoordinates.length > 0) {
-                const newCoordinates = [...routeCoordinates];
-                newCoordinates[0] = {
-                  latitude: location.coords.latitude,
-                  longitude: location.coords.longitude
-                };
-                setRouteCoordinates(newCoordinates);
+              if (isMounted) {
+                const durations = {};
+                legVendorIndices.forEach((vendorIndex, legIndex) => {
+                  if (directions.legs[legIndex]) {
+                    durations[vendorIndex] = directions.legs[legIndex].duration;
+                  }
+                });
+                
+                setRoadGeometry(directions.coordinates);
+                setLegDurations(durations);
+                journeyTrackingService.setPlannedPath(directions.coordinates);
               }
+            } catch (error) {
+              Logger.warn(LogCategory.NAVIGATION, 'Could not load road directions for route', { 
+                error: error.message 
+              });
             }
           }
-        );
+        }
       } catch (error) {
         if (isMounted) {
           Logger.error(LogCategory.NAVIGATION, 'Error initializing map', { error });
@@ -151,11 +196,76 @@ const RouteMapView = ({ navigation }) => {
     // Cleanup function
     return () => {
       isMounted = false;
-      if (locationSubscription.current) {
-        locationSubscription.current.remove();
-      }
     };
-  }, [vendors, isAdVisible]);
+  }, [vendors, endLocation, isAdVisible]);
+
+  // Follow the journey for live progress; tracking keeps running until the journey ends
+  useEffect(() => {
+    if (!state.journey?.isActive) return;
+    
+    journeyTrackingService.start(state.journey);
+    
+    const unsubscribe = journeyTrackingService.subscribe((update) => {
+      setProgress(update);
+      setUserLocation(update.location);
+      
+      // Keep the first route coordinate on the user's location
+      setRouteCoordinates(current => current.length > 0
+        ? [update.location, ...current.slice(1)]
+        : current
+      );
+      
+      const { breadcrumb, actualDistance } = journeyTrackingService.getBreadcrumb();
+      dispatch(AppActions.recordJourneyProgress(breadcrumb, actualDistance));
+      
+      if (update.isOffRoute) {
+        replanFromDeviation(update.location);
+      }
+    });
+    
+    return unsubscribe;
+  }, [state.journey?.isActive]);
+
+  // Keep the tracker on the latest stop order and current stop
+  useEffect(() => {
+    if (state.journey?.isActive) {
+      journeyTrackingService.setJourney(state.journey);
+    }
+  }, [vendors, currentVendorIndex, endLocation]);
+
+  // Put a re-planned stop order into app state
+  const applyReplan = ({ vendors: replannedVendors, currentVendorIndex: replannedIndex, route }) => {
+    dispatch(AppActions.replanJourney(replannedVendors, replannedIndex));
+    
+    // No route comes back once every stop is done or skipped
+    if (route) {
+      dispatch(AppActions.updateRoute({
+        coordinates: route.coordinates,
+        totalDistance: route.totalDistance,
+        estimatedTime: route.estimatedTime,
+        estimatedCost: route.estimatedCost || null
+      }));
+    }
+  };
+
+  // Re-plan the remaining stops when the user has wandered off the planned path
+  const replanFromDeviation = async (location) => {
+    const journey = journeyRef.current;
+    
+    if (!journey || journey.currentVendorIndex >= journey.vendors.length ||
+        Date.now() - lastReplanAtRef.current < REPLAN_COOLDOWN_MS) {
+      return;
+    }
+    
+    lastReplanAtRef.current = Date.now();
+    
+    try {
+      Logger.info(LogCategory.NAVIGATION, 'User left the planned route, re-planning');
+      applyReplan(await routeService.replanJourney(journey, location));
+    } catch (error) {
+      Logger.error(LogCategory.NAVIGATION, 'Error re-planning after deviation', { error });
+    }
+  };
 
   // Calculate total journey distance
   const calculateTotalDistance = () => {
@@ -225,30 +335,81 @@ const RouteMapView = ({ navigation }) => {
     });
   };
 
-  // Add the handleSkipVendor function
-  const handleSkipVendor = async () => {
+  // Ask whether to look for a vendor with the same deal before skipping
+  const confirmSkipVendor = () => {
+    Alert.alert(
+      'Skip This Stop',
+      'Want us to look for another open vendor with the same deal?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Just Skip', onPress: () => handleSkipVendor(false) },
+        { text: 'Find Replacement', onPress: () => handleSkipVendor(true) }
+      ]
+    );
+  };
+
+  // Skip the current stop and re-plan the rest from here
+  const handleSkipVendor = async (findReplacement) => {
     try {
-      // Skip the current vendor
-      await dispatch(AppActions.skipVendor());
+      const location = userLocation
+        ? { latitude: userLocation.latitude, longitude: userLocation.longitude }
+        : await locationService.getCurrentLocation();
+      const result = await routeService.skipAndReplan(state.journey, location, { findReplacement });
+      applyReplan(result);
+      lastReplanAtRef.current = Date.now();
       
       // Check if there are still vendors left in the journey
-      if (state.journey.vendors.length === 0 || 
-          state.journey.currentVendorIndex >= state.journey.vendors.length) {
+      if (result.currentVendorIndex >= result.vendors.length) {
         // No vendors left, complete the journey
         navigation.navigate('JourneyComplete', { 
           terminationType: "success" 
         });
         
         Logger.info(LogCategory.JOURNEY, 'Completed journey after skipping last vendor');
-      } else {
-        // There are more vendors, refresh the route view to show the next vendor
+        return;
+      }
+      
+      Logger.info(LogCategory.JOURNEY, 'Skipped to next vendor', {
+        skippedVendorName: result.skippedVendor?.name,
+        remainingVendorCount: result.vendors.length - result.currentVendorIndex
+      });
+      
+      if (!result.replacement) {
+        if (findReplacement) {
+          Alert.alert('No Replacement Found', 'No other open vendor nearby has this deal right now.');
+        }
         navigation.replace('RouteMapView');
-        
-        Logger.info(LogCategory.JOURNEY, 'Skipped to next vendor', {
-          skippedVendorName: currentVendor?.name,
-          remainingVendorCount: state.journey.vendors.length - state.journey.currentVendorIndex
-        });
+        return;
       }
+      
+      // Offer a vendor with the same deal in place of the skipped one
+      Alert.alert(
+        'Replacement Available',
+        `${result.replacement.name} also has this deal and is ${result.replacement.distance.toFixed(1)} miles away. Add it to your journey?`,
+        [
+          {
+            text: 'No Thanks',
+            style: 'cancel',
+            onPress: () => navigation.replace('RouteMapView')
+          },
+          {
+            text: 'Add Stop',
+            onPress: async () => {
+              try {
+                const updated = await routeService.replanJourney(
+                  { ...state.journey, vendors: result.vendors, currentVendorIndex: result.currentVendorIndex },
+                  location,
+                  { addVendors: [result.replacement] }
+                );
+                applyReplan(updated);
+              } catch (error) {
+                Logger.error(LogCategory.JOURNEY, 'Error adding replacement vendor', { error });
+              }
+              navigation.replace('RouteMapView');
+            }
+          }
+        ]
+      );
     } catch (error) {
       Logger.error(LogCategory.JOURNEY, 'Error skipping vendor', { error });
       Alert.alert('Error', 'Failed to skip this stop. Please try again.');
@@ -280,6 +441,8 @@ const RouteMapView = ({ navigation }) => {
   const renderVendorItem = ({ item, index }) => {
     if (!item) return null;
     
+    const dealCombo = dealCombos[index];
+    
     return (
       <ListItem
         containerStyle={[
@@ -298,6 +461,39 @@ const RouteMapView = ({ navigation }) => {
               <ListItem.Subtitle style={styles.vendorAddress}>
                 {item.location?.address || 'Address unavailable'}
               </ListItem.Subtitle>
+              {index === currentVendorIndex && progress?.distanceToCurrentStop != null && (
+                <Text style={styles.liveDistance}>
+                  {progress.distanceToCurrentStop.toFixed(1)} mi to go
+                </Text>
+              )}
+              {legDurations[index] !== undefined && (
+                <Text style={styles.legDuration}>
+                  {legDurations[index]} min {index === 0 ? 'from your location' : 'from previous stop'}
+                </Text>
+              )}
+              {item.eta && (
+                <View style={styles.vendorEtaRow}>
+                  <Text style={styles.vendorEta}>
+                    ETA {formatStopTime(item.eta)}
+                    {item.closesAt ? ` • Closes ${formatStopTime(item.closesAt)}` : ''}
+                  </Text>
+                  {hasLowSlack(item) && (
+                    <View style={styles.slackBadge}>
+                      <Icon name="warning" type="material" color="#FFA000" size={14} />
+                      <Text style={styles.slackBadgeText}>{item.slackMinutes} min slack</Text>
+                    </View>
+                  )}
+                </View>
+              )}
+              {dealCombo && dealCombo.deals.length > 0 && (
+                <View style={styles.dealComboRow}>
+                  <Icon name="local-offer" type="material" color="#4CAF50" size={14} />
+                  <Text style={styles.dealComboText} numberOfLines={2}>
+                    Best combo: {describeDealCombo(dealCombo)}
+                    {dealCombo.totalSavings > 0 ? ` (~$${dealCombo.totalSavings.toFixed(2)})` : ''}
+                  </Text>
+                </View>
+              )}
             </View>
           </View>
         </ListItem.Content>
@@ -355,19 +551,26 @@ const RouteMapView = ({ navigation }) => {
           </View>
           <View style={styles.headerStat}>
             <Text style={styles.headerStatValue}>
-              {calculateTotalDistance().toFixed(1)}
+              {(progress ? progress.remainingDistance : calculateTotalDistance()).toFixed(1)}
             </Text>
-            <Text style={styles.headerStatLabel}>Miles</Text>
+            <Text style={styles.headerStatLabel}>{progress ? 'Miles Left' : 'Miles'}</Text>
           </View>
           <View style={styles.headerStat}>
             <Text style={styles.headerStatValue}>
-              {Math.round(calculateTotalDistance() * 3)}
+              {state.route?.estimatedTime || Math.round(calculateTotalDistance() * 3)}
             </Text>
             <Text style={styles.headerStatLabel}>Minutes</Text>
           </View>
         </View>
       </View>
       
+      {progress?.isOffRoute && (
+        <View style={styles.offRouteBanner}>
+          <Icon name="wrong-location" type="material" color="#E65100" size={18} />
+          <Text style={styles.offRouteText}>You're off the planned route. Updating your stops...</Text>
+        </View>
+      )}
+      
       <View style={styles.content}>
         <View style={styles.mapContainer}>
           {isLoading ? (
@@ -412,14 +615,44 @@ const RouteMapView = ({ navigation }) => {
                 ) : null
               ))}
               
+              {/* Journey end point */}
+              {endLocation && (
+                <Marker
+                  key="journey-end"
+                  coordinate={{
+                    latitude: endLocation.latitude,
+                    longitude: endLocation.longitude,
+                  }}
+                  title={endLocation.label || 'Journey End'}
+                  description="Final destination"
+                  pinColor="#2089dc"
+                />
+              )}
+              
               {/* Route line */}
-              {routeCoordinates && Array.isArray(routeCoordinates) && routeCoordinates.length > 1 && (
+              {roadGeometry.length > 1 ? (
+                <Polyline
+                  coordinates={roadGeometry}
+                  strokeWidth={4}
+                  strokeColor="#4CAF50"
+                />
+              ) : routeCoordinates && Array.isArray(routeCoordinates) && routeCoordinates.length > 1 && (
                 <Polyline
                   coordinates={routeCoordinates}
                   strokeWidth={3}
                   strokeColor="#4CAF50"
                 />
               )}
+              
+              {/* Path actually travelled so far */}
+              {state.journey?.breadcrumb?.length > 1 && (
+                <Polyline
+                  coordinates={state.journey.breadcrumb}
+                  strokeWidth={3}
+                  strokeColor="#2196F3"
+                  lineDashPattern={[6, 4]}
+                />
+              )}
             </MapView>
           )}
           
@@ -487,7 +720,7 @@ const RouteMapView = ({ navigation }) => {
                   size: 20,
                   color: "white"
                 }}
-                onPress={handleSkipVendor}
+                onPress={confirmSkipVendor}
                 buttonStyle={styles.continueButton}
                 containerStyle={styles.continueButtonContainer}
               />
@@ -649,6 +882,63 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#666',
   },
+  legDuration: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  liveDistance: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+    marginTop: 2,
+  },
+  dealComboRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  dealComboText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#2E7D32',
+    marginLeft: 4,
+  },
+  offRouteBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  offRouteText: {
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#E65100',
+  },
+  vendorEtaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  vendorEta: {
+    fontSize: 12,
+    color: '#2089dc',
+  },
+  slackBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 10,
+    backgroundColor: '#FFF8E1',
+  },
+  slackBadgeText: {
+    fontSize: 11,
+    color: '#8D6E00',
+    marginLeft: 2,
+  },
   imHereButton: {
     backgroundColor: '#4CAF50',
     paddingHorizontal: 12,
@@ -1,17 +1,32 @@
 // src/screens/navigation/RoutePreview.js
 import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { View, StyleSheet, ScrollView, Alert, Share } from 'react-native';
 import { Text, Button, Card, Icon, Divider } from '@rneui/themed';
 import { useAppState, AppActions } from '../../context/AppStateContext';
 import { getDayOfWeek } from '../../utils/DateUtils';
 import { dealCacheService } from '../../services/DealCacheService';
 import { Logger, LogCategory } from '../../services/LoggingService';
 import DealRepository from '../../repositories/DealRepository';
+import { formatStopTime, hasLowSlack } from '../../utils/ScheduleUtils';
+import { isDealActiveAt, getEmbeddedDeals, describeDealHours } from '../../utils/DealAvailability';
+import {
+  DEFAULT_TRAVEL_MODE,
+  getTravelProfile,
+  estimateLegMinutes,
+  estimateLegCost
+} from '../../utils/TravelModeUtils';
+import routeService from '../../services/RouteService';
+import locationService from '../../services/LocationService';
+import SharedJourneyPreview from '../../components/SharedJourneyPreview';
+import SaveJourneyTemplateModal from '../../components/SaveJourneyTemplateModal';
+import { buildJourneyLink } from '../../utils/JourneyLinkUtils';
 
-const RoutePreview = ({ navigation }) => {
+const RoutePreview = ({ navigation, route }) => {
   const { state, dispatch } = useAppState();
   const [isLoading, setIsLoading] = useState(false);
   const [relevantDeals, setRelevantDeals] = useState([]);
+  const [isReplanning, setIsReplanning] = useState(false);
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
   const journeyType = state.journey?.dealType || 'daily';
   const dealRepository = DealRepository;
 
@@ -23,10 +38,21 @@ const RoutePreview = ({ navigation }) => {
     ? state.journey.vendors[state.journey.currentVendorIndex] 
     : null;
     
+  // Deal types this stop is being visited for (several on mixed journeys)
+  const stopDealTypes = currentVendor?.dealTypes?.length > 0 ? currentVendor.dealTypes : [journeyType];
+  const isMixedStop = stopDealTypes.length > 1;
+    
   const isLastVendor = state.journey && 
     state.journey.vendors && 
     state.journey.currentVendorIndex === state.journey.vendors.length - 1;
 
+  // How the user is getting to this stop, and what the leg takes (and costs by rideshare)
+  const travelMode = state.journey?.travelMode || DEFAULT_TRAVEL_MODE;
+  const travelProfile = getTravelProfile(travelMode);
+  const hasLegDistance = currentVendor?.distance !== undefined && currentVendor?.distance !== null;
+  const legMinutes = hasLegDistance ? Math.round(estimateLegMinutes(currentVendor.distance, travelMode)) : null;
+  const legCost = hasLegDistance ? estimateLegCost(currentVendor.distance, travelMode) : null;
+
   // Load deals for the current vendor on component mount or when vendor changes
   useEffect(() => {
     if (currentVendor) {
@@ -34,6 +60,11 @@ const RoutePreview = ({ navigation }) => {
     }
   }, [currentVendor, journeyType]);
 
+  // Human-readable name for a deal type
+  const formatDealType = (dealType) => {
+    return dealType.charAt(0).toUpperCase() + dealType.slice(1).replace('_', ' ');
+  };
+
   // Helper function to normalize deal objects for consistent display
   const normalizeDealObjects = (dealsArray) => {
     if (!dealsArray || !Array.isArray(dealsArray)) {
@@ -47,7 +78,8 @@ const RoutePreview = ({ navigation }) => {
           description: deal,
           title: deal,
           discount: '',
-          restrictions: []
+          restrictions: [],
+          hours: describeDealHours({ title: deal })
         };
       }
       
@@ -56,12 +88,51 @@ const RoutePreview = ({ navigation }) => {
         title: deal.title || deal.description || 'Deal Available',
         description: deal.description || deal.title || 'Deal Available',
         discount: deal.discount || '',
-        restrictions: Array.isArray(deal.restrictions) ? deal.restrictions : []
+        restrictions: Array.isArray(deal.restrictions) ? deal.restrictions : [],
+        hours: describeDealHours(deal)
       };
     });
   };
 
-  // Load relevant deals based on journey type
+  // Get a vendor's deals of one type that run today, from the deal cache or the vendor object itself
+  const getDealsForType = (vendor, dealType, today) => {
+    const now = new Date();
+    
+    // Daily stops also pick up multi-day and everyday deals
+    const types = ['birthday', 'special', 'everyday'].includes(dealType)
+      ? [dealType]
+      : ['daily', 'multi_day', 'everyday'];
+    
+    // APPROACH 1: First try to get deals from the deal cache service
+    let deals = types.flatMap(type => 
+      dealCacheService.getVendorDealsActiveAt(vendor.id, now, { type, ignoreTime: true }));
+    
+    // Log what we found in the cache
+    Logger.info(LogCategory.DEALS, 'Deals from cache service', {
+      dealsFound: deals.length,
+      dealType,
+      day: today
+    });
+    
+    // APPROACH 2: If no deals found in cache, try to extract directly from vendor object
+    if (deals.length === 0 && vendor.deals) {
+      Logger.info(LogCategory.DEALS, 'Getting deals directly from vendor object', {
+        vendorId: vendor.id,
+        dealTypes: Object.keys(vendor.deals)
+      });
+      
+      deals = types.flatMap(type => getEmbeddedDeals(vendor, type))
+        .filter(deal => isDealActiveAt(deal, now, { ignoreTime: true }));
+      
+      Logger.info(LogCategory.DEALS, 'Deals from vendor object', {
+        dealsFound: deals.length
+      });
+    }
+    
+    return deals;
+  };
+
+  // Load the deals this stop is being visited for
   const loadRelevantDeals = async (vendor) => {
     if (!vendor || !vendor.id) {
       setRelevantDeals([]);
@@ -70,128 +141,22 @@ const RoutePreview = ({ navigation }) => {
 
     try {
       setIsLoading(true);
-      let deals = [];
       const today = getDayOfWeek();
       
       // Log the vendor object to help us debug
       Logger.info(LogCategory.DEALS, 'Loading deals for vendor', {
         vendorId: vendor.id,
         vendorName: vendor.name,
-        journeyType,
+        stopDealTypes,
         currentDay: today,
         hasDealsProperty: !!vendor.deals
       });
       
-      // APPROACH 1: First try to get deals from the deal cache service
-      switch (journeyType) {
-        case 'birthday':
-          deals = dealCacheService.getBirthdayDealsForVendor(vendor);
-          break;
-        case 'special':
-          deals = dealCacheService.getSpecialDealsForVendor(vendor);
-          // Filter for only active special deals
-          if (deals && deals.length > 0) {
-            deals = deals.filter(deal => {
-              if (!deal.endDate) return true; // No end date means it's always active
-              const endDate = new Date(deal.endDate);
-              const now = new Date();
-              return endDate >= now;
-            });
-          }
-          break;
-        case 'daily':
-        default:
-          // Get today's daily deals
-          const dailyDeals = dealCacheService.getDailyDealsForVendor(vendor, today);
-          
-          // Get multi-day deals that are active today
-          const multiDayDeals = dealCacheService.getMultiDayDealsForVendor(vendor, today);
-          
-          // Get everyday deals as fallback
-          const everydayDeals = dealCacheService.getEverydayDealsForVendor(vendor);
-          
-          // Combine all deal types
-          deals = [...dailyDeals, ...multiDayDeals, ...everydayDeals];
-          break;
-      }
-      
-      // Log what we found in the cache
-      Logger.info(LogCategory.DEALS, 'Deals from cache service', {
-        dealsFound: deals.length,
-        journeyType: journeyType,
-        day: today
-      });
-      
-      // APPROACH 2: If no deals found in cache, try to extract directly from vendor object
-      if (deals.length === 0 && vendor.deals) {
-        Logger.info(LogCategory.DEALS, 'Getting deals directly from vendor object', {
-          vendorId: vendor.id,
-          dealTypes: Object.keys(vendor.deals)
-        });
-        
-        if (journeyType === 'birthday' && vendor.deals.birthday) {
-          // Handle birthday deals
-          deals = Array.isArray(vendor.deals.birthday) 
-            ? vendor.deals.birthday
-            : [vendor.deals.birthday].filter(Boolean);
-        } 
-        else if (journeyType === 'daily' && (vendor.deals.daily || vendor.deals.multiDay || vendor.deals.everyday)) {
-          // Handle daily deals - combine daily, multi_day, and everyday deals
-          let todayDeals = [];
-          
-          // Extract today's specific deals
-          if (vendor.deals.daily && vendor.deals.daily[today]) {
-            todayDeals = Array.isArray(vendor.deals.daily[today])
-              ? vendor.deals.daily[today]
-              : [vendor.deals.daily[today]].filter(Boolean);
-          }
-          
-          // Extract multi-day deals for today
-          let multiDayDeals = [];
-          if (vendor.deals.multiDay) {
-            const multiDayArray = Array.isArray(vendor.deals.multiDay) 
-              ? vendor.deals.multiDay 
-              : [vendor.deals.multiDay].filter(Boolean);
-            
-            multiDayDeals = multiDayArray.filter(deal => 
-              deal.days && Array.isArray(deal.days) && deal.days.includes(today)
-            );
-          }
-          
-          // Also get everyday deals
-          let everydayDeals = [];
-          if (vendor.deals.everyday) {
-            everydayDeals = Array.isArray(vendor.deals.everyday)
-              ? vendor.deals.everyday
-              : [vendor.deals.everyday].filter(Boolean);
-          }
-          
-          deals = [...todayDeals, ...multiDayDeals, ...everydayDeals];
-        }
-        else if (journeyType === 'special' && vendor.deals.special) {
-          // Handle special deals
-          let specialDeals = Array.isArray(vendor.deals.special)
-            ? vendor.deals.special
-            : [vendor.deals.special].filter(Boolean);
-            
-          // Filter for only active special deals
-          specialDeals = specialDeals.filter(deal => {
-            if (!deal.endDate) return true; // No end date means it's always active
-            const endDate = new Date(deal.endDate);
-            const now = new Date();
-            return endDate >= now;
-          });
-          
-          deals = specialDeals;
-        }
-        
-        Logger.info(LogCategory.DEALS, 'Deals from vendor object', {
-          dealsFound: deals.length
-        });
-      }
-      
-      // Normalize the deals for consistent display
-      const normalizedDeals = normalizeDealObjects(deals);
+      // Normalize the deals for consistent display, remembering which type each one is
+      const normalizedDeals = stopDealTypes.flatMap(dealType => 
+        normalizeDealObjects(getDealsForType(vendor, dealType, today))
+          .map(deal => ({ ...deal, dealType }))
+      );
       
       // Set the deals in state
       setRelevantDeals(normalizedDeals);
@@ -204,7 +169,7 @@ const RoutePreview = ({ navigation }) => {
       Logger.error(LogCategory.DEALS, `Error loading deals for vendor`, {
         error,
         vendorId: vendor.id,
-        journeyType
+        stopDealTypes
       });
       setRelevantDeals([]);
     } finally {
@@ -216,6 +181,23 @@ const RoutePreview = ({ navigation }) => {
     navigation.navigate('RouteMapView');
   };
 
+  // Share the planned stops and settings so someone else can run the same journey
+  const handleShareJourney = async () => {
+    try {
+      const link = buildJourneyLink(state.journey);
+      await Share.share({
+        message: `Join my ${stopDealTypes.map(formatDealType).join(' + ')} deal journey on Loot's Ganja Guide: ${link}`,
+        url: link
+      });
+      
+      Logger.info(LogCategory.JOURNEY, 'Shared journey link', {
+        stops: state.journey.vendors.length
+      });
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error sharing journey', { error });
+    }
+  };
+
   const handleCancelOrEndJourney = () => {
     // Check if this is a single-stop journey
     const isSingleStop = state.journey.vendors.length === 1;
@@ -250,9 +232,86 @@ const RoutePreview = ({ navigation }) => {
     }
   };
 
-  const handleSkipVendor = () => {
-    dispatch(AppActions.skipVendor());
-    navigation.replace('RoutePreview');
+  // Put a re-planned stop order into app state
+  const applyReplan = ({ vendors, currentVendorIndex, route }) => {
+    dispatch(AppActions.replanJourney(vendors, currentVendorIndex));
+    
+    // No route comes back once every stop is done or skipped
+    if (route) {
+      dispatch(AppActions.updateRoute({
+        coordinates: route.coordinates,
+        totalDistance: route.totalDistance,
+        estimatedTime: route.estimatedTime,
+        estimatedCost: route.estimatedCost || null
+      }));
+    }
+  };
+
+  // Ask whether to look for a vendor with the same deal before skipping
+  const confirmSkipVendor = () => {
+    Alert.alert(
+      'Skip This Stop',
+      'Want us to look for another open vendor with the same deal?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Just Skip', onPress: () => handleSkipVendor(false) },
+        { text: 'Find Replacement', onPress: () => handleSkipVendor(true) }
+      ]
+    );
+  };
+
+  const handleSkipVendor = async (findReplacement) => {
+    setIsReplanning(true);
+    
+    try {
+      const location = state.user?.location || await locationService.getCurrentLocation();
+      const result = await routeService.skipAndReplan(state.journey, location, { findReplacement });
+      applyReplan(result);
+      
+      if (!result.replacement) {
+        if (findReplacement) {
+          Alert.alert('No Replacement Found', 'No other open vendor nearby has this deal right now.');
+        }
+        navigation.replace('RoutePreview');
+        return;
+      }
+      
+      // Offer a vendor with the same deal in place of the skipped one
+      Alert.alert(
+        'Replacement Available',
+        `${result.replacement.name} also has this deal and is ${result.replacement.distance.toFixed(1)} miles away. Add it to your journey?`,
+        [
+          {
+            text: 'No Thanks',
+            style: 'cancel',
+            onPress: () => navigation.replace('RoutePreview')
+          },
+          {
+            text: 'Add Stop',
+            onPress: async () => {
+              try {
+                const updated = await routeService.replanJourney(
+                  { ...state.journey, vendors: result.vendors, currentVendorIndex: result.currentVendorIndex },
+                  location,
+                  { addVendors: [result.replacement] }
+                );
+                applyReplan(updated);
+              } catch (error) {
+                Logger.error(LogCategory.JOURNEY, 'Error adding replacement vendor', { error });
+              }
+              navigation.replace('RoutePreview');
+            }
+          }
+        ]
+      );
+    } catch (error) {
+      // Fall back to dropping the stop without re-ordering the rest
+      Logger.error(LogCategory.JOURNEY, 'Error re-planning after skip', { error });
+      dispatch(AppActions.skipVendor());
+      navigation.replace('RoutePreview');
+    } finally {
+      setIsReplanning(false);
+    }
   };
 
   const formatDistance = (distance) => {
@@ -262,6 +321,11 @@ const RoutePreview = ({ navigation }) => {
     return `${distance.toFixed(1)} miles away`;
   };
 
+  // Opened from a shared journey link: preview it instead of the active journey
+  if (route?.params?.sharedJourneyLink) {
+    return <SharedJourneyPreview link={route.params.sharedJourneyLink} navigation={navigation} />;
+  }
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
@@ -307,11 +371,103 @@ const RoutePreview = ({ navigation }) => {
                 {currentVendor.location?.address || 'Address not available'}
               </Text>
 
+              {currentVendor.eta && (
+                <View style={styles.etaInfo}>
+                  <Icon
+                    name="schedule"
+                    type="material"
+                    color="#666"
+                    size={20}
+                  />
+                  <Text style={styles.etaText}>
+                    Arrive around {formatStopTime(currentVendor.eta)}
+                    {currentVendor.closesAt ? ` • Closes ${formatStopTime(currentVendor.closesAt)}` : ''}
+                  </Text>
+                </View>
+              )}
+
+              {legMinutes !== null && (
+                <View style={styles.etaInfo}>
+                  <Icon
+                    name={travelProfile.icon}
+                    type="material"
+                    color="#666"
+                    size={20}
+                  />
+                  <Text style={styles.etaText}>
+                    About {legMinutes} min by {travelProfile.label.toLowerCase()}
+                    {legCost !== null ? ` • ~$${legCost.toFixed(2)} fare` : ''}
+                    {state.route?.estimatedCost ? ` ($${state.route.estimatedCost.toFixed(2)} whole journey)` : ''}
+                  </Text>
+                </View>
+              )}
+
+              {currentVendor.dealsLiveOnArrival === false && (
+                <View style={styles.slackWarning}>
+                  <Icon
+                    name="timer"
+                    type="material"
+                    color="#FFA000"
+                    size={20}
+                  />
+                  <Text style={styles.slackWarningText}>
+                    Deals here run {currentVendor.dealHours}, and you arrive around {formatStopTime(currentVendor.eta)}.
+                  </Text>
+                </View>
+              )}
+
+              {hasLowSlack(currentVendor) && (
+                <View style={styles.slackWarning}>
+                  <Icon
+                    name="warning"
+                    type="material"
+                    color="#FFA000"
+                    size={20}
+                  />
+                  <Text style={styles.slackWarningText}>
+                    Closes {currentVendor.slackMinutes} min after you arrive.
+                  </Text>
+                </View>
+              )}
+
+              {currentVendor.valueScore && (
+                <View style={styles.scoreBreakdown}>
+                  <Text style={styles.scoreHeader}>
+                    Why this stop: {currentVendor.valueScore.score.toFixed(1)} value per mile
+                  </Text>
+                  {(currentVendor.valueScore.deals || []).map(deal => (
+                    <Text key={deal.dealType} style={styles.scoreLine}>
+                      {formatDealType(deal.dealType)} deal{deal.title ? ` (${deal.title})` : ''}: +{deal.score.toFixed(1)}
+                    </Text>
+                  ))}
+                  {currentVendor.valueScore.partnerBonus > 0 && (
+                    <Text style={styles.scoreLine}>
+                      Partner shop: +{currentVendor.valueScore.partnerBonus.toFixed(1)}
+                    </Text>
+                  )}
+                  {currentVendor.valueScore.favoriteBonus > 0 && (
+                    <Text style={styles.scoreLine}>
+                      One of your favorites: +{currentVendor.valueScore.favoriteBonus.toFixed(1)}
+                    </Text>
+                  )}
+                  <Text style={styles.scoreLine}>
+                    Adds {currentVendor.valueScore.detourMiles.toFixed(1)} miles to your trip
+                  </Text>
+                </View>
+              )}
+
               <Divider style={styles.divider} />
 
+              {isMixedStop && (
+                <Text style={styles.visitingFor}>
+                  Visiting for: {stopDealTypes.map(formatDealType).join(', ')}
+                </Text>
+              )}
+
               <Text style={styles.dealsHeader}>
-                {journeyType === 'birthday' ? 'Birthday Deals:' : 
-                 journeyType === 'special' ? 'Special Offers:' : 
+                {isMixedStop ? 'Available Deals:' :
+                 stopDealTypes[0] === 'birthday' ? 'Birthday Deals:' : 
+                 stopDealTypes[0] === 'special' ? 'Special Offers:' : 
                  'Available Deals:'}
               </Text>
               {relevantDeals.length > 0 ? (
@@ -323,10 +479,16 @@ const RoutePreview = ({ navigation }) => {
 
                   return (
                     <View key={index} style={styles.dealItem}>
+                      {isMixedStop && (
+                        <Text style={styles.dealTypeTag}>{formatDealType(deal.dealType)}</Text>
+                      )}
                       <Text style={styles.dealTitle}>{dealTitle}</Text>
                       {dealDiscount && dealDiscount !== dealTitle && (
                         <Text style={styles.discount}>{dealDiscount}</Text>
                       )}
+                      {deal.hours && (
+                        <Text style={styles.dealHours}>{deal.hours}</Text>
+                      )}
                       {dealRestrictions.length > 0 && dealRestrictions.map((restriction, idx) => (
                         <Text key={idx} style={styles.restriction}>
                           • {restriction}
@@ -337,8 +499,9 @@ const RoutePreview = ({ navigation }) => {
                 })
               ) : (
                 <Text style={styles.noDealsText}>
-                  {journeyType === 'birthday' ? 'No birthday deals available' : 
-                   journeyType === 'special' ? 'No special offers available' : 
+                  {isMixedStop ? 'No deals available for today' :
+                   stopDealTypes[0] === 'birthday' ? 'No birthday deals available' : 
+                   stopDealTypes[0] === 'special' ? 'No special offers available' : 
                    'No deals available for today'}
                 </Text>
               )}
@@ -352,8 +515,9 @@ const RoutePreview = ({ navigation }) => {
                 type="outline"
                 onPress={isLastVendor || state.journey.vendors.length === 1 ? 
                           handleCancelOrEndJourney : 
-                          handleSkipVendor}
+                          confirmSkipVendor}
                 containerStyle={styles.actionButton}
+                loading={isReplanning}
               />
               
               <Button
@@ -378,6 +542,26 @@ const RoutePreview = ({ navigation }) => {
                 Estimated time to destination: {Math.round((currentVendor.distance || 0) * 3)} mins
               </Text>
             </View>
+
+            <Button
+              title="Share This Journey"
+              type="clear"
+              icon={{ name: 'share', type: 'material', size: 18, color: '#4CAF50' }}
+              onPress={handleShareJourney}
+              containerStyle={styles.shareButton}
+            />
+            <Button
+              title="Save for Later"
+              type="clear"
+              icon={{ name: 'bookmark-border', type: 'material', size: 18, color: '#4CAF50' }}
+              onPress={() => setShowSaveTemplate(true)}
+            />
+            <SaveJourneyTemplateModal
+              visible={showSaveTemplate}
+              journey={state.journey}
+              onClose={() => setShowSaveTemplate(false)}
+              onSaved={template => Alert.alert('Journey Saved', `"${template.name}" is on your Dashboard.`)}
+            />
           </>
         )}
       </View>
@@ -415,9 +599,60 @@ const styles = StyleSheet.create({
     marginLeft: 34,
     color: '#666',
   },
+  etaInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+    marginLeft: 2,
+  },
+  etaText: {
+    marginLeft: 12,
+    color: '#666',
+  },
+  slackWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF8E1',
+    padding: 10,
+    borderRadius: 8,
+    marginTop: 10,
+  },
+  slackWarningText: {
+    flex: 1,
+    marginLeft: 8,
+    color: '#8D6E00',
+  },
+  scoreBreakdown: {
+    marginTop: 10,
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: '#F1F8E9',
+  },
+  scoreHeader: {
+    fontWeight: 'bold',
+    color: '#33691E',
+    marginBottom: 4,
+  },
+  scoreLine: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 2,
+  },
   divider: {
     marginVertical: 15,
   },
+  visitingFor: {
+    fontSize: 14,
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  dealTypeTag: {
+    fontSize: 12,
+    color: '#666',
+    textTransform: 'uppercase',
+    marginBottom: 2,
+  },
   dealsHeader: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -440,6 +675,11 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginLeft: 10,
   },
+  dealHours: {
+    color: '#E65100',
+    fontSize: 14,
+    marginBottom: 5,
+  },
   detailsButton: {
     marginTop: 15,
   },
@@ -452,6 +692,9 @@ const styles = StyleSheet.create({
     flex: 1,
     marginHorizontal: 5,
   },
+  shareButton: {
+    marginTop: 10,
+  },
   progressInfo: {
     backgroundColor: '#f8f8f8',
     padding: 15,
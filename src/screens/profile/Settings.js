@@ -22,6 +22,9 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Logger, LogCategory } from '../../services/LoggingService';
 import { handleError, tryCatch } from '../../utils/ErrorHandler';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import dealAlertService from '../../services/DealAlertService';
+import DealAlertRuleModal from '../../components/DealAlertRuleModal';
+import { describeAlertRule, getAlertRuleName } from '../../utils/DealAlertRules';
 
 // Custom RadioButton component
 const RadioButton = ({ title, description, checked, onPress }) => {
@@ -44,11 +47,23 @@ const Settings = ({ navigation }) => {
   const [socialSharingModalVisible, setSocialSharingModalVisible] = useState(false);
   const [socialTier, setSocialTier] = useState('none');
   const [realName, setRealName] = useState('');
+  const [alertRules, setAlertRules] = useState([]);
+  const [alertModalVisible, setAlertModalVisible] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
   
   // App settings
   const theme = state.ui.theme || 'light';
   const notifications = state.ui.notifications !== false; // Default to true if undefined
   const maxDistance = state.dealFilters.maxDistance || 25;
+  const eligibility = state.user.eligibility || {};
+  const hideIneligible = state.dealFilters.hideIneligible !== false;
+  
+  // Optional answers used to check targeted deals like "15% Off for Veterans"
+  const eligibilityQuestions = [
+    { key: 'isVeteran', icon: 'military-tech', title: 'Veteran', description: 'Veteran and military deals' },
+    { key: 'isSenior', icon: 'elderly', title: 'Senior', description: 'Senior discounts' },
+    { key: 'hasMedicalCard', icon: 'local-hospital', title: 'Medical Card', description: 'Medical patient deals' }
+  ];
   
   // Load social sharing preferences
   useEffect(() => {
@@ -68,6 +83,53 @@ const Settings = ({ navigation }) => {
     loadSocialPreferences();
   }, []);
   
+  // Load deal alert rules
+  useEffect(() => {
+    loadAlertRules();
+  }, []);
+  
+  const loadAlertRules = async () => {
+    setAlertRules([...await dealAlertService.getRules()]);
+  };
+  
+  const openAlertModal = (rule = null) => {
+    setEditingRule(rule);
+    setAlertModalVisible(true);
+  };
+  
+  const toggleAlertRule = async (rule) => {
+    try {
+      await dealAlertService.setRuleEnabled(rule.id, !rule.isEnabled);
+      await loadAlertRules();
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error updating deal alert rule', { error, ruleId: rule.id });
+      Alert.alert('Error', 'Could not update this alert. Please try again.');
+    }
+  };
+  
+  const deleteAlertRule = (rule) => {
+    Alert.alert(
+      'Delete Alert',
+      `Stop alerting for "${getAlertRuleName(rule)}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await dealAlertService.deleteRule(rule.id);
+              await loadAlertRules();
+            } catch (error) {
+              Logger.error(LogCategory.DEALS, 'Error deleting deal alert rule', { error, ruleId: rule.id });
+              Alert.alert('Error', 'Could not delete this alert. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   const saveSocialPreferences = async () => {
     try {
       const prefs = {
@@ -121,6 +183,18 @@ const Settings = ({ navigation }) => {
     });
   };
   
+  const setEligibilityAnswer = (key, value) => {
+    dispatch(AppActions.updateEligibilityProfile({ [key]: value }));
+    
+    Logger.info(LogCategory.GENERAL, 'User updated deal eligibility', { 
+      [key]: value 
+    });
+  };
+  
+  const toggleHideIneligible = () => {
+    dispatch(AppActions.updateDealFilters({ hideIneligible: !hideIneligible }));
+  };
+  
   const toggleNotifications = () => {
     dispatch(AppActions.setNotifications(!notifications));
     
@@ -240,6 +314,96 @@ const Settings = ({ navigation }) => {
           </View>
         </View>
         
+        {/* Deal Alerts */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Deal Alerts</Text>
+          {!notifications && alertRules.length > 0 && (
+            <Text style={styles.sectionNote}>
+              Notifications are off, so these alerts won't be shown.
+            </Text>
+          )}
+          <View style={styles.card}>
+            {alertRules.map(rule => (
+              <React.Fragment key={rule.id}>
+                <ListItem
+                  onPress={() => openAlertModal(rule)}
+                  onLongPress={() => deleteAlertRule(rule)}
+                  containerStyle={styles.listItem}
+                >
+                  <Icon name="notifications-active" type="material" color="#4CAF50" />
+                  <ListItem.Content>
+                    <ListItem.Title>{getAlertRuleName(rule)}</ListItem.Title>
+                    {!!rule.name && rule.name !== describeAlertRule(rule) && (
+                      <ListItem.Subtitle>{describeAlertRule(rule)}</ListItem.Subtitle>
+                    )}
+                  </ListItem.Content>
+                  <Switch
+                    value={rule.isEnabled}
+                    onValueChange={() => toggleAlertRule(rule)}
+                    trackColor={{ false: '#767577', true: '#4CAF50' }}
+                    thumbColor="#f4f3f4"
+                  />
+                </ListItem>
+                <Divider />
+              </React.Fragment>
+            ))}
+            <ListItem onPress={() => openAlertModal()} containerStyle={styles.listItem}>
+              <Icon name="add-alert" type="material" color="#4CAF50" />
+              <ListItem.Content>
+                <ListItem.Title>Add Deal Alert</ListItem.Title>
+                <ListItem.Subtitle>
+                  {alertRules.length > 0
+                    ? 'Tap an alert to edit it, hold to delete'
+                    : 'Get notified when deals you care about show up'}
+                </ListItem.Subtitle>
+              </ListItem.Content>
+              <ListItem.Chevron />
+            </ListItem>
+          </View>
+        </View>
+        
+        {/* Deal Eligibility */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Deal Eligibility</Text>
+          <View style={styles.card}>
+            {eligibilityQuestions.map(question => (
+              <React.Fragment key={question.key}>
+                <ListItem containerStyle={styles.listItem}>
+                  <Icon name={question.icon} type="material" color="#4CAF50" />
+                  <ListItem.Content>
+                    <ListItem.Title>{question.title}</ListItem.Title>
+                    <ListItem.Subtitle>
+                      {eligibility[question.key] === null || eligibility[question.key] === undefined
+                        ? `${question.description} · Not answered`
+                        : question.description}
+                    </ListItem.Subtitle>
+                  </ListItem.Content>
+                  <Switch
+                    value={eligibility[question.key] === true}
+                    onValueChange={value => setEligibilityAnswer(question.key, value)}
+                    trackColor={{ false: '#767577', true: '#4CAF50' }}
+                    thumbColor="#f4f3f4"
+                  />
+                </ListItem>
+                <Divider />
+              </React.Fragment>
+            ))}
+            <ListItem containerStyle={styles.listItem}>
+              <Icon name="visibility-off" type="material" color="#4CAF50" />
+              <ListItem.Content>
+                <ListItem.Title>Hide Deals I Can't Use</ListItem.Title>
+                <ListItem.Subtitle>Leave out deals your answers or past visits rule out</ListItem.Subtitle>
+              </ListItem.Content>
+              <Switch
+                value={hideIneligible}
+                onValueChange={toggleHideIneligible}
+                trackColor={{ false: '#767577', true: '#4CAF50' }}
+                thumbColor="#f4f3f4"
+              />
+            </ListItem>
+          </View>
+        </View>
+        
         {/* Social Media */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Social Media</Text>
@@ -326,6 +490,13 @@ const Settings = ({ navigation }) => {
         <Text style={styles.versionText}>Version 1.0.0</Text>
       </ScrollView>
       
+      <DealAlertRuleModal
+        visible={alertModalVisible}
+        rule={editingRule}
+        onClose={() => setAlertModalVisible(false)}
+        onSaved={loadAlertRules}
+      />
+      
       {/* Add modal for selecting social sharing preferences */}
       <Modal
         visible={socialSharingModalVisible}
@@ -423,6 +594,12 @@ const styles = StyleSheet.create({
     marginLeft: 20,
     marginBottom: 10,
   },
+  sectionNote: {
+    fontSize: 13,
+    color: '#F57C00',
+    marginHorizontal: 20,
+    marginBottom: 8,
+  },
   card: {
     backgroundColor: '#FFFFFF',
     marginHorizontal: 16,
@@ -64,6 +64,12 @@ const UserProfile = ({ navigation }) => {
       iconColor: '#2196F3',
       onPress: () => navigation.navigate('AllVendors', { filter: 'recent' })
     },
+    {
+      title: 'Journey History',
+      icon: 'route',
+      iconColor: '#FF9800',
+      onPress: () => navigation.navigate('JourneyHistory')
+    },
     {
       title: 'Settings',
       icon: 'settings',
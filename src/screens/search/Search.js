@@ -0,0 +1,171 @@
+// src/screens/search/Search.js
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity
+} from 'react-native';
+import { Text, Icon, SearchBar } from '@rneui/themed';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Logger, LogCategory } from '../../services/LoggingService';
+import searchService from '../../services/SearchService';
+
+// Result sections in the order they're shown
+const RESULT_SECTIONS = [
+  { type: 'vendor', title: 'Vendors', icon: 'store' },
+  { type: 'deal', title: 'Deals', icon: 'local-offer' },
+  { type: 'product', title: 'Products', icon: 'category' }
+];
+
+const RESULTS_PER_SECTION = 10;
+
+/**
+ * Search Screen
+ *
+ * Searches vendors, deals and products at once, tolerating typos and matching
+ * partial words as the user types
+ */
+const Search = ({ navigation }) => {
+  const [query, setQuery] = useState('');
+
+  const sections = useMemo(() => {
+    if (query.trim() === '') return [];
+
+    const results = searchService.search(query, { limit: Infinity });
+
+    return RESULT_SECTIONS
+      .map(section => ({
+        ...section,
+        data: results
+          .filter(result => result.type === section.type)
+          .slice(0, RESULTS_PER_SECTION)
+      }))
+      .filter(section => section.data.length > 0);
+  }, [query]);
+
+  const handleResultPress = (result) => {
+    Logger.info(LogCategory.NAVIGATION, 'Opening search result', {
+      type: result.type,
+      id: result.id
+    });
+
+    navigation.navigate('VendorProfile', { vendorId: result.data.vendorId });
+  };
+
+  const renderResult = ({ item, section }) => (
+    <TouchableOpacity style={styles.resultItem} onPress={() => handleResultPress(item)}>
+      <Icon name={section.icon} type="material" size={22} color="#4CAF50" />
+      <View style={styles.resultText}>
+        <Text style={styles.resultTitle} numberOfLines={1}>{item.title}</Text>
+        {!!item.subtitle && (
+          <Text style={styles.resultSubtitle} numberOfLines={1}>{item.subtitle}</Text>
+        )}
+      </View>
+      <Icon name="chevron-right" type="material" size={20} color="#CCCCCC" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <SearchBar
+        placeholder="Search deals, products, vendors or ZIP..."
+        onChangeText={setQuery}
+        value={query}
+        autoFocus
+        containerStyle={styles.searchContainer}
+        inputContainerStyle={styles.searchInputContainer}
+        inputStyle={styles.searchInput}
+        lightTheme
+        round
+      />
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(item) => `${item.type}:${item.id}`}
+        renderItem={renderResult}
+        renderSectionHeader={({ section }) => (
+          <Text style={styles.sectionHeader}>{section.title}</Text>
+        )}
+        keyboardShouldPersistTaps="handled"
+        stickySectionHeadersEnabled={false}
+        contentContainerStyle={styles.resultsList}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Icon name="search" type="material" size={64} color="#CCCCCC" />
+            <Text style={styles.emptyText}>
+              {query.trim()
+                ? 'Nothing matches your search'
+                : 'Find deals, products and vendors by name, address or ZIP code'}
+            </Text>
+          </View>
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  searchContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 0,
+    borderBottomWidth: 0,
+    padding: 12,
+  },
+  searchInputContainer: {
+    backgroundColor: '#F5F5F5',
+  },
+  searchInput: {
+    fontSize: 16,
+  },
+  resultsList: {
+    paddingBottom: 16,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666666',
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  resultItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EEEEEE',
+  },
+  resultText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  resultTitle: {
+    fontSize: 16,
+    color: '#333333',
+  },
+  resultSubtitle: {
+    fontSize: 13,
+    color: '#888888',
+    marginTop: 2,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: '#666666',
+    textAlign: 'center',
+  },
+});
+
+export default Search;
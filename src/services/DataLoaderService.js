@@ -2,6 +2,8 @@
 import { Logger, LogCategory } from './LoggingService';
 import { vendorCacheService } from './VendorCacheService';
 import { dealCacheService } from './DealCacheService';
+import { dealVerificationService } from './DealVerificationService';
+import { priceHistoryService } from './PriceHistoryService';
 
 /**
  * Service for loading and synchronizing app data
@@ -44,6 +46,11 @@ class DataLoaderService {
         return false;
       }
       
+      // Users' reports on the deals and today's prices aren't needed to start, so handle
+      // them in the background
+      dealVerificationService.loadReports({ force: options.force });
+      priceHistoryService.recordDeals(dealCacheService.getAllDeals());
+      
       this.lastLoadTime = new Date();
       Logger.info(LogCategory.GENERAL, 'App data initialization complete', {
         vendorsLoaded: vendorCacheService.getAllVendors().length,
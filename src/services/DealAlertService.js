@@ -0,0 +1,342 @@
+// src/services/DealAlertService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Logger, LogCategory } from './LoggingService';
+import dealCacheService from './DealCacheService';
+import vendorCacheService from './VendorCacheService';
+import locationService from './LocationService';
+import notificationService from './NotificationService';
+import {
+  normalizeAlertRule,
+  matchesAlertRule,
+  describeAlertRule,
+  getAlertRuleName
+} from '../utils/DealAlertRules';
+import { getDealKey } from '../utils/DealChanges';
+
+export const DEAL_ALERT_NOTIFICATION_TYPE = 'deal_alert';
+
+/**
+ * Service for the user's deal alert rules
+ * Rules are kept on the device. Each time the deal cache updates, every enabled rule
+ * is checked and a local notification is sent for deals that have started matching
+ * it; deals a rule already alerted about aren't alerted again.
+ */
+class DealAlertService {
+  constructor() {
+    this.RULES_KEY = 'deal_alert_rules';
+    this.ALERTED_KEY = 'deal_alert_alerted';
+    this._rules = null;
+    this._alerted = null;
+    this._favorites = [];
+    this._unsubscribe = null;
+    this._isChecking = false;
+    this._recheckRequested = false;
+  }
+
+  /**
+   * Start checking rules on every deal cache update, and check them once now
+   */
+  start() {
+    if (this._unsubscribe) return;
+
+    this._unsubscribe = dealCacheService.subscribe(() => {
+      this.checkRules();
+    });
+
+    this.checkRules();
+  }
+
+  /**
+   * Stop checking rules
+   */
+  stop() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Set the user's favorite vendors, used by rules scoped to favorites
+   * @param {Array<string>} favorites - Favorite vendor IDs
+   */
+  setFavorites(favorites) {
+    this._favorites = Array.isArray(favorites) ? favorites : [];
+  }
+
+  /**
+   * Get the user's alert rules
+   * @returns {Promise<Array<DealAlertRule>>} - Rules, oldest first
+   */
+  async getRules() {
+    if (this._rules) {
+      return this._rules;
+    }
+
+    try {
+      const storedRules = await AsyncStorage.getItem(this.RULES_KEY);
+      const rules = storedRules ? JSON.parse(storedRules) : [];
+      this._rules = Array.isArray(rules) ? rules.map(normalizeAlertRule) : [];
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error loading deal alert rules', { error });
+      this._rules = [];
+    }
+
+    return this._rules;
+  }
+
+  /**
+   * Save the rules
+   * @private
+   * @param {Array<DealAlertRule>} rules - All rules
+   */
+  async saveRules(rules) {
+    this._rules = rules;
+    await AsyncStorage.setItem(this.RULES_KEY, JSON.stringify(rules));
+  }
+
+  /**
+   * Create or update a rule
+   * Deals that already match a new or changed rule are treated as alerted, so it
+   * only alerts about deals that come along afterwards. A rule without a name is
+   * described from its criteria when shown (see getAlertRuleName).
+   * @param {Object} ruleData - Rule fields; include id to update an existing rule
+   * @returns {Promise<DealAlertRule>} - Saved rule
+   */
+  async saveRule(ruleData) {
+    try {
+      const rules = await this.getRules();
+      const existing = rules.find(rule => rule.id === ruleData.id);
+
+      const rule = normalizeAlertRule({
+        ...existing,
+        ...ruleData,
+        id: existing?.id || `alert_${Date.now()}`
+      });
+
+      // Earlier versions saved the description as the name, which then went stale on edit
+      if (existing && rule.name === describeAlertRule(existing)) {
+        rule.name = '';
+      }
+
+      await this.saveRules(existing
+        ? rules.map(current => (current.id === rule.id ? rule : current))
+        : [...rules, rule]);
+
+      const matches = await this.findMatches(rule);
+      await this.setAlerted(rule.id, matches.map(getDealKey));
+
+      Logger.info(LogCategory.DEALS, 'Saved deal alert rule', {
+        ruleId: rule.id,
+        currentMatches: matches.length
+      });
+      return rule;
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error saving deal alert rule', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a rule on or off
+   * @param {string} ruleId - Rule ID
+   * @param {boolean} isEnabled - Whether the rule should be checked
+   * @returns {Promise<DealAlertRule>} - Updated rule
+   */
+  async setRuleEnabled(ruleId, isEnabled) {
+    return await this.saveRule({ id: ruleId, isEnabled });
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<void>}
+   */
+  async deleteRule(ruleId) {
+    try {
+      const rules = await this.getRules();
+      await this.saveRules(rules.filter(rule => rule.id !== ruleId));
+
+      const alerted = await this.getAlerted();
+      delete alerted[ruleId];
+      await AsyncStorage.setItem(this.ALERTED_KEY, JSON.stringify(alerted));
+
+      Logger.info(LogCategory.DEALS, 'Deleted deal alert rule', { ruleId });
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error deleting deal alert rule', { error, ruleId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the deals each rule has already alerted about
+   * @private
+   * @returns {Promise<Object>} - Rule ID to an array of deal keys
+   */
+  async getAlerted() {
+    if (this._alerted) {
+      return this._alerted;
+    }
+
+    try {
+      const storedAlerted = await AsyncStorage.getItem(this.ALERTED_KEY);
+      this._alerted = storedAlerted ? JSON.parse(storedAlerted) : {};
+    } catch (error) {
+      Logger.warn(LogCategory.DEALS, 'Error loading alerted deals', { error });
+      this._alerted = {};
+    }
+
+    return this._alerted;
+  }
+
+  /**
+   * Replace the deals a rule has alerted about
+   * @private
+   * @param {string} ruleId - Rule ID
+   * @param {Array<string>} dealKeys - Deal keys
+   */
+  async setAlerted(ruleId, dealKeys) {
+    const alerted = await this.getAlerted();
+    alerted[ruleId] = dealKeys;
+    await AsyncStorage.setItem(this.ALERTED_KEY, JSON.stringify(alerted));
+  }
+
+  /**
+   * Find the cached deals a rule matches right now
+   * @param {DealAlertRule} rule - Alert rule
+   * @param {Object} [userLocation] - User's location, looked up if the rule needs it
+   * @returns {Promise<Array<Object>>} - Matching deals
+   */
+  async findMatches(rule, userLocation = undefined) {
+    if (!rule.isEnabled || !dealCacheService.isCacheLoaded()) {
+      return [];
+    }
+
+    let location = userLocation;
+    if (location === undefined && rule.maxDistance) {
+      location = await locationService.getCurrentLocation();
+    }
+
+    const getDistance = (vendorId) => {
+      const coordinates = vendorCacheService.getVendorById(vendorId)?.location?.coordinates;
+      if (!location || !coordinates) return null;
+
+      return vendorCacheService.calculateDistance(
+        location.latitude,
+        location.longitude,
+        coordinates.latitude,
+        coordinates.longitude
+      );
+    };
+
+    const seen = new Set();
+
+    return dealCacheService.getAllDeals().filter(deal => {
+      // Multi-day deals can be listed once per day they run
+      const key = getDealKey(deal);
+      if (seen.has(key)) return false;
+      seen.add(key);
+
+      return matchesAlertRule(rule, deal, {
+        favorites: this._favorites,
+        distance: rule.maxDistance ? getDistance(deal.vendorId) : null
+      });
+    });
+  }
+
+  /**
+   * Check every enabled rule against the deal cache and alert about new matches
+   * When notifications are turned off, matches are still recorded so they aren't
+   * all sent at once when notifications are turned back on
+   * @returns {Promise<number>} - Number of notifications sent (0 when the check was
+   *   queued behind one already running)
+   */
+  async checkRules() {
+    // Cache updates can arrive while a check is still looking up the location; check
+    // again once it's done so their deals aren't missed
+    if (this._isChecking) {
+      this._recheckRequested = true;
+      return 0;
+    }
+    this._isChecking = true;
+
+    try {
+      const rules = (await this.getRules()).filter(rule => rule.isEnabled);
+      if (rules.length === 0 || !dealCacheService.isCacheLoaded()) {
+        return 0;
+      }
+
+      const userLocation = rules.some(rule => rule.maxDistance)
+        ? await locationService.getCurrentLocation()
+        : null;
+      const alerted = await this.getAlerted();
+      let sent = 0;
+
+      for (const rule of rules) {
+        const matches = await this.findMatches(rule, userLocation);
+        const previousKeys = new Set(alerted[rule.id] || []);
+        const newMatches = matches.filter(deal => !previousKeys.has(getDealKey(deal)));
+
+        // Only remember deals that still match, so one that comes back alerts again
+        await this.setAlerted(rule.id, matches.map(getDealKey));
+
+        if (newMatches.length > 0 && await this.sendAlert(rule, newMatches)) {
+          sent++;
+        }
+      }
+
+      return sent;
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error checking deal alert rules', { error });
+      return 0;
+    } finally {
+      this._isChecking = false;
+
+      if (this._recheckRequested) {
+        this._recheckRequested = false;
+        this.checkRules();
+      }
+    }
+  }
+
+  /**
+   * Send one notification for a rule's new matches
+   * @private
+   * @param {DealAlertRule} rule - Alert rule
+   * @param {Array<Object>} deals - Newly matching deals
+   * @returns {Promise<boolean>} - True if a notification was shown
+   */
+  async sendAlert(rule, deals) {
+    const [deal] = deals;
+    const vendorName = deal.vendorName || vendorCacheService.getVendorById(deal.vendorId)?.name;
+    const dealTitle = deal.title || deal.discount || deal.description || 'New deal';
+    const firstMatch = vendorName ? `${dealTitle} at ${vendorName}` : dealTitle;
+
+    const id = await notificationService.presentLocalNotification({
+      title: getAlertRuleName(rule),
+      body: deals.length === 1
+        ? firstMatch
+        : `${firstMatch} and ${deals.length - 1} more`,
+      data: {
+        type: DEAL_ALERT_NOTIFICATION_TYPE,
+        ruleId: rule.id,
+        // Tapping opens the vendor when all the matches are at one
+        vendorId: deals.every(match => match.vendorId === deal.vendorId)
+          ? deal.vendorId
+          : null
+      }
+    });
+
+    Logger.info(LogCategory.DEALS, 'Deal alert matched', {
+      ruleId: rule.id,
+      matches: deals.length,
+      notified: !!id
+    });
+    return !!id;
+  }
+}
+
+// Create and export singleton instance
+const dealAlertService = new DealAlertService();
+export { dealAlertService };
+export default dealAlertService;
@@ -2,7 +2,11 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Logger, LogCategory } from './LoggingService';
 import DealRepository from '../repositories/DealRepository';
-import { getDayOfWeek } from '../utils/DateUtils';
+import { parseDiscount } from '../utils/DiscountParser';
+import { parseDealRestrictions } from '../utils/DealEligibility';
+import { getBestDealCombo } from '../utils/DealStacking';
+import { isDealActiveAt, getDealTimeWindows } from '../utils/DealAvailability';
+import { diffDeals, getChangesSince, summarizeChangesByVendor } from '../utils/DealChanges';
 
 /**
  * Service for caching and accessing deals data
@@ -18,6 +22,14 @@ class DealCacheService {
     this.CACHE_TIMESTAMP_KEY = 'deals_cache_timestamp';
     // Cache expiration: 24 hours in milliseconds
     this.CACHE_EXPIRATION = 24 * 60 * 60 * 1000;
+    // What changed between refreshes, and when the user last opened the app
+    this.CHANGE_LOG_KEY = 'deals_change_log';
+    this.LAST_VISIT_KEY = 'deals_last_visit';
+    // Change log retention: 30 days, at most 500 entries
+    this.CHANGE_LOG_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+    this.CHANGE_LOG_MAX_ENTRIES = 500;
+    this._changeLog = null;
+    this._lastVisitRequest = null;
     // Add subscribers array
     this.subscribers = [];
     
@@ -128,19 +140,15 @@ class DealCacheService {
 
     // Apply day filter for daily deals
     if (options.day && options.type === 'daily' && this._dealsByDay[options.day]) {
-      console.log(`Filtering by day: ${options.day}, found ${this._dealsByDay[options.day].length} deals`);
       filteredDeals = this._dealsByDay[options.day];
     }
 
-    // Apply day filter for multi_day deals
-    if (options.day && options.type === 'multi_day') {
-      console.log(`Filtering multi_day deals by day: ${options.day}`);
-      filteredDeals = filteredDeals.filter(deal => 
-        deal.activeDays && 
-        Array.isArray(deal.activeDays) && 
-        deal.activeDays.includes(options.day)
+    // Keep only deals that run on that day (weekday, active days and start/end dates)
+    if (options.day) {
+      filteredDeals = filteredDeals.filter(deal =>
+        isDealActiveAt(deal, new Date(), { day: options.day, ignoreTime: true })
       );
-      console.log(`Found ${filteredDeals.length} multi_day deals for ${options.day}`);
+      console.log(`Found ${filteredDeals.length} ${options.type || ''} deals for ${options.day}`);
     }
 
     // Apply vendor filter if provided
@@ -209,12 +217,6 @@ class DealCacheService {
       console.log(`After type filtering: ${filteredDeals.length} deals`);
     }
     
-    // Further filter daily deals by day if provided
-    if (options.type === 'daily' && options.day) {
-      filteredDeals = filteredDeals.filter(deal => deal.day === options.day);
-      console.log(`After day filtering: ${filteredDeals.length} deals`);
-    }
-
     // Always include everyday deals for this vendor if retrieving daily deals
     if (options.type === 'daily') {
       const everydayDeals = vendorDeals.filter(deal => deal.dealType === 'everyday');
@@ -222,6 +224,14 @@ class DealCacheService {
       console.log(`After adding everyday deals: ${filteredDeals.length} deals`);
     }
     
+    // Further filter by day if provided
+    if (options.day) {
+      filteredDeals = filteredDeals.filter(deal =>
+        isDealActiveAt(deal, new Date(), { day: options.day, ignoreTime: true })
+      );
+      console.log(`After day filtering: ${filteredDeals.length} deals`);
+    }
+    
     return filteredDeals;
   }
 
@@ -288,6 +298,22 @@ class DealCacheService {
     });
   }
 
+  /**
+   * Find the best combination of a vendor's deals for a visit
+   * Uses the cached deals, or the ones on the vendor object when the cache has none
+   * @param {Object} vendor - Vendor object
+   * @param {Object} [options] - Visit details, as for getBestDealCombo
+   * @returns {Object} - { deals, totalSavings, excluded }
+   */
+  getBestDealComboForVendor(vendor, options = {}) {
+    const cachedDeals = vendor?.id && this._isCacheLoaded ? this.getDealsByVendorId(vendor.id) : [];
+
+    return getBestDealCombo(vendor, {
+      ...options,
+      deals: cachedDeals.length > 0 ? cachedDeals : undefined
+    });
+  }
+
   /**
    * Check if the cache needs to be refreshed
    * @returns {Promise<boolean>} Whether the cache needs to be refreshed
@@ -407,6 +433,23 @@ class DealCacheService {
     return counts;
   }
 
+  /**
+   * Parse each deal's discount text into deal.parsedDiscount, the times of day it
+   * runs into deal.timeWindows and who it's for into deal.parsedRestrictions
+   * The text is left as it is, so screens that only show it are unaffected
+   * @param {Array} deals - Array of deals, updated in place
+   * @returns {Array} - The same deals
+   */
+  annotateDeals(deals) {
+    deals.forEach(deal => {
+      deal.parsedDiscount = parseDiscount(deal.discount);
+      deal.timeWindows = getDealTimeWindows(deal);
+      deal.parsedRestrictions = parseDealRestrictions(deal);
+    });
+
+    return deals;
+  }
+
   /**
    * Load deals from persistent storage
    * @returns {Promise<Array>} Array of deals
@@ -447,7 +490,7 @@ class DealCacheService {
       this.reset();
       
       // Set all deals
-      this._allDeals = deals;
+      this._allDeals = this.annotateDeals(deals);
       
       // Log the first deal to see its structure
       if (deals.length > 0) {
@@ -507,6 +550,11 @@ class DealCacheService {
    */
   async refreshCache(isBackground = false) {
     try {
+      // Keep what we had so the refresh can be compared against it
+      const previousDeals = this._allDeals.length > 0
+        ? this._allDeals
+        : await this.loadFromStorage();
+      
       // If not a background refresh, show that we're loading
       if (!isBackground) {
         this._isCacheLoaded = false;
@@ -558,7 +606,9 @@ class DealCacheService {
       this._dealsByDay.everyday = everydayDeals;
       
       // Combine all deals
-      this._allDeals = [...birthdayDeals, ...dailyDeals, ...multiDayDeals, ...specialDeals, ...everydayDeals];
+      this._allDeals = this.annotateDeals(
+        [...birthdayDeals, ...dailyDeals, ...multiDayDeals, ...specialDeals, ...everydayDeals]
+      );
       
       // Populate type-specific caches
       this._dealsByType.birthday = birthdayDeals;
@@ -586,8 +636,11 @@ class DealCacheService {
       await AsyncStorage.setItem(this.CACHE_KEY, JSON.stringify(this._allDeals));
       await AsyncStorage.setItem(this.CACHE_TIMESTAMP_KEY, Date.now().toString());
       
+      // Log what changed since the last refresh
+      const changes = await this.recordChanges(previousDeals, this._allDeals);
+      
       // Notify subscribers
-      this.notifySubscribers({ type: 'update', count: this._allDeals.length });
+      this.notifySubscribers({ type: 'update', count: this._allDeals.length, changes: changes.length });
       
       Logger.info(LogCategory.DEALS, 'Deal cache loaded successfully', {
         totalDeals: this._allDeals.length,
@@ -614,7 +667,7 @@ class DealCacheService {
 
   /**
    * Get today's deals for a specific vendor
-   * Combines daily deals for the current day and everyday deals
+   * Combines daily deals for the current day, multi-day deals active today and everyday deals
    * @param {Object} vendor - Vendor object
    * @returns {Array} - Array of deals for today
    */
@@ -623,21 +676,10 @@ class DealCacheService {
       return [];
     }
     
-    // Get current day of week
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const today = days[new Date().getDay()];
-    
-    // Get daily deals for today
-    const dailyDeals = this.getDailyDealsForVendor(vendor, today);
+    const types = ['daily', 'multi_day', 'everyday'];
     
-    // Get multi-day deals for today
-    const multiDayDeals = this.getMultiDayDealsForVendor(vendor, today);
-    
-    // Also get everyday deals
-    const everydayDeals = this.getEverydayDealsForVendor(vendor);
-    
-    // Combine all types
-    return [...dailyDeals, ...multiDayDeals, ...everydayDeals];
+    return this.getVendorDealsActiveAt(vendor.id, new Date(), { ignoreTime: true })
+      .filter(deal => types.includes(deal.dealType));
   }
 
   /**
@@ -651,15 +693,149 @@ class DealCacheService {
       return [];
     }
     
-    // Filter multi-day deals for this vendor and day
     return this._dealsByType.multi_day.filter(deal => 
       deal.vendorId === vendor.id && 
-      deal.activeDays && 
-      Array.isArray(deal.activeDays) && 
-      deal.activeDays.includes(day)
+      isDealActiveAt(deal, new Date(), { day, ignoreTime: true })
     );
   }
 
+  /**
+   * Get a vendor's deals that are live at a given moment
+   * @param {string} vendorId - Vendor ID
+   * @param {Date} [dateTime] - Moment to check (defaults to now)
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.type] - Only deals of this type
+   * @param {boolean} [options.ignoreTime] - Include deals that run that day at any time
+   * @returns {Array} - Array of deal objects
+   */
+  getVendorDealsActiveAt(vendorId, dateTime = new Date(), options = {}) {
+    return this.getDealsByVendorId(vendorId)
+      .filter(deal => (!options.type || deal.dealType === options.type) &&
+        isDealActiveAt(deal, dateTime, options));
+  }
+
+  /**
+   * Get active deals of a type that run on a given date
+   * @param {string} type - Deal type
+   * @param {Date} date - Date to check
+   * @returns {Array} - Array of deal objects
+   */
+  getDealsForDate(type, date) {
+    return this.getAllDeals({ type })
+      .filter(deal => deal.dealType === type && isDealActiveAt(deal, date, { ignoreTime: true }));
+  }
+
+  /**
+   * Load the change log from storage, dropping entries that are too old
+   * @returns {Promise<Array<DealChange>>} - Change log, oldest first
+   */
+  async getChangeLog() {
+    if (this._changeLog) {
+      return this._changeLog;
+    }
+
+    try {
+      const storedLog = await AsyncStorage.getItem(this.CHANGE_LOG_KEY);
+      const changeLog = storedLog ? JSON.parse(storedLog) : [];
+      const cutoff = Date.now() - this.CHANGE_LOG_MAX_AGE;
+
+      this._changeLog = Array.isArray(changeLog)
+        ? changeLog.filter(entry => new Date(entry.detectedAt).getTime() > cutoff)
+        : [];
+    } catch (error) {
+      Logger.warn(LogCategory.DEALS, 'Error loading deal change log', { error });
+      this._changeLog = [];
+    }
+
+    return this._changeLog;
+  }
+
+  /**
+   * Compare a refresh against the deals it replaced and add the differences to the change log
+   * Nothing is logged when there was nothing to compare against (the first load)
+   * @param {Array} previousDeals - Deals before the refresh
+   * @param {Array} currentDeals - Deals after the refresh
+   * @returns {Promise<Array<DealChange>>} - Changes found
+   */
+  async recordChanges(previousDeals, currentDeals) {
+    if (!Array.isArray(previousDeals) || previousDeals.length === 0) {
+      return [];
+    }
+
+    try {
+      const changes = diffDeals(previousDeals, currentDeals);
+      if (changes.length === 0) {
+        return [];
+      }
+
+      const changeLog = [...await this.getChangeLog(), ...changes];
+      this._changeLog = changeLog.slice(-this.CHANGE_LOG_MAX_ENTRIES);
+
+      await AsyncStorage.setItem(this.CHANGE_LOG_KEY, JSON.stringify(this._changeLog));
+
+      Logger.info(LogCategory.DEALS, 'Recorded deal changes', { count: changes.length });
+      return changes;
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error recording deal changes', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Get when the user last opened the app before this session
+   * The first call in a session records this visit, so the answer stays the same
+   * for the rest of the session
+   * @returns {Promise<string|null>} - ISO date string, or null on the first visit
+   */
+  getLastVisitTime() {
+    // Share one lookup so screens asking at the same time don't record the visit twice
+    if (!this._lastVisitRequest) {
+      this._lastVisitRequest = this.recordVisit();
+    }
+
+    return this._lastVisitRequest;
+  }
+
+  /**
+   * Replace the stored last visit time with now
+   * @private
+   * @returns {Promise<string|null>} - The visit time it replaced
+   */
+  async recordVisit() {
+    try {
+      const previousVisit = await AsyncStorage.getItem(this.LAST_VISIT_KEY);
+      await AsyncStorage.setItem(this.LAST_VISIT_KEY, new Date().toISOString());
+      return previousVisit;
+    } catch (error) {
+      Logger.warn(LogCategory.DEALS, 'Error reading last visit time', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Get the deals added, removed or edited since the user's last visit
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.vendorId] - Only changes for this vendor
+   * @returns {Promise<Array<DealChange>>} - One change per deal, newest first
+   */
+  async getChangesSinceLastVisit(options = {}) {
+    const [changeLog, lastVisit] = await Promise.all([
+      this.getChangeLog(),
+      this.getLastVisitTime()
+    ]);
+
+    return getChangesSince(changeLog, lastVisit)
+      .filter(change => !options.vendorId || change.vendorId === options.vendorId);
+  }
+
+  /**
+   * Count each vendor's deal changes since the user's last visit
+   * @returns {Promise<Map<string, Object>>} - Vendor ID to { added, removed, modified, total }
+   */
+  async getVendorChangeSummaries() {
+    return summarizeChangesByVendor(await this.getChangesSinceLastVisit());
+  }
+
   /**
    * Force refresh the cache
    * @returns {Promise<boolean>} Whether refresh was successful
@@ -0,0 +1,72 @@
+// src/services/DealCalendarExportService.js
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { Logger, LogCategory } from './LoggingService';
+import { buildDealCalendarIcs } from '../utils/DealCalendar';
+
+/**
+ * Service for exporting deals to .ics files calendar apps can import
+ */
+class DealCalendarExportService {
+  /**
+   * Write deals to an .ics file in the app's cache directory
+   * @param {Array<Object>} deals - Deals to export
+   * @param {Object} [options] - Options for buildDealCalendarIcs
+   * @returns {Promise<Object>} - { fileUri, eventCount }
+   */
+  async writeCalendarFile(deals, options = {}) {
+    const { contents, eventCount } = buildDealCalendarIcs(deals || [], options);
+
+    if (eventCount === 0) {
+      throw new Error('No upcoming deals to export');
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileUri = `${FileSystem.cacheDirectory}deals-${stamp}.ics`;
+
+    await FileSystem.writeAsStringAsync(fileUri, contents, {
+      encoding: FileSystem.EncodingType.UTF8
+    });
+
+    Logger.info(LogCategory.DEALS, 'Wrote deal calendar export', {
+      deals: deals.length,
+      eventCount,
+      fileUri
+    });
+
+    return { fileUri, eventCount };
+  }
+
+  /**
+   * Export deals and open the share sheet
+   * @param {Array<Object>} deals - Deals to export
+   * @param {Object} [options] - Options for buildDealCalendarIcs
+   * @returns {Promise<Object>} - { fileUri, eventCount, shared } where shared is false if
+   *   sharing is unavailable
+   */
+  async exportDeals(deals, options = {}) {
+    try {
+      const { fileUri, eventCount } = await this.writeCalendarFile(deals, options);
+
+      if (!(await Sharing.isAvailableAsync())) {
+        Logger.warn(LogCategory.DEALS, 'Sharing unavailable, calendar export left in cache', { fileUri });
+        return { fileUri, eventCount, shared: false };
+      }
+
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'text/calendar',
+        UTI: 'com.apple.ical.ics',
+        dialogTitle: 'Add deals to your calendar'
+      });
+
+      return { fileUri, eventCount, shared: true };
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error exporting deal calendar', { error });
+      throw error;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const dealCalendarExportService = new DealCalendarExportService();
+export default dealCalendarExportService;
@@ -0,0 +1,174 @@
+// src/services/DealVerificationService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Logger, LogCategory } from './LoggingService';
+import serviceProvider from './ServiceProvider';
+import dealCacheService from './DealCacheService';
+import { DealChangeType } from '../types/Schema';
+import { getDealKey } from '../utils/DealChanges';
+import {
+  REPORT_MAX_AGE_DAYS,
+  groupReportsByDeal,
+  summarizeDealReports
+} from '../utils/DealVerification';
+
+/**
+ * Service for users' reports on whether deals are still as listed
+ * Keeps recent reports from every user, summarizes them per deal (see
+ * DealVerification), and lets the user report deals they've checked.
+ * Reports are stored on the device too, so the summaries survive going offline.
+ */
+class DealVerificationService {
+  constructor() {
+    this.REPORTS_KEY = 'deal_reports_cache';
+    // Reload reports from the server at most this often
+    this.REFRESH_INTERVAL = 15 * 60 * 1000;
+    this._reportsByDeal = new Map();
+    this._listingChangedAt = new Map();
+    this._lastLoad = null;
+    this._loadRequest = null;
+    this.subscribers = [];
+  }
+
+  /**
+   * Subscribe to report updates
+   * @param {Function} callback - Function to call when the reports change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    if (typeof callback !== 'function') {
+      Logger.warn(LogCategory.DEALS, 'Invalid subscriber callback');
+      return () => {};
+    }
+
+    this.subscribers.push(callback);
+
+    return () => {
+      this.subscribers = this.subscribers.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify subscribers of a report update
+   * @private
+   */
+  notifySubscribers() {
+    this.subscribers.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        Logger.error(LogCategory.DEALS, 'Error in deal report subscriber', { error });
+      }
+    });
+  }
+
+  /**
+   * Load recent reports, from the server when the last load is old enough
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.force=false] - Reload even if the last load is recent
+   * @returns {Promise<void>}
+   */
+  async loadReports(options = {}) {
+    if (this._loadRequest) {
+      return this._loadRequest;
+    }
+
+    if (!options.force && this._lastLoad && Date.now() - this._lastLoad < this.REFRESH_INTERVAL) {
+      return;
+    }
+
+    this._loadRequest = (async () => {
+      const since = new Date(Date.now() - REPORT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+      let reports;
+
+      try {
+        reports = await serviceProvider.getDealReportsSince(since);
+        await AsyncStorage.setItem(this.REPORTS_KEY, JSON.stringify(reports));
+        this._lastLoad = Date.now();
+      } catch (error) {
+        Logger.warn(LogCategory.DEALS, 'Could not load deal reports, using stored reports', { error });
+
+        const storedReports = await AsyncStorage.getItem(this.REPORTS_KEY);
+        reports = storedReports ? JSON.parse(storedReports) : [];
+      }
+
+      await this.loadListingChanges();
+      this._reportsByDeal = groupReportsByDeal(reports);
+
+      Logger.info(LogCategory.DEALS, 'Loaded deal reports', {
+        reports: reports.length,
+        deals: this._reportsByDeal.size
+      });
+      this.notifySubscribers();
+    })();
+
+    try {
+      await this._loadRequest;
+    } catch (error) {
+      Logger.error(LogCategory.DEALS, 'Error loading deal reports', { error });
+    } finally {
+      this._loadRequest = null;
+    }
+  }
+
+  /**
+   * Note when each deal's listing last changed, so reports on the old listing are left out
+   * @private
+   */
+  async loadListingChanges() {
+    const changeLog = await dealCacheService.getChangeLog();
+    this._listingChangedAt = new Map();
+
+    changeLog
+      .filter(change => change.change === DealChangeType.MODIFIED)
+      .forEach(change => this._listingChangedAt.set(change.key, change.detectedAt));
+  }
+
+  /**
+   * Get the summary of reports on a deal
+   * @param {Object} deal - Deal object
+   * @returns {DealVerification|null} - Summary, or null if nobody has reported on the deal
+   */
+  getVerification(deal) {
+    if (!deal) return null;
+
+    const key = getDealKey(deal);
+    const reports = this._reportsByDeal.get(key);
+    if (!reports || reports.length === 0) return null;
+
+    const verification = summarizeDealReports(reports, { since: this._listingChangedAt.get(key) });
+    return verification.reportCount > 0 ? verification : null;
+  }
+
+  /**
+   * Check whether enough users have reported a deal expired
+   * @param {Object} deal - Deal object
+   * @returns {boolean} - True if the deal is likely no longer offered
+   */
+  isDealLikelyExpired(deal) {
+    return this.getVerification(deal)?.isLikelyExpired === true;
+  }
+
+  /**
+   * Report what the user saw for a deal
+   * @param {Object} deal - Deal object
+   * @param {string} type - DealReportType value
+   * @param {string} [note] - What was different, in the user's words
+   * @returns {Promise<DealReport>} - Saved report
+   */
+  async reportDeal(deal, type, note = null) {
+    const report = await serviceProvider.reportDeal(deal, type, note);
+
+    // Count it straight away instead of waiting for the next load
+    const reports = (this._reportsByDeal.get(report.dealKey) || [])
+      .filter(existing => existing.id !== report.id);
+    this._reportsByDeal.set(report.dealKey, [report, ...reports]);
+    this.notifySubscribers();
+
+    return report;
+  }
+}
+
+// Create and export singleton instance
+const dealVerificationService = new DealVerificationService();
+export { dealVerificationService };
+export default dealVerificationService;
@@ -0,0 +1,179 @@
+// src/services/GeofenceService.js
+import { Logger, LogCategory } from './LoggingService';
+import locationService from './LocationService';
+import env from '../config/env';
+
+/**
+ * Get the geofence settings for a vendor
+ * Vendors can override the defaults with a `geofence` field ({ radius, dwellSeconds }).
+ * @param {Object} vendor - Vendor object
+ * @returns {Object} - { radius (miles), dwellSeconds }
+ */
+export const getVendorGeofence = (vendor) => ({
+  radius: vendor?.geofence?.radius || env.GEOFENCE_DEFAULT_RADIUS_MILES,
+  dwellSeconds: vendor?.geofence?.dwellSeconds ?? env.GEOFENCE_DEFAULT_DWELL_SECONDS
+});
+
+/**
+ * Service that detects arrival at vendors from LocationService updates
+ * A region counts as arrived once the user has stayed inside its radius for the
+ * dwell time while moving slowly, so driving past a shop doesn't trigger it.
+ */
+class GeofenceService {
+  constructor() {
+    this.regions = new Map();
+    this.subscribers = [];
+    this.isActive = false;
+
+    this.EXIT_RADIUS_FACTOR = 1.5; // Must move this far out before a region can trigger again
+    this.MAX_DWELL_SPEED_MPS = 4.5; // About 10 mph; faster than this is passing by
+
+    this.handleLocationUpdate = this.handleLocationUpdate.bind(this);
+  }
+
+  /**
+   * Start watching regions
+   * @returns {Promise<boolean>} - True if location updates are being received
+   */
+  async start() {
+    if (this.isActive) {
+      return true;
+    }
+
+    const subscribed = await locationService.subscribe(this.handleLocationUpdate);
+    if (!subscribed) {
+      Logger.warn(LogCategory.NAVIGATION, 'Geofencing unavailable without location updates');
+      return false;
+    }
+
+    this.isActive = true;
+    Logger.info(LogCategory.NAVIGATION, 'Geofencing started', { regions: this.regions.size });
+
+    return true;
+  }
+
+  /**
+   * Stop watching and forget all regions
+   */
+  stop() {
+    // Also cancels a start that is still waiting for location permission
+    locationService.unsubscribe(this.handleLocationUpdate);
+
+    if (this.isActive) {
+      Logger.info(LogCategory.NAVIGATION, 'Geofencing stopped');
+    }
+
+    this.isActive = false;
+    this.regions.clear();
+  }
+
+  /**
+   * Watch a set of vendors, replacing any previous regions
+   * Vendors already being watched keep their inside/arrived state.
+   * @param {Array<Object>} vendors - Vendors with location.coordinates
+   */
+  setVendors(vendors) {
+    const regions = new Map();
+
+    vendors.forEach(vendor => {
+      const coordinates = vendor?.location?.coordinates;
+      if (!coordinates || typeof coordinates.latitude !== 'number') return;
+
+      const existing = this.regions.get(vendor.id);
+      regions.set(vendor.id, {
+        id: vendor.id,
+        name: vendor.name,
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
+        ...getVendorGeofence(vendor),
+        enteredAt: existing?.enteredAt || null,
+        hasArrived: existing?.hasArrived || false
+      });
+    });
+
+    this.regions = regions;
+  }
+
+  /**
+   * Subscribe to arrival events
+   * @param {Function} listener - Called with { vendorId, name, distance } on arrival
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.subscribers.push(listener);
+
+    return () => {
+      this.subscribers = this.subscribers.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Check every region against a location fix
+   * @private
+   * @param {Object} coords - Location coordinates
+   */
+  handleLocationUpdate(coords) {
+    if (!coords) return;
+
+    const now = Date.now();
+    const isMovingFast = typeof coords.speed === 'number' && coords.speed > this.MAX_DWELL_SPEED_MPS;
+
+    this.regions.forEach(region => {
+      const distance = locationService.calculateDistance(
+        coords.latitude,
+        coords.longitude,
+        region.latitude,
+        region.longitude
+      );
+
+      if (distance > region.radius * this.EXIT_RADIUS_FACTOR) {
+        // Well clear of the region: reset so a later visit can trigger again
+        region.enteredAt = null;
+        region.hasArrived = false;
+        return;
+      }
+
+      if (distance > region.radius || isMovingFast) {
+        region.enteredAt = null;
+        return;
+      }
+
+      if (!region.enteredAt) {
+        region.enteredAt = now;
+        Logger.debug(LogCategory.NAVIGATION, 'Entered vendor geofence', { vendorId: region.id });
+      }
+
+      if (!region.hasArrived && now - region.enteredAt >= region.dwellSeconds * 1000) {
+        region.hasArrived = true;
+        this.notifyArrival(region, distance);
+      }
+    });
+  }
+
+  /**
+   * Tell subscribers about an arrival
+   * @private
+   * @param {Object} region - Region that was arrived at
+   * @param {number} distance - Current distance to the vendor in miles
+   */
+  notifyArrival(region, distance) {
+    Logger.info(LogCategory.NAVIGATION, 'Arrived at vendor', {
+      vendorId: region.id,
+      distance: distance.toFixed(3)
+    });
+
+    const event = { vendorId: region.id, name: region.name, distance };
+
+    this.subscribers.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        Logger.error(LogCategory.NAVIGATION, 'Error in geofence arrival listener', { error });
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const geofenceService = new GeofenceService();
+export default geofenceService;
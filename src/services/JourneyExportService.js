@@ -0,0 +1,75 @@
+// src/services/JourneyExportService.js
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { Logger, LogCategory } from './LoggingService';
+import {
+  buildJourneyExport,
+  getExportFormatDetails
+} from '../utils/JourneyExportUtils';
+
+/**
+ * Service for exporting past journeys to files other mapping tools can open
+ */
+class JourneyExportService {
+  /**
+   * Write journeys to a file in the app's cache directory
+   * @param {Array<Object>} journeys - Journeys to export
+   * @param {string} format - ExportFormat value
+   * @returns {Promise<string>} - File URI
+   */
+  async writeExportFile(journeys, format) {
+    if (!Array.isArray(journeys) || journeys.length === 0) {
+      throw new Error('No journeys to export');
+    }
+
+    const { extension } = getExportFormatDetails(format);
+    const contents = buildJourneyExport(journeys, format);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileUri = `${FileSystem.cacheDirectory}journeys-${stamp}.${extension}`;
+
+    await FileSystem.writeAsStringAsync(fileUri, contents, {
+      encoding: FileSystem.EncodingType.UTF8
+    });
+
+    Logger.info(LogCategory.JOURNEY, 'Wrote journey export', {
+      format,
+      journeys: journeys.length,
+      fileUri
+    });
+
+    return fileUri;
+  }
+
+  /**
+   * Export journeys and open the share sheet
+   * @param {Array<Object>} journeys - Journeys to export
+   * @param {string} format - ExportFormat value
+   * @returns {Promise<Object>} - { fileUri, shared } where shared is false if sharing is unavailable
+   */
+  async exportJourneys(journeys, format) {
+    try {
+      const fileUri = await this.writeExportFile(journeys, format);
+      const { mimeType, uti } = getExportFormatDetails(format);
+
+      if (!(await Sharing.isAvailableAsync())) {
+        Logger.warn(LogCategory.JOURNEY, 'Sharing unavailable, export left in cache', { fileUri });
+        return { fileUri, shared: false };
+      }
+
+      await Sharing.shareAsync(fileUri, {
+        mimeType,
+        UTI: uti,
+        dialogTitle: 'Export journeys'
+      });
+
+      return { fileUri, shared: true };
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error exporting journeys', { error, format });
+      throw error;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const journeyExportService = new JourneyExportService();
+export default journeyExportService;
@@ -0,0 +1,285 @@
+// src/services/JourneyTrackingService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Logger, LogCategory } from './LoggingService';
+import locationService from './LocationService';
+import routeService from './RouteService';
+
+const BREADCRUMB_STORAGE_KEY = 'current_journey_breadcrumb';
+
+/**
+ * Service that follows the user against the active journey
+ * Listens to LocationService updates, records the travelled path (breadcrumb),
+ * works out the distance left and detects when the user has gone off-route.
+ */
+class JourneyTrackingService {
+  constructor() {
+    this.journey = null;
+    this.plannedPath = [];
+    this.breadcrumb = [];
+    this.actualDistance = 0;
+    this.progress = null;
+    this.offRouteCount = 0;
+    this.subscribers = [];
+    this.isActive = false;
+    this.unsavedPoints = 0;
+    this.stopCount = 0; // Lets a start that is still loading notice it was stopped
+
+    // Tracking constants
+    this.MIN_BREADCRUMB_SPACING_MILES = 0.01; // About 16 meters between recorded points
+    this.MAX_ACCURACY_METERS = 50; // Ignore fixes less accurate than this
+    this.MAX_BREADCRUMB_POINTS = 2000;
+    this.OFF_ROUTE_CONFIRMATIONS = 2; // Consecutive off-path fixes before reporting off-route
+    this.SAVE_EVERY_POINTS = 10;
+
+    this.handleLocationUpdate = this.handleLocationUpdate.bind(this);
+  }
+
+  /**
+   * Start following a journey
+   * Safe to call again while tracking; the journey is just updated.
+   * @param {Object} journey - Journey state (vendors, currentVendorIndex, endLocation)
+   * @returns {Promise<boolean>} - True if location updates are being received
+   */
+  async start(journey) {
+    this.setJourney(journey);
+
+    if (this.isActive) {
+      return true;
+    }
+
+    const stopCount = this.stopCount;
+    const wasStopped = () => this.stopCount !== stopCount;
+
+    try {
+      const stored = await AsyncStorage.getItem(BREADCRUMB_STORAGE_KEY);
+      if (stored && !wasStopped()) {
+        const { breadcrumb = [], actualDistance = 0 } = JSON.parse(stored);
+        this.breadcrumb = breadcrumb;
+        this.actualDistance = actualDistance;
+      }
+    } catch (error) {
+      Logger.warn(LogCategory.STORAGE, 'Could not load journey breadcrumb', { error });
+    }
+
+    if (wasStopped()) {
+      return false;
+    }
+
+    // stop() has already unsubscribed if it ran while this was waiting
+    const subscribed = await locationService.subscribe(this.handleLocationUpdate);
+    if (wasStopped()) {
+      return false;
+    }
+    if (!subscribed) {
+      Logger.warn(LogCategory.NAVIGATION, 'Journey tracking unavailable without location updates');
+      return false;
+    }
+
+    this.isActive = true;
+    Logger.info(LogCategory.NAVIGATION, 'Journey tracking started', {
+      breadcrumbPoints: this.breadcrumb.length
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop following the journey and forget its breadcrumb
+   */
+  async stop() {
+    // Also cancels a start that is still loading the breadcrumb or waiting for location permission
+    this.stopCount += 1;
+    locationService.unsubscribe(this.handleLocationUpdate);
+
+    if (this.isActive) {
+      Logger.info(LogCategory.NAVIGATION, 'Journey tracking stopped', {
+        breadcrumbPoints: this.breadcrumb.length,
+        actualDistance: this.actualDistance.toFixed(2)
+      });
+    }
+
+    this.isActive = false;
+    this.journey = null;
+    this.plannedPath = [];
+    this.breadcrumb = [];
+    this.actualDistance = 0;
+    this.progress = null;
+    this.offRouteCount = 0;
+    this.unsavedPoints = 0;
+
+    try {
+      await AsyncStorage.removeItem(BREADCRUMB_STORAGE_KEY);
+    } catch (error) {
+      Logger.error(LogCategory.STORAGE, 'Failed to clear journey breadcrumb', { error });
+    }
+  }
+
+  /**
+   * Update the journey being followed (after check-ins, skips or re-plans)
+   * @param {Object} journey - Journey state
+   */
+  setJourney(journey) {
+    this.journey = journey;
+    this.offRouteCount = 0;
+  }
+
+  /**
+   * Set the path the user is expected to follow
+   * @param {Array<Object>} path - Road geometry or stop coordinates, in order
+   */
+  setPlannedPath(path) {
+    this.plannedPath = Array.isArray(path) ? path : [];
+    this.offRouteCount = 0;
+  }
+
+  /**
+   * Subscribe to progress updates
+   * @param {Function} listener - Called with the progress object on every accepted fix
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.subscribers.push(listener);
+
+    if (this.progress) {
+      listener(this.progress);
+    }
+
+    return () => {
+      this.subscribers = this.subscribers.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get the latest progress
+   * @returns {Object|null} - Progress or null before the first fix
+   */
+  getProgress() {
+    return this.progress;
+  }
+
+  /**
+   * Get the travelled path so far
+   * @returns {Object} - { breadcrumb, actualDistance }
+   */
+  getBreadcrumb() {
+    return {
+      breadcrumb: [...this.breadcrumb],
+      actualDistance: this.actualDistance
+    };
+  }
+
+  /**
+   * Handle a location fix from LocationService
+   * @private
+   * @param {Object} coords - Location coordinates
+   */
+  handleLocationUpdate(coords) {
+    if (!coords || (coords.accuracy && coords.accuracy > this.MAX_ACCURACY_METERS)) {
+      return;
+    }
+
+    const location = { latitude: coords.latitude, longitude: coords.longitude };
+    this.recordBreadcrumb(location);
+
+    this.progress = this.calculateProgress(location);
+
+    this.subscribers.forEach(listener => {
+      try {
+        listener(this.progress);
+      } catch (error) {
+        Logger.error(LogCategory.NAVIGATION, 'Error in journey progress listener', { error });
+      }
+    });
+  }
+
+  /**
+   * Add a point to the breadcrumb if the user has moved far enough
+   * @private
+   * @param {Object} location - Current coordinates
+   */
+  recordBreadcrumb(location) {
+    const last = this.breadcrumb[this.breadcrumb.length - 1];
+    const moved = last
+      ? locationService.calculateDistance(last.latitude, last.longitude, location.latitude, location.longitude)
+      : 0;
+
+    if (last && moved < this.MIN_BREADCRUMB_SPACING_MILES) {
+      return;
+    }
+
+    this.actualDistance += moved;
+    this.breadcrumb.push({ ...location, timestamp: new Date().toISOString() });
+
+    // Thin out old points rather than dropping the start of the path
+    if (this.breadcrumb.length > this.MAX_BREADCRUMB_POINTS) {
+      this.breadcrumb = this.breadcrumb.filter((_, index) =>
+        index % 2 === 0 || index === this.breadcrumb.length - 1
+      );
+    }
+
+    this.unsavedPoints++;
+    if (this.unsavedPoints >= this.SAVE_EVERY_POINTS) {
+      this.unsavedPoints = 0;
+      AsyncStorage.setItem(BREADCRUMB_STORAGE_KEY, JSON.stringify(this.getBreadcrumb()))
+        .catch(error => {
+          Logger.error(LogCategory.STORAGE, 'Failed to save journey breadcrumb', { error });
+        });
+    }
+  }
+
+  /**
+   * Work out distance left and off-route state for a location
+   * @private
+   * @param {Object} location - Current coordinates
+   * @returns {Object} - Progress
+   */
+  calculateProgress(location) {
+    const vendors = this.journey?.vendors || [];
+    const currentVendorIndex = Math.max(0, this.journey?.currentVendorIndex || 0);
+    const remainingStops = vendors.slice(currentVendorIndex)
+      .map(vendor => vendor.location?.coordinates)
+      .filter(coords => coords && typeof coords.latitude === 'number');
+
+    const waypoints = [location, ...remainingStops];
+    if (this.journey?.endLocation) {
+      waypoints.push(this.journey.endLocation);
+    }
+
+    let remainingDistance = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+      remainingDistance += locationService.calculateDistance(
+        waypoints[i - 1].latitude,
+        waypoints[i - 1].longitude,
+        waypoints[i].latitude,
+        waypoints[i].longitude
+      );
+    }
+
+    const distanceToCurrentStop = remainingStops.length > 0
+      ? locationService.calculateDistance(
+          location.latitude,
+          location.longitude,
+          remainingStops[0].latitude,
+          remainingStops[0].longitude
+        )
+      : null;
+
+    // Require a couple of fixes off the path so GPS jitter doesn't count
+    this.offRouteCount = routeService.hasDeviatedFromPath(location, this.plannedPath)
+      ? this.offRouteCount + 1
+      : 0;
+
+    return {
+      location,
+      distanceToCurrentStop,
+      remainingDistance,
+      actualDistance: this.actualDistance,
+      isOffRoute: this.offRouteCount >= this.OFF_ROUTE_CONFIRMATIONS,
+      updatedAt: new Date().toISOString()
+    };
+  }
+}
+
+// Create and export a singleton instance
+const journeyTrackingService = new JourneyTrackingService();
+export default journeyTrackingService;
@@ -4,6 +4,7 @@ import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Logger, LogCategory } from './LoggingService';
 import { tryCatch } from '../utils/ErrorHandler';
+import { getTravelProfile } from '../utils/TravelModeUtils';
 import env from '../config/env';
 
 /**
@@ -17,6 +18,8 @@ class LocationService {
     this.locationSubscription = null;
     this.lastKnownLocation = null;
     this.locationListeners = [];
+    this.trackingSubscribers = new Set();
+    this.pendingTrackingStart = null;
     
     // Cached permission status
     this.permissionStatus = null;
@@ -401,10 +404,76 @@ class LocationService {
     
     this.isTracking = false;
     this.locationListeners = [];
+    this.trackingSubscribers.clear();
     
     Logger.info(LogCategory.NAVIGATION, 'Location tracking stopped');
   }
   
+  /**
+   * Subscribe to location updates from the shared position watch
+   * The watch starts with the first subscriber and stops after the last one
+   * unsubscribes, so services can share it without knowing about each other.
+   * @param {Function} listener - Callback for location updates
+   * @param {Object} options - Tracking options for the watch (see startTracking)
+   * @returns {Promise<boolean>} - True if the listener is receiving updates
+   */
+  async subscribe(listener, options = {}) {
+    if (typeof listener !== 'function') {
+      return false;
+    }
+
+    if (!this.trackingSubscribers.has(listener)) {
+      this.trackingSubscribers.add(listener);
+      this.addLocationListener(listener);
+    }
+
+    if (this.isTracking) {
+      return true;
+    }
+
+    // Subscribers arriving while the watch is starting wait for the same start
+    if (!this.pendingTrackingStart) {
+      this.pendingTrackingStart = this.startTracking(options)
+        .then(started => {
+          // Everyone unsubscribed while we were waiting for permission
+          if (started && this.trackingSubscribers.size === 0) {
+            this.stopTracking();
+            return false;
+          }
+          return started;
+        })
+        .finally(() => {
+          this.pendingTrackingStart = null;
+        });
+    }
+
+    const started = await this.pendingTrackingStart;
+
+    if (!started) {
+      this.trackingSubscribers.delete(listener);
+      this.removeLocationListener(listener);
+    }
+
+    return started && this.trackingSubscribers.has(listener);
+  }
+
+  /**
+   * Stop a subscriber's location updates
+   * Stops the position watch once nobody is subscribed.
+   * @param {Function} listener - Listener passed to subscribe
+   */
+  unsubscribe(listener) {
+    if (!this.trackingSubscribers.delete(listener)) {
+      return;
+    }
+
+    this.removeLocationListener(listener);
+
+    if (this.trackingSubscribers.size === 0 && this.isTracking) {
+      this.stopTracking();
+    }
+  }
+  
   /**
    * Register a listener for location updates
    * @param {Function} listener - Callback function for location updates
@@ -488,6 +557,53 @@ class LocationService {
     return (brng + 360) % 360;
   }
   
+  /**
+   * Calculate the shortest distance from a point to a path
+   * Segments are treated as flat, which is accurate enough at city scale.
+   * @param {number} latitude - Latitude of the point
+   * @param {number} longitude - Longitude of the point
+   * @param {Array<Object>} path - Path coordinates ({ latitude, longitude }) in order
+   * @returns {number} - Distance in miles (Infinity for an empty path)
+   */
+  distanceToPath(latitude, longitude, path) {
+    if (!Array.isArray(path) || path.length === 0) {
+      return Infinity;
+    }
+    
+    if (path.length === 1) {
+      return this.calculateDistance(latitude, longitude, path[0].latitude, path[0].longitude);
+    }
+    
+    // Project onto a local plane where one unit of x equals one unit of y
+    const lonScale = Math.cos(this.deg2rad(latitude));
+    let minDistance = Infinity;
+    
+    for (let i = 1; i < path.length; i++) {
+      const start = path[i - 1];
+      const end = path[i];
+      const dx = (end.longitude - start.longitude) * lonScale;
+      const dy = end.latitude - start.latitude;
+      const lengthSquared = dx * dx + dy * dy;
+      
+      let t = 0;
+      if (lengthSquared > 0) {
+        t = (((longitude - start.longitude) * lonScale) * dx + (latitude - start.latitude) * dy) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+      }
+      
+      const distance = this.calculateDistance(
+        latitude,
+        longitude,
+        start.latitude + t * (end.latitude - start.latitude),
+        start.longitude + t * (end.longitude - start.longitude)
+      );
+      
+      minDistance = Math.min(minDistance, distance);
+    }
+    
+    return minDistance;
+  }
+  
   /**
    * Calculate the center point and zoom level to fit multiple coordinates
    * @param {Array<Object>} coordinates - Array of coordinate objects with latitude and longitude
@@ -626,11 +742,13 @@ class LocationService {
    * @param {number} lat2 - Latitude of second point
    * @param {number} lon2 - Longitude of second point
    * @param {Object} options - Options for calculation
-   * @param {number} options.speedMph - Average speed in mph (default: 25)
+   * @param {string} [options.travelMode] - TravelMode value (default: drive)
+   * @param {number} [options.speedMph] - Average speed in mph (default: the travel mode's speed)
    * @returns {number} - Estimated time in minutes
    */
   getEstimatedTravelTime(lat1, lon1, lat2, lon2, options = {}) {
-    const { speedMph = 25 } = options;
+    const profile = getTravelProfile(options.travelMode);
+    const { speedMph = profile.speedMph } = options;
     
     // Calculate distance in miles
     const distanceMiles = this.calculateDistance(lat1, lon1, lat2, lon2, true);
@@ -638,9 +756,9 @@ class LocationService {
     // Calculate time in hours: distance / speed
     const timeHours = distanceMiles / speedMph;
     
-    // Convert to minutes and account for traffic/stops
-    const trafficFactor = 1.2; // 20% buffer for traffic and stops
-    return Math.ceil(timeHours * 60 * trafficFactor);
+    // Convert to minutes, allowing for traffic/stops on the road and any
+    // per-leg overhead such as waiting for a pickup
+    return Math.ceil(timeHours * 60 * profile.trafficFactor + profile.legOverheadMinutes);
   }
   
   /**
@@ -0,0 +1,188 @@
+// src/services/NotificationService.js
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { Logger, LogCategory } from './LoggingService';
+
+/**
+ * Service for local notifications
+ * Respects the user's notification setting (ui.notifications in app state)
+ */
+class NotificationService {
+  constructor() {
+    this.isInitialized = false;
+    this.isEnabled = true;
+    this.permissionGranted = null;
+    this.responseSubscription = null;
+    this.responseListeners = [];
+    this.ANDROID_CHANNEL_ID = 'journey';
+  }
+
+  /**
+   * Set up how notifications are shown and listen for taps
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      Notifications.setNotificationHandler({
+        handleNotification: async () => ({
+          shouldShowAlert: true,
+          shouldPlaySound: true,
+          shouldSetBadge: false
+        })
+      });
+
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync(this.ANDROID_CHANNEL_ID, {
+          name: 'Journey updates',
+          importance: Notifications.AndroidImportance.HIGH
+        });
+      }
+
+      this.responseSubscription = Notifications.addNotificationResponseReceivedListener(response => {
+        const data = response?.notification?.request?.content?.data || {};
+
+        this.responseListeners.forEach(listener => {
+          try {
+            listener(data);
+          } catch (error) {
+            Logger.error(LogCategory.GENERAL, 'Error in notification response listener', { error });
+          }
+        });
+      });
+
+      this.isInitialized = true;
+      Logger.info(LogCategory.GENERAL, 'Notification service initialized');
+    } catch (error) {
+      Logger.error(LogCategory.GENERAL, 'Failed to initialize notification service', { error });
+    }
+  }
+
+  /**
+   * Turn notifications on or off to match the user's setting
+   * @param {boolean} enabled - Whether notifications may be shown
+   */
+  setEnabled(enabled) {
+    this.isEnabled = enabled !== false;
+  }
+
+  /**
+   * Ask for notification permission if it hasn't been granted yet
+   * @returns {Promise<boolean>} - True if notifications can be shown
+   */
+  async requestPermissions() {
+    if (this.permissionGranted) return true;
+
+    try {
+      const current = await Notifications.getPermissionsAsync();
+      const result = current.granted ? current : await Notifications.requestPermissionsAsync();
+
+      this.permissionGranted = result.granted;
+      return this.permissionGranted;
+    } catch (error) {
+      Logger.error(LogCategory.GENERAL, 'Error requesting notification permission', { error });
+      return false;
+    }
+  }
+
+  /**
+   * Show a local notification now
+   * @param {Object} notification - Notification content
+   * @param {string} notification.title - Title
+   * @param {string} notification.body - Message text
+   * @param {Object} [notification.data] - Data handed to response listeners when tapped
+   * @returns {Promise<string|null>} - Notification ID, or null if not shown
+   */
+  async presentLocalNotification({ title, body, data = {} }) {
+    if (!this.isEnabled) {
+      Logger.debug(LogCategory.GENERAL, 'Notifications disabled, skipping', { title });
+      return null;
+    }
+
+    await this.initialize();
+
+    if (!(await this.requestPermissions())) {
+      return null;
+    }
+
+    try {
+      const id = await Notifications.scheduleNotificationAsync({
+        content: { title, body, data },
+        // Show immediately; Android needs the channel on the trigger
+        trigger: Platform.OS === 'android' ? { channelId: this.ANDROID_CHANNEL_ID } : null
+      });
+
+      Logger.info(LogCategory.GENERAL, 'Local notification shown', { title });
+      return id;
+    } catch (error) {
+      Logger.error(LogCategory.GENERAL, 'Error showing local notification', { error, title });
+      return null;
+    }
+  }
+
+  /**
+   * Schedule a local notification for later
+   * @param {Object} notification - Notification content (title, body, data)
+   * @param {Date} date - When to show it
+   * @returns {Promise<string|null>} - Notification ID, or null if not scheduled
+   */
+  async scheduleLocalNotification({ title, body, data = {} }, date) {
+    if (!this.isEnabled || date <= new Date()) {
+      return null;
+    }
+
+    await this.initialize();
+
+    if (!(await this.requestPermissions())) {
+      return null;
+    }
+
+    try {
+      const id = await Notifications.scheduleNotificationAsync({
+        content: { title, body, data },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date,
+          ...(Platform.OS === 'android' ? { channelId: this.ANDROID_CHANNEL_ID } : {})
+        }
+      });
+
+      Logger.info(LogCategory.GENERAL, 'Local notification scheduled', { title, date: date.toISOString() });
+      return id;
+    } catch (error) {
+      Logger.error(LogCategory.GENERAL, 'Error scheduling local notification', { error, title });
+      return null;
+    }
+  }
+
+  /**
+   * Cancel a scheduled notification
+   * @param {string} id - Notification ID from scheduleLocalNotification
+   */
+  async cancelScheduledNotification(id) {
+    if (!id) return;
+
+    try {
+      await Notifications.cancelScheduledNotificationAsync(id);
+    } catch (error) {
+      Logger.warn(LogCategory.GENERAL, 'Could not cancel scheduled notification', { error, id });
+    }
+  }
+
+  /**
+   * Register a listener for notification taps
+   * @param {Function} listener - Called with the notification's data
+   * @returns {Function} - Unsubscribe function
+   */
+  addResponseListener(listener) {
+    this.responseListeners.push(listener);
+
+    return () => {
+      this.responseListeners = this.responseListeners.filter(l => l !== listener);
+    };
+  }
+}
+
+// Create and export a singleton instance
+const notificationService = new NotificationService();
+export default notificationService;
@@ -0,0 +1,125 @@
+// src/services/PriceHistoryService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Logger, LogCategory } from './LoggingService';
+import {
+  buildPriceObservation,
+  mergePriceObservations,
+  computeMarketAverages,
+  getMarketAverage,
+  getProductPriceHistory
+} from '../utils/PriceHistory';
+
+/**
+ * Service for product price history
+ * Records what each product costs every time deals load, and works out what the
+ * same kind and size of product usually costs (see PriceHistory). History is kept
+ * on the device.
+ */
+class PriceHistoryService {
+  constructor() {
+    this.HISTORY_KEY = 'price_history';
+    // Keep at most this many observations, dropping the oldest
+    this.MAX_OBSERVATIONS = 5000;
+    this._history = null;
+    this._marketAverages = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the price history from storage
+   * @returns {Promise<Array<PriceObservation>>} - Observations, oldest first
+   */
+  async getHistory() {
+    if (this._history) {
+      return this._history;
+    }
+
+    try {
+      const storedHistory = await AsyncStorage.getItem(this.HISTORY_KEY);
+      const history = storedHistory ? JSON.parse(storedHistory) : [];
+      this._history = Array.isArray(history) ? history : [];
+    } catch (error) {
+      Logger.warn(LogCategory.DEALS, 'Error loading price history', { error });
+      this._history = [];
+    }
+
+    return this._history;
+  }
+
+  /**
+   * Record today's prices for deals that have them
+   * Never throws; a failed write only means today's prices are missing from the history
+   * @param {Array<Object>} deals - Loaded deals
+   * @returns {Promise<number>} - Observations recorded
+   */
+  recordDeals(deals) {
+    const observations = (deals || []).map(deal => buildPriceObservation(deal)).filter(Boolean);
+    if (observations.length === 0) {
+      return Promise.resolve(0);
+    }
+
+    // Loads can overlap, so writes go one at a time to keep each other's observations
+    this._writeQueue = this._writeQueue.then(async () => {
+      try {
+        const history = mergePriceObservations(await this.getHistory(), observations);
+        this._history = history.slice(-this.MAX_OBSERVATIONS);
+        this._marketAverages = computeMarketAverages(this._history);
+
+        await AsyncStorage.setItem(this.HISTORY_KEY, JSON.stringify(this._history));
+
+        Logger.debug(LogCategory.DEALS, 'Recorded prices', { count: observations.length });
+        return observations.length;
+      } catch (error) {
+        Logger.error(LogCategory.DEALS, 'Error recording prices', { error });
+        return 0;
+      }
+    });
+
+    return this._writeQueue;
+  }
+
+  /**
+   * Get the rolling market averages
+   * @returns {Promise<Map<string, MarketAverage>>} - Averages by market key
+   */
+  async getMarketAverages() {
+    if (!this._marketAverages) {
+      this._marketAverages = computeMarketAverages(await this.getHistory());
+    }
+
+    return this._marketAverages;
+  }
+
+  /**
+   * Get the market averages already in memory, without waiting on storage
+   * They're worked out whenever prices are recorded (see DataLoaderService), so this
+   * is empty until the first recording after the app starts
+   * @returns {Map<string, MarketAverage>} - Averages by market key
+   */
+  getCachedMarketAverages() {
+    return this._marketAverages || new Map();
+  }
+
+  /**
+   * Get the market average for a deal's category and unit size
+   * @param {Object} deal - Deal or product
+   * @returns {Promise<MarketAverage|null>} - Average, or null when too few products are known
+   */
+  async getMarketAverage(deal) {
+    return getMarketAverage(await this.getMarketAverages(), deal);
+  }
+
+  /**
+   * Get one product's price over time
+   * @param {string} productKey - Product identity (see getDealKey)
+   * @returns {Promise<Array<{date: string, price: number, salePrice: number}>>} - Prices by day
+   */
+  async getProductPriceHistory(productKey) {
+    return getProductPriceHistory(await this.getHistory(), productKey);
+  }
+}
+
+// Create and export singleton instance
+const priceHistoryService = new PriceHistoryService();
+export { priceHistoryService };
+export default priceHistoryService;
@@ -2,6 +2,20 @@
 import { Logger, LogCategory } from './LoggingService';
 import { calculateValueScore } from '../utils/ValueCalculator';
 import { DealRepository } from '../repositories/repositoryExports';
+import priceHistoryService from './PriceHistoryService';
+import { getMarketAverage } from '../utils/PriceHistory';
+import { getDealKey } from '../utils/DealChanges';
+
+/**
+ * Get what a deal's product usually costs
+ * Without enough price history the regular price stands in, so the value score
+ * only reflects the discount
+ * @param {Object} deal - Deal
+ * @param {Map<string, MarketAverage>} marketAverages - Averages from PriceHistoryService.getCachedMarketAverages
+ * @returns {number} - Market average price in dollars
+ */
+const getDealMarketAverage = (deal, marketAverages) =>
+  deal.marketAverage || getMarketAverage(marketAverages, deal)?.average || deal.price;
 
 /**
  * Service for product-related operations
@@ -33,12 +47,15 @@ const ProductService = {
       // Get deals from repository
       const deals = await DealRepository.getAll(dealOptions);
       
+      // Prices are recorded when the app loads its deals (see DataLoaderService)
+      const marketAverages = priceHistoryService.getCachedMarketAverages();
+      
       // Transform deals to product format
       const products = deals.map(deal => {
         // Calculate value score
         const currentPrice = deal.discountedPrice || deal.price;
         const regularPrice = deal.price;
-        const marketAverage = deal.marketAverage || (deal.price * 1.2); // Estimate if not available
+        const marketAverage = getDealMarketAverage(deal, marketAverages);
         
         return {
           id: deal.id,
@@ -95,7 +112,8 @@ const ProductService = {
   /**
    * Get product by ID
    * @param {string} productId - Product ID
-   * @returns {Promise<Object>} - Product with value score
+   * @returns {Promise<Object>} - Product with value score, priceHistory (its prices by day)
+   *   and marketProductCount (products its market average was taken from)
    */
   getProductById: async (productId) => {
     try {
@@ -109,10 +127,12 @@ const ProductService = {
         return null;
       }
       
+      const marketAverages = priceHistoryService.getCachedMarketAverages();
+      
       // Calculate value score
       const currentPrice = deal.discountedPrice || deal.price;
       const regularPrice = deal.price;
-      const marketAverage = deal.marketAverage || (deal.price * 1.2); // Estimate if not available
+      const marketAverage = getDealMarketAverage(deal, marketAverages);
       
       // Transform deal to product format
       return {
@@ -130,7 +150,10 @@ const ProductService = {
         imageUrl: deal.imageUrl || null,
         dealType: deal.dealType,
         expiresAt: deal.expiresAt ? deal.expiresAt.toDate().toISOString() : null,
-        valueScore: calculateValueScore(currentPrice, regularPrice, marketAverage)
+        valueScore: calculateValueScore(currentPrice, regularPrice, marketAverage),
+        // 0 when marketAverage is only the regular price standing in
+        marketProductCount: getMarketAverage(marketAverages, deal)?.productCount || 0,
+        priceHistory: await priceHistoryService.getProductPriceHistory(getDealKey(deal))
       };
     } catch (error) {
       Logger.error(LogCategory.DEALS, `Error getting product ${productId}`, { error });
@@ -3,6 +3,7 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Logger, LogCategory } from './LoggingService';
+import { isDealActiveAt, getEmbeddedDeals } from '../utils/DealAvailability';
 
 /**
  * Service to handle tracking and verification of deal redemptions
@@ -66,6 +67,24 @@ class RedemptionService {
     }
   }
 
+  /**
+   * Record a redemption for each deal a vendor was visited for
+   * Redemptions are written one at a time so they don't overwrite each other in storage
+   * @param {string} vendorId - ID of the vendor
+   * @param {Array<string>} dealTypes - Types of deal redeemed
+   * @returns {Promise<boolean>} - True if every redemption was recorded
+   */
+  async recordRedemptions(vendorId, dealTypes) {
+    let allRecorded = true;
+    
+    for (const dealType of dealTypes) {
+      const recorded = await this.recordRedemption(vendorId, dealType, `${dealType}-${vendorId}`);
+      allRecorded = allRecorded && recorded;
+    }
+    
+    return allRecorded;
+  }
+
   /**
    * Get all recorded redemptions
    * @returns {Promise<Array>} - List of all redemptions
@@ -84,9 +103,10 @@ class RedemptionService {
    * Check if a deal can be redeemed for a specific vendor
    * @param {string} vendorId - ID of the vendor
    * @param {string} dealType - Type of deal
+   * @param {Date} [atDate] - When the deal would be redeemed (defaults to now)
    * @returns {Promise<boolean>} - Whether deal can be redeemed
    */
-  async canRedeemDeal(vendorId, dealType) {
+  async canRedeemDeal(vendorId, dealType, atDate = new Date()) {
     try {
       // Get all redemptions
       const redemptions = await this.getRedemptions();
@@ -99,7 +119,7 @@ class RedemptionService {
       
       // For birthday deals, check if it's been redeemed today
       if (dealType === 'birthday') {
-        const hasRedeemedToday = await this.hasRedeemedToday(vendorId, dealType);
+        const hasRedeemedToday = await this.hasRedeemedToday(vendorId, dealType, atDate);
         
         Logger.debug(LogCategory.REDEMPTION, `Birthday deal ${hasRedeemedToday ? 'cannot' : 'can'} be redeemed`, {
           vendorId,
@@ -135,9 +155,8 @@ class RedemptionService {
       }, vendorRedemptions[0]);
       
       // Calculate time difference
-      const now = new Date();
       const lastRedemptionDate = new Date(mostRecent.timestamp);
-      const timeDiff = now - lastRedemptionDate;
+      const timeDiff = atDate - lastRedemptionDate;
       
       // Check if enough time has passed since last redemption
       const canRedeem = timeDiff > periodMilliseconds;
@@ -162,9 +181,10 @@ class RedemptionService {
    * Filter vendors based on redemption rules
    * @param {Array} vendors - List of vendors to filter
    * @param {string} dealType - Type of deal to filter for
+   * @param {Date} [atDate] - When the deals would be redeemed (defaults to now)
    * @returns {Promise<Array>} - Filtered list of vendors
    */
-  async filterRedeemableVendors(vendors, dealType) {
+  async filterRedeemableVendors(vendors, dealType, atDate = new Date()) {
     try {
       if (!vendors || !Array.isArray(vendors) || vendors.length === 0) {
         return [];
@@ -185,9 +205,6 @@ class RedemptionService {
       const rule = this.REDEMPTION_RULES[dealType] || this.REDEMPTION_RULES.standard;
       const periodMilliseconds = rule.periodHours * 60 * 60 * 1000;
       
-      // Current time
-      const now = new Date();
-      
       // Process each vendor
       for (const vendor of vendors) {
         // First check if vendor has the deal type
@@ -202,7 +219,7 @@ class RedemptionService {
         
         // For birthday deals, we need to check if it's been redeemed today
         if (dealType === 'birthday') {
-          const hasRedeemedToday = await this.hasRedeemedToday(vendor.id, dealType);
+          const hasRedeemedToday = await this.hasRedeemedToday(vendor.id, dealType, atDate);
           if (hasRedeemedToday) {
             Logger.debug(LogCategory.REDEMPTION, 'Vendor excluded - birthday deal already redeemed today', {
               vendorId: vendor.id,
@@ -246,7 +263,7 @@ class RedemptionService {
         
         // Calculate time difference
         const lastRedemptionDate = new Date(mostRecent.timestamp);
-        const timeDiff = now - lastRedemptionDate;
+        const timeDiff = atDate - lastRedemptionDate;
         
         // Check if enough time has passed since last redemption
         const canRedeem = timeDiff > periodMilliseconds;
@@ -303,45 +320,8 @@ class RedemptionService {
     }
     
     // For vendors from other sources, check the deals property
-    if (!vendor.deals) return false;
-    
-    switch (dealType) {
-      case 'birthday':
-        return !!vendor.deals.birthday;
-      case 'daily':
-        // Current day of week
-        const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const currentDay = daysOfWeek[new Date().getDay()];
-        return vendor.deals.daily && 
-               Array.isArray(vendor.deals.daily[currentDay]) && 
-               vendor.deals.daily[currentDay].length > 0;
-      case 'multi_day':
-        // Current day of week
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const today = days[new Date().getDay()];
-        // Check if any multi-day deals have today as an active day
-        return vendor.deals.multi_day && 
-               Array.isArray(vendor.deals.multi_day) && 
-               vendor.deals.multi_day.some(deal => 
-                 deal.activeDays && 
-                 Array.isArray(deal.activeDays) && 
-                 deal.activeDays.includes(today)
-               );
-      case 'special':
-        // Check if there are any active special deals
-        const now = new Date();
-        const activeSpecials = vendor.deals.special?.filter(deal => {
-          if (!deal.startDate || !deal.endDate) return true;
-          const startDate = new Date(deal.startDate);
-          const endDate = new Date(deal.endDate);
-          return now >= startDate && now <= endDate;
-        }) || [];
-        return activeSpecials.length > 0;
-      case 'everyday':
-        return vendor.deals.everyday && vendor.deals.everyday.length > 0;
-      default:
-        return false;
-    }
+    const now = new Date();
+    return getEmbeddedDeals(vendor, dealType).some(deal => isDealActiveAt(deal, now, { ignoreTime: true }));
   }
 
   /**
@@ -435,16 +415,16 @@ class RedemptionService {
    * Check if a deal has been redeemed today for a specific vendor
    * @param {string} vendorId - ID of the vendor
    * @param {string} dealType - Type of deal
+   * @param {Date} [date] - Day to check instead of today
    * @returns {Promise<boolean>} - Whether deal was redeemed today
    */
-  async hasRedeemedToday(vendorId, dealType) {
+  async hasRedeemedToday(vendorId, dealType, date = new Date()) {
     try {
       // Get all redemptions
       const redemptions = await this.getRedemptions();
       
       // Get today's date boundaries
-      const now = new Date();
-      const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+      const todayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
       const todayEnd = todayStart + 24 * 60 * 60 * 1000;
       
       Logger.debug(LogCategory.REDEMPTION, 'Checking for today\'s redemptions', { 
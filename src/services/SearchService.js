@@ -0,0 +1,176 @@
+// src/services/SearchService.js
+import { Logger, LogCategory } from './LoggingService';
+import dealCacheService from './DealCacheService';
+import vendorCacheService from './VendorCacheService';
+import { buildSearchIndex, searchIndex } from '../utils/SearchIndex';
+import { extractZipCodeFromAddress } from '../types/Schema';
+
+// How much a match in each field counts towards a result's score
+const FieldWeight = {
+  NAME: 3,
+  ZIP: 2.5,
+  CATEGORY: 2,
+  ADDRESS: 1.5,
+  DISCOUNT: 1.5,
+  VENDOR: 1,
+  DESCRIPTION: 1
+};
+
+/**
+ * Service for searching deals, products and vendors
+ * Keeps an in-memory index of the deal and vendor caches, rebuilt the next time
+ * it's searched after either cache changes
+ */
+class SearchService {
+  constructor() {
+    this._index = null;
+    this._isStale = true;
+
+    this.dealCacheService = dealCacheService;
+    this.vendorCacheService = vendorCacheService;
+
+    const markStale = () => {
+      this._isStale = true;
+    };
+
+    this.dealCacheService.subscribe(markStale);
+    this.vendorCacheService.subscribe(markStale);
+  }
+
+  /**
+   * Build the search document for a vendor
+   * @param {Object} vendor - Vendor object
+   * @returns {Object} - Search document
+   */
+  createVendorDocument(vendor) {
+    const address = vendor.location?.address || '';
+    const zipCode = vendor.location?.zipCode || extractZipCodeFromAddress(address);
+
+    return {
+      id: vendor.id,
+      type: 'vendor',
+      title: vendor.name,
+      subtitle: address,
+      data: { vendorId: vendor.id },
+      fields: [
+        { text: vendor.name, weight: FieldWeight.NAME },
+        { text: address, weight: FieldWeight.ADDRESS },
+        { text: zipCode, weight: FieldWeight.ZIP }
+      ]
+    };
+  }
+
+  /**
+   * Build search documents for a deal
+   * A deal for a named product or category is also indexed as a product
+   * @param {Object} deal - Deal object
+   * @returns {Array<Object>} - Search documents
+   */
+  createDealDocuments(deal) {
+    const vendorName = deal.vendorName ||
+      this.vendorCacheService.getVendorById(deal.vendorId)?.name || '';
+    const title = deal.title || deal.discount || deal.description || 'Deal';
+
+    const documents = [{
+      id: deal.id,
+      type: 'deal',
+      title,
+      subtitle: vendorName,
+      data: { vendorId: deal.vendorId, dealId: deal.id, dealType: deal.dealType },
+      fields: [
+        { text: title, weight: FieldWeight.NAME },
+        { text: deal.discount, weight: FieldWeight.DISCOUNT },
+        { text: deal.description, weight: FieldWeight.DESCRIPTION },
+        { text: vendorName, weight: FieldWeight.VENDOR }
+      ]
+    }];
+
+    if (deal.name || deal.category) {
+      const name = deal.name || deal.description || title;
+
+      documents.push({
+        id: deal.id,
+        type: 'product',
+        title: name,
+        subtitle: [deal.category, vendorName].filter(Boolean).join(' · '),
+        data: { vendorId: deal.vendorId, productId: deal.id },
+        fields: [
+          { text: name, weight: FieldWeight.NAME },
+          { text: deal.category, weight: FieldWeight.CATEGORY },
+          { text: vendorName, weight: FieldWeight.VENDOR }
+        ]
+      });
+    }
+
+    return documents;
+  }
+
+  /**
+   * Get the search index, rebuilding it if the caches changed since it was built
+   * @returns {Object} - Search index
+   */
+  getIndex() {
+    if (this._index && !this._isStale) {
+      return this._index;
+    }
+
+    const vendors = this.vendorCacheService.isCacheLoaded()
+      ? this.vendorCacheService.getAllVendors()
+      : [];
+    const deals = this.dealCacheService.isCacheLoaded()
+      ? this.dealCacheService.getAllDeals()
+      : [];
+
+    const documents = [
+      ...vendors.filter(vendor => vendor?.id).map(vendor => this.createVendorDocument(vendor)),
+      ...deals.filter(deal => deal?.id).flatMap(deal => this.createDealDocuments(deal))
+    ];
+
+    this._index = buildSearchIndex(documents);
+
+    // Only trust the index once both caches have loaded; until then keep rebuilding
+    this._isStale = !this.vendorCacheService.isCacheLoaded() ||
+      !this.dealCacheService.isCacheLoaded();
+
+    Logger.debug(LogCategory.GENERAL, 'Built search index', {
+      documents: documents.length,
+      terms: this._index.terms.length
+    });
+
+    return this._index;
+  }
+
+  /**
+   * Search deals, products and vendors
+   * Tolerates typos, matches the last word as a prefix and ranks the best matches first
+   * @param {string} query - Search text
+   * @param {Object} options - Search options
+   * @param {Array<string>} [options.types] - Only return these result types ('vendor', 'deal', 'product')
+   * @param {number} [options.limit] - Most results to return
+   * @returns {Array<Object>} - Results: { id, type, title, subtitle, score, data }
+   */
+  search(query, options = {}) {
+    try {
+      return searchIndex(this.getIndex(), query, options);
+    } catch (error) {
+      Logger.error(LogCategory.GENERAL, 'Error searching', { error, query });
+      return [];
+    }
+  }
+
+  /**
+   * Get the IDs of matching items
+   * For screens that filter their own lists with the search index
+   * @param {string} query - Search text
+   * @param {Array<string>} types - Result types to match ('vendor', 'deal', 'product')
+   * @returns {Set<string>} - Matching IDs
+   */
+  getMatchingIds(query, types) {
+    return new Set(this.search(query, { types, limit: Infinity }).map(result => result.id));
+  }
+}
+
+// Create and export singleton instance
+const searchService = new SearchService();
+export { searchService };
+export default searchService;
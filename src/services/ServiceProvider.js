@@ -4,7 +4,9 @@ import {
   VendorRepository,
   DealRepository, 
   UserRepository,
-  JourneyRepository
+  JourneyRepository,
+  JourneyTemplateRepository,
+  DealReportRepository
 } from '../repositories/repositoryExports';
 import { firestore, hasValidFirebaseConfig } from '../config/firebase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -24,6 +26,8 @@ class ServiceProvider {
     this.dealRepository = DealRepository;
     this.userRepository = UserRepository;
     this.journeyRepository = JourneyRepository;
+    this.journeyTemplateRepository = JourneyTemplateRepository;
+    this.dealReportRepository = DealReportRepository;
     
     Logger.info(LogCategory.GENERAL, 'Firebase-only ServiceProvider initialized');
   }
@@ -177,8 +181,8 @@ class ServiceProvider {
     return await this.journeyRepository.nextVendor(journeyId);
   }
 
-  async skipVendor(journeyId, vendorIndex = null) {
-    return await this.journeyRepository.skipVendor(journeyId, vendorIndex);
+  async skipVendor(journeyId, vendorIndex = null, replannedVendors = null) {
+    return await this.journeyRepository.skipVendor(journeyId, vendorIndex, replannedVendors);
   }
 
   async checkInAtVendorDuringJourney(journeyId, vendorIndex, checkInType = 'qr') {
@@ -207,6 +211,63 @@ class ServiceProvider {
     }
   }
 
+  // Scheduled journey methods
+  async scheduleJourney(journeyData, scheduledFor) {
+    return await this.journeyRepository.scheduleJourney(journeyData, scheduledFor);
+  }
+
+  /**
+   * Get the user's journeys planned for today or later
+   * @returns {Promise<Array>} - Array of scheduled journey objects
+   */
+  async getScheduledJourneys() {
+    return await this.journeyRepository.getScheduledJourneys();
+  }
+
+  async activateScheduledJourney(journeyId, journeyData) {
+    return await this.journeyRepository.activateScheduledJourney(journeyId, journeyData);
+  }
+
+  async cancelScheduledJourney(journeyId) {
+    return await this.journeyRepository.cancelScheduledJourney(journeyId);
+  }
+
+  // Journey template methods
+  async saveJourneyTemplate(templateData) {
+    return await this.journeyTemplateRepository.createTemplate(templateData);
+  }
+
+  /**
+   * Get the user's saved journey templates
+   * @param {number} limit - Maximum number of templates to return
+   * @returns {Promise<Array>} - Array of template objects
+   */
+  async getJourneyTemplates(limit = 10) {
+    try {
+      return await this.journeyTemplateRepository.getTemplates(limit);
+    } catch (error) {
+      Logger.error(LogCategory.JOURNEY, 'Error getting journey templates', { error });
+      return [];
+    }
+  }
+
+  async markJourneyTemplateUsed(templateId) {
+    return await this.journeyTemplateRepository.markTemplateUsed(templateId);
+  }
+
+  async deleteJourneyTemplate(templateId) {
+    return await this.journeyTemplateRepository.deleteTemplate(templateId);
+  }
+
+  // Deal report methods
+  async reportDeal(deal, type, note) {
+    return await this.dealReportRepository.createReport(deal, type, note);
+  }
+
+  async getDealReportsSince(since) {
+    return await this.dealReportRepository.getReportsSince(since);
+  }
+
   // User service methods
   async registerWithEmail(data) {
     return await this.userRepository.registerWithEmail(data);
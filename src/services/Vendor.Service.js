@@ -2,6 +2,7 @@
 import { Logger, LogCategory } from '../services/LoggingService';
 import { VendorRepository } from '../repositories/repositoryExports';
 import { calculateDistance } from '../utils/locationUtils';
+import { isDealActiveAt, getEmbeddedDeals } from '../utils/DealAvailability';
 
 export const vendorService = {
   getAllVendors: async () => {
@@ -47,31 +48,10 @@ export const vendorService = {
       
       // Filter by deal type if specified
       if (dealType) {
-        filtered = filtered.filter(vendor => {
-          // For birthday deals
-          if (dealType === 'birthday' && vendor.deals?.birthday) {
-            return true;
-          }
-          
-          // For daily deals
-          if (dealType === 'daily') {
-            const today = new Date().toLocaleDateString('en-US', { weekday: 'lowercase' });
-            return vendor.deals?.daily && vendor.deals.daily[today] && vendor.deals.daily[today].length > 0;
-          }
-          
-          // For special deals
-          if (dealType === 'special') {
-            const now = new Date();
-            return vendor.deals?.specials && vendor.deals.specials.some(special => {
-              const startDate = special.startDate ? new Date(special.startDate) : null;
-              const endDate = special.endDate ? new Date(special.endDate) : null;
-              
-              return (!startDate || now >= startDate) && (!endDate || now <= endDate);
-            });
-          }
-          
-          return false;
-        });
+        const now = new Date();
+        filtered = filtered.filter(vendor => 
+          getEmbeddedDeals(vendor, dealType).some(deal => isDealActiveAt(deal, now, { ignoreTime: true }))
+        );
       }
       
       // Filter by distance if specified and location is available
@@ -0,0 +1,103 @@
+/* eslint-env jest */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import dealAlertService from '../DealAlertService';
+import dealCacheService from '../DealCacheService';
+import locationService from '../LocationService';
+import notificationService from '../NotificationService';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../DealCacheService', () => ({
+  __esModule: true,
+  default: { isCacheLoaded: () => true, getAllDeals: jest.fn(), subscribe: jest.fn() }
+}));
+jest.mock('../VendorCacheService', () => ({
+  __esModule: true,
+  default: {
+    getVendorById: () => ({ location: { coordinates: { latitude: 0, longitude: 0 } } }),
+    calculateDistance: () => 1
+  }
+}));
+jest.mock('../LocationService', () => ({
+  __esModule: true,
+  default: { getCurrentLocation: jest.fn() }
+}));
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: { presentLocalNotification: jest.fn() }
+}));
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('deal alerts', () => {
+  const deal = (id, title) => ({ id, vendorId: 'v1', vendorName: 'Green Leaf', dealType: 'special', title });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    dealAlertService._rules = null;
+    dealAlertService._alerted = null;
+
+    locationService.getCurrentLocation.mockResolvedValue({ latitude: 0, longitude: 0 });
+    notificationService.presentLocalNotification.mockResolvedValue('notification-1');
+  });
+
+  it('saves rules without a name so they are described from their criteria', async () => {
+    dealCacheService.getAllDeals.mockReturnValue([]);
+
+    const rule = await dealAlertService.saveRule({ dealTypes: ['special'] });
+    expect(rule.name).toBe('');
+
+    const edited = await dealAlertService.saveRule({ ...rule, dealTypes: ['daily'] });
+    expect(edited.name).toBe('');
+  });
+
+  it('drops a stored name that was only the old description', async () => {
+    dealCacheService.getAllDeals.mockReturnValue([]);
+    await AsyncStorage.setItem(dealAlertService.RULES_KEY, JSON.stringify([
+      { id: 'r1', name: 'Specials', dealTypes: ['special'] },
+      { id: 'r2', name: 'Weekend sales', dealTypes: ['special'] }
+    ]));
+
+    expect((await dealAlertService.saveRule({ id: 'r1', name: 'Specials', dealTypes: ['daily'] })).name).toBe('');
+    expect((await dealAlertService.saveRule({ id: 'r2', name: 'Weekend sales', dealTypes: ['daily'] })).name)
+      .toBe('Weekend sales');
+  });
+
+  it('titles alerts after the rule\'s current criteria', async () => {
+    dealCacheService.getAllDeals.mockReturnValue([]);
+    await dealAlertService.saveRule({ dealTypes: ['special'] });
+
+    dealCacheService.getAllDeals.mockReturnValue([deal('d1', 'Anniversary sale')]);
+    expect(await dealAlertService.checkRules()).toBe(1);
+
+    expect(notificationService.presentLocalNotification).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Specials',
+      body: 'Anniversary sale at Green Leaf'
+    }));
+  });
+
+  it('checks again for deals that arrive while a check is running', async () => {
+    dealCacheService.getAllDeals.mockReturnValue([]);
+    await dealAlertService.saveRule({ dealTypes: ['special'], maxDistance: 5 });
+
+    // The cache updates just after the first check has read it
+    dealCacheService.getAllDeals
+      .mockImplementationOnce(() => {
+        dealCacheService.getAllDeals.mockReturnValue([deal('d1', 'Anniversary sale')]);
+        dealAlertService.checkRules();
+        return [];
+      });
+
+    expect(await dealAlertService.checkRules()).toBe(0);
+    for (let i = 0; i < 10 && !notificationService.presentLocalNotification.mock.calls.length; i++) {
+      await flush();
+    }
+
+    expect(notificationService.presentLocalNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.presentLocalNotification).toHaveBeenCalledWith(expect.objectContaining({
+      body: 'Anniversary sale at Green Leaf'
+    }));
+  });
+});
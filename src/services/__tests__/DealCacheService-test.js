@@ -0,0 +1,70 @@
+/* eslint-env jest */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import dealCacheService from '../DealCacheService';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../config/env', () => ({ __esModule: true, default: {} }));
+jest.mock('../../repositories/DealRepository', () => ({ __esModule: true, default: {} }));
+
+describe('deal change feed', () => {
+  const deal = (id, extra = {}) => ({ id, vendorId: 'v1', dealType: 'daily', title: `${id} deal`, ...extra });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    dealCacheService._changeLog = null;
+    dealCacheService._lastVisitRequest = null;
+  });
+
+  it('logs nothing on the first load', async () => {
+    expect(await dealCacheService.recordChanges([], [deal('a')])).toEqual([]);
+    expect(await dealCacheService.getChangeLog()).toEqual([]);
+  });
+
+  it('keeps the changes from each refresh in storage', async () => {
+    await dealCacheService.recordChanges([deal('a')], [deal('a'), deal('b')]);
+    await dealCacheService.recordChanges([deal('a'), deal('b')], [deal('b', { discount: '20%' })]);
+
+    const stored = JSON.parse(await AsyncStorage.getItem(dealCacheService.CHANGE_LOG_KEY));
+    expect(stored.map(entry => [entry.key, entry.change])).toEqual([
+      ['b', 'added'],
+      ['b', 'modified'],
+      ['a', 'removed']
+    ]);
+  });
+
+  it('drops stored changes older than the log keeps', async () => {
+    const old = new Date(Date.now() - dealCacheService.CHANGE_LOG_MAX_AGE - 1000).toISOString();
+    const recent = new Date().toISOString();
+    await AsyncStorage.setItem(dealCacheService.CHANGE_LOG_KEY, JSON.stringify([
+      { key: 'a', change: 'added', detectedAt: old },
+      { key: 'b', change: 'added', detectedAt: recent }
+    ]));
+
+    expect((await dealCacheService.getChangeLog()).map(entry => entry.key)).toEqual(['b']);
+  });
+
+  it('answers with the same last visit for the whole session', async () => {
+    const lastVisit = new Date(2026, 4, 1).toISOString();
+    await AsyncStorage.setItem(dealCacheService.LAST_VISIT_KEY, lastVisit);
+
+    const [first, second] = await Promise.all([
+      dealCacheService.getLastVisitTime(),
+      dealCacheService.getLastVisitTime()
+    ]);
+
+    expect(first).toBe(lastVisit);
+    expect(second).toBe(lastVisit);
+    expect(await dealCacheService.getLastVisitTime()).toBe(lastVisit);
+    expect(await AsyncStorage.getItem(dealCacheService.LAST_VISIT_KEY)).not.toBe(lastVisit);
+  });
+
+  it('lists what changed since the last visit', async () => {
+    await AsyncStorage.setItem(dealCacheService.LAST_VISIT_KEY, new Date(Date.now() - 60000).toISOString());
+    await dealCacheService.recordChanges([deal('a'), deal('c', { vendorId: 'v2' })], [deal('b'), deal('c', { vendorId: 'v2', discount: '5%' })]);
+
+    const changes = await dealCacheService.getChangesSinceLastVisit({ vendorId: 'v1' });
+    expect(changes.map(change => [change.key, change.change]).sort()).toEqual([['a', 'removed'], ['b', 'added']]);
+  });
+});
@@ -0,0 +1,53 @@
+/* eslint-env jest */
+import * as Location from 'expo-location';
+import locationService from '../LocationService';
+import geofenceService from '../GeofenceService';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../config/env', () => ({ __esModule: true, default: {} }));
+jest.mock('expo-location', () => ({
+  Accuracy: { High: 4 },
+  watchPositionAsync: jest.fn()
+}));
+
+describe('geofencing alongside other location subscribers', () => {
+  let emit;
+  let removeWatch;
+
+  beforeEach(() => {
+    removeWatch = jest.fn();
+    Location.watchPositionAsync.mockReset().mockImplementation(async (options, callback) => {
+      emit = (coords) => callback({ coords });
+      return { remove: removeWatch };
+    });
+    jest.spyOn(locationService, 'hasPermissions').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    geofenceService.stop();
+    locationService.stopTracking();
+    jest.restoreAllMocks();
+  });
+
+  it('shares one watch with a subscriber starting at the same time', async () => {
+    const other = jest.fn();
+
+    await Promise.all([geofenceService.start(), locationService.subscribe(other)]);
+
+    expect(Location.watchPositionAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves other subscribers receiving updates when it stops', async () => {
+    const other = jest.fn();
+    await geofenceService.start();
+    await locationService.subscribe(other);
+
+    geofenceService.stop();
+    emit({ latitude: 1, longitude: 2 });
+
+    expect(removeWatch).not.toHaveBeenCalled();
+    expect(other).toHaveBeenCalledWith({ latitude: 1, longitude: 2 });
+  });
+});
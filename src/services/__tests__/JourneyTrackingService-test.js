@@ -0,0 +1,72 @@
+/* eslint-env jest */
+import * as Location from 'expo-location';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import locationService from '../LocationService';
+import journeyTrackingService from '../JourneyTrackingService';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../config/env', () => ({ __esModule: true, default: {} }));
+jest.mock('expo-location', () => ({
+  Accuracy: { High: 4 },
+  watchPositionAsync: jest.fn()
+}));
+jest.mock('../RouteService', () => ({ __esModule: true, default: {} }));
+
+describe('journey tracking start and stop', () => {
+  const journey = { vendors: [], currentVendorIndex: 0 };
+  let removeWatch;
+
+  beforeEach(async () => {
+    removeWatch = jest.fn();
+    Location.watchPositionAsync.mockReset().mockResolvedValue({ remove: removeWatch });
+    jest.spyOn(locationService, 'hasPermissions').mockResolvedValue(true);
+
+    await AsyncStorage.setItem('current_journey_breadcrumb', JSON.stringify({
+      breadcrumb: [{ latitude: 1, longitude: 2 }],
+      actualDistance: 0.5
+    }));
+  });
+
+  afterEach(async () => {
+    await journeyTrackingService.stop();
+    locationService.stopTracking();
+    jest.restoreAllMocks();
+  });
+
+  it('picks up the saved breadcrumb and follows location updates', async () => {
+    expect(await journeyTrackingService.start(journey)).toBe(true);
+
+    expect(journeyTrackingService.isActive).toBe(true);
+    expect(journeyTrackingService.breadcrumb).toHaveLength(1);
+    expect(locationService.isTracking).toBe(true);
+  });
+
+  it('gives up a start that is stopped while loading the breadcrumb', async () => {
+    const pending = journeyTrackingService.start(journey);
+    await journeyTrackingService.stop();
+
+    expect(await pending).toBe(false);
+    expect(journeyTrackingService.isActive).toBe(false);
+    expect(journeyTrackingService.journey).toBeNull();
+    expect(journeyTrackingService.breadcrumb).toEqual([]);
+    expect(Location.watchPositionAsync).not.toHaveBeenCalled();
+    expect(locationService.isTracking).toBe(false);
+  });
+
+  it('gives up a start that is stopped while waiting for location permission', async () => {
+    let grantPermission;
+    locationService.hasPermissions.mockReturnValue(new Promise(resolve => { grantPermission = resolve; }));
+
+    const pending = journeyTrackingService.start(journey);
+    await new Promise(resolve => setImmediate(resolve));
+    await journeyTrackingService.stop();
+    grantPermission(true);
+
+    expect(await pending).toBe(false);
+    expect(journeyTrackingService.isActive).toBe(false);
+    expect(locationService.isTracking).toBe(false);
+    expect(locationService.trackingSubscribers.size).toBe(0);
+  });
+});
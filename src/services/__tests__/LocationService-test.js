@@ -0,0 +1,86 @@
+/* eslint-env jest */
+import * as Location from 'expo-location';
+import locationService from '../LocationService';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../config/env', () => ({ __esModule: true, default: {} }));
+jest.mock('expo-location', () => ({
+  Accuracy: { High: 4 },
+  watchPositionAsync: jest.fn()
+}));
+
+describe('location subscriptions', () => {
+  let emit;
+  let removeWatch;
+
+  beforeEach(() => {
+    removeWatch = jest.fn();
+    Location.watchPositionAsync.mockReset().mockImplementation(async (options, callback) => {
+      emit = (coords) => callback({ coords });
+      return { remove: removeWatch };
+    });
+    jest.spyOn(locationService, 'hasPermissions').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    locationService.stopTracking();
+    jest.restoreAllMocks();
+  });
+
+  it('starts one watch for subscribers that arrive together', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    const started = await Promise.all([
+      locationService.subscribe(first),
+      locationService.subscribe(second)
+    ]);
+
+    expect(started).toEqual([true, true]);
+    expect(Location.watchPositionAsync).toHaveBeenCalledTimes(1);
+
+    emit({ latitude: 1, longitude: 2 });
+    expect(first).toHaveBeenCalledWith({ latitude: 1, longitude: 2 });
+    expect(second).toHaveBeenCalledWith({ latitude: 1, longitude: 2 });
+  });
+
+  it('keeps the watch running until the last subscriber leaves', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    await locationService.subscribe(first);
+    await locationService.subscribe(second);
+
+    locationService.unsubscribe(first);
+    emit({ latitude: 1, longitude: 2 });
+
+    expect(removeWatch).not.toHaveBeenCalled();
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+
+    locationService.unsubscribe(second);
+    expect(removeWatch).toHaveBeenCalledTimes(1);
+    expect(locationService.isTracking).toBe(false);
+  });
+
+  it('stops a watch that finishes starting after everyone unsubscribed', async () => {
+    const listener = jest.fn();
+    const pending = locationService.subscribe(listener);
+    locationService.unsubscribe(listener);
+
+    expect(await pending).toBe(false);
+    expect(removeWatch).toHaveBeenCalledTimes(1);
+    expect(locationService.isTracking).toBe(false);
+  });
+
+  it('drops the subscriber when permission is denied', async () => {
+    locationService.hasPermissions.mockResolvedValue(false);
+    jest.spyOn(locationService, 'requestPermissions').mockResolvedValue(false);
+    const listener = jest.fn();
+
+    expect(await locationService.subscribe(listener)).toBe(false);
+    expect(locationService.trackingSubscribers.size).toBe(0);
+    expect(locationService.locationListeners).not.toContain(listener);
+  });
+});
@@ -0,0 +1,29 @@
+/* eslint-env jest */
+import priceHistoryService from '../PriceHistoryService';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../config/env', () => ({ __esModule: true, default: {} }));
+
+describe('cached market averages', () => {
+  const deals = [20, 30, 40].map((price, index) => ({
+    id: `d${index}`,
+    vendorId: `v${index}`,
+    category: 'flower',
+    name: 'Eighth',
+    price
+  }));
+
+  it('are empty before any prices are recorded', () => {
+    expect(priceHistoryService.getCachedMarketAverages()).toEqual(new Map());
+  });
+
+  it('are ready as soon as prices are recorded', async () => {
+    await priceHistoryService.recordDeals(deals);
+
+    const averages = priceHistoryService.getCachedMarketAverages();
+    expect(averages.get('flower|3.5g')).toEqual({ average: 30, productCount: 3, vendorCount: 3 });
+    expect(averages).toBe(await priceHistoryService.getMarketAverages());
+  });
+});
@@ -0,0 +1,345 @@
+/* eslint-env jest */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import routeService from '../RouteService';
+import redemptionService from '../RedemptionService';
+import vendorCacheService from '../VendorCacheService';
+import dealCacheService from '../DealCacheService';
+import dealVerificationService from '../DealVerificationService';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../config/env', () => ({ __esModule: true, default: {} }));
+jest.mock('../ServiceProvider', () => ({ __esModule: true, default: {} }));
+jest.mock('../RedemptionService', () => ({
+  __esModule: true,
+  default: { filterRedeemableVendors: async (vendors) => vendors, canRedeemDeal: async () => true }
+}));
+jest.mock('../VendorCacheService', () => ({ __esModule: true, default: { getVendorById: () => null } }));
+// Without deal data every deal counts as average: worth 5 and costing $30
+jest.mock('../DealCacheService', () => ({
+  __esModule: true,
+  default: { isCacheLoaded: () => false, getVendorDealsActiveAt: () => [] }
+}));
+jest.mock('../DealVerificationService', () => ({
+  __esModule: true,
+  default: { isDealLikelyExpired: () => false }
+}));
+
+const here = { latitude: 47.6, longitude: -122.3 };
+const vendor = (id) => ({
+  id,
+  name: `Vendor ${id}`,
+  dealType: 'daily',
+  location: { coordinates: { latitude: 47.61, longitude: -122.31 } }
+});
+// A hundredth of a degree of latitude is about 0.69 miles
+const vendorAt = (id, latitude) => ({ ...vendor(id), location: { coordinates: { latitude, longitude: -122.3 } } });
+
+describe('skipAndReplan', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(routeService, 'collectRedeemableVendors').mockResolvedValue({ vendors: [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns without planning or saving a route when the last stop is skipped', async () => {
+    const journey = { vendors: [vendor('a'), vendor('b')], currentVendorIndex: 1 };
+    const optimizeRoute = jest.spyOn(routeService, 'optimizeRoute');
+
+    const result = await routeService.skipAndReplan(journey, here);
+
+    expect(result.route).toBeNull();
+    expect(result.vendors.map(v => v.id)).toEqual(['a']);
+    expect(result.skippedVendor.id).toBe('b');
+    expect(optimizeRoute).not.toHaveBeenCalled();
+    expect(AsyncStorage.setItem).not.toHaveBeenCalledWith('current_route_data', expect.anything());
+  });
+
+  it('only looks for a replacement when asked to', async () => {
+    const journey = { vendors: [vendor('a')], currentVendorIndex: 0, maxDistance: 10 };
+
+    await routeService.skipAndReplan(journey, here);
+    expect(routeService.collectRedeemableVendors).not.toHaveBeenCalled();
+
+    await routeService.skipAndReplan(journey, here, { findReplacement: true });
+    expect(routeService.collectRedeemableVendors).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('limitLegLengths', () => {
+  const stops = [vendorAt('a', 47.61), vendorAt('far', 47.65), vendorAt('b', 47.62)];
+
+  it('drops stops further than a walk or ride allows from the last kept stop', () => {
+    const walking = routeService.limitLegLengths(stops, here, 'walk');
+
+    expect(walking.vendors.map(v => v.id)).toEqual(['a', 'b']);
+    expect(walking.dropped.map(v => v.id)).toEqual(['far']);
+    expect(routeService.limitLegLengths(stops, here, 'bike').dropped).toEqual([]);
+  });
+
+  it('keeps every stop when driving', () => {
+    expect(routeService.limitLegLengths(stops, here, 'drive')).toEqual({ vendors: stops, dropped: [] });
+  });
+});
+
+describe('planWithinBudget', () => {
+  const startTime = new Date(2026, 4, 6, 12, 0);
+  const near = vendorAt('near', 47.61);
+  const far = vendorAt('far', 47.63);
+  const names = (vendors) => vendors.map(v => v.id);
+
+  it('spends a time budget on the stops worth the most', () => {
+    const rich = { ...far, id: 'rich', dealTypes: ['daily', 'special'] };
+    const plan = (amount) => routeService.planWithinBudget([near, rich], here, { type: 'time', amount }, { startTime });
+
+    // The richer stop is further away, but only one stop fits in 20 minutes
+    expect(names(plan(20))).toEqual(['rich']);
+    expect(names(plan(40))).toEqual(['near', 'rich']);
+    expect(plan(5)).toEqual([]);
+  });
+
+  it('counts deal spend and rideshare fares against a money budget', () => {
+    const plan = (amount, travelMode) =>
+      routeService.planWithinBudget([near, far], here, { type: 'money', amount }, { startTime, travelMode });
+
+    expect(names(plan(60, 'drive'))).toHaveLength(2);
+    expect(names(plan(59, 'drive'))).toHaveLength(1);
+    // Each ride costs at least the $8 minimum fare plus a $2 booking fee
+    expect(names(plan(60, 'rideshare'))).toHaveLength(1);
+    expect(names(plan(90, 'rideshare'))).toHaveLength(2);
+  });
+
+  it('visits the stops a money budget buys the shortest way round', () => {
+    const plan = routeService.planWithinBudget([far, near], here, { type: 'money', amount: 60 }, { startTime });
+
+    expect(names(plan)).toEqual(['near', 'far']);
+  });
+
+  it('ignores budgets without a known type or a positive amount', () => {
+    expect(routeService.normalizeBudget({ type: 'time', amount: '45' })).toEqual({ type: 'time', amount: 45 });
+    expect(routeService.normalizeBudget({ type: 'gas', amount: 45 })).toBeNull();
+    expect(routeService.normalizeBudget({ type: 'money', amount: 0 })).toBeNull();
+    expect(routeService.normalizeBudget(null)).toBeNull();
+  });
+});
+
+describe('rankVendors', () => {
+  const close = vendorAt('close', 47.61);
+  const worth = { ...vendorAt('worth', 47.63), dealTypes: ['daily', 'special'] };
+  const ids = (vendors) => vendors.map(v => v.id);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('scores each vendor by deal value per mile of detour', () => {
+    const [ranked] = routeService.rankVendors([close], here);
+
+    expect(ranked.valueScore).toMatchObject({ dealValue: 5, detourMiles: 0.69, score: 2.96, reportedExpired: false });
+  });
+
+  it('only reorders when sorting by value, where favorites score higher', () => {
+    expect(ids(routeService.rankVendors([close, worth], here))).toEqual(['close', 'worth']);
+    expect(ids(routeService.rankVendors([close, worth], here, { sortBy: 'value' }))).toEqual(['worth', 'close']);
+    expect(ids(routeService.rankVendors([close, worth], here, { sortBy: 'value', favoriteVendorIds: ['close'] })))
+      .toEqual(['close', 'worth']);
+  });
+
+  it('measures detours against the trip to the end point', () => {
+    const [ranked] = routeService.rankVendors([close], here, { endLocation: { latitude: 47.63, longitude: -122.3 } });
+
+    expect(ranked.valueScore.detourMiles).toBe(0);
+  });
+
+  it('puts vendors whose deals were all reported expired last', () => {
+    jest.spyOn(dealCacheService, 'isCacheLoaded').mockReturnValue(true);
+    jest.spyOn(dealCacheService, 'getVendorDealsActiveAt').mockImplementation(vendorId =>
+      [{ id: `${vendorId}-deal`, vendorId, title: '20% off flower' }]);
+    jest.spyOn(dealVerificationService, 'isDealLikelyExpired').mockImplementation(deal => deal.vendorId === 'worth');
+
+    const ranked = routeService.rankVendors([worth, close], here, { sortBy: 'value' });
+
+    expect(ids(ranked)).toEqual(['close', 'worth']);
+    expect(ranked[1].valueScore).toMatchObject({ dealValue: 0, reportedExpired: true });
+  });
+});
+
+describe('collectRedeemableVendors', () => {
+  const a = { ...vendorAt('a', 47.62), distance: 1.4 };
+  const b = { ...vendorAt('b', 47.61), distance: 0.7 };
+  const c = { ...vendorAt('c', 47.63), distance: 2.1 };
+  const vendorsByType = { daily: [b, a], special: [a, c] };
+
+  beforeEach(() => {
+    jest.spyOn(routeService, 'findVendorsForDealType')
+      .mockImplementation(async (location, dealType) => vendorsByType[dealType] || []);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('visits vendors with several of the deal types once, for all of them', async () => {
+    const { vendors, candidateCount } = await routeService.collectRedeemableVendors(here, ['daily', 'special'], 10, 10);
+
+    expect(candidateCount).toBe(4);
+    expect(vendors.map(({ id, dealType, dealTypes }) => ({ id, dealType, dealTypes }))).toEqual([
+      { id: 'b', dealType: 'daily', dealTypes: ['daily'] },
+      { id: 'a', dealType: 'daily', dealTypes: ['daily', 'special'] },
+      { id: 'c', dealType: 'special', dealTypes: ['special'] }
+    ]);
+  });
+
+  it('only keeps the deal types still redeemable at each vendor', async () => {
+    jest.spyOn(redemptionService, 'filterRedeemableVendors').mockImplementation(async (vendors, dealType) =>
+      vendors.filter(vendor => !(vendor.id === 'a' && dealType === 'daily')));
+
+    const { vendors, candidateCount } = await routeService.collectRedeemableVendors(
+      here, ['daily', 'special'], 10, 10, ['c']
+    );
+
+    expect(candidateCount).toBe(3);
+    expect(vendors.map(({ id, dealTypes }) => [id, dealTypes])).toEqual([['b', ['daily']], ['a', ['special']]]);
+  });
+
+  it('asks for each deal type once and names them all when none are found', async () => {
+    routeService.findVendorsForDealType.mockResolvedValue([]);
+
+    const result = await routeService.createRoute({
+      dealTypes: ['daily', 'special', 'daily'],
+      startLocation: here
+    });
+
+    expect(routeService.findVendorsForDealType).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ success: false, error: 'No daily + special deals available. Please try a different deal type.' });
+  });
+});
+
+describe('createRoute end modes', () => {
+  const stops = [{ ...vendorAt('a', 47.61), distance: 0.7 }, { ...vendorAt('b', 47.62), distance: 1.4 }];
+  const home = { latitude: 47.64, longitude: -122.3 };
+  const plan = (options) => routeService.createRoute({ dealType: 'daily', startLocation: here, ...options });
+
+  beforeEach(() => {
+    jest.spyOn(routeService, 'collectRedeemableVendors').mockResolvedValue({ vendors: stops, candidateCount: 2 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('ends at the last stop by default', async () => {
+    const { route } = await plan({});
+
+    expect(route).toMatchObject({ endMode: 'open_ended', endLocation: null });
+    expect(route.legDistances).toHaveLength(2);
+  });
+
+  it('adds the way back to the start on round trips', async () => {
+    const { route } = await plan({ endMode: 'round_trip' });
+
+    expect(route).toMatchObject({ endMode: 'round_trip', endLocation: here });
+    expect(route.legDistances).toHaveLength(3);
+    expect(route.legDistances[2]).toBeCloseTo(1.38, 1);
+  });
+
+  it('adds the way to a chosen end point', async () => {
+    const { route, vendors } = await plan({ endMode: 'custom', endLocation: home });
+
+    expect(route).toMatchObject({ endMode: 'custom', endLocation: home });
+    expect(route.legDistances[2]).toBeCloseTo(1.38, 1);
+    expect(vendors.map(v => v.id)).toEqual(['a', 'b']);
+  });
+
+  it('asks for an end point before looking for vendors', async () => {
+    const result = await plan({ endMode: 'custom', endLocation: { latitude: '47.64' } });
+
+    expect(result).toEqual({
+      success: false,
+      error: 'Please choose where you want your journey to end.',
+      vendors: []
+    });
+    expect(routeService.collectRedeemableVendors).not.toHaveBeenCalled();
+  });
+});
+
+describe('replayTemplate', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('plans a fresh route from a criteria template\'s settings', async () => {
+    const end = { latitude: 47.64, longitude: -122.3 };
+    const createRoute = jest.spyOn(routeService, 'createRoute').mockResolvedValue({
+      success: true,
+      vendors: [vendor('a')],
+      route: { endMode: 'custom', endLocation: end },
+      closedVendors: [vendor('closed')]
+    });
+
+    const result = await routeService.replayTemplate({
+      mode: 'criteria',
+      dealTypes: ['special', 'daily'],
+      maxDistance: 8,
+      maxVendors: 3,
+      endMode: 'custom',
+      endLocation: end,
+      travelMode: 'bike'
+    }, here);
+
+    expect(createRoute).toHaveBeenCalledWith({
+      dealType: 'special',
+      dealTypes: ['special', 'daily'],
+      maxVendors: 3,
+      maxDistance: 8,
+      startLocation: here,
+      endMode: 'custom',
+      endLocation: end,
+      travelMode: 'bike'
+    });
+    expect(result.journeyData).toEqual({
+      dealType: 'special',
+      dealTypes: ['special', 'daily'],
+      maxDistance: 8,
+      maxVendors: 3,
+      startLocation: here,
+      travelMode: 'bike',
+      endMode: 'custom',
+      endLocation: end
+    });
+    expect(result.closedVendors).toEqual(['Vendor closed']);
+  });
+
+  it('revisits a stop template\'s vendors that still have their deals today', async () => {
+    const vendors = { a: vendorAt('a', 47.61), b: vendorAt('b', 47.62), c: vendorAt('c', 47.63) };
+    jest.spyOn(vendorCacheService, 'getVendorById').mockImplementation(id => vendors[id] || null);
+    jest.spyOn(routeService, 'vendorHasDealOn').mockImplementation((v, dealType) => v.id !== 'b' && dealType === 'daily');
+    jest.spyOn(redemptionService, 'canRedeemDeal').mockImplementation(async vendorId => vendorId !== 'c');
+
+    const result = await routeService.replayTemplate({
+      mode: 'vendors',
+      dealTypes: ['daily'],
+      maxVendors: 4,
+      vendors: [
+        { id: 'a', dealTypes: ['daily', 'special'] },
+        { id: 'b' },
+        { id: 'c' },
+        { id: 'gone', name: 'Closed for good' }
+      ]
+    }, here);
+
+    expect(result.success).toBe(true);
+    expect(result.vendors.map(v => [v.id, v.dealTypes])).toEqual([['a', ['daily']]]);
+    expect(result.noDealToday).toEqual(['Vendor b']);
+    expect(result.alreadyRedeemed).toEqual(['Vendor c']);
+    expect(result.unavailable).toEqual(['Closed for good']);
+    expect(result.journeyData).toMatchObject({ dealTypes: ['daily'], maxVendors: 4, startLocation: here });
+  });
+
+  it('explains why a stop template can\'t be replayed today', async () => {
+    jest.spyOn(vendorCacheService, 'getVendorById').mockReturnValue(vendor('a'));
+    jest.spyOn(routeService, 'vendorHasDealOn').mockReturnValue(false);
+
+    const result = await routeService.replayTemplate({ mode: 'vendors', vendors: [{ id: 'a' }] }, here);
+
+    expect(result).toMatchObject({
+      success: false,
+      error: "None of this journey's stops have these deals today.",
+      noDealToday: ['Vendor a']
+    });
+  });
+});
@@ -449,9 +449,9 @@ class FirebaseServiceAdapter {
     }
   }
 
-  async skipVendor(journeyId, vendorIndex = null) {
+  async skipVendor(journeyId, vendorIndex = null, replannedVendors = null) {
     try {
-      return await this.journeyRepository.skipVendor(journeyId, vendorIndex);
+      return await this.journeyRepository.skipVendor(journeyId, vendorIndex, replannedVendors);
     } catch (error) {
       Logger.error(LogCategory.JOURNEY, 'Error in skipVendor adapter', { error, journeyId, vendorIndex });
       throw error;
@@ -0,0 +1,83 @@
+// src/services/directions/EncodedPolylineDirectionsProvider.js
+import locationService from '../LocationService';
+import { decodePolyline } from '../../utils/PolylineUtils';
+
+/**
+ * Directions provider for sources that hand back an encoded polyline
+ * (a Google-style directions endpoint, a backend that caches road geometry, etc.)
+ * The source supplies the polyline and optionally leg metrics; anything missing is
+ * worked out from the decoded geometry.
+ */
+class EncodedPolylineDirectionsProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Function} options.getEncodedRoute - async (waypoints) => ({ polyline, legs? }),
+   *   where legs are [{ distance (miles), duration (minutes) }]
+   * @param {number} [options.precision=5] - Polyline precision (5 or 6)
+   * @param {number} [options.speedMph=25] - Average speed used when the source has no durations
+   */
+  constructor(options = {}) {
+    if (typeof options.getEncodedRoute !== 'function') {
+      throw new Error('EncodedPolylineDirectionsProvider requires a getEncodedRoute function');
+    }
+
+    this.name = 'encoded_polyline';
+    this.getEncodedRoute = options.getEncodedRoute;
+    this.precision = options.precision || 5;
+    this.speedMph = options.speedMph || 25;
+  }
+
+  /**
+   * Get a route through a list of waypoints
+   * @param {Array<Object>} waypoints - Coordinates ({ latitude, longitude }) in visiting order
+   * @returns {Promise<Object>} - DirectionsResult
+   */
+  async getRoute(waypoints) {
+    if (!Array.isArray(waypoints) || waypoints.length < 2) {
+      throw new Error('At least two waypoints are required for directions');
+    }
+
+    const source = await this.getEncodedRoute(waypoints);
+    const coordinates = decodePolyline(source?.polyline, this.precision);
+
+    if (coordinates.length < 2) {
+      throw new Error('Directions source returned no route geometry');
+    }
+
+    const distance = this.measurePath(coordinates);
+    const legs = Array.isArray(source.legs) && source.legs.length > 0
+      ? source.legs
+      : [{ distance, duration: Math.ceil(distance / this.speedMph * 60) }];
+
+    return {
+      provider: this.name,
+      coordinates,
+      distance,
+      duration: legs.reduce((sum, leg) => sum + (leg.duration || 0), 0),
+      legs
+    };
+  }
+
+  /**
+   * Length of a path in miles
+   * @private
+   * @param {Array<Object>} coordinates - Path coordinates
+   * @returns {number} - Distance in miles
+   */
+  measurePath(coordinates) {
+    let total = 0;
+
+    for (let i = 1; i < coordinates.length; i++) {
+      total += locationService.calculateDistance(
+        coordinates[i - 1].latitude,
+        coordinates[i - 1].longitude,
+        coordinates[i].latitude,
+        coordinates[i].longitude
+      );
+    }
+
+    return total;
+  }
+}
+
+export default EncodedPolylineDirectionsProvider;
@@ -0,0 +1,153 @@
+// src/services/directions/HttpDirectionsProvider.js
+/* global AbortController, setTimeout, clearTimeout */
+import { Logger, LogCategory } from '../LoggingService';
+import { decodePolyline } from '../../utils/PolylineUtils';
+
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * Directions provider for OSRM and Valhalla compatible routing servers
+ * Both return encoded polylines, which are decoded into map coordinates
+ */
+class HttpDirectionsProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Server URL (e.g. "http://localhost:5000")
+   * @param {string} [options.flavor='osrm'] - API dialect: 'osrm' or 'valhalla'
+   * @param {string} [options.profile] - Routing profile ('driving' for OSRM, 'auto' for Valhalla)
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   * @param {Function} [options.fetchFn] - fetch implementation, defaults to the global fetch
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('HttpDirectionsProvider requires a baseUrl');
+    }
+
+    this.flavor = options.flavor === 'valhalla' ? 'valhalla' : 'osrm';
+    this.name = this.flavor;
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.profile = options.profile || (this.flavor === 'valhalla' ? 'auto' : 'driving');
+    this.timeout = options.timeout || 10000;
+    this.fetchFn = options.fetchFn || ((...args) => fetch(...args));
+  }
+
+  /**
+   * Get a route through a list of waypoints
+   * @param {Array<Object>} waypoints - Coordinates ({ latitude, longitude }) in visiting order
+   * @returns {Promise<Object>} - DirectionsResult
+   */
+  async getRoute(waypoints) {
+    if (!Array.isArray(waypoints) || waypoints.length < 2) {
+      throw new Error('At least two waypoints are required for directions');
+    }
+
+    return this.flavor === 'valhalla'
+      ? this.getValhallaRoute(waypoints)
+      : this.getOsrmRoute(waypoints);
+  }
+
+  /**
+   * Request a route from an OSRM server
+   * @private
+   * @param {Array<Object>} waypoints - Coordinates in visiting order
+   * @returns {Promise<Object>} - DirectionsResult
+   */
+  async getOsrmRoute(waypoints) {
+    const path = waypoints.map(point => `${point.longitude},${point.latitude}`).join(';');
+    const url = `${this.baseUrl}/route/v1/${this.profile}/${path}?overview=full&geometries=polyline`;
+
+    const data = await this.request(url);
+
+    if (data.code !== 'Ok' || !Array.isArray(data.routes) || data.routes.length === 0) {
+      throw new Error(`OSRM could not find a route: ${data.message || data.code || 'no routes'}`);
+    }
+
+    const [route] = data.routes;
+    const legs = (route.legs || []).map(leg => ({
+      distance: leg.distance / METERS_PER_MILE,
+      duration: Math.ceil(leg.duration / 60)
+    }));
+
+    return {
+      provider: this.name,
+      coordinates: decodePolyline(route.geometry, 5),
+      distance: route.distance / METERS_PER_MILE,
+      duration: Math.ceil(route.duration / 60),
+      legs
+    };
+  }
+
+  /**
+   * Request a route from a Valhalla server
+   * @private
+   * @param {Array<Object>} waypoints - Coordinates in visiting order
+   * @returns {Promise<Object>} - DirectionsResult
+   */
+  async getValhallaRoute(waypoints) {
+    const data = await this.request(`${this.baseUrl}/route`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        locations: waypoints.map(point => ({ lat: point.latitude, lon: point.longitude })),
+        costing: this.profile,
+        units: 'miles'
+      })
+    });
+
+    const trip = data.trip;
+    if (!trip || !Array.isArray(trip.legs) || trip.legs.length === 0) {
+      throw new Error(`Valhalla could not find a route: ${data.error || 'no trip'}`);
+    }
+
+    // Each leg has its own shape; consecutive legs share their joining point
+    const coordinates = [];
+    trip.legs.forEach((leg, index) => {
+      const shape = decodePolyline(leg.shape, 6);
+      coordinates.push(...(index === 0 ? shape : shape.slice(1)));
+    });
+
+    const legs = trip.legs.map(leg => ({
+      distance: leg.summary?.length || 0,
+      duration: Math.ceil((leg.summary?.time || 0) / 60)
+    }));
+
+    return {
+      provider: this.name,
+      coordinates,
+      distance: trip.summary?.length ?? legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: Math.ceil((trip.summary?.time ?? legs.reduce((sum, leg) => sum + leg.duration * 60, 0)) / 60),
+      legs
+    };
+  }
+
+  /**
+   * Make a JSON request with a timeout
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} [init] - fetch options
+   * @returns {Promise<Object>} - Parsed response body
+   */
+  async request(url, init = {}) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+    try {
+      Logger.debug(LogCategory.NETWORK, `Directions request: ${init.method || 'GET'} ${url}`);
+
+      const response = await this.fetchFn(url, {
+        ...init,
+        signal: controller?.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Directions server responded with ${response.status}`);
+      }
+
+      return await response.json();
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+}
+
+export default HttpDirectionsProvider;
@@ -0,0 +1,54 @@
+// src/services/directions/StraightLineDirectionsProvider.js
+import locationService from '../LocationService';
+
+/**
+ * Directions provider that joins waypoints with straight lines
+ * Needs no network access, so it is the default and the fallback for the other providers
+ */
+class StraightLineDirectionsProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {number} [options.speedMph=25] - Average speed used for leg durations
+   */
+  constructor(options = {}) {
+    this.name = 'straight_line';
+    this.speedMph = options.speedMph || 25;
+  }
+
+  /**
+   * Get a route through a list of waypoints
+   * @param {Array<Object>} waypoints - Coordinates ({ latitude, longitude }) in visiting order
+   * @returns {Promise<Object>} - DirectionsResult
+   */
+  async getRoute(waypoints) {
+    if (!Array.isArray(waypoints) || waypoints.length < 2) {
+      throw new Error('At least two waypoints are required for directions');
+    }
+
+    const legs = [];
+
+    for (let i = 1; i < waypoints.length; i++) {
+      const distance = locationService.calculateDistance(
+        waypoints[i - 1].latitude,
+        waypoints[i - 1].longitude,
+        waypoints[i].latitude,
+        waypoints[i].longitude
+      );
+
+      legs.push({
+        distance,
+        duration: Math.ceil(distance / this.speedMph * 60)
+      });
+    }
+
+    return {
+      provider: this.name,
+      coordinates: waypoints.map(({ latitude, longitude }) => ({ latitude, longitude })),
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+      legs
+    };
+  }
+}
+
+export default StraightLineDirectionsProvider;
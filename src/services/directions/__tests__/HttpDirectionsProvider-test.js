@@ -0,0 +1,217 @@
+/* eslint-env jest */
+import HttpDirectionsProvider from '../HttpDirectionsProvider';
+import routeService from '../../RouteService';
+import { encodePolyline } from '../../../utils/PolylineUtils';
+
+// jest.mock calls are hoisted above the imports
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../../config/env', () => ({ __esModule: true, default: {} }));
+// RouteService's data sources aren't needed to get directions
+jest.mock('../../ServiceProvider', () => ({ __esModule: true, default: {} }));
+jest.mock('../../RedemptionService', () => ({ __esModule: true, default: {} }));
+jest.mock('../../VendorCacheService', () => ({ __esModule: true, default: {} }));
+jest.mock('../../DealCacheService', () => ({ __esModule: true, default: {} }));
+jest.mock('../../DealVerificationService', () => ({ __esModule: true, default: {} }));
+
+const METERS_PER_MILE = 1609.344;
+
+const waypoints = [
+  { latitude: 38.5, longitude: -120.2 },
+  { latitude: 40.7, longitude: -120.95 },
+  { latitude: 43.252, longitude: -126.453 }
+];
+
+/**
+ * Stand-in for a routing server: records each request and answers with a canned body
+ * @param {Object} body - JSON response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Function} - fetch implementation with a `requests` log
+ */
+const cannedServer = (body, status = 200) => {
+  const fetchFn = jest.fn(async (url, init = {}) => {
+    fetchFn.requests.push({ url, init });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => body
+    };
+  });
+  fetchFn.requests = [];
+  return fetchFn;
+};
+
+const osrmResponse = {
+  code: 'Ok',
+  routes: [{
+    // The example polyline from Google's format documentation, at precision 5
+    geometry: '_p~iF~ps|U_ulLnnqC_mqNvxq`@',
+    distance: 3 * METERS_PER_MILE,
+    duration: 600,
+    legs: [
+      { distance: 1 * METERS_PER_MILE, duration: 150 },
+      { distance: 2 * METERS_PER_MILE, duration: 450 }
+    ]
+  }]
+};
+
+const valhallaResponse = {
+  trip: {
+    legs: [
+      {
+        shape: encodePolyline(waypoints.slice(0, 2), 6),
+        summary: { length: 1.5, time: 300 }
+      },
+      {
+        shape: encodePolyline(waypoints.slice(1), 6),
+        summary: { length: 2.5, time: 420 }
+      }
+    ],
+    summary: { length: 4, time: 720 }
+  }
+};
+
+describe('HttpDirectionsProvider (OSRM)', () => {
+  it('requests waypoints as lon,lat pairs separated by semicolons', async () => {
+    const fetchFn = cannedServer(osrmResponse);
+    const provider = new HttpDirectionsProvider({ baseUrl: 'http://localhost:5000/', fetchFn });
+
+    await provider.getRoute(waypoints);
+
+    expect(fetchFn.requests[0].url).toBe(
+      'http://localhost:5000/route/v1/driving/-120.2,38.5;-120.95,40.7;-126.453,43.252' +
+      '?overview=full&geometries=polyline'
+    );
+  });
+
+  it('converts legs to miles and minutes and decodes the geometry', async () => {
+    const provider = new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:5000',
+      fetchFn: cannedServer(osrmResponse)
+    });
+
+    const result = await provider.getRoute(waypoints);
+
+    expect(result.provider).toBe('osrm');
+    expect(result.distance).toBeCloseTo(3);
+    expect(result.duration).toBe(10);
+    expect(result.legs).toEqual([
+      { distance: expect.closeTo(1), duration: 3 },
+      { distance: expect.closeTo(2), duration: 8 }
+    ]);
+    expect(result.coordinates).toEqual(waypoints);
+  });
+
+  it('fails when OSRM finds no route', async () => {
+    const provider = new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:5000',
+      fetchFn: cannedServer({ code: 'NoRoute', message: 'Impossible route', routes: [] })
+    });
+
+    await expect(provider.getRoute(waypoints)).rejects.toThrow('Impossible route');
+  });
+
+  it('fails when the server responds with an error status', async () => {
+    const provider = new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:5000',
+      fetchFn: cannedServer({}, 503)
+    });
+
+    await expect(provider.getRoute(waypoints)).rejects.toThrow('503');
+  });
+});
+
+describe('HttpDirectionsProvider (Valhalla)', () => {
+  it('posts the locations and costing as JSON', async () => {
+    const fetchFn = cannedServer(valhallaResponse);
+    const provider = new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:8002',
+      flavor: 'valhalla',
+      fetchFn
+    });
+
+    await provider.getRoute(waypoints);
+
+    const { url, init } = fetchFn.requests[0];
+    expect(url).toBe('http://localhost:8002/route');
+    expect(init.method).toBe('POST');
+    expect(init.headers).toEqual({ 'Content-Type': 'application/json' });
+    expect(JSON.parse(init.body)).toEqual({
+      locations: [
+        { lat: 38.5, lon: -120.2 },
+        { lat: 40.7, lon: -120.95 },
+        { lat: 43.252, lon: -126.453 }
+      ],
+      costing: 'auto',
+      units: 'miles'
+    });
+  });
+
+  it('joins leg shapes without repeating the shared points', async () => {
+    const provider = new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:8002',
+      flavor: 'valhalla',
+      fetchFn: cannedServer(valhallaResponse)
+    });
+
+    const result = await provider.getRoute(waypoints);
+
+    expect(result.provider).toBe('valhalla');
+    expect(result.coordinates).toEqual(waypoints);
+    expect(result.distance).toBe(4);
+    expect(result.duration).toBe(12);
+    expect(result.legs).toEqual([
+      { distance: 1.5, duration: 5 },
+      { distance: 2.5, duration: 7 }
+    ]);
+  });
+
+  it('fails when Valhalla returns no trip', async () => {
+    const provider = new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:8002',
+      flavor: 'valhalla',
+      fetchFn: cannedServer({ error: 'No path could be found for input' })
+    });
+
+    await expect(provider.getRoute(waypoints)).rejects.toThrow('No path could be found');
+  });
+});
+
+describe('RouteService.getDirections', () => {
+  afterEach(() => routeService.setDirectionsProvider(null));
+
+  it('uses the configured server when it answers', async () => {
+    routeService.setDirectionsProvider(new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:5000',
+      fetchFn: cannedServer(osrmResponse)
+    }));
+
+    const result = await routeService.getDirections(waypoints);
+
+    expect(result.provider).toBe('osrm');
+  });
+
+  it('falls back to straight lines when the server request fails', async () => {
+    const fetchFn = jest.fn(() => Promise.reject(new Error('connect ECONNREFUSED')));
+    routeService.setDirectionsProvider(new HttpDirectionsProvider({ baseUrl: 'http://localhost:5000', fetchFn }));
+
+    const result = await routeService.getDirections(waypoints);
+
+    expect(fetchFn).toHaveBeenCalled();
+    expect(result.provider).toBe('straight_line');
+    expect(result.coordinates).toEqual(waypoints);
+    expect(result.legs).toHaveLength(2);
+  });
+
+  it('falls back to straight lines when the server responds with an error', async () => {
+    routeService.setDirectionsProvider(new HttpDirectionsProvider({
+      baseUrl: 'http://localhost:8002',
+      flavor: 'valhalla',
+      fetchFn: cannedServer({}, 500)
+    }));
+
+    const result = await routeService.getDirections(waypoints);
+
+    expect(result.provider).toBe('straight_line');
+  });
+});
@@ -0,0 +1,64 @@
+// src/services/directions/index.js
+// Directions providers turn an ordered list of waypoints into road geometry and
+// per-leg metrics. Every provider exposes the same interface:
+//
+//   provider.name                      - identifier used in logs
+//   await provider.getRoute(waypoints) - resolves to a DirectionsResult
+//
+// RouteService holds the active provider and falls back to straight lines when it fails.
+
+import StraightLineDirectionsProvider from './StraightLineDirectionsProvider';
+import HttpDirectionsProvider from './HttpDirectionsProvider';
+import EncodedPolylineDirectionsProvider from './EncodedPolylineDirectionsProvider';
+
+/**
+ * @typedef {Object} DirectionsLeg
+ * @property {number} distance - Leg distance in miles
+ * @property {number} duration - Leg travel time in minutes
+ */
+
+/**
+ * @typedef {Object} DirectionsResult
+ * @property {string} provider - Name of the provider that produced the route
+ * @property {Object[]} coordinates - Route geometry ({ latitude, longitude })
+ * @property {number} distance - Total distance in miles
+ * @property {number} duration - Total travel time in minutes
+ * @property {DirectionsLeg[]} legs - One entry per pair of consecutive waypoints
+ */
+
+/**
+ * Directions provider types
+ * @readonly
+ * @enum {string}
+ */
+export const DirectionsProviderType = {
+  STRAIGHT_LINE: 'straight_line',
+  OSRM: 'osrm',
+  VALHALLA: 'valhalla',
+  ENCODED_POLYLINE: 'encoded_polyline'
+};
+
+/**
+ * Create a directions provider
+ * @param {string} type - DirectionsProviderType value
+ * @param {Object} [options] - Options passed to the provider constructor
+ * @returns {Object} - Directions provider
+ */
+export const createDirectionsProvider = (type, options = {}) => {
+  switch (type) {
+    case DirectionsProviderType.OSRM:
+    case DirectionsProviderType.VALHALLA:
+      return new HttpDirectionsProvider({ ...options, flavor: type });
+    case DirectionsProviderType.ENCODED_POLYLINE:
+      return new EncodedPolylineDirectionsProvider(options);
+    case DirectionsProviderType.STRAIGHT_LINE:
+    default:
+      return new StraightLineDirectionsProvider(options);
+  }
+};
+
+export {
+  StraightLineDirectionsProvider,
+  HttpDirectionsProvider,
+  EncodedPolylineDirectionsProvider
+};
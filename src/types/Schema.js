@@ -46,6 +46,134 @@ const InteractionType = {
   ROUTE_COMPLETION: 'route-completion'
 };
 
+/**
+ * Journey end mode enum
+ * @readonly
+ * @enum {string}
+ */
+const JourneyEndMode = {
+  OPEN_ENDED: 'open_ended',
+  ROUND_TRIP: 'round_trip',
+  CUSTOM: 'custom'
+};
+
+/**
+ * Journey template mode enum
+ * @readonly
+ * @enum {string}
+ */
+const JourneyTemplateMode = {
+  VENDORS: 'vendors', // Revisit the same stops
+  CRITERIA: 'criteria' // Plan a fresh route from the same deal types and limits
+};
+
+/**
+ * Travel mode enum
+ * @readonly
+ * @enum {string}
+ */
+const TravelMode = {
+  DRIVE: 'drive',
+  WALK: 'walk',
+  BIKE: 'bike',
+  RIDESHARE: 'rideshare'
+};
+
+/**
+ * Vendor sort order enum, used when choosing which vendors make it into a route
+ * @readonly
+ * @enum {string}
+ */
+const VendorSortOrder = {
+  DISTANCE: 'distance', // Closest first
+  VALUE: 'value' // Most deal value per mile of detour first
+};
+
+/**
+ * Journey budget type enum
+ * @readonly
+ * @enum {string}
+ */
+const JourneyBudgetType = {
+  TIME: 'time', // Minutes from setting off to leaving the last stop (or reaching the end point)
+  MONEY: 'money' // Dollars spent on deals, plus rideshare fares
+};
+
+/**
+ * Discount kind enum, the shape of a deal's discount once its text is parsed
+ * @readonly
+ * @enum {string}
+ */
+const DiscountKind = {
+  PERCENT: 'percent', // "20% OFF"
+  FIXED_AMOUNT: 'fixed_amount', // "$5 off", "$10 off orders over $50"
+  BOGO: 'bogo', // "BOGO", "Buy 2 get 1 50% off"
+  FREE_ITEM: 'free_item', // "Free pre-roll with $50 purchase"
+  BUNDLE_PRICE: 'bundle_price', // "2 for $30"
+  SIZE_PRICE: 'size_price', // "3 grams for $25", "1/8th for $20"
+  UNKNOWN: 'unknown' // Couldn't be read; only the text is available
+};
+
+/**
+ * Deal change type enum, how a deal differs between two deal cache refreshes
+ * @readonly
+ * @enum {string}
+ */
+const DealChangeType = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MODIFIED: 'modified'
+};
+
+/**
+ * Deal alert vendor scope enum, which vendors an alert rule watches
+ * @readonly
+ * @enum {string}
+ */
+const DealAlertVendorScope = {
+  ANY: 'any',
+  FAVORITES: 'favorites', // The user's favorite vendors at the time the rule is checked
+  SELECTED: 'selected' // The vendors listed on the rule
+};
+
+/**
+ * Restriction kind enum, who a deal is for or what it asks of the customer
+ * @readonly
+ * @enum {string}
+ */
+const RestrictionKind = {
+  FIRST_VISIT: 'first_visit', // "First-time customers only", checked against check-ins at the vendor
+  VETERAN: 'veteran', // "15% Off for Veterans"
+  SENIOR: 'senior', // "Seniors 60+"
+  MEDICAL_CARD: 'medical_card', // "Medical patients only"
+  MINIMUM_PURCHASE: 'minimum_purchase', // "Minimum purchase $50"
+  ID_REQUIRED: 'id_required' // "Valid ID required"
+};
+
+/**
+ * Eligibility status enum, whether the user can use a deal, most restrictive first
+ * @readonly
+ * @enum {string}
+ */
+const EligibilityStatus = {
+  INELIGIBLE: 'ineligible', // The user's profile or visit history rules them out
+  UNKNOWN: 'unknown', // Depends on a profile answer the user hasn't given
+  CONDITIONAL: 'conditional', // Anyone can use it by meeting a condition at the counter
+  ELIGIBLE: 'eligible'
+};
+
+/**
+ * Deal report type enum
+ * What a user saw when they checked a deal at the vendor
+ * @readonly
+ * @enum {string}
+ */
+const DealReportType = {
+  CONFIRMED: 'confirmed', // The deal was honored as listed today
+  EXPIRED: 'expired', // The vendor no longer offers it
+  DIFFERENT: 'different' // Still offered, but not as listed
+};
+
 /**
  * Deal Model
  * Base deal type containing common properties for all deal types
@@ -55,6 +183,138 @@ const InteractionType = {
  * @property {string} discount - Discount amount or description (e.g. "20% OFF", "BOGO")
  * @property {string[]} restrictions - Array of restriction strings
  * @property {string} redemptionFrequency - How often the deal can be redeemed ("once_per_day", "once_per_visit", "once", etc.)
+ * @property {ParsedDiscount} [parsedDiscount] - Discount parsed from the text, added when the deal cache loads
+ * @property {Array<{start: string, end: string}>} [timeWindows] - Times of day the deal runs in 24-hour
+ *   "HH:MM" (e.g. happy hours); empty or missing when it runs all day
+ * @property {Array<DealRestriction>} [parsedRestrictions] - Restrictions read from the deal's text, added
+ *   when the deal cache loads
+ */
+
+/**
+ * Deal Report Model
+ * One user's report on whether a deal is still as listed; stored in the deal_reports
+ * collection, one per user, deal and day
+ *
+ * @typedef {Object} DealReport
+ * @property {string} id - Unique identifier
+ * @property {string} userId - Reporting user's unique identifier
+ * @property {string} dealKey - Deal identity (see getDealKey)
+ * @property {string|null} dealId - Deal ID, when the deal has one
+ * @property {string|null} vendorId - Vendor offering the deal
+ * @property {string|null} dealType - DealType value
+ * @property {DealReportType} type - What the user saw
+ * @property {string|null} note - What was different, in the user's words
+ * @property {string} createdAt - ISO date string of the report
+ */
+
+/**
+ * Deal Verification Model
+ * Recent reports on a deal, summarized
+ *
+ * @typedef {Object} DealVerification
+ * @property {number} confidence - 0-1 likelihood the deal is as listed
+ * @property {string|null} lastVerifiedAt - ISO date string of the latest confirmation
+ * @property {number} reportCount - Reports counted
+ * @property {number} confirmedCount - Confirmations counted
+ * @property {number} expiredCount - Expired reports since the latest confirmation
+ * @property {number} differentCount - "Different than listed" reports counted
+ * @property {boolean} isLikelyExpired - Whether enough users reported it expired
+ */
+
+/**
+ * Price Observation Model
+ * A product's listed price at one vendor on one day, recorded when deals load
+ *
+ * @typedef {Object} PriceObservation
+ * @property {string} productKey - Product identity (see getDealKey)
+ * @property {string|null} vendorId - Vendor listing the product
+ * @property {string|null} category - Product category, lower case
+ * @property {string|null} unitSize - Normalized unit size, e.g. "3.5g" or "100mg"
+ * @property {number} price - Regular price in dollars
+ * @property {number} salePrice - Price with the deal applied, in dollars
+ * @property {string} date - Day of the observation (YYYY-MM-DD)
+ */
+
+/**
+ * Market Average Model
+ * Rolling average regular price for a category and unit size
+ *
+ * @typedef {Object} MarketAverage
+ * @property {number} average - Average regular price in dollars
+ * @property {number} productCount - Products averaged
+ * @property {number} vendorCount - Vendors those products came from
+ */
+
+/**
+ * Deal Restriction Model
+ * Fields other than kind and text are only set for the kinds that use them
+ *
+ * @typedef {Object} DealRestriction
+ * @property {string} kind - RestrictionKind value
+ * @property {string} text - Deal text the restriction was read from
+ * @property {number} [minimumAge] - Youngest qualifying age (SENIOR), when the deal says
+ * @property {number} [minimumPurchase] - Spend in dollars (MINIMUM_PURCHASE), when the deal says
+ */
+
+/**
+ * Eligibility Profile Model
+ * Optional answers the user gives about themselves; null means not answered
+ *
+ * @typedef {Object} EligibilityProfile
+ * @property {boolean|null} isVeteran - Whether the user is a veteran
+ * @property {boolean|null} isSenior - Whether the user qualifies for senior discounts
+ * @property {boolean|null} hasMedicalCard - Whether the user has a medical marijuana card
+ */
+
+/**
+ * Parsed Discount Model
+ * Fields other than kind and text are only set for the kinds that use them
+ *
+ * @typedef {Object} ParsedDiscount
+ * @property {string} kind - DiscountKind value
+ * @property {string} text - Original discount text
+ * @property {number} [percent] - Percent off (PERCENT), or off the extra items (BOGO; 100 = free)
+ * @property {number} [amount] - Dollars off (FIXED_AMOUNT)
+ * @property {number} [buyQuantity] - Items to buy (BOGO)
+ * @property {number} [getQuantity] - Items discounted (BOGO)
+ * @property {string} [item] - Item given free (FREE_ITEM) or sold in the bundle (BUNDLE_PRICE)
+ * @property {number} [minimumPurchase] - Spend in dollars before the discount applies
+ * @property {number} [quantity] - Items in the bundle (BUNDLE_PRICE)
+ * @property {number} [price] - Bundle price in dollars (BUNDLE_PRICE), or price of the size (SIZE_PRICE)
+ * @property {number} [grams] - Weight sold at the price, in grams (SIZE_PRICE)
+ */
+
+/**
+ * Deal Change Model
+ * One entry in the deal change log kept by the deal cache
+ *
+ * @typedef {Object} DealChange
+ * @property {string} key - Deal identity (its ID, or vendor, type, day and title when it has none)
+ * @property {string} change - DealChangeType value
+ * @property {string} vendorId - Vendor offering the deal
+ * @property {string} vendorName - Vendor name when the change was seen
+ * @property {string} dealType - Deal type
+ * @property {string} title - Deal title, discount or description
+ * @property {string[]} [fields] - Fields that changed (MODIFIED only)
+ * @property {string} detectedAt - ISO date string of the refresh that found the change
+ */
+
+/**
+ * Deal Alert Rule Model
+ * A saved rule that sends a local notification when a deal starts matching it
+ *
+ * @typedef {Object} DealAlertRule
+ * @property {string} id - Rule ID
+ * @property {string} name - Name shown in Settings and in the notification
+ * @property {boolean} isEnabled - Whether the rule is checked
+ * @property {string[]} dealTypes - Deal types to match (empty for any)
+ * @property {string} vendorScope - DealAlertVendorScope value
+ * @property {Array<{id: string, name: string}>} vendors - Vendors to match (SELECTED only)
+ * @property {string|null} category - Product category or keyword the deal must mention (e.g. "edibles")
+ * @property {number|null} minDiscountPercent - Smallest estimated discount to match
+ * @property {number|null} maxDistance - Furthest vendor distance in miles
+ * @property {string[]} days - Weekdays the deal must run on (empty for any)
+ * @property {string} createdAt - ISO date string
  */
 
 /**
@@ -131,6 +391,28 @@ const InteractionType = {
  * @property {string} [bannerUrl] - URL to vendor banner image
  * @property {number} [distance] - Distance from user in miles (calculated field)
  * @property {boolean} [hasValidCoordinates] - Whether coordinates are valid
+ * @property {VendorGeofence} [geofence] - Arrival detection overrides
+ * @property {VendorDealStacking} [dealStacking] - Which of the vendor's deals can be used together
+ */
+
+/**
+ * Vendor Geofence Model
+ * Overrides the default arrival radius and dwell time for a vendor
+ * 
+ * @typedef {Object} VendorGeofence
+ * @property {number} [radius] - Arrival radius in miles
+ * @property {number} [dwellSeconds] - Seconds to stay inside the radius before arrival counts
+ */
+
+/**
+ * Vendor Deal Stacking Model
+ * Overrides the default stacking rules for a vendor; fields left out keep the defaults
+ * 
+ * @typedef {Object} VendorDealStacking
+ * @property {Array<Array<string>>} [combinable] - Pairs of DealType values that can be used
+ *   together; a pair of the same type (e.g. ["daily", "daily"]) lets two of that type stack
+ * @property {string[]} [exclusive] - DealType values that can't be combined with anything
+ * @property {number} [maxDeals] - Most deals that can be used in one visit
  */
 
 /**
@@ -158,6 +440,18 @@ const InteractionType = {
  * @property {boolean} notifications - Notification preference
  * @property {number} maxDistance - Default max distance for deals in miles
  * @property {boolean} showPartnerOnly - Whether to only show partner vendors
+ * @property {SavedPlace[]} [savedPlaces] - Places the user can end a journey at
+ */
+
+/**
+ * Saved Place Model
+ * A named location such as home or work
+ * 
+ * @typedef {Object} SavedPlace
+ * @property {string} id - Unique identifier (e.g. 'home', 'work')
+ * @property {string} label - Display name
+ * @property {number} latitude - Latitude coordinate
+ * @property {number} longitude - Longitude coordinate
  */
 
 /**
@@ -192,13 +486,42 @@ const InteractionType = {
  * @typedef {Object} Journey
  * @property {string} id - Unique identifier
  * @property {string} userId - User's unique identifier
- * @property {DealType} dealType - Type of deals being pursued
- * @property {Vendor[]} vendors - Array of vendors in the journey
+ * @property {DealType} dealType - Type of deals being pursued (the first one on mixed journeys)
+ * @property {DealType[]} dealTypes - Every deal type collected on the journey
+ * @property {Vendor[]} vendors - Array of vendors in the journey; each carries the
+ *   `dealTypes` it is being visited for
  * @property {number} currentVendorIndex - Index of current vendor in journey
  * @property {number} maxDistance - Maximum distance in miles
  * @property {number} totalVendors - Total number of vendors in journey
+ * @property {JourneyEndMode} endMode - Where the journey finishes after the last vendor
+ * @property {SavedPlace|Object|null} endLocation - Final destination coordinates (null when open-ended)
+ * @property {TravelMode} travelMode - How the user gets between stops
  * @property {string} createdAt - ISO date string of journey creation
  * @property {string} [completedAt] - ISO date string of journey completion
+ * @property {boolean} [isScheduled] - True while the journey is planned for a later day
+ * @property {string} [scheduledFor] - ISO date string of when a scheduled journey starts
+ */
+
+/**
+ * Journey Template Model
+ * A saved journey that can be planned again against the current deals
+ * 
+ * @typedef {Object} JourneyTemplate
+ * @property {string} id - Unique identifier
+ * @property {string} userId - User's unique identifier
+ * @property {string} name - Display name
+ * @property {JourneyTemplateMode} mode - Whether to revisit the saved stops or re-plan from the criteria
+ * @property {DealType[]} dealTypes - Deal types the journey collects
+ * @property {Object[]} vendors - Saved stops ({ id, name, dealTypes }); empty in criteria mode
+ * @property {number|null} maxDistance - Maximum distance in miles
+ * @property {number|null} maxVendors - Number of stops to plan
+ * @property {SavedPlace|Object|null} startLocation - Fixed start point (null to start from the current location)
+ * @property {JourneyEndMode} endMode - Where the journey finishes after the last vendor
+ * @property {SavedPlace|Object|null} endLocation - Final destination coordinates
+ * @property {TravelMode} travelMode - How the user gets between stops
+ * @property {number} useCount - Number of times the template has been replayed
+ * @property {string} createdAt - ISO date string of template creation
+ * @property {string} updatedAt - ISO date string of the last save or replay
  */
 
 /**
@@ -211,6 +534,13 @@ const InteractionType = {
  * @property {number} coordinates[].longitude - Longitude coordinate
  * @property {number} totalDistance - Total distance in miles
  * @property {number} estimatedTime - Estimated time in minutes
+ * @property {TravelMode} [travelMode] - Travel mode the estimates were made for
+ * @property {number[]} [legCosts] - Estimated fare of each leg (rideshare only)
+ * @property {number} [estimatedCost] - Estimated total fare (rideshare only)
+ * @property {Object} [budget] - Budget the route was planned within
+ * @property {JourneyBudgetType} budget.type - What the budget limits
+ * @property {number} budget.amount - Budget in minutes or dollars
+ * @property {number} budget.used - Minutes or dollars the route is expected to use
  */
 
 /**
@@ -246,6 +576,17 @@ const InteractionType = {
 const DAYS_OF_WEEK = Object.values(DayOfWeek);
 const DEAL_TYPES = Object.values(DealType);
 const INTERACTION_TYPES = Object.values(InteractionType);
+const JOURNEY_END_MODES = Object.values(JourneyEndMode);
+const JOURNEY_TEMPLATE_MODES = Object.values(JourneyTemplateMode);
+const TRAVEL_MODES = Object.values(TravelMode);
+const JOURNEY_BUDGET_TYPES = Object.values(JourneyBudgetType);
+const VENDOR_SORT_ORDERS = Object.values(VendorSortOrder);
+const DISCOUNT_KINDS = Object.values(DiscountKind);
+const DEAL_CHANGE_TYPES = Object.values(DealChangeType);
+const DEAL_ALERT_VENDOR_SCOPES = Object.values(DealAlertVendorScope);
+const RESTRICTION_KINDS = Object.values(RestrictionKind);
+const ELIGIBILITY_STATUSES = Object.values(EligibilityStatus);
+const DEAL_REPORT_TYPES = Object.values(DealReportType);
 
 // Validation functions
 /**
@@ -399,9 +740,31 @@ module.exports = {
   DayOfWeek,
   DealType,
   InteractionType,
+  JourneyEndMode,
+  JourneyTemplateMode,
+  TravelMode,
+  JourneyBudgetType,
+  VendorSortOrder,
+  DiscountKind,
+  DealChangeType,
+  DealAlertVendorScope,
+  RestrictionKind,
+  EligibilityStatus,
+  DealReportType,
   DAYS_OF_WEEK,
   DEAL_TYPES,
   INTERACTION_TYPES,
+  JOURNEY_END_MODES,
+  JOURNEY_TEMPLATE_MODES,
+  TRAVEL_MODES,
+  JOURNEY_BUDGET_TYPES,
+  VENDOR_SORT_ORDERS,
+  DISCOUNT_KINDS,
+  DEAL_CHANGE_TYPES,
+  DEAL_ALERT_VENDOR_SCOPES,
+  RESTRICTION_KINDS,
+  ELIGIBILITY_STATUSES,
+  DEAL_REPORT_TYPES,
   
   // Validation functions
   isValidVendor,
@@ -39,11 +39,27 @@ export const toLowerCaseSafe = (value) => {
   };
   
   /**
-   * Gets the current day of week as a lowercase string
+   * Gets the day of week as a lowercase string
+   * @param {Date} [date] - Date to check (defaults to today)
    * @returns {string} - day of week (e.g., 'monday', 'tuesday', etc.)
    */
-  export const getDayOfWeek = () => {
+  export const getDayOfWeek = (date = new Date()) => {
     const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const today = new Date().getDay(); // Returns 0-6 (Sunday-Saturday)
-    return days[today];
+    const day = date.getDay(); // Returns 0-6 (Sunday-Saturday)
+    return days[day];
+  };
+  
+  /**
+   * Checks whether two dates fall on the same calendar day (local time)
+   * @param {Date|string} a - First date
+   * @param {Date|string} b - Second date
+   * @returns {boolean} - True if both are on the same day
+   */
+  export const isSameDay = (a, b) => {
+    const first = new Date(a);
+    const second = new Date(b);
+    
+    return first.getFullYear() === second.getFullYear() &&
+      first.getMonth() === second.getMonth() &&
+      first.getDate() === second.getDate();
   };
\ No newline at end of file
@@ -0,0 +1,185 @@
+// src/utils/DealAlertRules.js
+// Checks deals against the user's alert rules ("any special at my favorites",
+// "edibles at 25%+ off within 5 miles", "daily deals at Green Leaf on Fridays")
+// and describes rules in words for Settings and notifications.
+import { DealAlertVendorScope } from '../types/Schema';
+import { estimateDealDiscountPercent } from './ValueCalculator';
+import { isDealActiveAt } from './DealAvailability';
+import { getDayOfWeek } from './DateUtils';
+import { tokenize } from './SearchIndex';
+
+const DEAL_TYPE_LABELS = {
+  daily: 'Daily deals',
+  multi_day: 'Multi-day deals',
+  special: 'Specials',
+  everyday: 'Everyday deals',
+  birthday: 'Birthday deals'
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// "edibles" should find "Edible", "pre-rolls" should find "pre-roll"
+const singular = (term) => (term.length > 3 && term.endsWith('s') ? term.slice(0, -1) : term);
+
+/**
+ * Fill in defaults for a rule's missing fields
+ * @param {Object} rule - Rule fields
+ * @returns {DealAlertRule} - Complete rule
+ */
+export const normalizeAlertRule = (rule) => ({
+  id: rule.id,
+  name: rule.name || '',
+  isEnabled: rule.isEnabled !== false,
+  dealTypes: Array.isArray(rule.dealTypes) ? rule.dealTypes : [],
+  vendorScope: Object.values(DealAlertVendorScope).includes(rule.vendorScope)
+    ? rule.vendorScope
+    : DealAlertVendorScope.ANY,
+  vendors: Array.isArray(rule.vendors) ? rule.vendors : [],
+  category: rule.category?.trim() || null,
+  minDiscountPercent: rule.minDiscountPercent > 0 ? Number(rule.minDiscountPercent) : null,
+  maxDistance: rule.maxDistance > 0 ? Number(rule.maxDistance) : null,
+  days: Array.isArray(rule.days) ? rule.days : [],
+  createdAt: rule.createdAt || new Date().toISOString()
+});
+
+/**
+ * Check whether a deal mentions a category or keyword
+ * @param {Object} deal - Deal object
+ * @param {string} category - Category or keyword, e.g. "edibles"
+ * @returns {boolean} - True if every word of the category appears in the deal
+ */
+const mentionsCategory = (deal, category) => {
+  const dealTerms = new Set(
+    [deal.category, deal.name, deal.title, deal.description, deal.discount]
+      .flatMap(tokenize)
+      .map(singular)
+  );
+
+  return tokenize(category).map(singular).every(term => dealTerms.has(term));
+};
+
+/**
+ * Get the next date (today included) that falls on a weekday
+ * @param {string} day - Day of the week, e.g. "friday"
+ * @param {Date} from - Date to start from
+ * @returns {Date} - Date on that weekday
+ */
+const getNextDateOn = (day, from) => {
+  for (let offset = 0; offset < 7; offset++) {
+    const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    if (getDayOfWeek(date) === day) return date;
+  }
+
+  return from;
+};
+
+/**
+ * Check whether a deal is still on or yet to start
+ * @param {Object} deal - Deal object
+ * @param {Date} date - Date to check from
+ * @returns {boolean} - True unless the deal is inactive or has ended
+ */
+const isDealUpcoming = (deal, date) => {
+  if (deal.isActive === false) return false;
+
+  const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return !deal.endDate || new Date(deal.endDate) >= dayStart;
+};
+
+/**
+ * Check whether a deal matches an alert rule
+ * @param {DealAlertRule} rule - Alert rule
+ * @param {Object} deal - Deal object
+ * @param {Object} context - What the rule needs beyond the deal
+ * @param {Array<string>} [context.favorites] - The user's favorite vendor IDs
+ * @param {number|null} [context.distance] - Miles to the deal's vendor, or null if unknown
+ * @param {Date} [context.date] - Date the deal should be running (defaults to now)
+ * @returns {boolean} - True if the deal matches
+ */
+export const matchesAlertRule = (rule, deal, context = {}) => {
+  const { favorites = [], distance = null, date = new Date() } = context;
+
+  if (!rule.isEnabled || !deal) return false;
+
+  if (rule.dealTypes.length > 0 && !rule.dealTypes.includes(deal.dealType)) {
+    return false;
+  }
+
+  if (rule.vendorScope === DealAlertVendorScope.FAVORITES && !favorites.includes(deal.vendorId)) {
+    return false;
+  }
+
+  if (rule.vendorScope === DealAlertVendorScope.SELECTED &&
+      !rule.vendors.some(vendor => vendor.id === deal.vendorId)) {
+    return false;
+  }
+
+  if (rule.category && !mentionsCategory(deal, rule.category)) {
+    return false;
+  }
+
+  if (rule.minDiscountPercent && estimateDealDiscountPercent(deal) < rule.minDiscountPercent) {
+    return false;
+  }
+
+  // A distance limit can't be checked without knowing where the user is
+  if (rule.maxDistance && (distance === null || distance > rule.maxDistance)) {
+    return false;
+  }
+
+  if (rule.days.length === 0) {
+    return isDealUpcoming(deal, date);
+  }
+
+  // The deal has to run on one of the rule's days in the coming week
+  return rule.days.some(day =>
+    isDealActiveAt(deal, getNextDateOn(day, date), { ignoreTime: true, day }));
+};
+
+/**
+ * Describe a rule in words
+ * @param {DealAlertRule} rule - Alert rule
+ * @returns {string} - e.g. "Specials at your favorites", "Edibles 25%+ off within 5 mi"
+ */
+export const describeAlertRule = (rule) => {
+  const what = rule.category
+    ? capitalize(rule.category)
+    : rule.dealTypes.length > 0
+      ? rule.dealTypes.map(type => DEAL_TYPE_LABELS[type] || type).join(' or ')
+      : 'Any deal';
+
+  const parts = [
+    rule.category && rule.dealTypes.length > 0
+      ? `${what} (${rule.dealTypes.map(type => (DEAL_TYPE_LABELS[type] || type).toLowerCase()).join(' or ')})`
+      : what
+  ];
+
+  if (rule.minDiscountPercent) {
+    parts.push(`${rule.minDiscountPercent}%+ off`);
+  }
+
+  if (rule.vendorScope === DealAlertVendorScope.FAVORITES) {
+    parts.push('at your favorites');
+  } else if (rule.vendorScope === DealAlertVendorScope.SELECTED && rule.vendors.length > 0) {
+    parts.push(`at ${rule.vendors.map(vendor => vendor.name || 'a vendor').join(', ')}`);
+  }
+
+  if (rule.maxDistance) {
+    parts.push(`within ${rule.maxDistance} mi`);
+  }
+
+  if (rule.days.length > 0) {
+    parts.push(`on ${rule.days.map(day => `${capitalize(day)}s`).join(', ')}`);
+  }
+
+  return parts.join(' ');
+};
+
+/**
+ * Get the name to show for a rule
+ * Rules the user didn't name are described from their current criteria, so the
+ * name follows the rule when it's edited
+ * @param {DealAlertRule} rule - Alert rule
+ * @returns {string} - The user's name for the rule, or its description
+ */
+export const getAlertRuleName = (rule) => rule.name || describeAlertRule(rule);
@@ -0,0 +1,305 @@
+// src/utils/DealAvailability.js
+// One place to decide whether a deal is live at a given moment: its weekday
+// (daily deals), active days (multi-day deals), start and end dates (specials
+// and anything else that has them), and intra-day windows such as happy hours
+// ("4–6pm only"). Screens, the deal cache and the route builder all use this so
+// they agree on what's on.
+import { getDayOfWeek } from './DateUtils';
+import { parseTimeToMinutes } from './ScheduleUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// "4", "4pm", "4:20 p.m.", "noon", "midnight"
+const TIME_PATTERN = '(noon|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:[ap]\\.?m\\.?)?)';
+const RANGE_REGEX = new RegExp(
+  `(?:from\\s+|between\\s+)?${TIME_PATTERN}\\s*(?:-|–|—|to|until|till|and)\\s*${TIME_PATTERN}(?![\\d:])`,
+  'gi'
+);
+const UNTIL_REGEX = new RegExp(`(?:until|till|before|ends at)\\s+${TIME_PATTERN}`, 'gi');
+const AFTER_REGEX = new RegExp(`(?:after|from)\\s+${TIME_PATTERN}(?!\\s*(?:-|–|—|to|until|till|and)\\s*\\d)`, 'gi');
+
+/**
+ * Read one time token from deal text
+ * @param {string} token - e.g. "4", "4:20pm", "noon"
+ * @returns {Object} - { minutes, meridiem } where minutes ignores the meridiem
+ *   (0-719) and meridiem is 'am', 'pm' or null
+ */
+const readTime = (token) => {
+  const text = token.toLowerCase().replace(/\./g, '').replace(/\s+/g, '');
+
+  if (text === 'noon') return { minutes: 0, meridiem: 'pm' };
+  if (text === 'midnight') return { minutes: 0, meridiem: 'am' };
+
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+  return { minutes: (hours % 12) * 60 + minutes, meridiem: match[3] || null };
+};
+
+const withMeridiem = (time, meridiem) => time.minutes + (meridiem === 'pm' ? 12 * 60 : 0);
+
+const toClock = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Find the times of day a deal's text limits it to
+ * Only times with am/pm (or noon/midnight) count, so "2-for-1" or "1-3 items" aren't
+ * mistaken for hours. A missing meridiem is borrowed from the other end of the range.
+ * @param {string} text - Deal text (title, description, restriction, ...)
+ * @returns {Array<{start: string, end: string}>} - Windows in 24-hour "HH:MM"; an end at
+ *   or before the start runs past midnight
+ */
+export const parseTimeWindows = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  const windows = [];
+  const covered = [];
+
+  for (const match of text.matchAll(RANGE_REGEX)) {
+    const start = readTime(match[1]);
+    const end = readTime(match[2]);
+    if (!start || !end || (!start.meridiem && !end.meridiem)) continue;
+
+    const endMinutes = withMeridiem(end, end.meridiem || start.meridiem);
+    let startMinutes = withMeridiem(start, start.meridiem || end.meridiem);
+
+    // "11-2pm" means 11am, not 11pm
+    if (!start.meridiem && startMinutes >= endMinutes && startMinutes >= 12 * 60) {
+      startMinutes -= 12 * 60;
+    }
+
+    windows.push({ start: toClock(startMinutes), end: toClock(endMinutes || MINUTES_PER_DAY) });
+    covered.push([match.index, match.index + match[0].length]);
+  }
+
+  const isCovered = (index) => covered.some(([from, to]) => index >= from && index < to);
+
+  for (const match of text.matchAll(UNTIL_REGEX)) {
+    const end = readTime(match[1]);
+    if (!end?.meridiem || isCovered(match.index)) continue;
+
+    windows.push({ start: '00:00', end: toClock(withMeridiem(end, end.meridiem) || MINUTES_PER_DAY) });
+  }
+
+  for (const match of text.matchAll(AFTER_REGEX)) {
+    const start = readTime(match[1]);
+    if (!start?.meridiem || isCovered(match.index)) continue;
+
+    windows.push({ start: toClock(withMeridiem(start, start.meridiem)), end: '24:00' });
+  }
+
+  return windows;
+};
+
+/**
+ * Get the times of day a deal runs
+ * Uses the deal's own timeWindows (or startTime/endTime) when it has them, otherwise
+ * whatever its title, description, discount and restrictions say
+ * @param {Object} deal - Deal object
+ * @returns {Array<{start: string, end: string}>} - Windows in 24-hour "HH:MM"; empty
+ *   when the deal runs all day
+ */
+export const getDealTimeWindows = (deal) => {
+  if (!deal) return [];
+
+  if (Array.isArray(deal.timeWindows)) {
+    return deal.timeWindows;
+  }
+
+  if (parseTimeToMinutes(deal.startTime) !== null && parseTimeToMinutes(deal.endTime) !== null) {
+    return [{ start: deal.startTime, end: deal.endTime }];
+  }
+
+  const texts = [
+    deal.title,
+    deal.description,
+    deal.discount,
+    ...(Array.isArray(deal.restrictions) ? deal.restrictions : [])
+  ];
+
+  // The same hours are often in both the title and the restrictions
+  const seen = new Set();
+
+  return texts.flatMap(parseTimeWindows).filter(window => {
+    const key = `${window.start}-${window.end}`;
+    if (seen.has(key)) return false;
+
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Check whether a time of day falls in a window
+ * A window ending at or before its start runs past midnight; its early hours count
+ * only on the day after it starts (see isDealActiveAt)
+ * @param {Object} window - { start, end } in 24-hour "HH:MM"
+ * @param {number} minutes - Minutes after midnight
+ * @param {boolean} [dayAfter=false] - Check the early hours of the day after the window starts
+ * @returns {boolean} - True if inside the window
+ */
+const isWithinWindow = (window, minutes, dayAfter = false) => {
+  const start = parseTimeToMinutes(window.start);
+  const end = parseTimeToMinutes(window.end);
+  if (start === null || end === null) return !dayAfter;
+
+  if (dayAfter) {
+    return end <= start && minutes < end;
+  }
+
+  return end > start
+    ? minutes >= start && minutes < end
+    : minutes >= start;
+};
+
+/**
+ * Check whether a deal runs at all on the day of a date
+ * @param {Object} deal - Deal object
+ * @param {Date} date - Any time on the day to check
+ * @param {Object} options - See isDealActiveAt
+ * @returns {boolean} - True if the deal is offered that day
+ */
+const isDealOnDay = (deal, date, options) => {
+  if (!deal || deal.isActive === false) return false;
+
+  const day = options.day || getDayOfWeek(date);
+  const dealType = options.dealType || deal.dealType;
+  const activeDays = deal.activeDays || deal.days;
+
+  if (dealType === 'daily' && deal.day !== day) {
+    return false;
+  }
+
+  if (Array.isArray(activeDays) && activeDays.length > 0) {
+    if (!activeDays.includes(day)) return false;
+  } else if (dealType === 'multi_day') {
+    return false;
+  }
+
+  // Compare whole days so a deal ending that day still counts
+  const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+  return (!deal.startDate || new Date(deal.startDate) < dayEnd) &&
+    (!deal.endDate || new Date(deal.endDate) >= dayStart);
+};
+
+/**
+ * Check whether a deal is live at a given moment
+ * Daily deals run on their day, multi-day deals on their active days, everyday and
+ * birthday deals every day, and any deal with start or end dates only between them.
+ * Deals limited to times of day (see getDealTimeWindows) only count inside those times;
+ * hours past midnight belong to the day before, so Friday's "8pm-2am" deal is live at
+ * 1am on Saturday but not at 1am on Friday.
+ * @param {Object} deal - Deal object
+ * @param {Date} [dateTime] - Moment to check (defaults to now)
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.ignoreTime=false] - Only check the day, not the time of day
+ * @param {string} [options.day] - Weekday to check instead of dateTime's own; past-midnight
+ *   hours from the day before aren't checked then
+ * @param {string} [options.dealType] - Deal type to use when the deal doesn't carry one
+ * @returns {boolean} - True if the deal is live
+ */
+export const isDealActiveAt = (deal, dateTime = new Date(), options = {}) => {
+  if (options.ignoreTime) return isDealOnDay(deal, dateTime, options);
+
+  const windows = getDealTimeWindows(deal);
+  const minutes = dateTime.getHours() * 60 + dateTime.getMinutes();
+
+  if (isDealOnDay(deal, dateTime, options) &&
+      (windows.length === 0 || windows.some(window => isWithinWindow(window, minutes)))) {
+    return true;
+  }
+
+  if (options.day) return false;
+
+  const dayBefore = new Date(dateTime.getFullYear(), dateTime.getMonth(), dateTime.getDate() - 1);
+  return isDealOnDay(deal, dayBefore, options) &&
+    windows.some(window => isWithinWindow(window, minutes, true));
+};
+
+/**
+ * Get the deals of one type embedded in a vendor object (vendor.deals)
+ * Each deal is returned as an object with its dealType, and daily deals with the day
+ * they're listed under; deals stored as plain text become { title, description }
+ * @param {Object} vendor - Vendor object
+ * @param {string} dealType - Deal type
+ * @returns {Array<Object>} - Deals
+ */
+export const getEmbeddedDeals = (vendor, dealType) => {
+  const deals = vendor?.deals;
+  if (!deals) return [];
+
+  const asArray = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+  const toDeal = (deal) => (typeof deal === 'string' ? { title: deal, description: deal } : deal);
+  const typed = (list) => list.map(deal => ({ ...toDeal(deal), dealType }));
+
+  switch (dealType) {
+    case 'daily':
+      return Object.entries(deals.daily || {}).flatMap(([day, dayDeals]) =>
+        asArray(dayDeals).map(deal => ({ ...toDeal(deal), dealType, day })));
+    case 'multi_day':
+      return typed(asArray(deals.multi_day || deals.multiDay));
+    case 'special':
+      return typed(asArray(deals.special || deals.specials));
+    case 'everyday':
+    case 'birthday':
+      return typed(asArray(deals[dealType]));
+    default:
+      return [];
+  }
+};
+
+/**
+ * Format a time window for display
+ * @param {Object} window - { start, end } in 24-hour "HH:MM"
+ * @returns {string} - e.g. "4–6pm", "11am–2pm", "after 8pm"
+ */
+export const formatTimeWindow = (window) => {
+  const start = parseTimeToMinutes(window.start);
+  const end = parseTimeToMinutes(window.end);
+  if (start === null || end === null) return '';
+
+  const describe = (minutes) => {
+    const normalized = minutes % MINUTES_PER_DAY;
+    const hours = Math.floor(normalized / 60) % 12 || 12;
+    const mins = normalized % 60;
+    return {
+      time: mins ? `${hours}:${String(mins).padStart(2, '0')}` : `${hours}`,
+      meridiem: normalized >= 12 * 60 ? 'pm' : 'am'
+    };
+  };
+
+  if (start === 0 && end < MINUTES_PER_DAY) {
+    const until = describe(end);
+    return `until ${until.time}${until.meridiem}`;
+  }
+
+  const from = describe(start);
+
+  if (end === MINUTES_PER_DAY) {
+    return `after ${from.time}${from.meridiem}`;
+  }
+
+  const to = describe(end);
+  return from.meridiem === to.meridiem
+    ? `${from.time}–${to.time}${to.meridiem}`
+    : `${from.time}${from.meridiem}–${to.time}${to.meridiem}`;
+};
+
+/**
+ * Describe when a time-limited deal runs
+ * @param {Object} deal - Deal object
+ * @returns {string|null} - e.g. "4–6pm only", or null if the deal runs all day
+ */
+export const describeDealHours = (deal) => {
+  const windows = getDealTimeWindows(deal);
+  if (windows.length === 0) return null;
+
+  return `${windows.map(formatTimeWindow).filter(Boolean).join(', ')} only`;
+};
@@ -0,0 +1,307 @@
+// src/utils/DealCalendar.js
+// Lays deals out by date for the deal calendar and turns them into iCalendar (.ics)
+// events, so recurring weekday deals and dated specials like 4/20 can go into the
+// user's own calendar. Which days a deal runs comes from isDealActiveAt, the same
+// rules the deal screens use.
+import { DealType } from '../types/Schema';
+import { isDealActiveAt, getDealTimeWindows, describeDealHours } from './DealAvailability';
+import { getDayOfWeek } from './DateUtils';
+import { getDealKey } from './DealChanges';
+import { parseTimeToMinutes } from './ScheduleUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Birthday deals depend on the user's birthday, not the calendar
+export const CALENDAR_DEAL_TYPES = [
+  DealType.SPECIAL,
+  DealType.DAILY,
+  DealType.MULTI_DAY,
+  DealType.EVERYDAY
+];
+
+const ICS_WEEKDAYS = {
+  sunday: 'SU',
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA'
+};
+
+// How far ahead to look for the first day a deal runs
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// Longest content line allowed by RFC 5545, in octets
+const ICS_LINE_LIMIT = 75;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Deal dates come as ISO strings, Dates or Firestore timestamps (live or from storage)
+const toDate = (value) => {
+  if (!value) return null;
+
+  const date = value instanceof Date
+    ? value
+    : new Date(value?.toDate?.() || (value?.seconds !== undefined ? value.seconds * 1000 : value));
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const getDealName = (deal) => deal.title || deal.discount || deal.description || 'Deal';
+
+/**
+ * Get consecutive calendar days
+ * @param {Date} [startDate] - First day (defaults to today)
+ * @param {number} [days=7] - Number of days
+ * @returns {Array<Date>} - Local midnight of each day
+ */
+export const getCalendarDays = (startDate = new Date(), days = 7) => {
+  const first = startOfDay(startDate);
+  return Array.from({ length: days }, (_, index) => addDays(first, index));
+};
+
+/**
+ * Lay deals out by date
+ * Each day lists the deals running at any time that day, once each, specials first
+ * @param {Array<Object>} deals - Deal objects with their dealType
+ * @param {Object} [options] - Calendar options
+ * @param {Date} [options.startDate] - First day (defaults to today)
+ * @param {number} [options.days=7] - Number of days
+ * @returns {Array<Object>} - { date, day, deals } for each day, where day is the weekday name
+ */
+export const buildDealCalendar = (deals, options = {}) => {
+  const { startDate = new Date(), days = 7 } = options;
+  const calendarDeals = deals.filter(deal => CALENDAR_DEAL_TYPES.includes(deal.dealType));
+
+  return getCalendarDays(startDate, days).map(date => {
+    // Multi-day deals can be listed once per day they run
+    const seen = new Set();
+
+    const dayDeals = calendarDeals
+      .filter(deal => isDealActiveAt(deal, date, { ignoreTime: true }))
+      .filter(deal => {
+        const key = getDealKey(deal);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) =>
+        CALENDAR_DEAL_TYPES.indexOf(a.dealType) - CALENDAR_DEAL_TYPES.indexOf(b.dealType) ||
+        (a.vendorName || '').localeCompare(b.vendorName || ''));
+
+    return { date, day: getDayOfWeek(date), deals: dayDeals };
+  });
+};
+
+/**
+ * Find the first day on or after a date that a deal runs
+ * @param {Object} deal - Deal object
+ * @param {Date} from - Earliest day
+ * @param {number} maxDays - How many days to look ahead
+ * @returns {Date|null} - Local midnight of that day, or null if it doesn't run again
+ */
+const findFirstDealDay = (deal, from, maxDays) => {
+  for (let offset = 0; offset < maxDays; offset++) {
+    const date = addDays(from, offset);
+    if (isDealActiveAt(deal, date, { ignoreTime: true })) return date;
+  }
+  return null;
+};
+
+/**
+ * Work out when a deal happens as a calendar event
+ * Daily and multi-day deals repeat weekly on their days, everyday deals daily, and
+ * specials span their dates. A deal with one time window becomes a timed event;
+ * otherwise it's all-day and the hours go in the description.
+ * @param {Object} deal - Deal object
+ * @param {Object} [options] - Event options
+ * @param {Date} [options.from] - Earliest day to start the event (defaults to today)
+ * @returns {Object|null} - { uid, summary, description, location, start, end, allDay, rrule },
+ *   or null if the deal doesn't run again
+ */
+export const buildDealEvent = (deal, options = {}) => {
+  if (!deal || !CALENDAR_DEAL_TYPES.includes(deal.dealType)) return null;
+
+  const startDate = toDate(deal.startDate);
+  const endDate = toDate(deal.endDate);
+  const from = startOfDay(options.from || new Date());
+  const earliest = startDate && startDate > from ? startOfDay(startDate) : from;
+  const lastDay = endDate ? startOfDay(endDate) : null;
+
+  const weekdays = deal.dealType === DealType.DAILY
+    ? [deal.day]
+    : (deal.activeDays || deal.days || []);
+  const byDay = weekdays.map(day => ICS_WEEKDAYS[day]).filter(Boolean);
+
+  // A special with no weekdays runs every day between its dates
+  const lookahead = byDay.length > 0 || deal.dealType !== DealType.SPECIAL
+    ? 7
+    : (lastDay ? Math.round((lastDay - earliest) / DAY_MS) + 1 : 1);
+  const firstDay = findFirstDealDay(deal, earliest, Math.min(lookahead, MAX_LOOKAHEAD_DAYS));
+  if (!firstDay) return null;
+
+  const windows = getDealTimeWindows(deal);
+  const window = windows.length === 1 ? windows[0] : null;
+  const allDay = !window;
+  const spansDays = deal.dealType === DealType.SPECIAL && byDay.length === 0 &&
+    lastDay && lastDay > firstDay;
+
+  let rrule = null;
+  if (byDay.length > 0) {
+    rrule = `FREQ=WEEKLY;BYDAY=${byDay.join(',')}`;
+  } else if (deal.dealType !== DealType.SPECIAL || (spansDays && !allDay)) {
+    rrule = 'FREQ=DAILY';
+  }
+
+  let start = firstDay;
+  let end = addDays(firstDay, 1);
+
+  if (!allDay) {
+    const startMinutes = parseTimeToMinutes(window.start);
+    const endMinutes = parseTimeToMinutes(window.end);
+    start = new Date(firstDay.getTime());
+    start.setMinutes(startMinutes);
+    end = new Date(firstDay.getTime());
+    // Windows past midnight end the next day
+    end.setMinutes(endMinutes > startMinutes ? endMinutes : endMinutes + 24 * 60);
+  } else if (spansDays) {
+    end = addDays(lastDay, 1);
+  }
+
+  const hours = windows.length > 1 ? describeDealHours(deal) : null;
+  const details = [
+    deal.discount && deal.discount !== getDealName(deal) ? deal.discount : null,
+    deal.description && deal.description !== getDealName(deal) ? deal.description : null,
+    hours,
+    ...(Array.isArray(deal.restrictions) ? deal.restrictions : [])
+  ].filter(Boolean);
+
+  return {
+    uid: `${getDealKey(deal).replace(/[^A-Za-z0-9_-]+/g, '-')}@lootsganjaapp`,
+    summary: deal.vendorName ? `${getDealName(deal)} at ${deal.vendorName}` : getDealName(deal),
+    description: details.join('\n'),
+    location: deal.vendorLocation?.address || '',
+    start,
+    end,
+    allDay,
+    // UNTIL has to match DTSTART's form, and a timed one has to include the whole last day
+    rrule: rrule && lastDay
+      ? `${rrule};UNTIL=${formatIcsDate(lastDay, false)}${allDay ? '' : 'T235959'}`
+      : rrule
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a local date for iCalendar
+ * @param {Date} date - Date
+ * @param {boolean} withTime - Whether to include the time; times are floating (local)
+ *   so a 4pm deal stays at 4pm wherever the user's calendar is
+ * @returns {string} - "YYYYMMDD" or "YYYYMMDDTHHMMSS"
+ */
+const formatIcsDate = (date, withTime) => {
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  return withTime ? `${day}T${pad(date.getHours())}${pad(date.getMinutes())}00` : day;
+};
+
+const formatIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const getUtf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Fold a content line at 75 octets without splitting a character
+ * @param {string} line - Content line
+ * @returns {string} - Folded line joined with CRLF and a space
+ */
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let length = 0;
+
+  for (const char of line) {
+    const charLength = getUtf8Length(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? ICS_LINE_LIMIT : ICS_LINE_LIMIT - 1;
+
+    if (length + charLength > limit) {
+      parts.push(current);
+      current = '';
+      length = 0;
+    }
+
+    current += char;
+    length += charLength;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build an iCalendar document for deals
+ * @param {Array<Object>} deals - Deals to add
+ * @param {Object} [options] - Calendar options
+ * @param {Date} [options.from] - Earliest day for events (defaults to today)
+ * @param {string} [options.calendarName] - Name calendar apps show for the import
+ * @returns {Object} - { contents, eventCount }
+ */
+export const buildDealCalendarIcs = (deals, options = {}) => {
+  const { from = new Date(), calendarName = 'Cannabis Deals' } = options;
+  const stamp = formatIcsTimestamp(new Date());
+  const seen = new Set();
+
+  const events = deals
+    .map(deal => buildDealEvent(deal, { from }))
+    .filter(event => {
+      if (!event || seen.has(event.uid)) return false;
+      seen.add(event.uid);
+      return true;
+    });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Loot\'s Ganja Guide//Deal Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      event.allDay
+        ? `DTSTART;VALUE=DATE:${formatIcsDate(event.start, false)}`
+        : `DTSTART:${formatIcsDate(event.start, true)}`,
+      event.allDay
+        ? `DTEND;VALUE=DATE:${formatIcsDate(event.end, false)}`
+        : `DTEND:${formatIcsDate(event.end, true)}`,
+      ...(event.rrule ? [`RRULE:${event.rrule}`] : []),
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeIcsText(event.description)}`] : []),
+      ...(event.location ? [`LOCATION:${escapeIcsText(event.location)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ];
+
+  return {
+    contents: `${lines.map(foldIcsLine).join('\r\n')}\r\n`,
+    eventCount: events.length
+  };
+};
@@ -0,0 +1,187 @@
+// src/utils/DealChanges.js
+// Works out what changed between two snapshots of the deal cache (deals added,
+// removed or edited) and condenses a log of those changes into what's new since
+// a given moment, overall and per vendor.
+import { DealChangeType } from '../types/Schema';
+
+// Fields that make a deal different for the user; cache annotations like
+// parsedDiscount and timeWindows follow from these
+const COMPARED_FIELDS = [
+  'title',
+  'description',
+  'discount',
+  'restrictions',
+  'day',
+  'activeDays',
+  'startDate',
+  'endDate',
+  'startTime',
+  'endTime',
+  'price',
+  'discountedPrice',
+  'isActive'
+];
+
+/**
+ * Get the identity of a deal across refreshes
+ * @param {Object} deal - Deal object
+ * @returns {string} - Deal key
+ */
+export const getDealKey = (deal) =>
+  deal.id
+    ? String(deal.id)
+    : [deal.vendorId, deal.dealType, deal.day, deal.title || deal.discount || deal.description].join(':');
+
+/**
+ * Get a comparable form of a field value
+ * Firestore timestamps become ISO strings, whether live or read back from storage as
+ * { seconds, nanoseconds }, so a re-fetched deal isn't seen as edited
+ * @param {*} value - Field value
+ * @returns {string} - Serialized value
+ */
+const serializeField = (value) => {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+
+  if (value && typeof value.seconds === 'number' && typeof value.nanoseconds === 'number') {
+    return new Date(value.seconds * 1000 + Math.floor(value.nanoseconds / 1e6)).toISOString();
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Create a change log entry for a deal
+ * @param {Object} deal - Deal object
+ * @param {string} change - DealChangeType value
+ * @param {string} detectedAt - ISO date string
+ * @param {Array<string>} [fields] - Fields that changed
+ * @returns {DealChange} - Change log entry
+ */
+const createChange = (deal, change, detectedAt, fields) => ({
+  key: getDealKey(deal),
+  change,
+  vendorId: deal.vendorId || null,
+  vendorName: deal.vendorName || null,
+  dealType: deal.dealType || null,
+  title: deal.title || deal.discount || deal.description || 'Deal',
+  ...(fields ? { fields } : {}),
+  detectedAt
+});
+
+/**
+ * Find the deals added, removed and edited between two snapshots
+ * @param {Array<Object>} previousDeals - Deals before the refresh
+ * @param {Array<Object>} currentDeals - Deals after the refresh
+ * @param {Date} [detectedAt] - When the refresh happened (defaults to now)
+ * @returns {Array<DealChange>} - Changes, one per deal that differs
+ */
+export const diffDeals = (previousDeals, currentDeals, detectedAt = new Date()) => {
+  const timestamp = detectedAt.toISOString();
+  const previousByKey = new Map(previousDeals.map(deal => [getDealKey(deal), deal]));
+  const currentKeys = new Set();
+  const changes = [];
+
+  currentDeals.forEach(deal => {
+    const key = getDealKey(deal);
+
+    // Multi-day deals can be listed once per day they run
+    if (currentKeys.has(key)) return;
+    currentKeys.add(key);
+
+    const previous = previousByKey.get(key);
+
+    if (!previous) {
+      changes.push(createChange(deal, DealChangeType.ADDED, timestamp));
+      return;
+    }
+
+    const fields = COMPARED_FIELDS.filter(field =>
+      serializeField(previous[field]) !== serializeField(deal[field]));
+
+    if (fields.length > 0) {
+      changes.push(createChange(deal, DealChangeType.MODIFIED, timestamp, fields));
+    }
+  });
+
+  previousByKey.forEach((deal, key) => {
+    if (!currentKeys.has(key)) {
+      changes.push(createChange(deal, DealChangeType.REMOVED, timestamp));
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Condense a change log to one change per deal since a moment
+ * A deal added and later edited counts as added, one added and later removed is
+ * left out, and one edited and later removed counts as removed
+ * @param {Array<DealChange>} changeLog - Change log, oldest first
+ * @param {Date|string|null} since - Only count changes after this (null for all)
+ * @returns {Array<DealChange>} - Changes, newest first
+ */
+export const getChangesSince = (changeLog, since) => {
+  const sinceTime = since ? new Date(since).getTime() : 0;
+  const byKey = new Map();
+
+  changeLog
+    .filter(entry => new Date(entry.detectedAt).getTime() > sinceTime)
+    .forEach(entry => {
+      const first = byKey.get(entry.key)?.first || entry;
+      byKey.set(entry.key, { first, last: entry });
+    });
+
+  const changes = [];
+
+  byKey.forEach(({ first, last }) => {
+    if (first.change === DealChangeType.ADDED) {
+      if (last.change !== DealChangeType.REMOVED) {
+        changes.push({ ...last, change: DealChangeType.ADDED });
+      }
+    } else {
+      changes.push(last);
+    }
+  });
+
+  return changes.sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+};
+
+/**
+ * Count changes per vendor
+ * @param {Array<DealChange>} changes - Changes, e.g. from getChangesSince
+ * @returns {Map<string, Object>} - Vendor ID to { added, removed, modified, total }
+ */
+export const summarizeChangesByVendor = (changes) => {
+  const summaries = new Map();
+
+  changes.forEach(change => {
+    if (!change.vendorId) return;
+
+    if (!summaries.has(change.vendorId)) {
+      summaries.set(change.vendorId, { added: 0, removed: 0, modified: 0, total: 0 });
+    }
+
+    const summary = summaries.get(change.vendorId);
+    summary[change.change]++;
+    summary.total++;
+  });
+
+  return summaries;
+};
+
+/**
+ * Describe a vendor's changes in a few words
+ * @param {Object} summary - Summary from summarizeChangesByVendor
+ * @returns {string|null} - e.g. "2 new deals", "Deals updated", or null if nothing changed
+ */
+export const describeVendorChanges = (summary) => {
+  if (!summary || summary.total === 0) return null;
+
+  if (summary.added > 0) {
+    return `${summary.added} new ${summary.added === 1 ? 'deal' : 'deals'}`;
+  }
+
+  return summary.modified > 0 ? 'Deals updated' : 'Deals ended';
+};
@@ -0,0 +1,243 @@
+// src/utils/DealEligibility.js
+// Reads who a deal is for out of its restrictions and title ("15% Off for
+// Veterans", "First-Time Customers", "Minimum purchase $50", "Valid ID required")
+// and checks those restrictions against the user's optional profile answers and
+// the vendors they've checked in at, so deal lists can hide or explain deals the
+// user can't use.
+import { RestrictionKind, EligibilityStatus } from '../types/Schema';
+
+// Most restrictive first; a deal takes the status of its most restrictive restriction
+const STATUS_ORDER = [
+  EligibilityStatus.INELIGIBLE,
+  EligibilityStatus.UNKNOWN,
+  EligibilityStatus.CONDITIONAL,
+  EligibilityStatus.ELIGIBLE
+];
+
+const FIRST_VISIT_REGEX = /\bfirst[\s-]*(?:time|visit)|\bnew\s+(?:customer|patient|client)s?\b/;
+const VETERAN_REGEX = /\bveterans?\b|\bmilitary\b|\bvets?\b/;
+const SENIOR_REGEX = /\bseniors?\b|\belderly\b/;
+const SENIOR_AGE_REGEX = /\b(\d{2})\s*(?:\+|(?:years?\s+)?(?:and|or)\s+(?:over|up|older))/;
+const MEDICAL_CARD_REGEX = /\bmedical\b|\bmmj\b|\bmed\s+card\b|\bpatients?\s+only\b/;
+const ID_REQUIRED_REGEX = /\b(?:valid\s+|photo\s+|state\s+)?id\b|\bidentification\b/;
+const MINIMUM_PURCHASE_REGEX = new RegExp([
+  // "minimum purchase $50", "min. spend of $50", "minimum $50"
+  'min(?:imum)?\\.?\\s*(?:purchase|spend|order)?\\s*(?:of\\s+)?\\$\\s*(\\d+(?:\\.\\d+)?)',
+  // "$50 minimum", "$50 or more", "$50+ purchase"
+  '\\$\\s*(\\d+(?:\\.\\d+)?)\\s*(?:minimum|min\\b|or\\s+more|\\+)',
+  // "with $50 purchase", "on orders over $50", "spend $50"
+  '(?:with|over|above|spend)\\s+(?:a\\s+)?(?:purchase\\s+of\\s+)?\\$\\s*(\\d+(?:\\.\\d+)?)'
+].join('|'));
+
+/**
+ * Read the restrictions in one piece of deal text
+ * @param {string} text - A restriction, title or description
+ * @returns {Array<DealRestriction>} - Restrictions found, empty if none
+ */
+export const parseRestrictionText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  const normalized = text.toLowerCase();
+  const restrictions = [];
+
+  if (FIRST_VISIT_REGEX.test(normalized)) {
+    restrictions.push({ kind: RestrictionKind.FIRST_VISIT, text });
+  }
+
+  if (VETERAN_REGEX.test(normalized)) {
+    restrictions.push({ kind: RestrictionKind.VETERAN, text });
+  }
+
+  if (SENIOR_REGEX.test(normalized)) {
+    // "21+" is the legal age, not a senior discount, so only read ages that could be one
+    const age = parseInt(normalized.match(SENIOR_AGE_REGEX)?.[1], 10);
+    restrictions.push({
+      kind: RestrictionKind.SENIOR,
+      text,
+      ...(age >= 50 ? { minimumAge: age } : {})
+    });
+  }
+
+  if (MEDICAL_CARD_REGEX.test(normalized)) {
+    restrictions.push({ kind: RestrictionKind.MEDICAL_CARD, text });
+  }
+
+  const purchaseMatch = normalized.match(MINIMUM_PURCHASE_REGEX);
+  if (purchaseMatch) {
+    const amount = parseFloat(purchaseMatch.slice(1).find(Boolean));
+    restrictions.push({ kind: RestrictionKind.MINIMUM_PURCHASE, text, minimumPurchase: amount });
+  }
+
+  if (ID_REQUIRED_REGEX.test(normalized)) {
+    restrictions.push({ kind: RestrictionKind.ID_REQUIRED, text });
+  }
+
+  return restrictions;
+};
+
+/**
+ * Read all of a deal's restrictions
+ * Targeted deals often only say who they're for in the title, so the title and
+ * description are read as well as the restrictions list
+ * @param {Object} deal - Deal object
+ * @returns {Array<DealRestriction>} - One restriction per kind
+ */
+export const parseDealRestrictions = (deal) => {
+  if (!deal || typeof deal !== 'object') return [];
+
+  const texts = [
+    ...(Array.isArray(deal.restrictions) ? deal.restrictions : []),
+    deal.title,
+    deal.description
+  ];
+  const byKind = new Map();
+
+  texts.flatMap(parseRestrictionText).forEach(restriction => {
+    const existing = byKind.get(restriction.kind);
+
+    // Keep the strictest spend when the deal gives more than one
+    if (!existing || (restriction.minimumPurchase || 0) > (existing.minimumPurchase || 0)) {
+      byKind.set(restriction.kind, restriction);
+    }
+  });
+
+  // "Free pre-roll with $50 purchase" puts the minimum in the discount itself
+  const discountMinimum = deal.parsedDiscount?.minimumPurchase;
+  if (discountMinimum && !byKind.has(RestrictionKind.MINIMUM_PURCHASE)) {
+    byKind.set(RestrictionKind.MINIMUM_PURCHASE, {
+      kind: RestrictionKind.MINIMUM_PURCHASE,
+      text: deal.discount,
+      minimumPurchase: discountMinimum
+    });
+  }
+
+  return [...byKind.values()];
+};
+
+/**
+ * Check a profile answer against a restriction that needs it
+ * @param {boolean|null|undefined} answer - The user's answer
+ * @param {string} label - Who the deal is for, e.g. "Veterans"
+ * @returns {Object} - { status, reason }
+ */
+const checkProfileAnswer = (answer, label) => {
+  if (answer === true) {
+    return { status: EligibilityStatus.ELIGIBLE, reason: `${label} only; bring proof` };
+  }
+
+  if (answer === false) {
+    return { status: EligibilityStatus.INELIGIBLE, reason: `${label} only` };
+  }
+
+  return { status: EligibilityStatus.UNKNOWN, reason: `${label} only` };
+};
+
+/**
+ * Check one restriction against the user
+ * @param {DealRestriction} restriction - Deal restriction
+ * @param {Object} context - See evaluateDealEligibility
+ * @param {string} vendorId - Vendor offering the deal
+ * @returns {Object} - { status, reason }
+ */
+const checkRestriction = (restriction, context, vendorId) => {
+  const { profile = {}, visitedVendorIds = [] } = context;
+
+  switch (restriction.kind) {
+    case RestrictionKind.FIRST_VISIT:
+      return vendorId && visitedVendorIds.includes(vendorId)
+        ? {
+            status: EligibilityStatus.INELIGIBLE,
+            reason: 'First-time customers only; you\'ve checked in here before'
+          }
+        : { status: EligibilityStatus.ELIGIBLE, reason: 'First-time customers only' };
+
+    case RestrictionKind.VETERAN:
+      return checkProfileAnswer(profile.isVeteran, 'Veterans');
+
+    case RestrictionKind.SENIOR:
+      return checkProfileAnswer(
+        profile.isSenior,
+        restriction.minimumAge ? `Seniors ${restriction.minimumAge}+` : 'Seniors'
+      );
+
+    case RestrictionKind.MEDICAL_CARD:
+      return checkProfileAnswer(profile.hasMedicalCard, 'Medical card holders');
+
+    case RestrictionKind.MINIMUM_PURCHASE:
+      return {
+        status: EligibilityStatus.CONDITIONAL,
+        reason: restriction.minimumPurchase
+          ? `Spend $${restriction.minimumPurchase}+`
+          : 'Minimum purchase required'
+      };
+
+    case RestrictionKind.ID_REQUIRED:
+      return { status: EligibilityStatus.CONDITIONAL, reason: 'Valid ID required' };
+
+    default:
+      return { status: EligibilityStatus.ELIGIBLE, reason: restriction.text };
+  }
+};
+
+/**
+ * Build the eligibility context from the user's app state
+ * @param {Object} user - state.user from the app state
+ * @returns {Object} - Context for evaluateDealEligibility
+ */
+export const getEligibilityContext = (user) => ({
+  profile: user?.eligibility || {},
+  visitedVendorIds: user?.visitedVendors || []
+});
+
+/**
+ * Check whether the user can use a deal
+ * @param {Object} deal - Deal object; its parsedRestrictions are used when the deal cache added them
+ * @param {Object} context - Who the user is
+ * @param {EligibilityProfile} [context.profile] - The user's profile answers
+ * @param {Array<string>} [context.visitedVendorIds] - Vendors the user has checked in at
+ * @param {string} [context.vendorId] - Vendor offering the deal, when the deal doesn't say
+ * @returns {Object} - { status, restrictions } where status is the EligibilityStatus of
+ *   the most restrictive restriction, and each restriction has its own status and reason
+ */
+export const evaluateDealEligibility = (deal, context = {}) => {
+  const parsedRestrictions = Array.isArray(deal?.parsedRestrictions)
+    ? deal.parsedRestrictions
+    : parseDealRestrictions(deal);
+  const vendorId = deal?.vendorId || context.vendorId;
+
+  const restrictions = parsedRestrictions.map(restriction => ({
+    ...restriction,
+    ...checkRestriction(restriction, context, vendorId)
+  }));
+
+  const status = STATUS_ORDER.find(candidate =>
+    restrictions.some(restriction => restriction.status === candidate)) || EligibilityStatus.ELIGIBLE;
+
+  return { status, restrictions };
+};
+
+/**
+ * Check whether the user is ruled out of a deal
+ * @param {Object} deal - Deal object
+ * @param {Object} context - See evaluateDealEligibility
+ * @returns {boolean} - True if the user can't use the deal
+ */
+export const isDealIneligible = (deal, context) =>
+  evaluateDealEligibility(deal, context).status === EligibilityStatus.INELIGIBLE;
+
+/**
+ * Explain an eligibility result in a few words
+ * @param {Object} eligibility - Result from evaluateDealEligibility
+ * @returns {string|null} - e.g. "Veterans only", "Spend $50+ · Valid ID required",
+ *   or null when the deal has no restrictions
+ */
+export const describeEligibility = (eligibility) => {
+  if (!eligibility || eligibility.restrictions.length === 0) return null;
+
+  // Lead with what decided the status, then the rest
+  const reasons = [...eligibility.restrictions]
+    .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status))
+    .map(restriction => restriction.reason);
+
+  return [...new Set(reasons)].join(' · ');
+};
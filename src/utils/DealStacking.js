@@ -0,0 +1,204 @@
+// src/utils/DealStacking.js
+// Decides which of a vendor's deals can be used together on one visit and picks
+// the combination that saves the most. Vendors can declare their own rules with a
+// `dealStacking` field; otherwise a birthday deal goes with one other deal, deals of
+// the same type don't stack and specials stand alone.
+import { EligibilityStatus } from '../types/Schema';
+import { getEmbeddedDeals, isDealActiveAt } from './DealAvailability';
+import { estimateDealSavings } from './ValueCalculator';
+import { evaluateDealEligibility } from './DealEligibility';
+import { getDealKey } from './DealChanges';
+
+/**
+ * Stacking rules used for whatever a vendor doesn't declare
+ * @type {VendorDealStacking}
+ */
+export const DEFAULT_DEAL_STACKING = {
+  combinable: [
+    ['birthday', 'daily'],
+    ['birthday', 'multi_day'],
+    ['birthday', 'everyday']
+  ],
+  exclusive: ['special'],
+  maxDeals: 2
+};
+
+// Searching every combination is only cheap for a handful of deals
+const MAX_CANDIDATES = 12;
+
+const DEAL_TYPE_ORDER = ['birthday', 'daily', 'multi_day', 'everyday', 'special'];
+
+const DEAL_TYPE_LABELS = {
+  birthday: 'birthday',
+  daily: 'daily',
+  multi_day: 'multi-day',
+  everyday: 'everyday',
+  special: 'special'
+};
+
+// "Cannot be combined with other offers", "Not valid with other discounts", "No stacking"
+const STANDALONE_REGEX = /(?:can\s*not|can't|not|won't)\s+(?:be\s+)?(?:combined|stack(?:ed)?|valid\s+with\s+(?:any\s+)?other)|\bno\s+stacking\b/i;
+
+const getDealName = (deal) => deal.title || deal.discount || deal.description || 'this deal';
+
+/**
+ * Get a vendor's stacking rules, filling in the defaults
+ * @param {Object} vendor - Vendor object
+ * @returns {VendorDealStacking} - Complete rules
+ */
+export const getStackingRules = (vendor) => ({
+  ...DEFAULT_DEAL_STACKING,
+  ...(vendor?.dealStacking || {})
+});
+
+/**
+ * Check whether a deal can't be used with any other
+ * @param {Object} deal - Deal object
+ * @param {VendorDealStacking} rules - Stacking rules
+ * @returns {boolean} - True if its type is exclusive or its own text says so
+ */
+const isStandaloneDeal = (deal, rules) =>
+  (rules.exclusive || []).includes(deal.dealType) ||
+  [deal.title, deal.description, deal.discount, ...(Array.isArray(deal.restrictions) ? deal.restrictions : [])]
+    .some(text => typeof text === 'string' && STANDALONE_REGEX.test(text));
+
+/**
+ * Check whether two deals can be used on the same visit
+ * @param {Object} first - Deal object
+ * @param {Object} second - Deal object
+ * @param {VendorDealStacking} rules - Stacking rules
+ * @returns {boolean} - True if the rules allow the pair
+ */
+export const canCombineDeals = (first, second, rules) => {
+  if (isStandaloneDeal(first, rules) || isStandaloneDeal(second, rules)) {
+    return false;
+  }
+
+  return (rules.combinable || []).some(([typeA, typeB]) =>
+    (typeA === first.dealType && typeB === second.dealType) ||
+    (typeA === second.dealType && typeB === first.dealType));
+};
+
+/**
+ * Explain why a deal isn't part of a combination
+ * @param {Object} deal - Deal left out
+ * @param {Array<Object>} combo - Deals in the combination
+ * @param {VendorDealStacking} rules - Stacking rules
+ * @returns {string} - Reason, e.g. "Only one daily deal per visit"
+ */
+const describeConflict = (deal, combo, rules) => {
+  if (isStandaloneDeal(deal, rules)) {
+    return 'Can\'t be combined with other deals';
+  }
+
+  const conflict = combo.find(other => !canCombineDeals(deal, other, rules));
+
+  if (conflict && conflict.dealType === deal.dealType && !isStandaloneDeal(conflict, rules)) {
+    return `Only one ${DEAL_TYPE_LABELS[deal.dealType] || deal.dealType} deal per visit`;
+  }
+
+  if (conflict) {
+    return `Can't be combined with ${getDealName(conflict)}`;
+  }
+
+  if (rules.maxDeals && combo.length >= rules.maxDeals) {
+    return `Up to ${rules.maxDeals} deals per visit`;
+  }
+
+  return 'Saves less than the best combo';
+};
+
+/**
+ * Find the combination of deals that saves the most under a vendor's rules
+ * @param {Array<Object>} deals - Deals the user could use on this visit
+ * @param {VendorDealStacking} rules - Stacking rules
+ * @returns {Object} - { deals, totalSavings, excluded } where deals each carry their
+ *   estimatedSavings, and excluded lists { deal, reason } for the deals left out
+ */
+export const resolveBestDealCombo = (deals, rules = DEFAULT_DEAL_STACKING) => {
+  const candidates = deals
+    .map(deal => ({ ...deal, estimatedSavings: estimateDealSavings(deal) }))
+    .sort((a, b) => b.estimatedSavings - a.estimatedSavings)
+    .slice(0, MAX_CANDIDATES);
+
+  let best = { deals: [], totalSavings: 0 };
+
+  // Try every legal combination; ties go to the one using more deals, since a deal
+  // whose value can't be estimated still saves something
+  const search = (index, chosen, savings) => {
+    if (savings > best.totalSavings ||
+        (savings === best.totalSavings && chosen.length > best.deals.length)) {
+      best = { deals: [...chosen], totalSavings: savings };
+    }
+
+    if (index >= candidates.length || (rules.maxDeals && chosen.length >= rules.maxDeals)) {
+      return;
+    }
+
+    for (let next = index; next < candidates.length; next++) {
+      const deal = candidates[next];
+      if (chosen.every(other => canCombineDeals(deal, other, rules))) {
+        chosen.push(deal);
+        search(next + 1, chosen, savings + deal.estimatedSavings);
+        chosen.pop();
+      }
+    }
+  };
+
+  search(0, [], 0);
+
+  const comboDeals = [...best.deals].sort((a, b) =>
+    DEAL_TYPE_ORDER.indexOf(a.dealType) - DEAL_TYPE_ORDER.indexOf(b.dealType));
+
+  return {
+    deals: comboDeals,
+    totalSavings: Math.round(best.totalSavings * 100) / 100,
+    excluded: candidates
+      .filter(deal => !best.deals.includes(deal))
+      .map(deal => ({ deal, reason: describeConflict(deal, best.deals, rules) }))
+  };
+};
+
+/**
+ * Find the best combination of a vendor's deals for a visit
+ * Only deals running at the time of the visit that the user isn't ruled out of count.
+ * Birthday deals are left out unless asked for, since the app doesn't know the user's birthday.
+ * @param {Object} vendor - Vendor object
+ * @param {Object} [options] - Visit details
+ * @param {Array<Object>} [options.deals] - The vendor's deals (defaults to those on the vendor object)
+ * @param {Date} [options.date] - When the visit happens (defaults to now)
+ * @param {Object} [options.eligibilityContext] - Context for evaluateDealEligibility
+ * @param {boolean} [options.includeBirthday=false] - Whether the user can use birthday deals
+ * @returns {Object} - Result of resolveBestDealCombo
+ */
+export const getBestDealCombo = (vendor, options = {}) => {
+  const { date = new Date(), eligibilityContext = {}, includeBirthday = false } = options;
+  const context = { ...eligibilityContext, vendorId: vendor?.id };
+  const vendorDeals = options.deals || DEAL_TYPE_ORDER.flatMap(dealType => getEmbeddedDeals(vendor, dealType));
+  const seen = new Set();
+
+  const deals = vendorDeals
+    .filter(deal => includeBirthday || deal.dealType !== 'birthday')
+    .filter(deal => {
+      // Multi-day deals can be listed once per day they run
+      const key = getDealKey(deal);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .filter(deal => isDealActiveAt(deal, date))
+    .filter(deal => evaluateDealEligibility(deal, context).status !== EligibilityStatus.INELIGIBLE);
+
+  return resolveBestDealCombo(deals, getStackingRules(vendor));
+};
+
+/**
+ * Describe a combination in a few words
+ * @param {Object} combo - Result of resolveBestDealCombo
+ * @returns {string|null} - e.g. "Birthday pre-roll + 20% Off Flower", or null when empty
+ */
+export const describeDealCombo = (combo) => {
+  if (!combo || combo.deals.length === 0) return null;
+
+  return combo.deals.map(getDealName).join(' + ');
+};
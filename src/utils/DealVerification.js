@@ -0,0 +1,148 @@
+// src/utils/DealVerification.js
+// Turns users' reports on a deal ("confirmed today", "expired", "different than
+// listed") into a confidence score and a last-verified time. Recent reports count
+// the most, each user counts once, and reports from before the listing last changed
+// are left out, since they were about the old listing.
+import { DealReportType } from '../types/Schema';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reports older than this aren't counted
+export const REPORT_MAX_AGE_DAYS = 14;
+
+// Expired reports since the latest confirmation that mark a deal as likely expired
+export const EXPIRED_REPORT_THRESHOLD = 2;
+
+// A report's weight halves every this many days
+const REPORT_HALF_LIFE_DAYS = 3;
+
+// The listing itself counts as this many reports of this confidence
+const LISTING_WEIGHT = 1;
+const LISTING_CONFIDENCE = 0.7;
+
+const REPORT_CONFIDENCE = {
+  [DealReportType.CONFIRMED]: 1,
+  [DealReportType.DIFFERENT]: 0.4,
+  [DealReportType.EXPIRED]: 0
+};
+
+// Report times come as ISO strings, Dates or Firestore timestamps
+const toTime = (value) => {
+  if (!value) return NaN;
+  if (typeof value.toDate === 'function') return value.toDate().getTime();
+  if (typeof value.seconds === 'number') return value.seconds * 1000;
+  return new Date(value).getTime();
+};
+
+/**
+ * Group reports by the deal they're about
+ * @param {Array<DealReport>} reports - Reports
+ * @returns {Map<string, Array<DealReport>>} - Reports by dealKey
+ */
+export const groupReportsByDeal = (reports) => {
+  const byDeal = new Map();
+
+  reports.forEach(report => {
+    if (!report?.dealKey) return;
+
+    if (!byDeal.has(report.dealKey)) {
+      byDeal.set(report.dealKey, []);
+    }
+    byDeal.get(report.dealKey).push(report);
+  });
+
+  return byDeal;
+};
+
+/**
+ * Summarize the reports on one deal
+ * @param {Array<DealReport>} reports - Reports on the deal
+ * @param {Object} [options] - Summary options
+ * @param {Date} [options.now] - Current time (defaults to now)
+ * @param {Date|string} [options.since] - When the listing last changed; earlier reports are left out
+ * @returns {DealVerification} - Summary
+ */
+export const summarizeDealReports = (reports, options = {}) => {
+  const { now = new Date(), since = null } = options;
+  const nowTime = now.getTime();
+  const earliest = Math.max(nowTime - REPORT_MAX_AGE_DAYS * DAY_MS, toTime(since) || 0);
+
+  // Each user's latest report is the one that counts
+  const latestByUser = new Map();
+  (reports || [])
+    .map(report => ({ ...report, time: toTime(report.createdAt) }))
+    .filter(report => report.time >= earliest && REPORT_CONFIDENCE[report.type] !== undefined)
+    .forEach(report => {
+      const userKey = report.userId || report.id;
+      const existing = latestByUser.get(userKey);
+      if (!existing || report.time > existing.time) {
+        latestByUser.set(userKey, report);
+      }
+    });
+
+  const counted = [...latestByUser.values()].sort((a, b) => b.time - a.time);
+  const lastConfirmed = counted.find(report => report.type === DealReportType.CONFIRMED);
+  const expiredSinceConfirmed = counted.filter(report =>
+    report.type === DealReportType.EXPIRED && (!lastConfirmed || report.time > lastConfirmed.time));
+
+  let weightedConfidence = LISTING_WEIGHT * LISTING_CONFIDENCE;
+  let totalWeight = LISTING_WEIGHT;
+
+  counted.forEach(report => {
+    const ageDays = Math.max(0, nowTime - report.time) / DAY_MS;
+    const weight = 0.5 ** (ageDays / REPORT_HALF_LIFE_DAYS);
+    weightedConfidence += weight * REPORT_CONFIDENCE[report.type];
+    totalWeight += weight;
+  });
+
+  return {
+    confidence: Math.round((weightedConfidence / totalWeight) * 100) / 100,
+    lastVerifiedAt: lastConfirmed ? new Date(lastConfirmed.time).toISOString() : null,
+    reportCount: counted.length,
+    confirmedCount: counted.filter(report => report.type === DealReportType.CONFIRMED).length,
+    expiredCount: expiredSinceConfirmed.length,
+    differentCount: counted.filter(report => report.type === DealReportType.DIFFERENT).length,
+    isLikelyExpired: expiredSinceConfirmed.length >= EXPIRED_REPORT_THRESHOLD
+  };
+};
+
+/**
+ * Describe how long ago a deal was verified
+ * @param {string} verifiedAt - ISO date string
+ * @param {Date} now - Current time
+ * @returns {string} - e.g. "today", "yesterday", "3 days ago"
+ */
+const describeVerifiedAge = (verifiedAt, now) => {
+  const verified = new Date(verifiedAt);
+  const days = Math.round(
+    (new Date(now.getFullYear(), now.getMonth(), now.getDate()) -
+      new Date(verified.getFullYear(), verified.getMonth(), verified.getDate())) / DAY_MS
+  );
+
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  return `${days} days ago`;
+};
+
+/**
+ * Explain a deal's verification in a few words
+ * @param {DealVerification} verification - Summary from summarizeDealReports
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {string|null} - e.g. "Verified today · 92% confidence", or null when
+ *   nobody has reported on the deal
+ */
+export const describeVerification = (verification, now = new Date()) => {
+  if (!verification || verification.reportCount === 0) return null;
+
+  if (verification.isLikelyExpired) {
+    return `Reported expired by ${verification.expiredCount} users`;
+  }
+
+  return [
+    verification.lastVerifiedAt ? `Verified ${describeVerifiedAge(verification.lastVerifiedAt, now)}` : null,
+    verification.differentCount > 0
+      ? `${verification.differentCount} said it's different than listed`
+      : null,
+    `${Math.round(verification.confidence * 100)}% confidence`
+  ].filter(Boolean).join(' · ');
+};
@@ -0,0 +1,265 @@
+// src/utils/DiscountParser.js
+// Turns the free-text `discount` on a deal ("20% OFF", "BOGO", "$5 off",
+// "Free pre-roll with $50 purchase", "2 for $30", "1/8th for $20") into a typed discount object
+// so deals can be sorted, scored and compared by numbers. Anything that can't be
+// read comes back as DiscountKind.UNKNOWN with the original text kept.
+import { DiscountKind } from '../types/Schema';
+
+// Rough retail value of a free item when the deal doesn't say
+export const FREE_ITEM_VALUE = 10;
+
+// Rough regular prices for valuing bundle and size prices when there is no
+// regular or market price to compare with
+export const DEFAULT_ITEM_PRICE = 20;
+export const DEFAULT_PRICE_PER_GRAM = 10;
+
+const OUNCE_GRAMS = 28;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+// Sizes sold by name
+const NAMED_SIZES = [
+  { pattern: /\beighth/, grams: OUNCE_GRAMS / 8 },
+  { pattern: /\bquarter/, grams: OUNCE_GRAMS / 4 },
+  { pattern: /\bhalf[\s-]+(?:an\s+)?(?:ounce|oz)/, grams: OUNCE_GRAMS / 2 },
+  { pattern: /\b(?:ounce|oz)/, grams: OUNCE_GRAMS }
+];
+
+// A weight and its price: "3 grams for $25", "1/8th for $20", "an eighth @ $30"
+const SIZE_PRICE_PATTERN =
+  /(\d+\s*\/\s*\d+(?:st|nd|rd|th)?(?:\s*(?:oz|ounces?))?|\d+(?:\.\d+)?\s*(?:g|grams?|oz|ounces?)|(?:an?\s+)?(?:eighth|quarter|half[\s-]+(?:an\s+)?(?:ounce|oz)|ounce|oz))s?\s*(?:for|@)\s*\$\s*(\d+(?:\.\d+)?)/;
+
+const toNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  if (NUMBER_WORDS[value] !== undefined) return NUMBER_WORDS[value];
+
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Find a minimum spend in discount text ("with $50 purchase", "over $100", "$50+")
+ * @param {string} text - Normalized discount text
+ * @returns {number|null} - Minimum purchase in dollars, or null if there isn't one
+ */
+const findMinimumPurchase = (text) => {
+  const match = text.match(
+    /(?:with|over|above|of|on|spend|orders?)\s+(?:a\s+|an\s+)?(?:purchase\s+of\s+)?\$\s*(\d+(?:\.\d+)?)|\$\s*(\d+(?:\.\d+)?)\s*(?:\+|or more|minimum|min\b|purchase|spend|order)/
+  );
+
+  return match ? toNumber(match[1] || match[2]) : null;
+};
+
+/**
+ * Read a weight in grams from size text ("3 grams", "3.5g", "1/8th", "1/8 oz", "eighths")
+ * Fractions are of an ounce, and an ounce is 28 grams
+ * @param {string} size - Normalized size text
+ * @returns {number|null} - Grams, or null if the text isn't a size
+ */
+const parseSizeGrams = (size) => {
+  const fraction = size.match(/(\d+)\s*\/\s*(\d+)/);
+  const amount = size.match(/(\d+(?:\.\d+)?)\s*(g|grams?|oz|ounces?)\b/);
+  let grams;
+
+  if (fraction) {
+    grams = (toNumber(fraction[1]) / toNumber(fraction[2])) * OUNCE_GRAMS;
+  } else if (amount) {
+    grams = toNumber(amount[1]) * (amount[2].startsWith('o') ? OUNCE_GRAMS : 1);
+  } else {
+    grams = NAMED_SIZES.find(named => named.pattern.test(size))?.grams;
+  }
+
+  return grams > 0 && Number.isFinite(grams) ? Math.round(grams * 100) / 100 : null;
+};
+
+/**
+ * Parse discount text into a typed discount
+ * @param {string} text - Deal discount text
+ * @returns {ParsedDiscount} - { kind, text, ... } where the other fields depend on kind:
+ *   percent: { percent, minimumPurchase }
+ *   fixed_amount: { amount, minimumPurchase }
+ *   bogo: { buyQuantity, getQuantity, percent } (percent off the extra items; 100 = free)
+ *   free_item: { item, minimumPurchase }
+ *   bundle_price: { quantity, price, item }
+ *   size_price: { grams, price }
+ */
+export const parseDiscount = (text) => {
+  const original = typeof text === 'string' ? text.trim() : '';
+  const normalized = original.toLowerCase().replace(/\s+/g, ' ');
+
+  if (!normalized) {
+    return { kind: DiscountKind.UNKNOWN, text: original };
+  }
+
+  // Buy one get one, optionally at a discount: "BOGO", "BOGO 50% off", "buy 2 get 1 free"
+  const buyGet = normalized.match(/buy\s+(\d+|one|two|three)\s+get\s+(\d+|one|two|three)/);
+  if (buyGet || /\bbogo\b|\bb1g1\b/.test(normalized)) {
+    const percentMatch = normalized.match(/(\d+(?:\.\d+)?)\s*%/);
+    const percent = percentMatch
+      ? toNumber(percentMatch[1])
+      : /half/.test(normalized) ? 50 : 100;
+
+    return {
+      kind: DiscountKind.BOGO,
+      text: original,
+      buyQuantity: buyGet ? toNumber(buyGet[1]) : 1,
+      getQuantity: buyGet ? toNumber(buyGet[2]) : 1,
+      percent
+    };
+  }
+
+  // Percent off: "20% OFF", "20 % off everything over $100", "half off"
+  const percentMatch = normalized.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percentMatch || /\bhalf off\b/.test(normalized)) {
+    return {
+      kind: DiscountKind.PERCENT,
+      text: original,
+      percent: percentMatch ? Math.min(100, toNumber(percentMatch[1])) : 50,
+      minimumPurchase: findMinimumPurchase(normalized)
+    };
+  }
+
+  // Fixed amount off: "$5 off", "$10 off orders over $50", "$10 off $50"
+  const amountMatch = normalized.match(/\$\s*(\d+(?:\.\d+)?)\s*off/);
+  if (amountMatch) {
+    const rest = normalized.slice(amountMatch.index + amountMatch[0].length);
+    // A bare amount straight after "off" is the spend it comes off
+    const spendMatch = rest.match(/^\s*(?:an?\s+|any\s+|your\s+)?\$\s*(\d+(?:\.\d+)?)/);
+
+    return {
+      kind: DiscountKind.FIXED_AMOUNT,
+      text: original,
+      amount: toNumber(amountMatch[1]),
+      minimumPurchase: findMinimumPurchase(rest) ?? (spendMatch ? toNumber(spendMatch[1]) : null)
+    };
+  }
+
+  // Size price: "3 grams for $25", "1/8th for $20"
+  const sizePriceMatch = normalized.match(SIZE_PRICE_PATTERN);
+  if (sizePriceMatch && parseSizeGrams(sizePriceMatch[1])) {
+    return {
+      kind: DiscountKind.SIZE_PRICE,
+      text: original,
+      grams: parseSizeGrams(sizePriceMatch[1]),
+      price: toNumber(sizePriceMatch[2])
+    };
+  }
+
+  // Bundle price: "2 for $30", "3/$50", "$25 eighths"
+  const bundleMatch = normalized.match(/(\d+)\s*(?:for|\/)\s*\$\s*(\d+(?:\.\d+)?)(?:\s+([a-z][a-z\- ]*))?/);
+  if (bundleMatch) {
+    return {
+      kind: DiscountKind.BUNDLE_PRICE,
+      text: original,
+      quantity: toNumber(bundleMatch[1]),
+      price: toNumber(bundleMatch[2]),
+      item: bundleMatch[3]?.trim() || null
+    };
+  }
+
+  // Free item, optionally above a spend: "Free pre-roll with $50 purchase"
+  const freeMatch = normalized.match(/\bfree\s+([a-z0-9][a-z0-9\- ]*?)(?=\s+(?:with|w\/|when|on|for)\b|[,.!]|$)/);
+  if (freeMatch) {
+    return {
+      kind: DiscountKind.FREE_ITEM,
+      text: original,
+      item: freeMatch[1].trim(),
+      minimumPurchase: findMinimumPurchase(normalized)
+    };
+  }
+
+  // A price and what it buys: "$25 eighths", "$5 pre-rolls"
+  const priceMatch = normalized.match(/^\$\s*(\d+(?:\.\d+)?)\s+([a-z][a-z\- ]*)$/);
+  if (priceMatch && parseSizeGrams(priceMatch[2])) {
+    return {
+      kind: DiscountKind.SIZE_PRICE,
+      text: original,
+      grams: parseSizeGrams(priceMatch[2]),
+      price: toNumber(priceMatch[1])
+    };
+  }
+
+  if (priceMatch) {
+    return {
+      kind: DiscountKind.BUNDLE_PRICE,
+      text: original,
+      quantity: 1,
+      price: toNumber(priceMatch[1]),
+      item: priceMatch[2].trim()
+    };
+  }
+
+  return { kind: DiscountKind.UNKNOWN, text: original };
+};
+
+/**
+ * Work out what a bundle or size would cost without the deal
+ * Uses the regular price, then the market average, then a rough default
+ * @param {ParsedDiscount} discount - BUNDLE_PRICE or SIZE_PRICE discount
+ * @param {Object} prices - Prices for one item, as for estimateSavings
+ * @returns {number} - Regular value in dollars
+ */
+const getRegularValue = (discount, { regularPrice, marketPrice }) => {
+  const defaultPrice = discount.grams ? discount.grams * DEFAULT_PRICE_PER_GRAM : DEFAULT_ITEM_PRICE;
+  return (regularPrice || marketPrice || defaultPrice) * (discount.quantity || 1);
+};
+
+/**
+ * Estimate how much a discount saves on a purchase
+ * @param {ParsedDiscount} discount - Parsed discount
+ * @param {Object} purchase - Purchase details
+ * @param {number} purchase.spend - Amount spent in dollars
+ * @param {number} [purchase.regularPrice] - Regular price of one item, used to value bundle and size prices
+ * @param {number} [purchase.marketPrice] - Market average for one item, used when there is no regular price
+ * @returns {number} - Savings in dollars (0 when the discount can't be valued or a
+ *   minimum purchase isn't met)
+ */
+export const estimateSavings = (discount, { spend, regularPrice = null, marketPrice = null }) => {
+  if (!discount || !(spend > 0)) return 0;
+  if (discount.minimumPurchase && spend < discount.minimumPurchase) return 0;
+
+  switch (discount.kind) {
+    case DiscountKind.PERCENT:
+      return spend * discount.percent / 100;
+
+    case DiscountKind.FIXED_AMOUNT:
+      return Math.min(spend, discount.amount);
+
+    case DiscountKind.BOGO: {
+      // The extra items are part of what's bought, at percent off
+      const share = discount.getQuantity / (discount.buyQuantity + discount.getQuantity);
+      return spend * share * discount.percent / 100;
+    }
+
+    case DiscountKind.FREE_ITEM:
+      return FREE_ITEM_VALUE;
+
+    case DiscountKind.BUNDLE_PRICE:
+    case DiscountKind.SIZE_PRICE:
+      return Math.max(0, getRegularValue(discount, { regularPrice, marketPrice }) - discount.price);
+
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Estimate a discount as a percentage of a purchase
+ * @param {ParsedDiscount} discount - Parsed discount
+ * @param {Object} purchase - Purchase details, as for estimateSavings
+ * @returns {number} - Percent saved (0-100)
+ */
+export const estimateDiscountPercent = (discount, { spend, regularPrice = null, marketPrice = null }) => {
+  if (!discount) return 0;
+
+  if (discount.kind === DiscountKind.BUNDLE_PRICE || discount.kind === DiscountKind.SIZE_PRICE) {
+    const regularValue = getRegularValue(discount, { regularPrice, marketPrice });
+    return Math.max(0, (1 - discount.price / regularValue) * 100);
+  }
+
+  // Fixed and free-item discounts only apply once the minimum purchase is met
+  const basket = Math.max(spend || 0, discount.minimumPurchase || 0);
+  if (!(basket > 0)) return 0;
+
+  return Math.min(100, estimateSavings(discount, { spend: basket, regularPrice, marketPrice }) / basket * 100);
+};
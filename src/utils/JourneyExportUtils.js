@@ -0,0 +1,284 @@
+// src/utils/JourneyExportUtils.js
+// Builds GPX, KML and GeoJSON documents from past journeys so they can be opened
+// in other mapping tools. Works with both local history entries and Firestore journeys.
+
+/**
+ * Journey export formats
+ * @readonly
+ * @enum {string}
+ */
+export const ExportFormat = {
+  GPX: 'gpx',
+  KML: 'kml',
+  GEOJSON: 'geojson'
+};
+
+const FORMAT_DETAILS = {
+  [ExportFormat.GPX]: { extension: 'gpx', mimeType: 'application/gpx+xml', uti: 'com.topografix.gpx' },
+  [ExportFormat.KML]: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', uti: 'com.google.earth.kml' },
+  [ExportFormat.GEOJSON]: { extension: 'geojson', mimeType: 'application/geo+json', uti: 'public.json' }
+};
+
+/**
+ * Get file details for an export format
+ * @param {string} format - ExportFormat value
+ * @returns {Object} - { extension, mimeType, uti }
+ */
+export const getExportFormatDetails = (format) => {
+  const details = FORMAT_DETAILS[format];
+  if (!details) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return details;
+};
+
+const isCoordinate = (point) =>
+  point && typeof point.latitude === 'number' && typeof point.longitude === 'number';
+
+const toIsoString = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value?.toDate?.() || value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Reduce a journey to what the export formats need
+ * @param {Object} journey - Local history entry or Firestore journey
+ * @returns {Object} - { id, name, time, stops, plannedRoute, track }
+ */
+export const normalizeJourneyForExport = (journey) => {
+  const time = toIsoString(journey.completedAt || journey.createdAt || journey.startedAt);
+  const dealTypes = journey.dealTypes?.length > 0 ? journey.dealTypes : [journey.dealType || 'deal'];
+  const label = dealTypes.map(type => type.charAt(0).toUpperCase() + type.slice(1)).join(' + ');
+
+  const stops = (journey.vendors || [])
+    .filter(vendor => isCoordinate(vendor.location?.coordinates))
+    .map(vendor => ({
+      name: vendor.name || 'Unknown Vendor',
+      address: vendor.location.address || '',
+      latitude: vendor.location.coordinates.latitude,
+      longitude: vendor.location.coordinates.longitude,
+      checkedIn: !!vendor.checkedIn,
+      checkInTime: toIsoString(vendor.checkInTimestamp || vendor.checkInTime),
+      dealTypes: vendor.dealTypes || dealTypes
+    }));
+
+  // Prefer stored route geometry; otherwise join start, stops and end in order
+  const plannedRoute = Array.isArray(journey.routeCoordinates) && journey.routeCoordinates.length > 1
+    ? journey.routeCoordinates.filter(isCoordinate)
+    : [journey.startLocation, ...stops, journey.endLocation]
+        .filter(isCoordinate)
+        .map(({ latitude, longitude }) => ({ latitude, longitude }));
+
+  return {
+    id: journey.id || time || 'journey',
+    name: `${label} journey${time ? ` (${time.slice(0, 10)})` : ''}`,
+    time,
+    stops,
+    plannedRoute,
+    track: (journey.breadcrumb || []).filter(isCoordinate)
+  };
+};
+
+const stopDescription = (stop) => [
+  stop.address,
+  `Deals: ${stop.dealTypes.join(', ')}`,
+  stop.checkedIn ? `Checked in${stop.checkInTime ? ` at ${stop.checkInTime}` : ''}` : 'Not checked in'
+].filter(Boolean).join('\n');
+
+/**
+ * Build a GPX 1.1 document
+ * Stops become waypoints, the planned route a route and the recorded path a track.
+ * @param {Array<Object>} journeys - Journeys to export
+ * @returns {string} - GPX XML
+ */
+export const buildGpx = (journeys) => {
+  const exports = journeys.map(normalizeJourneyForExport);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Loot\'s Ganja Guide" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>Loot's Ganja Guide journeys</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>'
+  ];
+
+  exports.forEach(journey => {
+    journey.stops.forEach(stop => {
+      lines.push(
+        `  <wpt lat="${stop.latitude}" lon="${stop.longitude}">`,
+        ...(stop.checkInTime ? [`    <time>${stop.checkInTime}</time>`] : []),
+        `    <name>${escapeXml(stop.name)}</name>`,
+        `    <desc>${escapeXml(stopDescription(stop))}</desc>`,
+        `    <type>${escapeXml(journey.name)}</type>`,
+        '  </wpt>'
+      );
+    });
+  });
+
+  exports.forEach(journey => {
+    if (journey.plannedRoute.length > 1) {
+      lines.push('  <rte>', `    <name>${escapeXml(journey.name)} - planned</name>`);
+      journey.plannedRoute.forEach(point => {
+        lines.push(`    <rtept lat="${point.latitude}" lon="${point.longitude}"/>`);
+      });
+      lines.push('  </rte>');
+    }
+  });
+
+  exports.forEach(journey => {
+    if (journey.track.length > 1) {
+      lines.push('  <trk>', `    <name>${escapeXml(journey.name)} - travelled</name>`, '    <trkseg>');
+      journey.track.forEach(point => {
+        lines.push(point.timestamp
+          ? `      <trkpt lat="${point.latitude}" lon="${point.longitude}"><time>${point.timestamp}</time></trkpt>`
+          : `      <trkpt lat="${point.latitude}" lon="${point.longitude}"/>`);
+      });
+      lines.push('    </trkseg>', '  </trk>');
+    }
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+};
+
+/**
+ * Build a KML 2.2 document with one folder per journey
+ * @param {Array<Object>} journeys - Journeys to export
+ * @returns {string} - KML XML
+ */
+export const buildKml = (journeys) => {
+  const exports = journeys.map(normalizeJourneyForExport);
+  // KML coordinates are longitude,latitude
+  const coordinateList = (points) => points.map(p => `${p.longitude},${p.latitude},0`).join(' ');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>Loot's Ganja Guide journeys</name>`,
+    '    <Style id="planned"><LineStyle><color>ff50af4c</color><width>4</width></LineStyle></Style>',
+    '    <Style id="travelled"><LineStyle><color>fff39621</color><width>3</width></LineStyle></Style>'
+  ];
+
+  exports.forEach(journey => {
+    lines.push('    <Folder>', `      <name>${escapeXml(journey.name)}</name>`);
+
+    journey.stops.forEach(stop => {
+      lines.push(
+        '      <Placemark>',
+        `        <name>${escapeXml(stop.name)}</name>`,
+        `        <description>${escapeXml(stopDescription(stop))}</description>`,
+        ...(stop.address ? [`        <address>${escapeXml(stop.address)}</address>`] : []),
+        `        <Point><coordinates>${stop.longitude},${stop.latitude},0</coordinates></Point>`,
+        '      </Placemark>'
+      );
+    });
+
+    if (journey.plannedRoute.length > 1) {
+      lines.push(
+        '      <Placemark>',
+        '        <name>Planned route</name>',
+        '        <styleUrl>#planned</styleUrl>',
+        `        <LineString><coordinates>${coordinateList(journey.plannedRoute)}</coordinates></LineString>`,
+        '      </Placemark>'
+      );
+    }
+
+    if (journey.track.length > 1) {
+      lines.push(
+        '      <Placemark>',
+        '        <name>Travelled path</name>',
+        '        <styleUrl>#travelled</styleUrl>',
+        `        <LineString><coordinates>${coordinateList(journey.track)}</coordinates></LineString>`,
+        '      </Placemark>'
+      );
+    }
+
+    lines.push('    </Folder>');
+  });
+
+  lines.push('  </Document>', '</kml>');
+  return lines.join('\n');
+};
+
+/**
+ * Build a GeoJSON FeatureCollection
+ * Every feature carries journeyId and kind ('stop', 'planned_route' or 'travelled_path').
+ * @param {Array<Object>} journeys - Journeys to export
+ * @returns {string} - GeoJSON text
+ */
+export const buildGeoJson = (journeys) => {
+  const features = [];
+  // GeoJSON positions are [longitude, latitude]
+  const toPosition = (point) => [point.longitude, point.latitude];
+
+  journeys.map(normalizeJourneyForExport).forEach(journey => {
+    journey.stops.forEach((stop, index) => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: toPosition(stop) },
+        properties: {
+          journeyId: journey.id,
+          journeyName: journey.name,
+          kind: 'stop',
+          order: index + 1,
+          name: stop.name,
+          address: stop.address,
+          dealTypes: stop.dealTypes,
+          checkedIn: stop.checkedIn,
+          checkInTime: stop.checkInTime
+        }
+      });
+    });
+
+    if (journey.plannedRoute.length > 1) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: journey.plannedRoute.map(toPosition) },
+        properties: { journeyId: journey.id, journeyName: journey.name, kind: 'planned_route' }
+      });
+    }
+
+    if (journey.track.length > 1) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: journey.track.map(toPosition) },
+        properties: {
+          journeyId: journey.id,
+          journeyName: journey.name,
+          kind: 'travelled_path',
+          timestamps: journey.track.map(point => point.timestamp || null)
+        }
+      });
+    }
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+/**
+ * Build an export document in the requested format
+ * @param {Array<Object>} journeys - Journeys to export
+ * @param {string} format - ExportFormat value
+ * @returns {string} - File contents
+ */
+export const buildJourneyExport = (journeys, format) => {
+  switch (format) {
+    case ExportFormat.GPX:
+      return buildGpx(journeys);
+    case ExportFormat.KML:
+      return buildKml(journeys);
+    case ExportFormat.GEOJSON:
+      return buildGeoJson(journeys);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
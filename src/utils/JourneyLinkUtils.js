@@ -0,0 +1,227 @@
+// src/utils/JourneyLinkUtils.js
+// Shareable journey links: lootsganja://journey/<payload>, where the payload is
+// base64url-encoded JSON describing the stops, deal types and journey settings.
+// Only what's needed to rebuild the journey is included; vendor details are looked
+// up again on the recipient's device.
+import { DealType, JourneyEndMode, TravelMode } from '../types/Schema';
+
+export const JOURNEY_LINK_PREFIX = 'lootsganja://journey/';
+
+const LINK_VERSION = 1;
+const COORDINATE_PRECISION = 5;
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const roundCoordinate = (value) => Number(value.toFixed(COORDINATE_PRECISION));
+
+const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const knownValue = (enumObject, value) => (Object.values(enumObject).includes(value) ? value : null);
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Array<number>} - UTF-8 bytes
+ */
+const toUtf8Bytes = (text) => {
+  const encoded = encodeURIComponent(text);
+  const bytes = [];
+
+  for (let i = 0; i < encoded.length; i++) {
+    if (encoded[i] === '%') {
+      bytes.push(parseInt(encoded.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(encoded.charCodeAt(i));
+    }
+  }
+
+  return bytes;
+};
+
+/**
+ * Decode UTF-8 bytes to a string
+ * @param {Array<number>} bytes - UTF-8 bytes
+ * @returns {string} - Decoded text
+ * @throws {URIError} - If the bytes aren't valid UTF-8
+ */
+const fromUtf8Bytes = (bytes) =>
+  decodeURIComponent(bytes.map(byte => `%${byte.toString(16).padStart(2, '0')}`).join(''));
+
+/**
+ * Encode a string as URL-safe base64 (UTF-8, no padding)
+ * @param {string} text - Text to encode
+ * @returns {string} - base64url text
+ */
+const toBase64Url = (text) => {
+  const bytes = toUtf8Bytes(text);
+  let output = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const length = Math.min(3, bytes.length - i) + 1;
+
+    for (let j = 0; j < length; j++) {
+      output += BASE64_ALPHABET[(chunk >> (18 - j * 6)) & 0x3f];
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Decode URL-safe base64 text back to a string
+ * @param {string} encoded - base64url text (standard base64 is accepted too)
+ * @returns {string} - Decoded text
+ */
+const fromBase64Url = (encoded) => {
+  const clean = encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  const bytes = [];
+
+  for (let i = 0; i < clean.length; i += 4) {
+    const group = clean.slice(i, i + 4);
+    let chunk = 0;
+
+    for (let j = 0; j < 4; j++) {
+      const index = j < group.length ? BASE64_ALPHABET.indexOf(group[j]) : 0;
+      if (index < 0) {
+        throw new Error('Invalid journey link payload');
+      }
+      chunk = (chunk << 6) | index;
+    }
+
+    const byteCount = group.length - 1;
+    for (let j = 0; j < byteCount; j++) {
+      bytes.push((chunk >> (16 - j * 8)) & 0xff);
+    }
+  }
+
+  return fromUtf8Bytes(bytes);
+};
+
+/**
+ * Build the shareable payload for a journey
+ * @param {Object} journey - Journey state (dealType, dealTypes, vendors, maxDistance, endMode,
+ *   endLocation, travelMode)
+ * @returns {string} - Encoded payload
+ */
+export const encodeJourneyPayload = (journey) => {
+  const dealTypes = journey.dealTypes?.length > 0 ? journey.dealTypes : [journey.dealType];
+
+  const payload = {
+    v: LINK_VERSION,
+    t: dealTypes,
+    m: journey.maxDistance || null,
+    e: journey.endMode || null,
+    w: journey.travelMode || null,
+    // Only a custom end point is worth sharing; round trips end at the recipient's start
+    l: journey.endMode === 'custom' && journey.endLocation
+      ? [
+          roundCoordinate(journey.endLocation.latitude),
+          roundCoordinate(journey.endLocation.longitude),
+          journey.endLocation.label || null
+        ]
+      : null,
+    s: (journey.vendors || []).map(vendor => {
+      const coordinates = vendor.location?.coordinates;
+      return [
+        vendor.id,
+        vendor.name || null,
+        coordinates ? [roundCoordinate(coordinates.latitude), roundCoordinate(coordinates.longitude)] : null,
+        vendor.dealTypes?.length > 0 ? vendor.dealTypes : dealTypes
+      ];
+    })
+  };
+
+  return toBase64Url(JSON.stringify(payload));
+};
+
+/**
+ * Build a lootsganja://journey/ link for a journey
+ * @param {Object} journey - Journey state
+ * @returns {string} - Shareable link
+ */
+export const buildJourneyLink = (journey) => `${JOURNEY_LINK_PREFIX}${encodeJourneyPayload(journey)}`;
+
+/**
+ * Check whether text is a journey link
+ * @param {string} text - Scanned or opened text
+ * @returns {boolean} - True for lootsganja://journey/ links
+ */
+export const isJourneyLink = (text) =>
+  typeof text === 'string' && text.trim().toLowerCase().startsWith(JOURNEY_LINK_PREFIX);
+
+/**
+ * Read a shared journey from a link or a bare payload
+ * Links come from other people, so unknown deal types, end modes and travel modes
+ * are dropped, as are coordinates that aren't numbers
+ * @param {string} linkOrPayload - lootsganja://journey/<payload> or just the payload
+ * @returns {Object} - { dealType, dealTypes, maxDistance, endMode, endLocation, travelMode, stops }
+ *   where stops are { id, name, coordinates, dealTypes }
+ * @throws {Error} - If the link can't be read or has no known deal types
+ */
+export const parseJourneyLink = (linkOrPayload) => {
+  if (typeof linkOrPayload !== 'string' || linkOrPayload.trim() === '') {
+    throw new Error('Journey link is empty');
+  }
+
+  const trimmed = linkOrPayload.trim();
+  const encoded = isJourneyLink(trimmed)
+    ? trimmed.slice(JOURNEY_LINK_PREFIX.length).split(/[?#]/)[0]
+    : trimmed;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(decodeURIComponent(encoded)));
+  } catch {
+    throw new Error('Journey link is not valid');
+  }
+
+  if (payload?.v !== LINK_VERSION || !Array.isArray(payload.s) || !Array.isArray(payload.t)) {
+    throw new Error('Journey link is not supported by this version of the app');
+  }
+
+  // Deal types this version doesn't know about can't be routed or redeemed
+  const dealTypes = payload.t.filter(dealType => knownValue(DealType, dealType));
+  if (dealTypes.length === 0) {
+    throw new Error('Journey link has no deal types');
+  }
+
+  const stops = payload.s
+    .filter(stop => Array.isArray(stop) && (typeof stop[0] === 'string' || typeof stop[0] === 'number'))
+    .map(([id, name, coordinates, stopDealTypes]) => {
+      const knownDealTypes = Array.isArray(stopDealTypes)
+        ? stopDealTypes.filter(dealType => knownValue(DealType, dealType))
+        : [];
+
+      return {
+        id: String(id),
+        name: typeof name === 'string' && name ? name : null,
+        coordinates: Array.isArray(coordinates) && isCoordinate(coordinates[0]) && isCoordinate(coordinates[1])
+          ? { latitude: coordinates[0], longitude: coordinates[1] }
+          : null,
+        dealTypes: knownDealTypes.length > 0 ? knownDealTypes : dealTypes
+      };
+    });
+
+  if (stops.length === 0) {
+    throw new Error('Journey link has no stops');
+  }
+
+  const endLocation = Array.isArray(payload.l) && isCoordinate(payload.l[0]) && isCoordinate(payload.l[1])
+    ? {
+        latitude: payload.l[0],
+        longitude: payload.l[1],
+        label: typeof payload.l[2] === 'string' && payload.l[2] ? payload.l[2] : undefined
+      }
+    : null;
+
+  return {
+    dealType: dealTypes[0],
+    dealTypes,
+    maxDistance: typeof payload.m === 'number' && Number.isFinite(payload.m) && payload.m > 0 ? payload.m : null,
+    endMode: knownValue(JourneyEndMode, payload.e),
+    endLocation,
+    travelMode: knownValue(TravelMode, payload.w),
+    stops
+  };
+};
@@ -0,0 +1,87 @@
+// src/utils/PolylineUtils.js
+// Encoded polyline format used by Google, OSRM (precision 5) and Valhalla (precision 6)
+
+/**
+ * Decode an encoded polyline string into coordinates
+ * @param {string} encoded - Encoded polyline
+ * @param {number} [precision=5] - Number of decimal places encoded (5 for Google/OSRM, 6 for Valhalla)
+ * @returns {Array<Object>} - Coordinates ({ latitude, longitude })
+ */
+export const decodePolyline = (encoded, precision = 5) => {
+  if (!encoded || typeof encoded !== 'string') return [];
+
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  // Each value is a zig-zag encoded delta split into 5-bit chunks, offset by 63
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Malformed encoded polyline');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  };
+
+  while (index < encoded.length) {
+    latitude += readValue();
+    longitude += readValue();
+
+    coordinates.push({
+      latitude: latitude / factor,
+      longitude: longitude / factor
+    });
+  }
+
+  return coordinates;
+};
+
+/**
+ * Encode coordinates as a polyline string
+ * @param {Array<Object>} coordinates - Coordinates ({ latitude, longitude })
+ * @param {number} [precision=5] - Number of decimal places to keep
+ * @returns {string} - Encoded polyline
+ */
+export const encodePolyline = (coordinates, precision = 5) => {
+  if (!Array.isArray(coordinates)) return '';
+
+  const factor = Math.pow(10, precision);
+  let previousLatitude = 0;
+  let previousLongitude = 0;
+  let encoded = '';
+
+  const writeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : (value << 1);
+
+    while (remaining >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+
+    encoded += String.fromCharCode(remaining + 63);
+  };
+
+  coordinates.forEach(({ latitude, longitude }) => {
+    const lat = Math.round(latitude * factor);
+    const lng = Math.round(longitude * factor);
+
+    writeValue(lat - previousLatitude);
+    writeValue(lng - previousLongitude);
+
+    previousLatitude = lat;
+    previousLongitude = lng;
+  });
+
+  return encoded;
+};
@@ -0,0 +1,193 @@
+// src/utils/PriceHistory.js
+// Turns deals into daily price observations and observations into rolling market
+// averages by category and unit size, so a product's price can be compared with what
+// the same size of the same kind of product costs elsewhere. Averages use regular
+// prices; the value score already credits the deal's discount separately.
+import { formatDate } from './DateUtils';
+import { getDealKey } from './DealChanges';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Observations older than this don't count towards market averages
+export const MARKET_WINDOW_DAYS = 30;
+
+// Fewer products than this is too few to call a market average
+export const MIN_MARKET_PRODUCTS = 3;
+
+// Names for common sizes, in grams
+const NAMED_SIZES = [
+  { pattern: /\bhalf[\s-]+(?:an\s+)?(?:ounce|oz)\b/i, grams: 14 },
+  { pattern: /\bquarter\b/i, grams: 7 },
+  { pattern: /\beighth\b/i, grams: 3.5 },
+  { pattern: /\b(?:an?\s+)?(?:ounce|oz)\b/i, grams: 28 }
+];
+
+const SIZE_PATTERN = /(\d+(?:\.\d+)?)\s*(mg|g|grams?|oz|ounces?)\b/i;
+
+/**
+ * Format a gram weight as a unit size
+ * @param {number} grams - Weight in grams
+ * @returns {string} - e.g. "3.5g"
+ */
+const formatGrams = (grams) => `${Math.round(grams * 100) / 100}g`;
+
+/**
+ * Read a product's unit size from its size fields or, failing that, its name
+ * Ounces become grams so "1/8 oz" and "3.5g" land in the same market
+ * @param {Object} deal - Deal or product
+ * @returns {string|null} - Normalized unit size, e.g. "3.5g" or "100mg", or null if unknown
+ */
+export const parseUnitSize = (deal) => {
+  const text = [deal.unitSize, deal.size, deal.weight, deal.name, deal.title, deal.description]
+    .filter(value => typeof value === 'string' || typeof value === 'number')
+    .map(String)
+    .join(' ');
+
+  const fraction = text.match(/(\d+)\s*\/\s*(\d+)\s*(?:oz|ounces?)\b/i);
+  if (fraction && Number(fraction[2]) > 0) {
+    return formatGrams((Number(fraction[1]) / Number(fraction[2])) * 28);
+  }
+
+  const match = text.match(SIZE_PATTERN);
+  if (match) {
+    const amount = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+
+    if (unit === 'mg') return `${amount}mg`;
+    if (unit.startsWith('o')) return formatGrams(amount * 28);
+    return formatGrams(amount);
+  }
+
+  const named = NAMED_SIZES.find(size => size.pattern.test(text));
+  return named ? formatGrams(named.grams) : null;
+};
+
+/**
+ * Get the market a product belongs to
+ * @param {string|null} category - Product category
+ * @param {string|null} unitSize - Normalized unit size
+ * @returns {string} - Market key
+ */
+export const getMarketKey = (category, unitSize) =>
+  `${(category || 'unknown').toLowerCase()}|${unitSize || 'any'}`;
+
+/**
+ * Record a deal's price as seen today
+ * @param {Object} deal - Deal with a price
+ * @param {Date} [date] - Day of the observation (defaults to today)
+ * @returns {PriceObservation|null} - Observation, or null if the deal has no price
+ */
+export const buildPriceObservation = (deal, date = new Date()) => {
+  const price = Number(deal?.price);
+  if (!Number.isFinite(price) || price <= 0) return null;
+
+  const salePrice = Number(deal.discountedPrice);
+
+  return {
+    productKey: getDealKey(deal),
+    vendorId: deal.vendorId ? String(deal.vendorId) : null,
+    category: deal.category ? String(deal.category).toLowerCase() : null,
+    unitSize: parseUnitSize(deal),
+    price,
+    salePrice: Number.isFinite(salePrice) && salePrice > 0 ? salePrice : price,
+    date: formatDate(date)
+  };
+};
+
+/**
+ * Merge new observations into a history, one per product per day
+ * A later observation on the same day replaces the earlier one
+ * @param {Array<PriceObservation>} history - Existing observations
+ * @param {Array<PriceObservation>} observations - New observations
+ * @param {Object} [options] - Merge options
+ * @param {Date} [options.now] - Current time (defaults to now)
+ * @param {number} [options.maxAgeDays=90] - Observations older than this are dropped
+ * @returns {Array<PriceObservation>} - Merged history, oldest first
+ */
+export const mergePriceObservations = (history, observations, options = {}) => {
+  const { now = new Date(), maxAgeDays = 90 } = options;
+  const cutoff = formatDate(new Date(now.getTime() - maxAgeDays * DAY_MS));
+  const byProductDay = new Map();
+
+  [...(history || []), ...(observations || [])]
+    .filter(observation => observation?.productKey && observation.date >= cutoff)
+    .forEach(observation => byProductDay.set(`${observation.productKey}|${observation.date}`, observation));
+
+  return [...byProductDay.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Compute rolling market averages by category and unit size
+ * Each product counts once, at its average price over the window, so a product seen
+ * every day doesn't outweigh one seen once
+ * @param {Array<PriceObservation>} history - Observations
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time (defaults to now)
+ * @param {number} [options.windowDays=MARKET_WINDOW_DAYS] - Days of observations to average
+ * @returns {Map<string, MarketAverage>} - Averages by market key (see getMarketKey)
+ */
+export const computeMarketAverages = (history, options = {}) => {
+  const { now = new Date(), windowDays = MARKET_WINDOW_DAYS } = options;
+  const since = formatDate(new Date(now.getTime() - windowDays * DAY_MS));
+  const products = new Map();
+
+  (history || [])
+    .filter(observation => observation.date >= since)
+    .forEach(observation => {
+      const product = products.get(observation.productKey) || {
+        marketKey: getMarketKey(observation.category, observation.unitSize),
+        vendorId: observation.vendorId,
+        total: 0,
+        count: 0
+      };
+      product.total += observation.price;
+      product.count += 1;
+      products.set(observation.productKey, product);
+    });
+
+  const markets = new Map();
+  products.forEach(product => {
+    const market = markets.get(product.marketKey) || { total: 0, productCount: 0, vendors: new Set() };
+    market.total += product.total / product.count;
+    market.productCount += 1;
+    if (product.vendorId) market.vendors.add(product.vendorId);
+    markets.set(product.marketKey, market);
+  });
+
+  const averages = new Map();
+  markets.forEach((market, marketKey) => {
+    averages.set(marketKey, {
+      average: Math.round((market.total / market.productCount) * 100) / 100,
+      productCount: market.productCount,
+      vendorCount: market.vendors.size
+    });
+  });
+
+  return averages;
+};
+
+/**
+ * Look up the market average for a deal
+ * Products of unknown size are only compared with others of unknown size
+ * @param {Map<string, MarketAverage>} averages - Averages from computeMarketAverages
+ * @param {Object} deal - Deal or product
+ * @returns {MarketAverage|null} - Average, or null when too few products are known
+ */
+export const getMarketAverage = (averages, deal) => {
+  const category = deal.category ? String(deal.category).toLowerCase() : null;
+  const market = averages?.get(getMarketKey(category, parseUnitSize(deal)));
+
+  return market && market.productCount >= MIN_MARKET_PRODUCTS ? market : null;
+};
+
+/**
+ * Get one product's price over time
+ * @param {Array<PriceObservation>} history - Observations
+ * @param {string} productKey - Product identity (see getDealKey)
+ * @returns {Array<{date: string, price: number, salePrice: number}>} - Prices by day, oldest first
+ */
+export const getProductPriceHistory = (history, productKey) =>
+  (history || [])
+    .filter(observation => observation.productKey === productKey)
+    .map(({ date, price, salePrice }) => ({ date, price, salePrice }))
+    .sort((a, b) => a.date.localeCompare(b.date));
@@ -11,29 +11,43 @@ import {
 import { Logger, LogCategory } from '../services/LoggingService';
 import dealCacheService from '../services/DealCacheService';
 import vendorCacheService from '../services/VendorCacheService';
+import { calculateDealValueScore } from './ValueCalculator';
+import { scoreVendor, compareVendorScores } from './VendorScoring';
+import { VendorSortOrder } from '../types/Schema';
 
 /**
  * Find vendors with active deals of a specific type, sorted by proximity to user location
+ * (or by value per mile when options.sortBy is VendorSortOrder.VALUE)
  * @param {Object} userLocation - User's coordinates {latitude, longitude}
  * @param {string} dealType - Type of deal to search for (birthday, daily, special, everyday)
  * @param {number} maxDistance - Maximum distance in miles
  * @param {number} maxResults - Maximum number of results to return
  * @param {Object} lastDoc - Last document from previous pagination (optional)
- * @returns {Promise<Object>} - Object containing sorted vendors with distance information and pagination details
+ * @param {Date} [date] - Only count deals that run on this date (optional)
+ * @param {Object} [options] - Sorting options
+ * @param {string} [options.sortBy] - VendorSortOrder value (defaults to distance)
+ * @param {Array<string>} [options.favoriteVendorIds] - The user's favorite vendors, scored higher
+ * @returns {Promise<Object>} - Object containing sorted vendors with distance information and pagination details;
+ *   vendors carry a valueScore breakdown when sorted by value
  */
 export async function findNearbyVendorsWithDeals(
   userLocation, 
   dealType, 
   maxDistance = 50, 
   maxResults = 20,
-  lastDoc = null
+  lastDoc = null,
+  date = null,
+  options = {}
 ) {
+  const { sortBy = VendorSortOrder.DISTANCE, favoriteVendorIds = [] } = options;
+  
   try {
     Logger.info(LogCategory.NAVIGATION, 'Finding nearby vendors with deals', {
       dealType,
       maxDistance,
       maxResults,
-      userLocation
+      userLocation,
+      date: date ? date.toISOString() : null
     });
     
     // Use DealCacheService and VendorCacheService directly
@@ -45,8 +59,10 @@ export async function findNearbyVendorsWithDeals(
       dealTypeCount: dealCacheService._dealsByType?.[dealType]?.length
     });
     
-    // Get deals from cache based on the specified deal type
-    const deals = dealCacheService.getAllDeals({ type: dealType });
+    // Get deals from cache based on the specified deal type, limited to the date if given
+    const deals = date
+      ? dealCacheService.getDealsForDate(dealType, date)
+      : dealCacheService.getAllDeals({ type: dealType });
     
     Logger.debug(LogCategory.NAVIGATION, `Found ${deals.length} ${dealType} deals in cache`, {
       deals: deals.map(d => ({ id: d.id, vendorId: d.vendorId, title: d.title }))
@@ -193,8 +209,28 @@ export async function findNearbyVendorsWithDeals(
       }
     });
     
-    // Sort by distance (closest first)
-    vendorsWithDistance.sort((a, b) => a.distance - b.distance);
+    if (sortBy === VendorSortOrder.VALUE) {
+      // Score each vendor by its best deal of this type against how far away it is
+      const bestDealValue = new Map();
+      deals.forEach(deal => {
+        const key = String(deal.vendorId);
+        bestDealValue.set(key, Math.max(bestDealValue.get(key) || 0, calculateDealValueScore(deal)));
+      });
+      
+      vendorsWithDistance.forEach(vendor => {
+        vendor.valueScore = scoreVendor({
+          dealValue: bestDealValue.get(String(vendor.id)) || 0,
+          detourMiles: vendor.distance,
+          isPartner: vendor.isPartner === true,
+          isFavorite: favoriteVendorIds.includes(vendor.id)
+        });
+      });
+      
+      vendorsWithDistance.sort(compareVendorScores);
+    } else {
+      // Sort by distance (closest first)
+      vendorsWithDistance.sort((a, b) => a.distance - b.distance);
+    }
     
     // Limit to maxResults
     const limitedVendors = vendorsWithDistance.slice(0, maxResults);
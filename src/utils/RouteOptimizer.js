@@ -0,0 +1,317 @@
+// src/utils/RouteOptimizer.js
+// Stop ordering for multi-vendor journeys.
+// Builds a tour with nearest-neighbour construction and then improves it with
+// 2-opt and or-opt moves. Journeys are small (RouteService.MAX_STOPS), so every
+// candidate tour is simply re-costed against a precomputed distance matrix.
+
+/**
+ * Get the coordinates of a stop
+ * Accepts vendors ({ location: { coordinates } }) or plain coordinate objects
+ * @param {Object} stop - Vendor or coordinates
+ * @returns {Object|null} - { latitude, longitude } or null if unavailable
+ */
+export const getStopCoordinates = (stop) => {
+  if (!stop) return null;
+
+  const coords = stop.location?.coordinates || stop;
+
+  if (typeof coords.latitude !== 'number' || typeof coords.longitude !== 'number') {
+    return null;
+  }
+
+  return coords;
+};
+
+/**
+ * Build a symmetric distance matrix for a list of points
+ * @param {Array<Object>} points - Coordinates ({ latitude, longitude })
+ * @param {Function} distanceFn - (lat1, lon1, lat2, lon2) => miles
+ * @returns {Array<Array<number>>} - Matrix where matrix[i][j] is the distance from i to j
+ */
+export const buildDistanceMatrix = (points, distanceFn) => {
+  const matrix = points.map(() => new Array(points.length).fill(0));
+
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const distance = distanceFn(
+        points[i].latitude,
+        points[i].longitude,
+        points[j].latitude,
+        points[j].longitude
+      );
+
+      matrix[i][j] = distance;
+      matrix[j][i] = distance;
+    }
+  }
+
+  return matrix;
+};
+
+/**
+ * Total length of a tour that starts at matrix node 0
+ * @param {Array<number>} order - Stop node indices in visiting order
+ * @param {Array<Array<number>>} matrix - Distance matrix
+ * @param {number|null} [endNode] - Node the tour finishes at after the last stop, if any
+ * @returns {number} - Tour length in miles
+ */
+export const calculateTourLength = (order, matrix, endNode = null) => {
+  let total = 0;
+  let previous = 0;
+
+  order.forEach(node => {
+    total += matrix[previous][node];
+    previous = node;
+  });
+
+  if (endNode !== null) {
+    total += matrix[previous][endNode];
+  }
+
+  return total;
+};
+
+/**
+ * Build an initial tour by always driving to the closest unvisited stop
+ * @param {Array<Array<number>>} matrix - Distance matrix (node 0 is the start)
+ * @param {number} [stopCount] - Number of stop nodes (1..stopCount), defaults to
+ *   every node after the start; any nodes past them (such as an end point) are not visited
+ * @returns {Array<number>} - Stop node indices in visiting order
+ */
+export const nearestNeighbourTour = (matrix, stopCount = matrix.length - 1) => {
+  const unvisited = new Set();
+  for (let node = 1; node <= stopCount; node++) {
+    unvisited.add(node);
+  }
+
+  const order = [];
+  let current = 0;
+
+  while (unvisited.size > 0) {
+    let closest = null;
+
+    unvisited.forEach(node => {
+      if (closest === null || matrix[current][node] < matrix[current][closest]) {
+        closest = node;
+      }
+    });
+
+    order.push(closest);
+    unvisited.delete(closest);
+    current = closest;
+  }
+
+  return order;
+};
+
+/**
+ * Improve a tour by reversing segments until no reversal shortens it
+ * @param {Array<number>} order - Stop node indices in visiting order
+ * @param {Array<Array<number>>} matrix - Distance matrix
+ * @param {Function} [costFn] - Tour cost function, defaults to calculateTourLength
+ * @returns {Array<number>} - Improved order
+ */
+export const twoOpt = (order, matrix, costFn = calculateTourLength) => {
+  let best = [...order];
+  let bestCost = costFn(best, matrix);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, k + 1).reverse(),
+          ...best.slice(k + 1)
+        ];
+        const candidateCost = costFn(candidate, matrix);
+
+        if (candidateCost < bestCost - 1e-9) {
+          best = candidate;
+          bestCost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Improve a tour by moving chains of 1-3 consecutive stops to another position
+ * @param {Array<number>} order - Stop node indices in visiting order
+ * @param {Array<Array<number>>} matrix - Distance matrix
+ * @param {Function} [costFn] - Tour cost function, defaults to calculateTourLength
+ * @returns {Array<number>} - Improved order
+ */
+export const orOpt = (order, matrix, costFn = calculateTourLength) => {
+  let best = [...order];
+  let bestCost = costFn(best, matrix);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let chainLength = 1; chainLength <= 3; chainLength++) {
+      for (let i = 0; i + chainLength <= best.length; i++) {
+        const chain = best.slice(i, i + chainLength);
+        const rest = [...best.slice(0, i), ...best.slice(i + chainLength)];
+
+        for (let position = 0; position <= rest.length; position++) {
+          if (position === i) continue;
+
+          // Try the chain in both directions
+          for (const segment of [chain, [...chain].reverse()]) {
+            const candidate = [...rest.slice(0, position), ...segment, ...rest.slice(position)];
+            const candidateCost = costFn(candidate, matrix);
+
+            if (candidateCost < bestCost - 1e-9) {
+              best = candidate;
+              bestCost = candidateCost;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Order stops to minimise the total leg-by-leg distance from a starting point
+ * Stops without valid coordinates are kept, in their original order, at the end
+ * @param {Array<Object>} stops - Vendors or coordinate objects
+ * @param {Object} startLocation - Starting coordinates
+ * @param {Function} distanceFn - (lat1, lon1, lat2, lon2) => miles
+ * @param {Object} [options] - Optimization options
+ * @param {Object} [options.endLocation] - Where the journey finishes after the last stop;
+ *   the final leg there is included in the cost. Omit for open-ended journeys
+ * @param {Function} [options.penaltyFn] - (orderedStops, legDistances) => extra cost in miles,
+ *   used to steer the search away from orders that break other constraints
+ * @returns {Array<Object>} - Stops in optimized visiting order
+ */
+export const optimizeStopOrder = (stops, startLocation, distanceFn, options = {}) => {
+  const routable = stops.filter(stop => getStopCoordinates(stop));
+  const unroutable = stops.filter(stop => !getStopCoordinates(stop));
+
+  if (routable.length <= 1 || !getStopCoordinates(startLocation)) {
+    return [...routable, ...unroutable];
+  }
+
+  const endCoords = getStopCoordinates(options.endLocation);
+  const points = [getStopCoordinates(startLocation), ...routable.map(getStopCoordinates)];
+  if (endCoords) {
+    points.push(endCoords);
+  }
+
+  const matrix = buildDistanceMatrix(points, distanceFn);
+  const endNode = endCoords ? points.length - 1 : null;
+
+  const tourCost = (order, m) => {
+    const length = calculateTourLength(order, m, endNode);
+    if (!options.penaltyFn) return length;
+
+    const legDistances = order.map((node, i) => m[i === 0 ? 0 : order[i - 1]][node]);
+    return length + options.penaltyFn(order.map(node => routable[node - 1]), legDistances);
+  };
+
+  let order = nearestNeighbourTour(matrix, routable.length);
+
+  // Alternate the two local searches until neither finds an improvement
+  let cost = tourCost(order, matrix);
+  while (true) {
+    order = orOpt(twoOpt(order, matrix, tourCost), matrix, tourCost);
+
+    const newCost = tourCost(order, matrix);
+    if (newCost >= cost - 1e-9) break;
+    cost = newCost;
+  }
+
+  return [...order.map(node => routable[node - 1]), ...unroutable];
+};
+
+/**
+ * Choose which stops to visit, and in what order, to collect the most value within a budget
+ * Greedy insertion for the orienteering problem: each round adds the stop with the best
+ * value per unit of extra budget, at its cheapest position in the tour, then tidies the
+ * order with 2-opt and or-opt moves to free up budget for another round. Stops without
+ * valid coordinates are never chosen.
+ * @param {Array<Object>} stops - Candidate vendors or coordinate objects
+ * @param {Object} startLocation - Starting coordinates
+ * @param {Function} distanceFn - (lat1, lon1, lat2, lon2) => miles
+ * @param {Object} options - Selection options
+ * @param {number} options.budget - Budget the tour must fit in
+ * @param {Function} options.valueFn - (stop) => value collected by visiting the stop
+ * @param {Function} options.costFn - (orderedStops, legDistances, finalLegDistance) => budget
+ *   used by the tour, or Infinity when the tour breaks another constraint
+ * @param {Object} [options.endLocation] - Where the journey finishes after the last stop
+ * @param {number} [options.maxStops] - Most stops to choose
+ * @returns {Array<Object>} - Chosen stops in visiting order (empty if none fit)
+ */
+export const selectStopsWithinBudget = (stops, startLocation, distanceFn, options) => {
+  const { budget, valueFn, costFn } = options;
+  const routable = stops.filter(stop => getStopCoordinates(stop));
+
+  if (routable.length === 0 || !getStopCoordinates(startLocation)) {
+    return [];
+  }
+
+  const endCoords = getStopCoordinates(options.endLocation);
+  const points = [getStopCoordinates(startLocation), ...routable.map(getStopCoordinates)];
+  if (endCoords) {
+    points.push(endCoords);
+  }
+
+  const matrix = buildDistanceMatrix(points, distanceFn);
+  const endNode = endCoords ? points.length - 1 : null;
+  const maxStops = options.maxStops || routable.length;
+  const values = routable.map(stop => valueFn(stop));
+
+  const tourCost = (order) => {
+    if (order.length === 0) return 0;
+
+    const legDistances = order.map((node, i) => matrix[i === 0 ? 0 : order[i - 1]][node]);
+    const finalLegDistance = endNode !== null ? matrix[order[order.length - 1]][endNode] : 0;
+    return costFn(order.map(node => routable[node - 1]), legDistances, finalLegDistance);
+  };
+
+  const remaining = new Set(routable.map((_, index) => index + 1));
+  let order = [];
+  let used = 0;
+
+  while (order.length < maxStops) {
+    let best = null;
+
+    remaining.forEach(node => {
+      const value = values[node - 1];
+      if (!(value > 0)) return;
+
+      for (let position = 0; position <= order.length; position++) {
+        const candidate = [...order.slice(0, position), node, ...order.slice(position)];
+        const cost = tourCost(candidate);
+
+        if (cost > budget) continue;
+
+        const ratio = value / Math.max(cost - used, 1e-6);
+        if (!best || ratio > best.ratio) {
+          best = { node, order: candidate, cost, ratio };
+        }
+      }
+    });
+
+    if (!best) break;
+
+    remaining.delete(best.node);
+
+    // Shorten the tour before the next round so more budget is left for other stops
+    order = orOpt(twoOpt(best.order, matrix, tourCost), matrix, tourCost);
+    used = tourCost(order);
+  }
+
+  return order.map(node => routable[node - 1]);
+};
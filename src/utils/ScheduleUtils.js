@@ -0,0 +1,149 @@
+// src/utils/ScheduleUtils.js
+// Helpers for working out when a journey reaches each stop and whether the
+// vendor will be open at that time, based on the Vendor `hours` map.
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Stops that close less than this many minutes after we arrive get a warning
+ */
+export const LOW_SLACK_MINUTES = 15;
+
+/**
+ * Convert a 24-hour "HH:MM" string to minutes after midnight
+ * @param {string} time - Time string (e.g. "09:30")
+ * @returns {number|null} - Minutes after midnight or null if invalid
+ */
+export const parseTimeToMinutes = (time) => {
+  if (typeof time !== 'string') return null;
+
+  const match = time.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+
+  if (hours > 24 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get a vendor's opening window for the hours listed under one day
+ * Closing times at or before the opening time are treated as past midnight
+ * @param {Object} hours - Vendor `hours` map
+ * @param {Date} day - Any time on the day
+ * @returns {{opensAt: Date, closesAt: Date}|null} - Window, or null if closed that day
+ */
+const getDayWindow = (hours, day) => {
+  const dayHours = hours[DAYS[day.getDay()]];
+  const open = parseTimeToMinutes(dayHours?.open);
+  const close = parseTimeToMinutes(dayHours?.close);
+
+  if (open === null || close === null) {
+    return null;
+  }
+
+  const midnight = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  const opensAt = new Date(midnight.getTime() + open * MINUTE_MS);
+  const closesAt = new Date(midnight.getTime() + (close <= open ? close + 24 * 60 : close) * MINUTE_MS);
+
+  return { opensAt, closesAt };
+};
+
+/**
+ * Get the vendor opening window that applies at a given time
+ * The previous day's window is used while it is still open past midnight (e.g. 1am
+ * under "Fri 10:00-02:00" hours); otherwise it is the window for the day of the date
+ * @param {Object} vendor - Vendor with an `hours` map
+ * @param {Date} date - Time to check
+ * @returns {{opensAt: Date, closesAt: Date}|null|undefined} - Window, null if closed
+ *   all day, or undefined if the vendor has no hours data at all
+ */
+export const getOpeningWindow = (vendor, date) => {
+  if (!vendor?.hours || Object.keys(vendor.hours).length === 0) {
+    return undefined;
+  }
+
+  const previousDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  const previousWindow = getDayWindow(vendor.hours, previousDay);
+
+  if (previousWindow && date < previousWindow.closesAt) {
+    return previousWindow;
+  }
+
+  return getDayWindow(vendor.hours, date);
+};
+
+/**
+ * Work out arrival times along an ordered list of stops
+ * Arriving before a vendor opens means waiting until it does; arriving after
+ * it closes (or on a day it is closed) marks the stop as closed on arrival.
+ * @param {Array<Object>} stops - Vendors in visiting order
+ * @param {Array<number>} legDistances - Distance in miles to each stop from the previous point
+ * @param {Date} startTime - When the journey starts
+ * @param {Object} options - Timing options
+ * @param {number} options.minutesPerMile - Travel time per mile
+ * @param {number} [options.legOverheadMinutes=0] - Extra time added to every leg that moves
+ * @param {number} options.dwellMinutes - Time spent at each stop
+ * @returns {Array<Object>} - One entry per stop with eta, opensAt, closesAt (ISO strings),
+ *   waitMinutes, slackMinutes and isOpenOnArrival
+ */
+export const buildStopSchedule = (stops, legDistances, startTime, options) => {
+  const { minutesPerMile, dwellMinutes, legOverheadMinutes = 0 } = options;
+  let clock = startTime.getTime();
+
+  return stops.map((stop, index) => {
+    const legDistance = legDistances[index] || 0;
+    const travelMinutes = legDistance > 0 ? legDistance * minutesPerMile + legOverheadMinutes : 0;
+    let arrival = new Date(clock + travelMinutes * MINUTE_MS);
+    const window = getOpeningWindow(stop, arrival);
+
+    let waitMinutes = 0;
+    let slackMinutes = null;
+    let isOpenOnArrival = true;
+
+    if (window === null) {
+      isOpenOnArrival = false;
+    } else if (window) {
+      if (arrival < window.opensAt) {
+        waitMinutes = Math.round((window.opensAt - arrival) / MINUTE_MS);
+        arrival = window.opensAt;
+      }
+
+      slackMinutes = Math.floor((window.closesAt - arrival) / MINUTE_MS);
+      isOpenOnArrival = slackMinutes > 0;
+    }
+
+    clock = arrival.getTime() + dwellMinutes * MINUTE_MS;
+
+    return {
+      eta: arrival.toISOString(),
+      opensAt: window ? window.opensAt.toISOString() : null,
+      closesAt: window ? window.closesAt.toISOString() : null,
+      waitMinutes,
+      slackMinutes,
+      isOpenOnArrival
+    };
+  });
+};
+
+/**
+ * Check whether a scheduled stop closes soon after we are due to arrive
+ * @param {Object} stop - Stop with a slackMinutes value from buildStopSchedule
+ * @returns {boolean} - True if slack is known and under LOW_SLACK_MINUTES
+ */
+export const hasLowSlack = (stop) => {
+  return typeof stop?.slackMinutes === 'number' && stop.slackMinutes < LOW_SLACK_MINUTES;
+};
+
+/**
+ * Format an ISO time for display next to a stop
+ * @param {string} isoString - ISO date string
+ * @returns {string} - Localized time (e.g. "3:45 PM") or empty string
+ */
+export const formatStopTime = (isoString) => {
+  if (!isoString) return '';
+  return new Date(isoString).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+};
@@ -0,0 +1,230 @@
+// src/utils/SearchIndex.js
+// In-memory inverted index for searching deals, products and vendors.
+// Each document is split into terms; a query term matches an indexed term exactly,
+// as a prefix (so results appear while typing) or within a small edit distance
+// (so "blueberyy" still finds "blueberry"). Documents must match every query term.
+
+// Score multipliers for how a query term matched an indexed term
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.75;
+const FUZZY_MATCH = 0.5;
+
+// Extra score when the document's main field starts with the whole query
+const PHRASE_BONUS = 2;
+
+const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * Lowercase text and strip accents and punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+export const normalizeSearchText = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Split text into search terms
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Terms
+ */
+export const tokenize = (text) => {
+  const normalized = normalizeSearchText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * How many typos a query term may contain
+ * Short terms must match exactly, or almost everything would match
+ * @param {string} term - Query term
+ * @returns {number} - Maximum edit distance
+ */
+const getMaxEdits = (term) => {
+  if (term.length <= 3 || /^\d+$/.test(term)) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * Levenshtein distance between two terms, giving up once it passes a limit
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} maxDistance - Largest distance worth computing
+ * @returns {number} - Edit distance, or maxDistance + 1 if it's larger
+ */
+export const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Build an index from documents
+ * @param {Array<Object>} documents - Documents to index, each
+ *   { id, type, title, subtitle, fields: [{ text, weight }], data }; the first field is
+ *   the document's main one (e.g. its name)
+ * @returns {Object} - Index for searchIndex
+ */
+export const buildSearchIndex = (documents) => {
+  const docs = new Map();
+  const postings = new Map();
+
+  documents.forEach(document => {
+    const key = `${document.type}:${document.id}`;
+    docs.set(key, { ...document, key, phrase: normalizeSearchText(document.fields[0]?.text) });
+
+    document.fields.forEach(({ text, weight }) => {
+      // Hyphenated words are indexed both apart and joined ("pre-roll" and "preroll")
+      const terms = new Set([...tokenize(text), ...tokenize(String(text || '').replace(/-/g, ''))]);
+
+      terms.forEach(term => {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+        }
+
+        const termDocs = postings.get(term);
+        // A term counts once per document, at its best-weighted field
+        termDocs.set(key, Math.max(termDocs.get(key) || 0, weight));
+      });
+    });
+  });
+
+  return {
+    docs,
+    postings,
+    terms: [...postings.keys()].sort()
+  };
+};
+
+/**
+ * Find the indexed terms a query term matches
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} queryTerm - Query term
+ * @param {boolean} allowPrefix - Whether prefix matches count
+ * @returns {Map<string, number>} - Matching terms with their score multipliers
+ */
+const matchTerm = (index, queryTerm, allowPrefix) => {
+  const matches = new Map();
+
+  if (index.postings.has(queryTerm)) {
+    matches.set(queryTerm, EXACT_MATCH);
+  }
+
+  if (allowPrefix && queryTerm.length >= MIN_PREFIX_LENGTH) {
+    // Terms are sorted, so every term with this prefix follows the first one found
+    let low = 0;
+    let high = index.terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (index.terms[mid] < queryTerm) low = mid + 1;
+      else high = mid;
+    }
+
+    for (let i = low; i < index.terms.length && index.terms[i].startsWith(queryTerm); i++) {
+      if (!matches.has(index.terms[i])) {
+        matches.set(index.terms[i], PREFIX_MATCH);
+      }
+    }
+  }
+
+  const maxEdits = getMaxEdits(queryTerm);
+  if (maxEdits > 0) {
+    index.terms.forEach(term => {
+      if (matches.has(term)) return;
+
+      const distance = editDistance(queryTerm, term, maxEdits);
+      if (distance <= maxEdits) {
+        matches.set(term, FUZZY_MATCH / distance);
+      }
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Search an index
+ * Every query term has to match; the last one may also match as a prefix since the
+ * user is probably still typing it. Results are ranked by how well and where they
+ * matched, with a bonus when the main field starts with the query.
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Search text
+ * @param {Object} [options] - Search options
+ * @param {Array<string>} [options.types] - Only return documents of these types
+ * @param {number} [options.limit=50] - Most results to return
+ * @returns {Array<Object>} - Matching documents with a score, best first
+ */
+export const searchIndex = (index, query, options = {}) => {
+  const { types = null, limit = 50 } = options;
+  const queryTerms = tokenize(query);
+
+  if (!index || queryTerms.length === 0) return [];
+
+  let scores = null;
+
+  queryTerms.forEach((queryTerm, position) => {
+    const isLastTerm = position === queryTerms.length - 1;
+    const termScores = new Map();
+
+    matchTerm(index, queryTerm, isLastTerm).forEach((multiplier, term) => {
+      index.postings.get(term).forEach((weight, key) => {
+        termScores.set(key, Math.max(termScores.get(key) || 0, weight * multiplier));
+      });
+    });
+
+    // Keep only documents that matched every term so far
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, key) => {
+        if (termScores.has(key)) {
+          combined.set(key, score + termScores.get(key));
+        }
+      });
+      scores = combined;
+    }
+  });
+
+  const phrase = normalizeSearchText(query);
+  const results = [];
+
+  scores.forEach((score, key) => {
+    const document = index.docs.get(key);
+    if (types && !types.includes(document.type)) return;
+
+    results.push({
+      id: document.id,
+      type: document.type,
+      title: document.title,
+      subtitle: document.subtitle,
+      data: document.data,
+      score: score + (document.phrase.startsWith(phrase) ? PHRASE_BONUS : 0)
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || String(a.title).localeCompare(String(b.title)))
+    .slice(0, limit);
+};
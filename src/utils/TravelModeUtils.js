@@ -0,0 +1,137 @@
+// src/utils/TravelModeUtils.js
+// Speed, dwell time and distance limits for each way of getting between stops,
+// plus fare estimates for rideshare legs. Estimates only; real travel times and
+// fares depend on traffic, terrain and surge pricing.
+import { TravelMode } from '../types/Schema';
+
+/**
+ * Per-mode travel profiles
+ * - minutesPerMile: travel time per mile used for stop ETAs
+ * - speedMph / trafficFactor: used for point-to-point estimates
+ * - legOverheadMinutes: fixed time added to every leg (e.g. waiting for a pickup)
+ * - dwellMinutes: time spent at each stop
+ * - maxLegMiles: longest single leg allowed, or null for no limit
+ * - maxDistance: tightest search radius in miles, or null to use the user's setting
+ * - fare: rideshare fare model, or null if the mode is free
+ */
+export const TRAVEL_MODE_PROFILES = {
+  [TravelMode.DRIVE]: {
+    label: 'Drive',
+    icon: 'directions-car',
+    speedMph: 25,
+    trafficFactor: 1.2,
+    minutesPerMile: 3,
+    legOverheadMinutes: 0,
+    dwellMinutes: 10,
+    maxLegMiles: null,
+    maxDistance: null,
+    fare: null
+  },
+  [TravelMode.WALK]: {
+    label: 'Walk',
+    icon: 'directions-walk',
+    speedMph: 3,
+    trafficFactor: 1,
+    minutesPerMile: 20,
+    legOverheadMinutes: 0,
+    dwellMinutes: 10,
+    maxLegMiles: 1.5,
+    maxDistance: 2,
+    fare: null
+  },
+  [TravelMode.BIKE]: {
+    label: 'Bike',
+    icon: 'directions-bike',
+    speedMph: 10,
+    trafficFactor: 1,
+    minutesPerMile: 6,
+    legOverheadMinutes: 0,
+    // Locking up and unlocking the bike at each stop
+    dwellMinutes: 12,
+    maxLegMiles: 5,
+    maxDistance: 8,
+    fare: null
+  },
+  [TravelMode.RIDESHARE]: {
+    label: 'Rideshare',
+    icon: 'local-taxi',
+    speedMph: 25,
+    trafficFactor: 1.2,
+    minutesPerMile: 3,
+    // Each leg is a new ride, so allow time for the car to arrive
+    legOverheadMinutes: 6,
+    dwellMinutes: 10,
+    maxLegMiles: null,
+    maxDistance: null,
+    fare: {
+      baseFare: 2.5,
+      perMile: 1.75,
+      perMinute: 0.35,
+      bookingFee: 2,
+      minimumFare: 8
+    }
+  }
+};
+
+export const DEFAULT_TRAVEL_MODE = TravelMode.DRIVE;
+
+/**
+ * Get the travel profile for a mode
+ * @param {string} [travelMode] - TravelMode value (defaults to driving)
+ * @returns {Object} - Travel profile from TRAVEL_MODE_PROFILES
+ */
+export const getTravelProfile = (travelMode) =>
+  TRAVEL_MODE_PROFILES[travelMode] || TRAVEL_MODE_PROFILES[DEFAULT_TRAVEL_MODE];
+
+/**
+ * Get the search radius to use for a mode
+ * @param {number} maxDistance - Radius the user asked for, in miles
+ * @param {string} [travelMode] - TravelMode value
+ * @returns {number} - The smaller of maxDistance and the mode's limit
+ */
+export const limitMaxDistance = (maxDistance, travelMode) => {
+  const { maxDistance: modeLimit } = getTravelProfile(travelMode);
+  return modeLimit ? Math.min(maxDistance, modeLimit) : maxDistance;
+};
+
+/**
+ * Estimate how long one leg takes
+ * @param {number} distanceMiles - Leg distance in miles
+ * @param {string} [travelMode] - TravelMode value
+ * @returns {number} - Travel time in minutes, including any per-leg overhead
+ */
+export const estimateLegMinutes = (distanceMiles, travelMode) => {
+  if (!distanceMiles) return 0;
+
+  const { minutesPerMile, legOverheadMinutes } = getTravelProfile(travelMode);
+  return distanceMiles * minutesPerMile + legOverheadMinutes;
+};
+
+/**
+ * Estimate the fare for one leg
+ * @param {number} distanceMiles - Leg distance in miles
+ * @param {string} [travelMode] - TravelMode value
+ * @returns {number|null} - Fare in dollars (rounded to cents), 0 for an empty leg,
+ *   or null if the mode has no fare
+ */
+export const estimateLegCost = (distanceMiles, travelMode) => {
+  const profile = getTravelProfile(travelMode);
+  if (!profile.fare) return null;
+  if (!distanceMiles) return 0;
+
+  const { baseFare, perMile, perMinute, bookingFee, minimumFare } = profile.fare;
+  const rideMinutes = distanceMiles * profile.minutesPerMile;
+  const fare = Math.max(minimumFare, baseFare + perMile * distanceMiles + perMinute * rideMinutes) + bookingFee;
+
+  return Math.round(fare * 100) / 100;
+};
+
+/**
+ * Get the buildStopSchedule timing options for a mode
+ * @param {string} [travelMode] - TravelMode value
+ * @returns {Object} - { minutesPerMile, legOverheadMinutes, dwellMinutes }
+ */
+export const getScheduleOptions = (travelMode) => {
+  const { minutesPerMile, legOverheadMinutes, dwellMinutes } = getTravelProfile(travelMode);
+  return { minutesPerMile, legOverheadMinutes, dwellMinutes };
+};
@@ -1,5 +1,7 @@
 // src/utils/ValueCalculator.js
 // This utility calculates the "value score" of products based on pricing data
+import { DiscountKind } from '../types/Schema';
+import { parseDiscount, estimateDiscountPercent, estimateSavings } from './DiscountParser';
 
 /**
  * Calculate a value score for a product
@@ -67,4 +69,113 @@ export const calculateValueScore = (currentPrice, regularPrice, marketAverage) =
     if (score >= 3.5) return '#FF9800'; // Orange
     if (score >= 2) return '#FF5722'; // Deep orange
     return '#F44336'; // Red
-  };
\ No newline at end of file
+  };
+
+  /**
+   * Typical spend in dollars to redeem a deal when it has no price of its own
+   */
+  export const DEFAULT_DEAL_SPEND = 30;
+  
+  /**
+   * Get a deal's parsed discount
+   * Uses the one added when the deal cache loaded, parsing the text here for deals
+   * that came from elsewhere. Falls back to the title when the discount text can't be read.
+   * @param {Object} deal - Deal object
+   * @returns {ParsedDiscount} - Parsed discount
+   */
+  export const getDealDiscount = (deal) => {
+    const discount = deal?.parsedDiscount || parseDiscount(deal?.discount);
+    
+    if (discount.kind === DiscountKind.UNKNOWN && deal?.title) {
+      const fromTitle = parseDiscount(deal.title);
+      if (fromTitle.kind !== DiscountKind.UNKNOWN) return fromTitle;
+    }
+    
+    return discount;
+  };
+  
+  /**
+   * Estimate how much a user spends to redeem a deal
+   * Bundles and sizes cost their price; anything with a minimum purchase costs at least that
+   * @param {Object} deal - Deal object
+   * @returns {number} - Spend in dollars
+   */
+  export const estimateDealSpend = (deal) => {
+    const spend = deal?.discountedPrice || deal?.price;
+    if (spend) return spend;
+    
+    const discount = getDealDiscount(deal);
+    const isPriced = discount.kind === DiscountKind.BUNDLE_PRICE || discount.kind === DiscountKind.SIZE_PRICE;
+    if (isPriced && discount.price) {
+      return discount.price;
+    }
+    
+    return Math.max(DEFAULT_DEAL_SPEND, discount.minimumPurchase || 0);
+  };
+  
+  /**
+   * Estimate a deal's discount as a percentage of what's spent on it
+   * @param {Object} deal - Deal object
+   * @returns {number} - Percent saved (0-100)
+   */
+  export const estimateDealDiscountPercent = (deal) => {
+    if (!deal) return 0;
+    
+    if (deal.discountedPrice && deal.price) {
+      return Math.max(0, ((deal.price - deal.discountedPrice) / deal.price) * 100);
+    }
+    
+    return estimateDiscountPercent(getDealDiscount(deal), {
+      spend: estimateDealSpend(deal),
+      regularPrice: deal.price || null,
+      marketPrice: deal.marketAverage || null
+    });
+  };
+  
+  /**
+   * Estimate how many dollars a deal saves
+   * @param {Object} deal - Deal object
+   * @returns {number} - Savings in dollars, rounded to cents
+   */
+  export const estimateDealSavings = (deal) => {
+    if (!deal) return 0;
+    
+    if (deal.discountedPrice && deal.price) {
+      return Math.max(0, Math.round((deal.price - deal.discountedPrice) * 100) / 100);
+    }
+    
+    const savings = estimateSavings(getDealDiscount(deal), {
+      spend: estimateDealSpend(deal),
+      regularPrice: deal.price || null,
+      marketPrice: deal.marketAverage || null
+    });
+    
+    return Math.round(savings * 100) / 100;
+  };
+  
+  /**
+   * Calculate a value score for a deal
+   * Uses its prices when it has them, otherwise its parsed discount (percent off,
+   * dollars off, BOGO, free item, bundle or size price). Each restriction costs a little value.
+   * @param {Object} deal - Deal object
+   * @returns {number} - Value score from 0-10 (10 being best value)
+   */
+  export const calculateDealValueScore = (deal) => {
+    if (!deal) return 5.0;
+    
+    let score;
+    
+    if (deal.discountedPrice && deal.price) {
+      score = calculateValueScore(deal.discountedPrice, deal.price, deal.marketAverage || deal.price);
+    } else {
+      const discountPercent = estimateDealDiscountPercent(deal);
+      
+      // With no market data, a discount off the regular price is also a discount off the market
+      score = calculateValueScore(100 - Math.min(discountPercent, 99), 100, 100);
+    }
+    
+    const restrictionCount = Array.isArray(deal.restrictions) ? deal.restrictions.length : 0;
+    score = Math.max(0, score - restrictionCount * 0.2);
+    
+    return Math.round(score * 10) / 10;
+  };
@@ -0,0 +1,80 @@
+// src/utils/VendorScoring.js
+// Value-per-mile scoring for choosing which vendors make it into a route.
+// A vendor's value is its deal value (ValueCalculator scores, 0-10 per deal) plus
+// small bonuses for partners and the user's favorites; its score is that value
+// divided by the miles it adds to the journey, plus one so nearby stops don't
+// dominate just for being close.
+
+export const PARTNER_BONUS = 1.5;
+export const FAVORITE_BONUS = 2.5;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Work out how many miles visiting a vendor adds to a journey
+ * With an end point this is the detour from the straight start-to-end trip; without
+ * one it is the distance from the start
+ * @param {Object} startLocation - Starting coordinates
+ * @param {Object} vendorCoords - Vendor coordinates
+ * @param {Object|null} endLocation - Where the journey finishes, if anywhere
+ * @param {Function} distanceFn - (lat1, lon1, lat2, lon2) => miles
+ * @returns {number} - Extra miles (never negative)
+ */
+export const calculateDetourMiles = (startLocation, vendorCoords, endLocation, distanceFn) => {
+  const toVendor = distanceFn(
+    startLocation.latitude,
+    startLocation.longitude,
+    vendorCoords.latitude,
+    vendorCoords.longitude
+  );
+
+  if (!endLocation) return toVendor;
+
+  const fromVendor = distanceFn(
+    vendorCoords.latitude,
+    vendorCoords.longitude,
+    endLocation.latitude,
+    endLocation.longitude
+  );
+  const direct = distanceFn(
+    startLocation.latitude,
+    startLocation.longitude,
+    endLocation.latitude,
+    endLocation.longitude
+  );
+
+  return Math.max(0, toVendor + fromVendor - direct);
+};
+
+/**
+ * Combine what a vendor offers and what it costs to reach into one score
+ * @param {Object} factors - Scoring factors
+ * @param {number} factors.dealValue - Summed deal value scores for the visit
+ * @param {number} factors.detourMiles - Miles the visit adds to the journey
+ * @param {boolean} [factors.isPartner] - Whether the vendor is a partner
+ * @param {boolean} [factors.isFavorite] - Whether the user has favorited the vendor
+ * @returns {Object} - { score, dealValue, detourMiles, partnerBonus, favoriteBonus }
+ */
+export const scoreVendor = ({ dealValue, detourMiles, isPartner = false, isFavorite = false }) => {
+  const partnerBonus = isPartner ? PARTNER_BONUS : 0;
+  const favoriteBonus = isFavorite ? FAVORITE_BONUS : 0;
+  const detour = Math.max(0, detourMiles || 0);
+
+  return {
+    score: round((dealValue + partnerBonus + favoriteBonus) / (detour + 1), 2),
+    dealValue: round(dealValue, 1),
+    detourMiles: round(detour, 2),
+    partnerBonus,
+    favoriteBonus
+  };
+};
+
+/**
+ * Sort comparator for vendors carrying a valueScore: best score first, then closest
+ * @param {Object} a - Vendor
+ * @param {Object} b - Vendor
+ * @returns {number} - Comparator result
+ */
+export const compareVendorScores = (a, b) =>
+  (b.valueScore?.score || 0) - (a.valueScore?.score || 0) ||
+  (a.distance || 0) - (b.distance || 0);
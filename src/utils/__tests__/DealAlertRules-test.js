@@ -0,0 +1,100 @@
+/* eslint-env jest */
+import {
+  normalizeAlertRule,
+  matchesAlertRule,
+  describeAlertRule,
+  getAlertRuleName
+} from '../DealAlertRules';
+
+// 2026-05-06 is a Wednesday
+const wednesday = new Date(2026, 4, 6, 12, 0);
+
+describe('special at favorites', () => {
+  const rule = normalizeAlertRule({ dealTypes: ['special'], vendorScope: 'favorites' });
+  const special = { dealType: 'special', vendorId: 'v1', title: 'Anniversary sale', endDate: '2026-05-10T23:59:00' };
+  const context = { favorites: ['v1'], date: wednesday };
+
+  it('matches specials at favorite vendors', () => {
+    expect(matchesAlertRule(rule, special, context)).toBe(true);
+  });
+
+  it('skips other vendors, other deal types and specials that have ended', () => {
+    expect(matchesAlertRule(rule, { ...special, vendorId: 'v2' }, context)).toBe(false);
+    expect(matchesAlertRule(rule, { ...special, dealType: 'daily', day: 'wednesday' }, context)).toBe(false);
+    expect(matchesAlertRule(rule, { ...special, endDate: '2026-05-01T00:00:00' }, context)).toBe(false);
+  });
+
+  it('is described in words', () => {
+    expect(describeAlertRule(rule)).toBe('Specials at your favorites');
+  });
+});
+
+describe('edibles 25%+ within 5 mi', () => {
+  const rule = normalizeAlertRule({ category: 'edibles', minDiscountPercent: 25, maxDistance: 5 });
+  const edible = { dealType: 'everyday', vendorId: 'v1', title: '30% off all edibles' };
+
+  it('matches discounted edibles close enough', () => {
+    expect(matchesAlertRule(rule, edible, { distance: 3, date: wednesday })).toBe(true);
+    expect(matchesAlertRule(rule, { ...edible, title: 'Edible gummies', discount: '25% off' }, { distance: 3, date: wednesday }))
+      .toBe(true);
+  });
+
+  it('skips smaller discounts, other products and vendors too far or of unknown distance', () => {
+    expect(matchesAlertRule(rule, { ...edible, title: '20% off all edibles' }, { distance: 3, date: wednesday })).toBe(false);
+    expect(matchesAlertRule(rule, { ...edible, title: '30% off all flower' }, { distance: 3, date: wednesday })).toBe(false);
+    expect(matchesAlertRule(rule, edible, { distance: 6, date: wednesday })).toBe(false);
+    expect(matchesAlertRule(rule, edible, { date: wednesday })).toBe(false);
+  });
+
+  it('is described in words', () => {
+    expect(describeAlertRule(rule)).toBe('Edibles 25%+ off within 5 mi');
+  });
+});
+
+describe('daily at a vendor on Fridays', () => {
+  const rule = normalizeAlertRule({
+    dealTypes: ['daily'],
+    vendorScope: 'selected',
+    vendors: [{ id: 'v1', name: 'Green Leaf' }],
+    days: ['friday']
+  });
+  const fridayDeal = { dealType: 'daily', day: 'friday', vendorId: 'v1', title: 'Flower Friday' };
+
+  it('matches the vendor\'s Friday deal ahead of Friday', () => {
+    expect(matchesAlertRule(rule, fridayDeal, { date: wednesday })).toBe(true);
+  });
+
+  it('skips other days and vendors', () => {
+    expect(matchesAlertRule(rule, { ...fridayDeal, day: 'saturday' }, { date: wednesday })).toBe(false);
+    expect(matchesAlertRule(rule, { ...fridayDeal, vendorId: 'v2' }, { date: wednesday })).toBe(false);
+  });
+
+  it('is described in words', () => {
+    expect(describeAlertRule(rule)).toBe('Daily deals at Green Leaf on Fridays');
+  });
+});
+
+describe('rule defaults and names', () => {
+  it('fills in a rule that matches any deal', () => {
+    const rule = normalizeAlertRule({ id: 'r1', vendorScope: 'nowhere', minDiscountPercent: 0 });
+
+    expect(rule).toMatchObject({
+      name: '',
+      isEnabled: true,
+      dealTypes: [],
+      vendorScope: 'any',
+      minDiscountPercent: null,
+      days: []
+    });
+    expect(matchesAlertRule(rule, { dealType: 'everyday', title: 'Anything' }, { date: wednesday })).toBe(true);
+    expect(matchesAlertRule({ ...rule, isEnabled: false }, { dealType: 'everyday' }, { date: wednesday })).toBe(false);
+  });
+
+  it('names unnamed rules after their current criteria', () => {
+    const rule = normalizeAlertRule({ dealTypes: ['special'] });
+
+    expect(getAlertRuleName(rule)).toBe('Specials');
+    expect(getAlertRuleName({ ...rule, dealTypes: ['daily'] })).toBe('Daily deals');
+    expect(getAlertRuleName({ ...rule, name: 'Sale watch' })).toBe('Sale watch');
+  });
+});
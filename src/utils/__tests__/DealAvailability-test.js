@@ -0,0 +1,101 @@
+/* eslint-env jest */
+import {
+  parseTimeWindows,
+  getDealTimeWindows,
+  isDealActiveAt,
+  formatTimeWindow,
+  describeDealHours
+} from '../DealAvailability';
+
+// 2026-05-08 is a Friday
+const at = (day, hours, minutes = 0) => new Date(2026, 4, day, hours, minutes);
+
+describe('parseTimeWindows', () => {
+  it('reads happy hours that borrow the meridiem from the other end', () => {
+    expect(parseTimeWindows('20% off 4-6pm only')).toEqual([{ start: '16:00', end: '18:00' }]);
+    expect(parseTimeWindows('Lunch deal 11-2pm')).toEqual([{ start: '11:00', end: '14:00' }]);
+  });
+
+  it('reads windows that run past midnight', () => {
+    expect(parseTimeWindows('Late night 8pm-2am')).toEqual([{ start: '20:00', end: '02:00' }]);
+    expect(parseTimeWindows('10pm to midnight')).toEqual([{ start: '22:00', end: '24:00' }]);
+  });
+
+  it('reads open-ended times', () => {
+    expect(parseTimeWindows('Early bird, until 11am')).toEqual([{ start: '00:00', end: '11:00' }]);
+    expect(parseTimeWindows('After 8pm')).toEqual([{ start: '20:00', end: '24:00' }]);
+  });
+
+  it('does not mistake counts for hours', () => {
+    expect(parseTimeWindows('2-for-1 pre-rolls')).toEqual([]);
+    expect(parseTimeWindows('Limit 1-3 items')).toEqual([]);
+    expect(parseTimeWindows(null)).toEqual([]);
+  });
+});
+
+describe('getDealTimeWindows', () => {
+  it('prefers explicit windows and times over the text', () => {
+    expect(getDealTimeWindows({ timeWindows: [], title: '4-6pm' })).toEqual([]);
+    expect(getDealTimeWindows({ startTime: '09:00', endTime: '12:00', title: '4-6pm' }))
+      .toEqual([{ start: '09:00', end: '12:00' }]);
+  });
+
+  it('lists hours repeated across the deal text once', () => {
+    expect(getDealTimeWindows({ title: 'Happy hour 4-6pm', restrictions: ['4-6pm only'] }))
+      .toEqual([{ start: '16:00', end: '18:00' }]);
+  });
+});
+
+describe('isDealActiveAt', () => {
+  const happyHour = { dealType: 'everyday', title: '20% off 4-6pm only' };
+  const lateNight = { dealType: 'daily', day: 'friday', title: 'Late night 8pm-2am' };
+
+  it('only counts time-limited deals inside their hours', () => {
+    expect(isDealActiveAt(happyHour, at(8, 15, 59))).toBe(false);
+    expect(isDealActiveAt(happyHour, at(8, 16))).toBe(true);
+    expect(isDealActiveAt(happyHour, at(8, 18))).toBe(false);
+    expect(isDealActiveAt(happyHour, at(8, 12), { ignoreTime: true })).toBe(true);
+  });
+
+  it('keeps an "8pm-2am" daily deal live into the next morning', () => {
+    expect(isDealActiveAt(lateNight, at(8, 21))).toBe(true);
+    expect(isDealActiveAt(lateNight, at(9, 1))).toBe(true);
+    expect(isDealActiveAt(lateNight, at(9, 2))).toBe(false);
+  });
+
+  it('does not start an "8pm-2am" deal on the morning of its own day', () => {
+    expect(isDealActiveAt(lateNight, at(8, 1))).toBe(false);
+    expect(isDealActiveAt(lateNight, at(9, 21))).toBe(false);
+  });
+
+  it('treats "2-for-1" deals as running all day', () => {
+    const deal = { dealType: 'daily', day: 'friday', title: '2-for-1 pre-rolls' };
+
+    expect(isDealActiveAt(deal, at(8, 9))).toBe(true);
+    expect(isDealActiveAt(deal, at(8, 23))).toBe(true);
+    expect(isDealActiveAt(deal, at(9, 9))).toBe(false);
+  });
+
+  it('respects start and end dates and inactive deals', () => {
+    const special = { dealType: 'special', startDate: '2026-05-09T00:00:00', endDate: '2026-05-10T12:00:00' };
+
+    expect(isDealActiveAt(special, at(8, 12))).toBe(false);
+    expect(isDealActiveAt(special, at(10, 20))).toBe(true);
+    expect(isDealActiveAt({ ...special, isActive: false }, at(10, 12))).toBe(false);
+  });
+});
+
+describe('describing deal hours', () => {
+  it('formats windows the way deals write them', () => {
+    expect(formatTimeWindow({ start: '16:00', end: '18:00' })).toBe('4–6pm');
+    expect(formatTimeWindow({ start: '11:00', end: '14:00' })).toBe('11am–2pm');
+    expect(formatTimeWindow({ start: '20:00', end: '02:00' })).toBe('8pm–2am');
+    expect(formatTimeWindow({ start: '20:00', end: '24:00' })).toBe('after 8pm');
+    expect(formatTimeWindow({ start: '00:00', end: '11:00' })).toBe('until 11am');
+  });
+
+  it('describes only time-limited deals', () => {
+    expect(describeDealHours({ title: '4-6pm' })).toBe('4–6pm only');
+    expect(describeDealHours({ title: '2-for-1' })).toBeNull();
+  });
+});
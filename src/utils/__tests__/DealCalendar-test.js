@@ -0,0 +1,144 @@
+/* eslint-env jest */
+import { buildDealCalendar, buildDealEvent, buildDealCalendarIcs } from '../DealCalendar';
+
+// 2026-05-04 is a Monday
+const monday = new Date(2026, 4, 4);
+
+const octets = (text) => unescape(encodeURIComponent(text)).length;
+const unfold = (contents) => contents.replace(/\r\n /g, '');
+
+describe('buildDealCalendar', () => {
+  it('lists each day\'s deals with specials first and leaves out birthday deals', () => {
+    const days = buildDealCalendar([
+      { id: 'd1', dealType: 'daily', day: 'tuesday', title: 'Taco Tuesday', vendorName: 'B' },
+      { id: 's1', dealType: 'special', title: '4/20', startDate: '2026-05-05T00:00:00', endDate: '2026-05-05T23:59:00', vendorName: 'A' },
+      { id: 'b1', dealType: 'birthday', title: 'Birthday gift' }
+    ], { startDate: monday, days: 3 });
+
+    expect(days.map(day => day.day)).toEqual(['monday', 'tuesday', 'wednesday']);
+    expect(days.map(day => day.deals.map(deal => deal.id))).toEqual([[], ['s1', 'd1'], []]);
+  });
+});
+
+describe('buildDealEvent', () => {
+  it('repeats a daily deal weekly from its next day', () => {
+    const event = buildDealEvent({ id: 'd1', dealType: 'daily', day: 'friday', title: 'Flower Friday' }, { from: monday });
+
+    expect(event).toMatchObject({
+      uid: 'd1@lootsganjaapp',
+      summary: 'Flower Friday',
+      allDay: true,
+      start: new Date(2026, 4, 8),
+      end: new Date(2026, 4, 9),
+      rrule: 'FREQ=WEEKLY;BYDAY=FR'
+    });
+  });
+
+  it('makes a single happy hour a timed event', () => {
+    const event = buildDealEvent({ id: 'e1', dealType: 'everyday', title: '20% off 4-6pm' }, { from: monday });
+
+    expect(event).toMatchObject({
+      allDay: false,
+      start: new Date(2026, 4, 4, 16, 0),
+      end: new Date(2026, 4, 4, 18, 0),
+      rrule: 'FREQ=DAILY'
+    });
+  });
+
+  it('ends a past-midnight window the next day', () => {
+    const event = buildDealEvent({ id: 'e2', dealType: 'everyday', title: 'Late night 8pm-2am' }, { from: monday });
+
+    expect(event.start).toEqual(new Date(2026, 4, 4, 20, 0));
+    expect(event.end).toEqual(new Date(2026, 4, 5, 2, 0));
+  });
+
+  it('spans an all-day special across its dates without repeating', () => {
+    const event = buildDealEvent({
+      id: 's1',
+      dealType: 'special',
+      title: 'Anniversary sale',
+      startDate: '2026-05-06T00:00:00',
+      endDate: '2026-05-08T23:59:00'
+    }, { from: monday });
+
+    expect(event).toMatchObject({ allDay: true, start: new Date(2026, 4, 6), end: new Date(2026, 4, 9), rrule: null });
+  });
+
+  it('repeats a timed special daily until its last day', () => {
+    const event = buildDealEvent({
+      id: 's2',
+      dealType: 'special',
+      title: 'Happy hour week 4-6pm',
+      startDate: '2026-05-06T00:00:00',
+      endDate: '2026-05-08T23:59:00'
+    }, { from: monday });
+
+    expect(event.rrule).toBe('FREQ=DAILY;UNTIL=20260508T235959');
+  });
+
+  it('ends a weekly rule on the last date with a date-only UNTIL for all-day events', () => {
+    const event = buildDealEvent({
+      id: 'm1',
+      dealType: 'multi_day',
+      title: 'Weekend deal',
+      activeDays: ['saturday', 'sunday'],
+      endDate: '2026-05-31T12:00:00'
+    }, { from: monday });
+
+    expect(event.rrule).toBe('FREQ=WEEKLY;BYDAY=SA,SU;UNTIL=20260531');
+  });
+
+  it('skips deals that have ended or aren\'t on the calendar', () => {
+    expect(buildDealEvent({ id: 's3', dealType: 'special', endDate: '2026-05-01T00:00:00' }, { from: monday })).toBeNull();
+    expect(buildDealEvent({ id: 'b1', dealType: 'birthday', title: 'Birthday gift' }, { from: monday })).toBeNull();
+  });
+});
+
+describe('buildDealCalendarIcs', () => {
+  const longDeal = {
+    id: 'd2',
+    dealType: 'daily',
+    day: 'monday',
+    title: 'Mellow Monday',
+    vendorName: 'Green Leaf',
+    description: 'Café favourites — 20% off every single pre-roll, cartridge and edible in the store, all day long; limit one per customer',
+    vendorLocation: { address: '123 Main St, Seattle, WA' }
+  };
+
+  it('writes one event per deal with CRLF line endings', () => {
+    const { contents, eventCount } = buildDealCalendarIcs([longDeal, longDeal], { from: monday });
+
+    expect(eventCount).toBe(1);
+    expect(contents.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(contents.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(contents).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO\r\n');
+    expect(contents).toContain('DTSTART;VALUE=DATE:20260504\r\n');
+  });
+
+  it('escapes text values', () => {
+    const { contents } = buildDealCalendarIcs([longDeal], { from: monday });
+
+    expect(unfold(contents)).toContain('LOCATION:123 Main St\\, Seattle\\, WA\r\n');
+    expect(unfold(contents)).toContain('all day long\\; limit one per customer');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const { contents } = buildDealCalendarIcs([longDeal], { from: monday });
+    const lines = contents.split('\r\n');
+
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    lines.forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+    expect(unfold(contents)).toContain('DESCRIPTION:Café favourites — 20% off every single pre-roll');
+  });
+
+  it('keeps multi-byte characters whole at a fold', () => {
+    const { contents } = buildDealCalendarIcs([{ ...longDeal, description: '🌿'.repeat(40) }], { from: monday });
+    const description = contents.slice(contents.indexOf('DESCRIPTION:'), contents.indexOf('\r\nLOCATION:'));
+
+    description.split('\r\n').forEach(line => {
+      expect(octets(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toMatch(/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/);
+    });
+    expect(unfold(description)).toBe(`DESCRIPTION:${'🌿'.repeat(40)}`);
+  });
+});
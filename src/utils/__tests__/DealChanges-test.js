@@ -0,0 +1,109 @@
+/* eslint-env jest */
+import {
+  getDealKey,
+  diffDeals,
+  getChangesSince,
+  summarizeChangesByVendor,
+  describeVendorChanges
+} from '../DealChanges';
+
+const at = (hours) => new Date(2026, 4, 8, hours, 0);
+const deal = (id, extra = {}) => ({ id, vendorId: 'v1', dealType: 'daily', title: `${id} deal`, ...extra });
+const changeKeys = (changes) => changes.map(change => [change.key, change.change]);
+
+describe('getDealKey', () => {
+  it('uses the id, or what the deal is when there is none', () => {
+    expect(getDealKey({ id: 42 })).toBe('42');
+    expect(getDealKey({ vendorId: 'v1', dealType: 'daily', day: 'friday', title: '20% off' }))
+      .toBe('v1:daily:friday:20% off');
+  });
+});
+
+describe('diffDeals', () => {
+  it('finds added, removed and edited deals', () => {
+    const changes = diffDeals(
+      [deal('kept'), deal('edited', { discount: '10%' }), deal('gone')],
+      [deal('kept'), deal('edited', { discount: '15%' }), deal('new')],
+      at(9)
+    );
+
+    expect(changeKeys(changes)).toEqual([
+      ['edited', 'modified'],
+      ['new', 'added'],
+      ['gone', 'removed']
+    ]);
+    expect(changes[0]).toMatchObject({ fields: ['discount'], detectedAt: at(9).toISOString(), vendorId: 'v1' });
+  });
+
+  it('ignores fields the cache adds', () => {
+    expect(diffDeals([deal('a')], [deal('a', { parsedDiscount: { kind: 'percent' } })])).toEqual([]);
+  });
+
+  it('treats a live Firestore timestamp and its stored form as the same time', () => {
+    const endDate = new Date('2026-05-10T12:00:00.250Z');
+    const live = deal('a', { endDate: { toDate: () => endDate } });
+    const stored = deal('a', { endDate: { seconds: Math.floor(endDate.getTime() / 1000), nanoseconds: 250000000 } });
+
+    expect(diffDeals([stored], [live])).toEqual([]);
+    expect(diffDeals([stored], [deal('a', { endDate: { toDate: () => new Date('2026-05-11T12:00:00Z') } })]))
+      .toEqual([expect.objectContaining({ change: 'modified', fields: ['endDate'] })]);
+  });
+
+  it('lists a multi-day deal once however many days it is listed under', () => {
+    const weekend = { vendorId: 'v1', dealType: 'multi_day', title: 'Weekend deal' };
+
+    expect(changeKeys(diffDeals([deal('x')], [deal('x'), weekend, { ...weekend }])))
+      .toEqual([['v1:multi_day::Weekend deal', 'added']]);
+    expect(diffDeals([weekend, { ...weekend }], [weekend])).toEqual([]);
+  });
+});
+
+describe('getChangesSince', () => {
+  const entry = (key, change, hours) => ({ key, change, vendorId: 'v1', title: key, detectedAt: at(hours).toISOString() });
+
+  it('leaves out a deal added and then removed', () => {
+    expect(getChangesSince([entry('a', 'added', 1), entry('a', 'removed', 2)], null)).toEqual([]);
+  });
+
+  it('counts a deal edited and then removed as removed', () => {
+    expect(changeKeys(getChangesSince([entry('a', 'modified', 1), entry('a', 'removed', 2)], null)))
+      .toEqual([['a', 'removed']]);
+  });
+
+  it('counts a deal added and then edited as added, with its latest details', () => {
+    const changes = getChangesSince([entry('a', 'added', 1), { ...entry('a', 'modified', 2), title: 'Better deal' }], null);
+
+    expect(changes).toEqual([expect.objectContaining({ change: 'added', title: 'Better deal', detectedAt: at(2).toISOString() })]);
+  });
+
+  it('only counts changes after the given moment, newest first', () => {
+    const changeLog = [
+      entry('a', 'added', 1),
+      entry('b', 'added', 3),
+      entry('a', 'removed', 4),
+      entry('c', 'modified', 5)
+    ];
+
+    // Added before the last visit, so its removal counts
+    expect(changeKeys(getChangesSince(changeLog, at(2)))).toEqual([['c', 'modified'], ['a', 'removed'], ['b', 'added']]);
+    expect(getChangesSince(changeLog, at(5))).toEqual([]);
+  });
+});
+
+describe('vendor summaries', () => {
+  it('counts and describes each vendor\'s changes', () => {
+    const summaries = summarizeChangesByVendor([
+      { vendorId: 'v1', change: 'added' },
+      { vendorId: 'v1', change: 'added' },
+      { vendorId: 'v2', change: 'modified' },
+      { vendorId: 'v3', change: 'removed' },
+      { vendorId: null, change: 'added' }
+    ]);
+
+    expect(summaries.get('v1')).toEqual({ added: 2, removed: 0, modified: 0, total: 2 });
+    expect(describeVendorChanges(summaries.get('v1'))).toBe('2 new deals');
+    expect(describeVendorChanges(summaries.get('v2'))).toBe('Deals updated');
+    expect(describeVendorChanges(summaries.get('v3'))).toBe('Deals ended');
+    expect(describeVendorChanges(undefined)).toBeNull();
+  });
+});
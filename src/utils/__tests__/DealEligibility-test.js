@@ -0,0 +1,114 @@
+/* eslint-env jest */
+import {
+  parseRestrictionText,
+  parseDealRestrictions,
+  getEligibilityContext,
+  evaluateDealEligibility,
+  isDealIneligible,
+  describeEligibility
+} from '../DealEligibility';
+
+const kinds = (restrictions) => restrictions.map(restriction => restriction.kind);
+
+describe('parseRestrictionText', () => {
+  it('reads who a deal is for', () => {
+    expect(kinds(parseRestrictionText('15% Off for Veterans'))).toEqual(['veteran']);
+    expect(kinds(parseRestrictionText('First-Time Customers only'))).toEqual(['first_visit']);
+    expect(kinds(parseRestrictionText('Medical patients only'))).toEqual(['medical_card']);
+    expect(kinds(parseRestrictionText('Valid ID required'))).toEqual(['id_required']);
+    expect(parseRestrictionText('20% off all flower')).toEqual([]);
+    expect(parseRestrictionText(null)).toEqual([]);
+  });
+
+  it('reads senior ages, but not "21+" as one', () => {
+    expect(parseRestrictionText('Seniors 60+ save 10%')).toEqual([
+      { kind: 'senior', text: 'Seniors 60+ save 10%', minimumAge: 60 }
+    ]);
+    expect(parseRestrictionText('Senior discount, must be 21+')).toEqual([
+      { kind: 'senior', text: 'Senior discount, must be 21+' }
+    ]);
+    expect(parseRestrictionText('21+ only')).toEqual([]);
+  });
+
+  it('reads minimum spends however they are written', () => {
+    expect(parseRestrictionText('Minimum purchase $50')[0].minimumPurchase).toBe(50);
+    expect(parseRestrictionText('$25 or more')[0].minimumPurchase).toBe(25);
+    expect(parseRestrictionText('Free pre-roll with $40 purchase')[0].minimumPurchase).toBe(40);
+  });
+});
+
+describe('parseDealRestrictions', () => {
+  it('reads the title and description as well as the restrictions, one per kind', () => {
+    const restrictions = parseDealRestrictions({
+      title: 'Veterans Day: 20% off',
+      description: 'For veterans with a minimum purchase of $30',
+      restrictions: ['Minimum $50', 'Valid ID required']
+    });
+
+    expect(kinds(restrictions)).toEqual(['minimum_purchase', 'id_required', 'veteran']);
+    expect(restrictions[0].minimumPurchase).toBe(50);
+  });
+
+  it('takes the minimum spend from the parsed discount when the text has none', () => {
+    const restrictions = parseDealRestrictions({
+      title: 'Free pre-roll',
+      discount: '$10 off $50',
+      parsedDiscount: { kind: 'dollar_off', amount: 10, minimumPurchase: 50 }
+    });
+
+    expect(restrictions).toEqual([{ kind: 'minimum_purchase', text: '$10 off $50', minimumPurchase: 50 }]);
+  });
+});
+
+describe('evaluateDealEligibility', () => {
+  const contextFor = (eligibility, visitedVendors = []) => getEligibilityContext({ eligibility, visitedVendors });
+
+  it.each([
+    ['veteran', { title: '15% off for veterans' }, 'isVeteran'],
+    ['senior', { title: 'Seniors 65+ get 10% off' }, 'isSenior'],
+    ['medical card', { restrictions: ['Medical patients only'] }, 'hasMedicalCard']
+  ])('checks %s deals against the profile answer', (label, deal, answer) => {
+    expect(evaluateDealEligibility(deal, contextFor({ [answer]: true })).status).toBe('eligible');
+    expect(evaluateDealEligibility(deal, contextFor({ [answer]: false })).status).toBe('ineligible');
+    expect(evaluateDealEligibility(deal, contextFor({ [answer]: null })).status).toBe('unknown');
+    expect(evaluateDealEligibility(deal, {}).status).toBe('unknown');
+  });
+
+  it('rules out first-visit deals once the user has checked in at the vendor', () => {
+    const deal = { vendorId: 'v1', title: 'First-time customers: free gram' };
+
+    expect(evaluateDealEligibility(deal, contextFor({})).status).toBe('eligible');
+    expect(evaluateDealEligibility(deal, contextFor({}, ['v2'])).status).toBe('eligible');
+    expect(evaluateDealEligibility(deal, contextFor({}, ['v1'])).restrictions[0]).toMatchObject({
+      status: 'ineligible',
+      reason: 'First-time customers only; you\'ve checked in here before'
+    });
+    expect(isDealIneligible({ title: deal.title }, { ...contextFor({}, ['v1']), vendorId: 'v1' })).toBe(true);
+  });
+
+  it('takes the status of the most restrictive restriction', () => {
+    const deal = { title: '20% off for veterans', restrictions: ['Minimum purchase $50'] };
+
+    expect(evaluateDealEligibility(deal, contextFor({ isVeteran: true })).status).toBe('conditional');
+    expect(evaluateDealEligibility(deal, contextFor({ isVeteran: false })).status).toBe('ineligible');
+    expect(evaluateDealEligibility({ title: '20% off flower' }, {}).status).toBe('eligible');
+  });
+
+  it('uses restrictions the deal cache already parsed', () => {
+    const deal = { title: 'Anything', parsedRestrictions: [{ kind: 'veteran', text: 'Veterans' }] };
+
+    expect(isDealIneligible(deal, contextFor({ isVeteran: false }))).toBe(true);
+  });
+});
+
+describe('describeEligibility', () => {
+  it('leads with what decided the status', () => {
+    const eligibility = evaluateDealEligibility(
+      { title: 'Seniors 60+ save 10%', restrictions: ['Minimum purchase $50'] },
+      { profile: { isSenior: false } }
+    );
+
+    expect(describeEligibility(eligibility)).toBe('Seniors 60+ only · Spend $50+');
+    expect(describeEligibility(evaluateDealEligibility({ title: '20% off' }))).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+/* eslint-env jest */
+import {
+  DEFAULT_DEAL_STACKING,
+  getStackingRules,
+  canCombineDeals,
+  resolveBestDealCombo,
+  getBestDealCombo,
+  describeDealCombo
+} from '../DealStacking';
+
+// A deal worth `savings` dollars
+const deal = (id, dealType, savings, extra = {}) => ({
+  id,
+  dealType,
+  title: `${id} deal`,
+  price: 100,
+  discountedPrice: 100 - savings,
+  ...extra
+});
+
+// 2026-05-08 is a Friday
+const friday = new Date(2026, 4, 8, 15, 0);
+
+describe('stacking rules', () => {
+  it('fills in whatever the vendor leaves out', () => {
+    expect(getStackingRules(null)).toEqual(DEFAULT_DEAL_STACKING);
+    expect(getStackingRules({ dealStacking: { maxDeals: 3 } })).toEqual({ ...DEFAULT_DEAL_STACKING, maxDeals: 3 });
+  });
+
+  it('combines a birthday deal with one other type by default', () => {
+    expect(canCombineDeals(deal('a', 'birthday', 5), deal('b', 'daily', 5), DEFAULT_DEAL_STACKING)).toBe(true);
+    expect(canCombineDeals(deal('a', 'daily', 5), deal('b', 'birthday', 5), DEFAULT_DEAL_STACKING)).toBe(true);
+    expect(canCombineDeals(deal('a', 'daily', 5), deal('b', 'daily', 5), DEFAULT_DEAL_STACKING)).toBe(false);
+    expect(canCombineDeals(deal('a', 'birthday', 5), deal('b', 'special', 5), DEFAULT_DEAL_STACKING)).toBe(false);
+  });
+
+  it('keeps deals that say so out of any combination', () => {
+    const standalone = deal('a', 'daily', 5, { restrictions: ['Cannot be combined with other offers'] });
+
+    expect(canCombineDeals(standalone, deal('b', 'birthday', 5), DEFAULT_DEAL_STACKING)).toBe(false);
+    expect(canCombineDeals(
+      deal('a', 'daily', 5, { description: 'No stacking' }),
+      deal('b', 'birthday', 5),
+      DEFAULT_DEAL_STACKING
+    )).toBe(false);
+  });
+});
+
+describe('resolveBestDealCombo', () => {
+  it('picks the pair that saves the most and explains the rest', () => {
+    const combo = resolveBestDealCombo([
+      deal('daily-small', 'daily', 5),
+      deal('daily-big', 'daily', 15),
+      deal('birthday', 'birthday', 10)
+    ]);
+
+    expect(combo.deals.map(d => d.id)).toEqual(['birthday', 'daily-big']);
+    expect(combo.totalSavings).toBe(25);
+    expect(combo.excluded).toEqual([
+      { deal: expect.objectContaining({ id: 'daily-small' }), reason: 'Only one daily deal per visit' }
+    ]);
+  });
+
+  it('uses a special alone when it beats any combination', () => {
+    const combo = resolveBestDealCombo([
+      deal('special', 'special', 40),
+      deal('daily', 'daily', 15),
+      deal('birthday', 'birthday', 10)
+    ]);
+
+    expect(combo.deals.map(d => d.id)).toEqual(['special']);
+    expect(combo.excluded.map(entry => entry.reason)).toEqual([
+      'Can\'t be combined with special deal',
+      'Can\'t be combined with special deal'
+    ]);
+  });
+
+  it('honours the vendor\'s deal limit', () => {
+    const rules = { combinable: [['daily', 'everyday'], ['daily', 'birthday'], ['everyday', 'birthday']], exclusive: [], maxDeals: 2 };
+    const combo = resolveBestDealCombo([
+      deal('daily', 'daily', 10),
+      deal('everyday', 'everyday', 8),
+      deal('birthday', 'birthday', 6)
+    ], rules);
+
+    expect(combo.deals.map(d => d.id)).toEqual(['daily', 'everyday']);
+    expect(combo.excluded[0].reason).toBe('Up to 2 deals per visit');
+  });
+
+  it('returns an empty combination for no deals', () => {
+    expect(resolveBestDealCombo([])).toEqual({ deals: [], totalSavings: 0, excluded: [] });
+    expect(describeDealCombo(resolveBestDealCombo([]))).toBeNull();
+  });
+});
+
+describe('getBestDealCombo', () => {
+  const vendor = {
+    id: 'v1',
+    deals: {
+      daily: {
+        friday: [{ id: 'fri', title: '20% off flower', price: 50, discountedPrice: 40 }],
+        saturday: [{ id: 'sat', title: '30% off edibles', price: 50, discountedPrice: 35 }]
+      },
+      everyday: [{ id: 'happy', title: '$5 off 4-6pm only', price: 30, discountedPrice: 25 }],
+      birthday: [{ id: 'bday', title: 'Free pre-roll', price: 10, discountedPrice: 0 }]
+    }
+  };
+
+  it('only considers deals running at the time of the visit', () => {
+    const combo = getBestDealCombo(vendor, { date: friday });
+
+    expect(combo.deals.map(d => d.id)).toEqual(['fri']);
+    expect(describeDealCombo(combo)).toBe('20% off flower');
+  });
+
+  it('adds birthday deals only when asked', () => {
+    const combo = getBestDealCombo(vendor, { date: friday, includeBirthday: true });
+
+    expect(combo.deals.map(d => d.id)).toEqual(['bday', 'fri']);
+    expect(describeDealCombo(combo)).toBe('Free pre-roll + 20% off flower');
+  });
+
+  it('leaves out the time-limited deal outside its hours', () => {
+    const happyHourOnly = { id: 'v2', deals: { everyday: vendor.deals.everyday } };
+
+    expect(getBestDealCombo(happyHourOnly, { date: new Date(2026, 4, 8, 17, 0) }).deals.map(d => d.id))
+      .toEqual(['happy']);
+    expect(getBestDealCombo(happyHourOnly, { date: new Date(2026, 4, 8, 9, 0) }).deals).toEqual([]);
+  });
+});
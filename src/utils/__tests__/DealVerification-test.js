@@ -0,0 +1,117 @@
+/* eslint-env jest */
+import {
+  groupReportsByDeal,
+  summarizeDealReports,
+  describeVerification
+} from '../DealVerification';
+
+const now = new Date(2026, 4, 8, 12, 0);
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const report = (userId, type, days = 0, extra = {}) => ({ id: `${userId}-${type}-${days}`, userId, type, createdAt: daysAgo(days), ...extra });
+
+describe('groupReportsByDeal', () => {
+  it('groups reports by deal key and skips ones without', () => {
+    const byDeal = groupReportsByDeal([
+      report('u1', 'confirmed', 0, { dealKey: 'a' }),
+      report('u2', 'expired', 0, { dealKey: 'b' }),
+      report('u3', 'confirmed', 0, { dealKey: 'a' }),
+      report('u4', 'confirmed'),
+      null
+    ]);
+
+    expect([...byDeal.keys()]).toEqual(['a', 'b']);
+    expect(byDeal.get('a').map(r => r.userId)).toEqual(['u1', 'u3']);
+  });
+});
+
+describe('summarizeDealReports', () => {
+  it('starts from the listing\'s own confidence', () => {
+    expect(summarizeDealReports([], { now })).toEqual({
+      confidence: 0.7,
+      lastVerifiedAt: null,
+      reportCount: 0,
+      confirmedCount: 0,
+      expiredCount: 0,
+      differentCount: 0,
+      isLikelyExpired: false
+    });
+  });
+
+  it('weighs recent reports more than old ones', () => {
+    expect(summarizeDealReports([report('u1', 'confirmed')], { now }).confidence).toBe(0.85);
+    expect(summarizeDealReports([report('u1', 'confirmed', 3)], { now }).confidence).toBe(0.8);
+  });
+
+  it('counts only each user\'s latest report', () => {
+    const summary = summarizeDealReports([
+      report('u1', 'expired', 2),
+      report('u1', 'confirmed', 1)
+    ], { now });
+
+    expect(summary.reportCount).toBe(1);
+    expect(summary.confirmedCount).toBe(1);
+    expect(summary.expiredCount).toBe(0);
+    expect(summary.lastVerifiedAt).toBe(daysAgo(1));
+  });
+
+  it('leaves out old reports and ones from before the listing changed', () => {
+    const reports = [report('u1', 'confirmed', 20), report('u2', 'confirmed', 5), report('u3', 'different', 1)];
+
+    expect(summarizeDealReports(reports, { now }).reportCount).toBe(2);
+    expect(summarizeDealReports(reports, { now, since: daysAgo(2) })).toMatchObject({
+      reportCount: 1,
+      lastVerifiedAt: null,
+      differentCount: 1
+    });
+  });
+
+  it('reads Firestore timestamps', () => {
+    const seconds = Math.floor(new Date(daysAgo(1)).getTime() / 1000);
+    const summary = summarizeDealReports([
+      { userId: 'u1', type: 'confirmed', createdAt: { seconds } },
+      { userId: 'u2', type: 'confirmed', createdAt: { toDate: () => new Date(daysAgo(2)) } }
+    ], { now });
+
+    expect(summary.confirmedCount).toBe(2);
+  });
+
+  it('marks a deal likely expired after enough expired reports since the last confirmation', () => {
+    const stillConfirmed = summarizeDealReports([
+      report('u1', 'expired', 3),
+      report('u2', 'expired', 2),
+      report('u3', 'confirmed', 1)
+    ], { now });
+    const expired = summarizeDealReports([
+      report('u1', 'confirmed', 3),
+      report('u2', 'expired', 2),
+      report('u3', 'expired', 1)
+    ], { now });
+
+    expect(stillConfirmed).toMatchObject({ expiredCount: 0, isLikelyExpired: false });
+    expect(expired).toMatchObject({ expiredCount: 2, isLikelyExpired: true });
+  });
+});
+
+describe('describeVerification', () => {
+  it('says nothing when nobody has reported', () => {
+    expect(describeVerification(summarizeDealReports([], { now }), now)).toBeNull();
+    expect(describeVerification(null, now)).toBeNull();
+  });
+
+  it('describes when the deal was verified and how confident we are', () => {
+    expect(describeVerification(summarizeDealReports([report('u1', 'confirmed')], { now }), now))
+      .toBe('Verified today · 85% confidence');
+    expect(describeVerification(summarizeDealReports([report('u1', 'confirmed', 1)], { now }), now))
+      .toMatch(/^Verified yesterday · /);
+    expect(describeVerification(summarizeDealReports([
+      report('u1', 'confirmed', 3),
+      report('u2', 'different', 1)
+    ], { now }), now)).toMatch(/^Verified 3 days ago · 1 said it's different than listed · \d+% confidence$/);
+  });
+
+  it('leads with expired reports when the deal is likely gone', () => {
+    const summary = summarizeDealReports([report('u1', 'expired', 1), report('u2', 'expired')], { now });
+
+    expect(describeVerification(summary, now)).toBe('Reported expired by 2 users');
+  });
+});
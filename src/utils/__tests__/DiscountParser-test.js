@@ -0,0 +1,103 @@
+/* eslint-env jest */
+import {
+  parseDiscount,
+  estimateSavings,
+  estimateDiscountPercent,
+  FREE_ITEM_VALUE,
+  DEFAULT_ITEM_PRICE,
+  DEFAULT_PRICE_PER_GRAM
+} from '../DiscountParser';
+import { DiscountKind } from '../../types/Schema';
+
+describe('parseDiscount', () => {
+  it('reads percent discounts and their minimum spend', () => {
+    expect(parseDiscount('20% OFF')).toMatchObject({ kind: DiscountKind.PERCENT, percent: 20, minimumPurchase: null });
+    expect(parseDiscount('15% off orders over $100')).toMatchObject({ percent: 15, minimumPurchase: 100 });
+    expect(parseDiscount('Half off edibles')).toMatchObject({ kind: DiscountKind.PERCENT, percent: 50 });
+  });
+
+  it('reads fixed amounts, with the spend they come off', () => {
+    expect(parseDiscount('$5 off')).toMatchObject({ kind: DiscountKind.FIXED_AMOUNT, amount: 5, minimumPurchase: null });
+    expect(parseDiscount('$10 off orders over $50')).toMatchObject({ amount: 10, minimumPurchase: 50 });
+    expect(parseDiscount('$10 OFF $50')).toMatchObject({ amount: 10, minimumPurchase: 50 });
+    expect(parseDiscount('$20 off a $100 purchase')).toMatchObject({ amount: 20, minimumPurchase: 100 });
+  });
+
+  it('reads buy-get deals', () => {
+    expect(parseDiscount('BOGO')).toMatchObject({ kind: DiscountKind.BOGO, buyQuantity: 1, getQuantity: 1, percent: 100 });
+    expect(parseDiscount('Buy 2 get 1 50% off')).toMatchObject({ buyQuantity: 2, getQuantity: 1, percent: 50 });
+  });
+
+  it('reads free items', () => {
+    expect(parseDiscount('Free pre-roll with $50 purchase')).toMatchObject({
+      kind: DiscountKind.FREE_ITEM,
+      item: 'pre-roll',
+      minimumPurchase: 50
+    });
+  });
+
+  it('reads bundle prices', () => {
+    expect(parseDiscount('2 for $30')).toMatchObject({ kind: DiscountKind.BUNDLE_PRICE, quantity: 2, price: 30 });
+    expect(parseDiscount('3/$50 pre-rolls')).toMatchObject({ quantity: 3, price: 50, item: 'pre-rolls' });
+    expect(parseDiscount('$5 pre-rolls')).toMatchObject({ kind: DiscountKind.BUNDLE_PRICE, quantity: 1, price: 5 });
+  });
+
+  it('reads prices for a size', () => {
+    expect(parseDiscount('3 grams for $25')).toEqual({
+      kind: DiscountKind.SIZE_PRICE,
+      text: '3 grams for $25',
+      grams: 3,
+      price: 25
+    });
+    expect(parseDiscount('1/8th for $20')).toMatchObject({ kind: DiscountKind.SIZE_PRICE, grams: 3.5, price: 20 });
+    expect(parseDiscount('1/4 oz for $45')).toMatchObject({ grams: 7, price: 45 });
+    expect(parseDiscount('3.5g for $25')).toMatchObject({ grams: 3.5, price: 25 });
+    expect(parseDiscount('An eighth @ $30')).toMatchObject({ grams: 3.5, price: 30 });
+    expect(parseDiscount('Half ounce for $90')).toMatchObject({ grams: 14, price: 90 });
+    expect(parseDiscount('$25 eighths')).toMatchObject({ kind: DiscountKind.SIZE_PRICE, grams: 3.5, price: 25 });
+  });
+
+  it('keeps text it cannot read', () => {
+    expect(parseDiscount('Ask in store')).toEqual({ kind: DiscountKind.UNKNOWN, text: 'Ask in store' });
+    expect(parseDiscount('')).toEqual({ kind: DiscountKind.UNKNOWN, text: '' });
+    expect(parseDiscount(null)).toEqual({ kind: DiscountKind.UNKNOWN, text: '' });
+  });
+});
+
+describe('estimateSavings', () => {
+  it('values percent, fixed, buy-get and free item discounts', () => {
+    expect(estimateSavings(parseDiscount('20% off'), { spend: 50 })).toBe(10);
+    expect(estimateSavings(parseDiscount('$5 off'), { spend: 3 })).toBe(3);
+    expect(estimateSavings(parseDiscount('BOGO'), { spend: 40 })).toBe(20);
+    expect(estimateSavings(parseDiscount('Free pre-roll'), { spend: 20 })).toBe(FREE_ITEM_VALUE);
+  });
+
+  it('saves nothing below the minimum purchase', () => {
+    expect(estimateSavings(parseDiscount('$10 OFF $50'), { spend: 40 })).toBe(0);
+    expect(estimateSavings(parseDiscount('$10 OFF $50'), { spend: 50 })).toBe(10);
+  });
+
+  it('values bundles against the regular price, then the market price, then a default', () => {
+    const bundle = parseDiscount('2 for $30');
+
+    expect(estimateSavings(bundle, { spend: 30, regularPrice: 25 })).toBe(20);
+    expect(estimateSavings(bundle, { spend: 30, marketPrice: 18 })).toBe(6);
+    expect(estimateSavings(bundle, { spend: 30 })).toBe(DEFAULT_ITEM_PRICE * 2 - 30);
+  });
+
+  it('values sizes by weight when nothing else is known', () => {
+    expect(estimateSavings(parseDiscount('1/8th for $20'), { spend: 20 })).toBe(3.5 * DEFAULT_PRICE_PER_GRAM - 20);
+    expect(estimateSavings(parseDiscount('1/8th for $20'), { spend: 20, marketPrice: 30 })).toBe(10);
+  });
+});
+
+describe('estimateDiscountPercent', () => {
+  it('measures fixed discounts against the minimum purchase', () => {
+    expect(estimateDiscountPercent(parseDiscount('$10 OFF $50'), { spend: 0 })).toBe(20);
+  });
+
+  it('gives bundles a percentage without a regular price', () => {
+    expect(estimateDiscountPercent(parseDiscount('2 for $30'), { spend: 30, regularPrice: 20 })).toBe(25);
+    expect(estimateDiscountPercent(parseDiscount('2 for $30'), { spend: 30 })).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,51 @@
+/* eslint-env jest */
+import { normalizeJourneyForExport, buildGpx, buildKml } from '../JourneyExportUtils';
+
+const start = { latitude: 47.6, longitude: -122.3 };
+const stop = (name, latitude, longitude) => ({
+  name,
+  checkedIn: true,
+  location: { address: `${name} St`, coordinates: { latitude, longitude } }
+});
+
+const journey = {
+  id: 'journey-1',
+  dealType: 'daily',
+  completedAt: '2026-05-01T18:00:00.000Z',
+  startLocation: start,
+  vendors: [stop('First', 47.61, -122.31), stop('Second', 47.62, -122.32)],
+  breadcrumb: []
+};
+
+describe('normalizeJourneyForExport', () => {
+  it('starts the planned route at the start location when no geometry was saved', () => {
+    const { plannedRoute } = normalizeJourneyForExport(journey);
+
+    expect(plannedRoute).toEqual([
+      start,
+      { latitude: 47.61, longitude: -122.31 },
+      { latitude: 47.62, longitude: -122.32 }
+    ]);
+  });
+
+  it('uses saved route coordinates, which include the first leg', () => {
+    const routeCoordinates = [start, { latitude: 47.605, longitude: -122.305 }, { latitude: 47.61, longitude: -122.31 }];
+
+    expect(normalizeJourneyForExport({ ...journey, routeCoordinates }).plannedRoute).toEqual(routeCoordinates);
+  });
+});
+
+describe('export documents', () => {
+  it('writes the first leg into the GPX route', () => {
+    const gpx = buildGpx([journey]);
+
+    expect(gpx).toContain('<rtept lat="47.6" lon="-122.3"/>');
+    expect(gpx.indexOf('lat="47.6" lon="-122.3"')).toBeLessThan(gpx.indexOf('<rtept lat="47.61"'));
+  });
+
+  it('writes the KML planned route as longitude,latitude from the start', () => {
+    expect(buildKml([journey])).toContain(
+      '<LineString><coordinates>-122.3,47.6,0 -122.31,47.61,0 -122.32,47.62,0</coordinates></LineString>'
+    );
+  });
+});
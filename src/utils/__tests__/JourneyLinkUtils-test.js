@@ -0,0 +1,131 @@
+/* eslint-env jest */
+/* global Buffer */
+import {
+  JOURNEY_LINK_PREFIX,
+  encodeJourneyPayload,
+  buildJourneyLink,
+  isJourneyLink,
+  parseJourneyLink
+} from '../JourneyLinkUtils';
+
+const vendor = (id, name, latitude, longitude, dealTypes) => ({
+  id,
+  name,
+  dealTypes,
+  location: { coordinates: { latitude, longitude } }
+});
+
+// Encode a hand-written payload the way links are encoded
+const payloadOf = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const journey = {
+  dealType: 'daily',
+  dealTypes: ['daily', 'special'],
+  maxDistance: 15,
+  endMode: 'custom',
+  endLocation: { latitude: 47.6062095, longitude: -122.3320708, label: 'Home' },
+  travelMode: 'walk',
+  vendors: [
+    vendor('v1', 'Green Leaf', 47.6101234, -122.3412345, ['daily']),
+    vendor(42, 'Café Kush', 47.62, -122.35)
+  ]
+};
+
+describe('journey links', () => {
+  it('round-trips a journey through a link', () => {
+    const parsed = parseJourneyLink(buildJourneyLink(journey));
+
+    expect(parsed).toEqual({
+      dealType: 'daily',
+      dealTypes: ['daily', 'special'],
+      maxDistance: 15,
+      endMode: 'custom',
+      endLocation: { latitude: 47.60621, longitude: -122.33207, label: 'Home' },
+      travelMode: 'walk',
+      stops: [
+        { id: 'v1', name: 'Green Leaf', coordinates: { latitude: 47.61012, longitude: -122.34123 }, dealTypes: ['daily'] },
+        { id: '42', name: 'Café Kush', coordinates: { latitude: 47.62, longitude: -122.35 }, dealTypes: ['daily', 'special'] }
+      ]
+    });
+  });
+
+  it('encodes with URL-safe characters only', () => {
+    // Names chosen so standard base64 would need "+" and "/"
+    const payload = encodeJourneyPayload({ ...journey, vendors: [vendor('v1', '~?>~?>~~~', 1, 2)] });
+
+    expect(payload).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('only shares the end point of custom endings', () => {
+    const parsed = parseJourneyLink(buildJourneyLink({ ...journey, endMode: 'round_trip' }));
+
+    expect(parsed.endMode).toBe('round_trip');
+    expect(parsed.endLocation).toBeNull();
+  });
+
+  it('accepts bare payloads, standard padded base64 and trailing query strings', () => {
+    const standard = 'eyJ2IjoxLCJ0IjpbImRhaWx5Il0sInMiOltbInYxIiwiQ2Fmw6kgfj8+IixudWxsLG51bGxdXX0=';
+
+    expect(parseJourneyLink(standard).stops[0].name).toBe('Café ~?>');
+    expect(parseJourneyLink(`${JOURNEY_LINK_PREFIX}${encodeJourneyPayload(journey)}?utm=share`).stops).toHaveLength(2);
+  });
+
+  it('recognises journey links regardless of case and whitespace', () => {
+    expect(isJourneyLink('  LOOTSGANJA://journey/abc')).toBe(true);
+    expect(isJourneyLink('https://example.com/journey/abc')).toBe(false);
+    expect(isJourneyLink(null)).toBe(false);
+  });
+
+  it('rejects empty, corrupt, unsupported and stop-less links', () => {
+    expect(() => parseJourneyLink('')).toThrow('Journey link is empty');
+    expect(() => parseJourneyLink(`${JOURNEY_LINK_PREFIX}***`)).toThrow('Journey link is not valid');
+    // {"v":2,"t":[],"s":[]}
+    expect(() => parseJourneyLink('eyJ2IjoyLCJ0IjpbXSwicyI6W119')).toThrow('not supported');
+    expect(() => parseJourneyLink(encodeJourneyPayload({ ...journey, vendors: [] })))
+      .toThrow('Journey link has no stops');
+  });
+
+  it('rejects links whose deal types are all missing or unknown', () => {
+    const stops = [['v1', 'Green Leaf', null, null]];
+
+    expect(() => parseJourneyLink(payloadOf({ v: 1, t: [], s: stops }))).toThrow('Journey link has no deal types');
+    expect(() => parseJourneyLink(payloadOf({ v: 1, t: ['bogus', null, 7], s: stops })))
+      .toThrow('Journey link has no deal types');
+  });
+
+  it('drops unknown deal types, settings and malformed coordinates', () => {
+    const parsed = parseJourneyLink(payloadOf({
+      v: 1,
+      t: ['bogus', 'daily'],
+      m: 'far',
+      e: 'teleport',
+      w: 'hovercraft',
+      l: ['47.6', null, 'Home'],
+      s: [
+        ['v1', 'Green Leaf', [47.6, 'east'], ['bogus']],
+        ['v2', 7, [Infinity, -122.3], ['special', 'bogus']],
+        [{ id: 'v3' }, 'Not a stop', null, null],
+        [42, null, [47.62, -122.35], null]
+      ]
+    }));
+
+    expect(parsed).toEqual({
+      dealType: 'daily',
+      dealTypes: ['daily'],
+      maxDistance: null,
+      endMode: null,
+      endLocation: null,
+      travelMode: null,
+      stops: [
+        { id: 'v1', name: 'Green Leaf', coordinates: null, dealTypes: ['daily'] },
+        { id: 'v2', name: null, coordinates: null, dealTypes: ['special'] },
+        { id: '42', name: null, coordinates: { latitude: 47.62, longitude: -122.35 }, dealTypes: ['daily'] }
+      ]
+    });
+  });
+
+  it('rejects payloads that aren\'t valid UTF-8', () => {
+    // A lone continuation byte
+    expect(() => parseJourneyLink(Buffer.from([0x80]).toString('base64url'))).toThrow('Journey link is not valid');
+  });
+});
@@ -0,0 +1,40 @@
+/* eslint-env jest */
+import { decodePolyline, encodePolyline } from '../PolylineUtils';
+
+// The example from Google's encoded polyline format documentation
+const EXAMPLE_POLYLINE = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+const EXAMPLE_POINTS = [
+  { latitude: 38.5, longitude: -120.2 },
+  { latitude: 40.7, longitude: -120.95 },
+  { latitude: 43.252, longitude: -126.453 }
+];
+
+describe('decodePolyline', () => {
+  it('decodes the documented example', () => {
+    expect(decodePolyline(EXAMPLE_POLYLINE)).toEqual(EXAMPLE_POINTS);
+  });
+
+  it('returns no points for empty input', () => {
+    expect(decodePolyline('')).toEqual([]);
+    expect(decodePolyline(null)).toEqual([]);
+  });
+
+  it('rejects a truncated polyline', () => {
+    expect(() => decodePolyline(EXAMPLE_POLYLINE.slice(0, -1))).toThrow('Malformed encoded polyline');
+  });
+});
+
+describe('encodePolyline', () => {
+  it('encodes the documented example', () => {
+    expect(encodePolyline(EXAMPLE_POINTS)).toBe(EXAMPLE_POLYLINE);
+  });
+
+  it('round-trips at Valhalla precision', () => {
+    const points = [
+      { latitude: 47.606209, longitude: -122.332069 },
+      { latitude: 47.620422, longitude: -122.349358 }
+    ];
+
+    expect(decodePolyline(encodePolyline(points, 6), 6)).toEqual(points);
+  });
+});
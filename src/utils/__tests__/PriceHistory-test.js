@@ -0,0 +1,147 @@
+/* eslint-env jest */
+import {
+  parseUnitSize,
+  getMarketKey,
+  buildPriceObservation,
+  mergePriceObservations,
+  computeMarketAverages,
+  getMarketAverage,
+  getProductPriceHistory
+} from '../PriceHistory';
+
+const now = new Date(2026, 4, 8, 12, 0);
+
+const observation = (productKey, date, price, extra = {}) => ({
+  productKey,
+  vendorId: 'v1',
+  category: 'flower',
+  unitSize: '3.5g',
+  price,
+  salePrice: price,
+  date,
+  ...extra
+});
+
+describe('parseUnitSize', () => {
+  it('reads weights and normalizes ounces to grams', () => {
+    expect(parseUnitSize({ size: '3.5g' })).toBe('3.5g');
+    expect(parseUnitSize({ name: 'Blue Dream 1/8 oz' })).toBe('3.5g');
+    expect(parseUnitSize({ weight: '1 oz' })).toBe('28g');
+    expect(parseUnitSize({ title: 'Gummies 100mg' })).toBe('100mg');
+  });
+
+  it('reads named sizes', () => {
+    expect(parseUnitSize({ name: 'Half ounce of shake' })).toBe('14g');
+    expect(parseUnitSize({ name: 'House quarter' })).toBe('7g');
+    expect(parseUnitSize({ name: 'Any eighth' })).toBe('3.5g');
+  });
+
+  it('prefers the size fields over the name', () => {
+    expect(parseUnitSize({ unitSize: '1g', name: 'Eighth jar' })).toBe('1g');
+  });
+
+  it('returns null when no size is given', () => {
+    expect(parseUnitSize({ name: 'Pre-roll' })).toBeNull();
+  });
+});
+
+describe('buildPriceObservation', () => {
+  it('records the regular and sale price for the day', () => {
+    expect(buildPriceObservation({
+      id: 'd1',
+      vendorId: 42,
+      category: 'Flower',
+      name: 'Eighth',
+      price: 40,
+      discountedPrice: 30
+    }, now)).toEqual({
+      productKey: 'd1',
+      vendorId: '42',
+      category: 'flower',
+      unitSize: '3.5g',
+      price: 40,
+      salePrice: 30,
+      date: '2026-05-08'
+    });
+  });
+
+  it('skips deals without a price', () => {
+    expect(buildPriceObservation({ id: 'd1', price: 0 }, now)).toBeNull();
+    expect(buildPriceObservation({ id: 'd1' }, now)).toBeNull();
+  });
+});
+
+describe('mergePriceObservations', () => {
+  it('keeps one observation per product per day, the latest winning', () => {
+    const merged = mergePriceObservations(
+      [observation('a', '2026-05-07', 40), observation('a', '2026-05-08', 40)],
+      [observation('a', '2026-05-08', 35), observation('b', '2026-05-06', 20)],
+      { now }
+    );
+
+    expect(merged.map(o => [o.productKey, o.date, o.price])).toEqual([
+      ['b', '2026-05-06', 20],
+      ['a', '2026-05-07', 40],
+      ['a', '2026-05-08', 35]
+    ]);
+  });
+
+  it('drops observations past the maximum age', () => {
+    const merged = mergePriceObservations(
+      [observation('a', '2026-01-01', 40), observation('a', '2026-05-01', 40)],
+      [],
+      { now, maxAgeDays: 30 }
+    );
+
+    expect(merged.map(o => o.date)).toEqual(['2026-05-01']);
+  });
+});
+
+describe('market averages', () => {
+  const history = [
+    observation('a', '2026-05-01', 10),
+    observation('a', '2026-05-02', 20),
+    observation('b', '2026-05-03', 30, { vendorId: 'v2' }),
+    observation('c', '2026-05-04', 35, { vendorId: 'v2' }),
+    observation('d', '2026-05-04', 100, { unitSize: '28g' }),
+    observation('e', '2026-01-01', 500)
+  ];
+
+  it('counts each product once at its average price', () => {
+    const averages = computeMarketAverages(history, { now });
+
+    expect(averages.get(getMarketKey('flower', '3.5g'))).toEqual({ average: 26.67, productCount: 3, vendorCount: 2 });
+    expect(averages.get('flower|28g')).toEqual({ average: 100, productCount: 1, vendorCount: 1 });
+  });
+
+  it('only averages products with enough others to compare', () => {
+    const averages = computeMarketAverages(history, { now });
+
+    expect(getMarketAverage(averages, { category: 'Flower', name: '1/8 oz' })?.average).toBe(26.67);
+    expect(getMarketAverage(averages, { category: 'flower', name: 'Ounce' })).toBeNull();
+    expect(getMarketAverage(null, { category: 'flower', name: 'Eighth' })).toBeNull();
+  });
+
+  it('compares products of unknown size only with each other', () => {
+    const unsized = ['x', 'y', 'z'].map(key => observation(key, '2026-05-05', 12, { unitSize: null }));
+    const averages = computeMarketAverages([...history, ...unsized], { now });
+
+    expect(getMarketAverage(averages, { category: 'flower', name: 'Pre-roll' })?.average).toBe(12);
+  });
+});
+
+describe('getProductPriceHistory', () => {
+  it('lists one product\'s prices by day', () => {
+    const history = [
+      observation('a', '2026-05-03', 40, { salePrice: 30 }),
+      observation('b', '2026-05-02', 20),
+      observation('a', '2026-05-01', 45)
+    ];
+
+    expect(getProductPriceHistory(history, 'a')).toEqual([
+      { date: '2026-05-01', price: 45, salePrice: 45 },
+      { date: '2026-05-03', price: 40, salePrice: 30 }
+    ]);
+    expect(getProductPriceHistory(null, 'a')).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+/* eslint-env jest */
+import {
+  buildDistanceMatrix,
+  calculateTourLength,
+  nearestNeighbourTour,
+  twoOpt,
+  orOpt,
+  optimizeStopOrder,
+  selectStopsWithinBudget
+} from '../RouteOptimizer';
+
+// Straight-line distance on a flat grid keeps the expected tours easy to work out
+const gridDistance = (lat1, lon1, lat2, lon2) => Math.hypot(lat2 - lat1, lon2 - lon1);
+
+const point = (x, y = 0) => ({ latitude: y, longitude: x });
+const vendor = (id, x, y = 0) => ({ id, location: { coordinates: point(x, y) } });
+const ids = (stops) => stops.map(stop => stop.id);
+
+describe('nearestNeighbourTour', () => {
+  it('always drives to the closest unvisited stop', () => {
+    // Nodes: start at 0, then stops at 1, 3 and 2
+    const matrix = buildDistanceMatrix([point(0), point(1), point(3), point(2)], gridDistance);
+
+    expect(nearestNeighbourTour(matrix)).toEqual([1, 3, 2]);
+  });
+
+  it('leaves out nodes past the stop count, such as an end point', () => {
+    const matrix = buildDistanceMatrix([point(0), point(2), point(1), point(0.5)], gridDistance);
+
+    expect(nearestNeighbourTour(matrix, 2)).toEqual([2, 1]);
+  });
+});
+
+describe('twoOpt', () => {
+  it('uncrosses a tour around a square', () => {
+    const matrix = buildDistanceMatrix([point(0, 0), point(0, 1), point(1, 1), point(1, 0)], gridDistance);
+    const crossed = [2, 1, 3];
+
+    const improved = twoOpt(crossed, matrix);
+
+    expect(calculateTourLength(crossed, matrix)).toBeCloseTo(1 + 2 * Math.SQRT2);
+    expect(calculateTourLength(improved, matrix)).toBeCloseTo(3);
+  });
+});
+
+describe('orOpt', () => {
+  it('moves a stop that was visited out of place', () => {
+    const matrix = buildDistanceMatrix([point(0), point(1), point(2), point(3), point(4)], gridDistance);
+
+    expect(orOpt([1, 3, 2, 4], matrix)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('leaves an already optimal tour alone', () => {
+    const matrix = buildDistanceMatrix([point(0), point(1), point(2)], gridDistance);
+
+    expect(orOpt([1, 2], matrix)).toEqual([1, 2]);
+  });
+});
+
+describe('optimizeStopOrder', () => {
+  it('finds the shortest order along a line', () => {
+    const stops = [vendor('c', 3), vendor('a', 1), vendor('d', 4), vendor('b', 2)];
+
+    expect(ids(optimizeStopOrder(stops, point(0), gridDistance))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('keeps stops without coordinates at the end in their original order', () => {
+    const stops = [{ id: 'x' }, vendor('b', 2), { id: 'y', location: {} }, vendor('a', 1)];
+
+    expect(ids(optimizeStopOrder(stops, point(0), gridDistance))).toEqual(['a', 'b', 'x', 'y']);
+  });
+
+  it('counts the final leg to the end location', () => {
+    const stops = [vendor('west', -1), vendor('east', 2)];
+
+    expect(ids(optimizeStopOrder(stops, point(0), gridDistance))).toEqual(['west', 'east']);
+    expect(ids(optimizeStopOrder(stops, point(0), gridDistance, { endLocation: point(-3) })))
+      .toEqual(['east', 'west']);
+  });
+
+  it('steers away from orders the penalty function rules out', () => {
+    const stops = [vendor('near', 1), vendor('far', 5)];
+    const penaltyFn = (ordered) => (ordered[0].id === 'far' ? 0 : 100);
+
+    expect(ids(optimizeStopOrder(stops, point(0), gridDistance, { penaltyFn }))).toEqual(['far', 'near']);
+  });
+
+  it('passes leg distances to the penalty function', () => {
+    const penaltyFn = jest.fn(() => 0);
+
+    optimizeStopOrder([vendor('a', 1), vendor('b', 3)], point(0), gridDistance, { penaltyFn });
+
+    expect(penaltyFn).toHaveBeenCalledWith(
+      [expect.objectContaining({ id: 'a' }), expect.objectContaining({ id: 'b' })],
+      [1, 2]
+    );
+  });
+});
+
+describe('selectStopsWithinBudget', () => {
+  const lengthCost = (ordered, legDistances, finalLegDistance) =>
+    legDistances.reduce((sum, distance) => sum + distance, 0) + finalLegDistance;
+
+  it('chooses the stops that fit in the budget', () => {
+    const stops = [vendor('near', 1), vendor('mid', 2), vendor('far', 10)];
+
+    const chosen = selectStopsWithinBudget(stops, point(0), gridDistance, {
+      budget: 5,
+      valueFn: () => 1,
+      costFn: lengthCost
+    });
+
+    expect(ids(chosen)).toEqual(['near', 'mid']);
+  });
+
+  it('returns nothing when no stop fits', () => {
+    const chosen = selectStopsWithinBudget([vendor('far', 10)], point(0), gridDistance, {
+      budget: 5,
+      valueFn: () => 1,
+      costFn: lengthCost
+    });
+
+    expect(chosen).toEqual([]);
+  });
+});
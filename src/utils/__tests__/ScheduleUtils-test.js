@@ -0,0 +1,73 @@
+/* eslint-env jest */
+import { getOpeningWindow, buildStopSchedule } from '../ScheduleUtils';
+
+// Friday 17 October 2025 and the days around it
+const at = (day, hours, minutes = 0) => new Date(2025, 9, day, hours, minutes);
+
+const lateNightVendor = {
+  hours: {
+    thursday: { open: '10:00', close: '22:00' },
+    friday: { open: '10:00', close: '02:00' },
+    saturday: { open: '10:00', close: '02:00' }
+  }
+};
+
+describe('getOpeningWindow', () => {
+  it('uses the day of the date during the day', () => {
+    expect(getOpeningWindow(lateNightVendor, at(17, 12))).toEqual({
+      opensAt: at(17, 10),
+      closesAt: at(18, 2)
+    });
+  });
+
+  it('uses the previous day\'s window while it is still open past midnight', () => {
+    expect(getOpeningWindow(lateNightVendor, at(18, 1))).toEqual({
+      opensAt: at(17, 10),
+      closesAt: at(18, 2)
+    });
+  });
+
+  it('moves on to the day\'s own window once the late window has closed', () => {
+    expect(getOpeningWindow(lateNightVendor, at(18, 3))).toEqual({
+      opensAt: at(18, 10),
+      closesAt: at(19, 2)
+    });
+  });
+
+  it('finds the late window even when the vendor is closed on the day itself', () => {
+    const vendor = { hours: { saturday: { open: '18:00', close: '03:00' } } };
+
+    expect(getOpeningWindow(vendor, at(19, 1))).toEqual({
+      opensAt: at(18, 18),
+      closesAt: at(19, 3)
+    });
+    expect(getOpeningWindow(vendor, at(19, 12))).toBeNull();
+  });
+
+  it('returns undefined without hours data', () => {
+    expect(getOpeningWindow({}, at(17, 12))).toBeUndefined();
+  });
+});
+
+describe('buildStopSchedule', () => {
+  it('counts a 1am arrival under late-night hours as open', () => {
+    const [stop] = buildStopSchedule([lateNightVendor], [0], at(18, 1), {
+      minutesPerMile: 2,
+      dwellMinutes: 10
+    });
+
+    expect(stop.isOpenOnArrival).toBe(true);
+    expect(stop.waitMinutes).toBe(0);
+    expect(stop.slackMinutes).toBe(60);
+  });
+
+  it('waits for a vendor that has not opened yet', () => {
+    const [stop] = buildStopSchedule([lateNightVendor], [0], at(16, 9, 30), {
+      minutesPerMile: 2,
+      dwellMinutes: 10
+    });
+
+    expect(stop.waitMinutes).toBe(30);
+    expect(stop.eta).toBe(at(16, 10).toISOString());
+  });
+});
@@ -0,0 +1,82 @@
+/* eslint-env jest */
+import {
+  normalizeSearchText,
+  tokenize,
+  editDistance,
+  buildSearchIndex,
+  searchIndex
+} from '../SearchIndex';
+
+const document = (type, id, name, ...otherFields) => ({
+  id,
+  type,
+  title: name,
+  subtitle: null,
+  data: { id },
+  fields: [{ text: name, weight: 3 }, ...otherFields.map(text => ({ text, weight: 1 }))]
+});
+
+const index = buildSearchIndex([
+  document('product', 'p1', 'Blueberry Kush Pre-Roll', 'flower'),
+  document('product', 'p2', 'Blue Dream Cartridge', 'vape'),
+  document('product', 'p3', 'Strawberry Gummies', 'edible blueberry flavour'),
+  document('vendor', 'v1', 'Café Kush', 'Seattle')
+]);
+
+const ids = (results) => results.map(result => result.id);
+
+describe('text handling', () => {
+  it('lowercases and strips accents and punctuation', () => {
+    expect(normalizeSearchText("  Café—Kush's  ")).toBe('cafe kushs');
+    expect(tokenize('Pre-Roll, 1g')).toEqual(['pre', 'roll', '1g']);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  it('stops measuring edit distance past the limit', () => {
+    expect(editDistance('kush', 'kush', 1)).toBe(0);
+    expect(editDistance('blueberyy', 'blueberry', 2)).toBe(1);
+    expect(editDistance('kush', 'haze', 1)).toBe(2);
+    expect(editDistance('a', 'abcd', 1)).toBe(2);
+  });
+});
+
+describe('searchIndex', () => {
+  it('ranks a match on the main field above one in other fields', () => {
+    expect(ids(searchIndex(index, 'blueberry'))).toEqual(['p1', 'p3']);
+  });
+
+  it('matches the last term as a prefix while typing', () => {
+    expect(ids(searchIndex(index, 'blue'))).toEqual(expect.arrayContaining(['p1', 'p2', 'p3']));
+    expect(ids(searchIndex(index, 'dream cart'))).toEqual(['p2']);
+  });
+
+  it('only allows prefixes on the last term', () => {
+    expect(searchIndex(index, 'cart dream')).toEqual([]);
+  });
+
+  it('finds terms with typos, but not short ones', () => {
+    expect(ids(searchIndex(index, 'blueberyy'))).toEqual(['p1', 'p3']);
+    expect(ids(searchIndex(index, 'kusj'))).toEqual(['p1', 'v1']);
+    expect(searchIndex(index, 'prw')).toEqual([]);
+  });
+
+  it('matches hyphenated words apart and joined', () => {
+    expect(ids(searchIndex(index, 'preroll'))).toEqual(['p1']);
+    expect(ids(searchIndex(index, 'pre roll'))).toEqual(['p1']);
+  });
+
+  it('requires every term to match', () => {
+    expect(ids(searchIndex(index, 'kush seattle'))).toEqual(['v1']);
+    expect(searchIndex(index, 'kush gummies')).toEqual([]);
+  });
+
+  it('filters by type and limits results', () => {
+    expect(ids(searchIndex(index, 'kush', { types: ['vendor'] }))).toEqual(['v1']);
+    expect(searchIndex(index, 'blue', { limit: 1 })).toHaveLength(1);
+  });
+
+  it('returns nothing for an empty query or index', () => {
+    expect(searchIndex(index, '  ')).toEqual([]);
+    expect(searchIndex(null, 'kush')).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+/* eslint-env jest */
+import {
+  TRAVEL_MODE_PROFILES,
+  getTravelProfile,
+  limitMaxDistance,
+  estimateLegMinutes,
+  estimateLegCost,
+  getScheduleOptions
+} from '../TravelModeUtils';
+
+describe('travel mode profiles', () => {
+  it('has a profile for every travel mode and falls back to driving', () => {
+    expect(Object.keys(TRAVEL_MODE_PROFILES).sort()).toEqual(['bike', 'drive', 'rideshare', 'walk']);
+    expect(getTravelProfile('hovercraft')).toBe(TRAVEL_MODE_PROFILES.drive);
+    expect(getTravelProfile()).toBe(TRAVEL_MODE_PROFILES.drive);
+  });
+
+  it('tightens the search radius for walking and biking only', () => {
+    expect(limitMaxDistance(10, 'walk')).toBe(2);
+    expect(limitMaxDistance(1, 'walk')).toBe(1);
+    expect(limitMaxDistance(10, 'bike')).toBe(8);
+    expect(limitMaxDistance(50, 'drive')).toBe(50);
+    expect(limitMaxDistance(50, 'rideshare')).toBe(50);
+  });
+
+  it('times legs by the mode\'s pace, plus the wait for each rideshare pickup', () => {
+    expect(estimateLegMinutes(2, 'walk')).toBe(40);
+    expect(estimateLegMinutes(2, 'bike')).toBe(12);
+    expect(estimateLegMinutes(2, 'drive')).toBe(6);
+    expect(estimateLegMinutes(2, 'rideshare')).toBe(12);
+    expect(estimateLegMinutes(0, 'rideshare')).toBe(0);
+  });
+
+  it('gives the schedule the mode\'s pace and time at each stop', () => {
+    expect(getScheduleOptions('bike')).toEqual({ minutesPerMile: 6, legOverheadMinutes: 0, dwellMinutes: 12 });
+    expect(getScheduleOptions('rideshare')).toEqual({ minutesPerMile: 3, legOverheadMinutes: 6, dwellMinutes: 10 });
+  });
+});
+
+describe('estimateLegCost', () => {
+  it('only charges for rideshare legs', () => {
+    expect(estimateLegCost(5, 'drive')).toBeNull();
+    expect(estimateLegCost(5, 'walk')).toBeNull();
+    expect(estimateLegCost(0, 'rideshare')).toBe(0);
+  });
+
+  it('charges distance and ride time plus the booking fee', () => {
+    // 2.50 + 1.75 * 5 + 0.35 * 15 minutes, plus 2.00
+    expect(estimateLegCost(5, 'rideshare')).toBe(18.5);
+  });
+
+  it('charges at least the minimum fare on short rides', () => {
+    expect(estimateLegCost(0.5, 'rideshare')).toBe(10);
+  });
+});
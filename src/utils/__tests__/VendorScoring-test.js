@@ -0,0 +1,62 @@
+/* eslint-env jest */
+import {
+  PARTNER_BONUS,
+  FAVORITE_BONUS,
+  calculateDetourMiles,
+  scoreVendor,
+  compareVendorScores
+} from '../VendorScoring';
+
+// Treat coordinates as points on a flat grid measured in miles
+const gridDistance = (lat1, lon1, lat2, lon2) => Math.hypot(lat2 - lat1, lon2 - lon1);
+const point = (latitude, longitude) => ({ latitude, longitude });
+
+describe('calculateDetourMiles', () => {
+  it('is the distance from the start when the journey has no end point', () => {
+    expect(calculateDetourMiles(point(0, 0), point(3, 4), null, gridDistance)).toBe(5);
+  });
+
+  it('is the extra distance over the direct trip to the end point', () => {
+    expect(calculateDetourMiles(point(0, 0), point(5, 0), point(10, 0), gridDistance)).toBe(0);
+    expect(calculateDetourMiles(point(0, 0), point(0, 3), point(8, 3), gridDistance)).toBeCloseTo(3 + 8 - Math.hypot(8, 3));
+  });
+});
+
+describe('scoreVendor', () => {
+  it('divides deal value by the miles it costs, plus one', () => {
+    expect(scoreVendor({ dealValue: 10, detourMiles: 4 })).toEqual({
+      score: 2,
+      dealValue: 10,
+      detourMiles: 4,
+      partnerBonus: 0,
+      favoriteBonus: 0
+    });
+    expect(scoreVendor({ dealValue: 6, detourMiles: 0 }).score).toBe(6);
+  });
+
+  it('adds bonuses for partners and favorites', () => {
+    const score = scoreVendor({ dealValue: 6, detourMiles: 1, isPartner: true, isFavorite: true });
+
+    expect(score.partnerBonus).toBe(PARTNER_BONUS);
+    expect(score.favoriteBonus).toBe(FAVORITE_BONUS);
+    expect(score.score).toBe(5);
+  });
+
+  it('treats missing or negative detours as none', () => {
+    expect(scoreVendor({ dealValue: 5, detourMiles: -2 }).detourMiles).toBe(0);
+    expect(scoreVendor({ dealValue: 5 }).score).toBe(5);
+  });
+});
+
+describe('compareVendorScores', () => {
+  it('puts the best value per mile first, then the closest', () => {
+    const vendors = [
+      { id: 'low', distance: 1, valueScore: { score: 2 } },
+      { id: 'far', distance: 5, valueScore: { score: 4 } },
+      { id: 'unscored', distance: 0 },
+      { id: 'near', distance: 2, valueScore: { score: 4 } }
+    ];
+
+    expect(vendors.sort(compareVendorScores).map(v => v.id)).toEqual(['near', 'far', 'low', 'unscored']);
+  });
+});